@@ -91,3 +91,46 @@ self.addEventListener('fetch', (event) => {
     )
   }
 })
+
+// Push event - show a notification sent by the server's push service
+// Payload: { title, body, url, tag, event }
+self.addEventListener('push', (event) => {
+  let data = {}
+  try {
+    data = event.data ? event.data.json() : {}
+  } catch {
+    data = { body: event.data ? event.data.text() : '' }
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Woof Meetup', {
+      body: data.body || '',
+      icon: '/web-app-manifest-192x192.png',
+      badge: '/favicon-96x96.png',
+      tag: data.tag,
+      data: { url: data.url || '/dashboard' },
+    })
+  )
+})
+
+// Notification click - focus an open tab on the notification's page, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const target = new URL(event.notification.data?.url || '/', self.location.origin)
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: 'window', includeUncontrolled: true })
+      .then((windows) => {
+        const existing = windows.find(
+          (client) => new URL(client.url).origin === target.origin
+        )
+        if (existing) {
+          return existing
+            .focus()
+            .then((client) => client.navigate?.(target.href) || client)
+        }
+        return self.clients.openWindow(target.href)
+      })
+  )
+})
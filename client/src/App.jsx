@@ -31,6 +31,17 @@ const ProtectedRoute = ({ children }) => {
   return children
 }
 
+// Admin pages - rendered only for admins (nest inside ProtectedRoute)
+const AdminRoute = ({ children }) => {
+  const { user } = useAuthStore()
+
+  if (!user?.isAdmin) {
+    return <Navigate to="/dashboard" replace />
+  }
+
+  return children
+}
+
 // redirect authenticated users to the dashboard
 const RedirectAuthenticatedUser = ({ children }) => {
   const { isAuthenticated, user } = useAuthStore()
@@ -48,6 +59,7 @@ const Onboarding = lazy(() => import('./pages/Onboarding'))
 const EditDogProfile = lazy(() => import('./pages/EditDogProfile'))
 const AccountSettings = lazy(() => import('./pages/AccountSettings'))
 const ResetPassword = lazy(() => import('./pages/ResetPassword'))
+const Unsubscribe = lazy(() => import('./pages/Unsubscribe'))
 const ForgotPassword = lazy(() => import('./pages/ForgotPassword'))
 const EmailVerification = lazy(() => import('./pages/EmailVerification'))
 const PricingPage = lazy(() => import('./pages/PricingPage'))
@@ -55,6 +67,8 @@ const PaymentSuccess = lazy(() => import('./pages/PaymentSuccess'))
 const Home = lazy(() => import('./pages/Home'))
 const PublicProfile = lazy(() => import('./pages/PublicProfile'))
 const About = lazy(() => import('./pages/About'))
+const AdminDashboard = lazy(() => import('./pages/AdminDashboard'))
+const AdminUsers = lazy(() => import('./pages/AdminUsers'))
 
 const LocationTracker = () => {
   const location = useLocation()
@@ -150,6 +164,7 @@ const App = () => {
 
             <Route path="/forgot-password" element={<ForgotPassword />} />
             <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/unsubscribe/:token" element={<Unsubscribe />} />
             <Route
               path="/edit-profile"
               element={
@@ -194,6 +209,32 @@ const App = () => {
               }
             />
 
+            <Route
+              path="/admin"
+              element={
+                <ProtectedRoute>
+                  <AdminRoute>
+                    <ErrorBoundary>
+                      <AdminDashboard />
+                    </ErrorBoundary>
+                  </AdminRoute>
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/admin/users/:userId?"
+              element={
+                <ProtectedRoute>
+                  <AdminRoute>
+                    <ErrorBoundary>
+                      <AdminUsers />
+                    </ErrorBoundary>
+                  </AdminRoute>
+                </ProtectedRoute>
+              }
+            />
+
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </Suspense>
@@ -0,0 +1,16 @@
+import { NavLink, Link } from 'react-router-dom'
+
+// Links between the /admin pages
+const AdminHeader = () => (
+  <header className="admin-header">
+    <Link to="/dashboard">&lt;&lt; Back to Dashboard</Link>
+    <nav aria-label="Admin">
+      <NavLink to="/admin" end>
+        Overview
+      </NavLink>
+      <NavLink to="/admin/users">User Lookup</NavLink>
+    </nav>
+  </header>
+)
+
+export default AdminHeader
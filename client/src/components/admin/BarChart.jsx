@@ -0,0 +1,31 @@
+// Horizontal bars for categorical counts (referral sources, subscription plans)
+// data: [{ label, value }]
+const BarChart = ({ title, data, emptyText = 'No data yet' }) => {
+  const max = Math.max(1, ...data.map((d) => d.value))
+
+  return (
+    <figure className="admin-chart">
+      <figcaption>{title}</figcaption>
+      {data.length === 0 ? (
+        <p className="admin-empty">{emptyText}</p>
+      ) : (
+        <ul className="bar-chart">
+          {data.map(({ label, value }) => (
+            <li key={label}>
+              <span className="bar-label">{label}</span>
+              <span className="bar-track">
+                <span
+                  className="bar-fill"
+                  style={{ width: `${(value / max) * 100}%` }}
+                />
+              </span>
+              <span className="bar-value">{value}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </figure>
+  )
+}
+
+export default BarChart
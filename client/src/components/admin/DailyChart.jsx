@@ -0,0 +1,42 @@
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// The API omits days without activity - fill them in so every day gets a column
+const fillDays = (series, since, days) => {
+  const counts = new Map(series.map(({ date, count }) => [date, count]))
+  const start = new Date(since).getTime()
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(start + i * DAY_MS).toISOString().slice(0, 10)
+    return { date, count: counts.get(date) || 0 }
+  })
+}
+
+// Column chart of a daily count, e.g. signups per day
+const DailyChart = ({ title, series, since, days }) => {
+  const filled = fillDays(series, since, days)
+  const max = Math.max(1, ...filled.map((d) => d.count))
+  const total = filled.reduce((sum, d) => sum + d.count, 0)
+
+  return (
+    <figure className="admin-chart">
+      <figcaption>
+        {title} <span className="admin-chart-total">({total} total)</span>
+      </figcaption>
+      <div className="daily-chart" role="img" aria-label={`${title}: ${total}`}>
+        {filled.map(({ date, count }) => (
+          <span
+            key={date}
+            className="daily-chart-column"
+            style={{ height: `${(count / max) * 100}%` }}
+            title={`${date}: ${count}`}
+          />
+        ))}
+      </div>
+      <div className="daily-chart-axis">
+        <span>{filled[0]?.date}</span>
+        <span>{filled[filled.length - 1]?.date}</span>
+      </div>
+    </figure>
+  )
+}
+
+export default DailyChart
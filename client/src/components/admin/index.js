@@ -0,0 +1,3 @@
+export { default as AdminHeader } from './AdminHeader.jsx'
+export { default as BarChart } from './BarChart.jsx'
+export { default as DailyChart } from './DailyChart.jsx'
@@ -0,0 +1,162 @@
+import { useState } from 'react'
+import { useChatStore } from '../../store/useChatStore'
+import { useAuthStore } from '../../store/useAuthStore'
+import ConfirmationModal from '../modals/ConfirmationModal'
+import toast from 'react-hot-toast'
+
+const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or scam' },
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'inappropriate_content', label: 'Inappropriate content' },
+  { value: 'fake_profile', label: 'Fake profile' },
+  { value: 'underage', label: 'Underage user' },
+  { value: 'other', label: 'Something else' },
+]
+const MAX_DETAILS_LENGTH = 1000
+// Server accepts at most 20 ids per evidence list
+const MAX_EVIDENCE_MESSAGES = 20
+
+// Block and Report buttons for the open chat (used by ChatHeader and ChatModal)
+const BlockReportActions = () => {
+  const { selectedUser, messages, setSelectedUser, unsubscribeFromMessages } =
+    useChatStore()
+  const { blockUser, reportUser } = useAuthStore()
+  const [modal, setModal] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [reason, setReason] = useState(REPORT_REASONS[0].value)
+  const [details, setDetails] = useState('')
+  const [attachMessages, setAttachMessages] = useState(true)
+
+  const closeModal = () => {
+    setModal(null)
+    setReason(REPORT_REASONS[0].value)
+    setDetails('')
+    setAttachMessages(true)
+  }
+
+  const handleBlockConfirm = async () => {
+    setIsLoading(true)
+    try {
+      unsubscribeFromMessages()
+      await blockUser(selectedUser.user_id)
+      toast.success(`Blocked ${selectedUser?.userName}`)
+      closeModal()
+      setSelectedUser(null)
+    } catch (error) {
+      console.error('Block error:', error)
+      toast.error('Failed to block. Please try again.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Their most recent (not unsent) messages in this chat
+  const collectEvidence = () => {
+    const theirs = messages
+      .filter((m) => m.senderId === selectedUser._id && !m.deletedAt)
+      .slice(-MAX_EVIDENCE_MESSAGES)
+    return {
+      messageIds: theirs.filter((m) => m.text).map((m) => m._id),
+      imageIds: theirs.filter((m) => m.image).map((m) => m._id),
+    }
+  }
+
+  const handleReportConfirm = async () => {
+    setIsLoading(true)
+    try {
+      await reportUser(selectedUser.user_id, {
+        reason,
+        details: details.trim(),
+        ...(attachMessages ? collectEvidence() : {}),
+      })
+      toast.success('Thanks, our team will review your report')
+      closeModal()
+    } catch (error) {
+      console.error('Report error:', error)
+      toast.error(
+        error.response?.data?.message ||
+          'Failed to send report. Please try again.'
+      )
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const reportForm = (
+    <form className="report-form" onSubmit={(e) => e.preventDefault()}>
+      <label htmlFor="report-reason">Reason</label>
+      <select
+        id="report-reason"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+      >
+        {REPORT_REASONS.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <label htmlFor="report-details">Details (optional)</label>
+      <textarea
+        id="report-details"
+        value={details}
+        maxLength={MAX_DETAILS_LENGTH}
+        rows={4}
+        onChange={(e) => setDetails(e.target.value)}
+      />
+      <label className="report-attach">
+        <input
+          type="checkbox"
+          checked={attachMessages}
+          onChange={(e) => setAttachMessages(e.target.checked)}
+        />
+        Include their recent messages
+      </label>
+    </form>
+  )
+
+  return (
+    <>
+      <button
+        className="report-btn"
+        onClick={() => setModal('report')}
+        aria-label="Report this user"
+        type="button"
+      >
+        Report
+      </button>
+      <button
+        className="block-btn"
+        onClick={() => setModal('block')}
+        aria-label="Block this user"
+        type="button"
+      >
+        Block
+      </button>
+
+      {modal && (
+        <ConfirmationModal
+          title={
+            modal === 'block'
+              ? `Block ${selectedUser?.userName}`
+              : `Report ${selectedUser?.userName}`
+          }
+          message={
+            modal === 'block'
+              ? 'They will no longer be able to see you or message you, and your match will end. They will not be told that you blocked them.'
+              : reportForm
+          }
+          onConfirm={
+            modal === 'block' ? handleBlockConfirm : handleReportConfirm
+          }
+          onCancel={closeModal}
+          confirmText={modal === 'block' ? 'Block' : 'Send Report'}
+          cancelText="Cancel"
+          isLoading={isLoading}
+        />
+      )}
+    </>
+  )
+}
+
+export default BlockReportActions
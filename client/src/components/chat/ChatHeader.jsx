@@ -2,6 +2,8 @@ import { useState } from 'react'
 import { useChatStore } from '../../store/useChatStore'
 import { useAuthStore } from '../../store/useAuthStore'
 import ConfirmationModal from '../modals/ConfirmationModal'
+import TypingIndicator from './TypingIndicator'
+import BlockReportActions from './BlockReportActions'
 import toast from 'react-hot-toast'
 
 const ChatHeader = () => {
@@ -78,10 +80,12 @@ const ChatHeader = () => {
           >
             Clear Chat
           </button>
+          <BlockReportActions />
           <div className="close-icon" onClick={() => setSelectedUser(null)}>
             &#x2715;
           </div>
         </div>
+        <TypingIndicator />
       </div>
 
       {confirmModal && (
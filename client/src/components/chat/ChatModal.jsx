@@ -1,7 +1,13 @@
 import { useEffect, useRef, useState } from 'react'
 import { useChatStore } from '../../store/useChatStore'
 import { useAuthStore } from '../../store/useAuthStore'
+import { useOlderMessages } from '../../hooks/chat'
 import MessageInput from './MessageInput'
+import MessageStatus from './MessageStatus'
+import MessageBubble from './MessageBubble'
+import TypingIndicator from './TypingIndicator'
+import MeetupPanel from './MeetupPanel'
+import BlockReportActions from './BlockReportActions'
 import { MessageSkeleton } from '../skeletons'
 import ConfirmationModal from '../modals/ConfirmationModal'
 import { formatMessageTime } from '../../utilities/formatTime'
@@ -21,6 +27,8 @@ const ChatModal = ({ user }) => {
   } = useChatStore()
   const { unmatchUser, onlineUsers } = useAuthStore()
   const messageEndRef = useRef(null)
+  const { handleScroll, isLoadingOlderMessages, shouldAutoScroll } =
+    useOlderMessages(messageEndRef)
   const [confirmModal, setConfirmModal] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
 
@@ -78,12 +86,17 @@ const ChatModal = ({ user }) => {
   }
 
   useEffect(() => {
-    scrollToBottom()
-  }, [messages])
+    if (shouldAutoScroll()) {
+      scrollToBottom()
+    }
+  }, [messages, shouldAutoScroll])
 
-  const handleImageLoad = () => {
-    // Scroll again after image loads to ensure full visibility
-    scrollToBottom()
+  const handleImageLoad = (messageId) => {
+    // Scroll again after the newest image loads to ensure full visibility
+    // (images in older pages must not pull the view back down)
+    if (messageId === messages[messages.length - 1]?._id) {
+      scrollToBottom()
+    }
   }
 
   if (isMessagesLoading) {
@@ -185,6 +198,7 @@ const ChatModal = ({ user }) => {
                 ? 'Online'
                 : 'Offline'}
             </h4>
+            <TypingIndicator />
 
             {onlineUsers.includes(selectedUser?.user_id) && (
               <div className="online-users" aria-hidden="true">
@@ -222,15 +236,21 @@ const ChatModal = ({ user }) => {
             >
               Clear Chat
             </button>
+            <BlockReportActions />
           </div>
         </header>
+        <MeetupPanel user={user} selectedUser={selectedUser} />
         <div
           className="chat-scroll padding"
           role="log"
           aria-live="polite"
           aria-label="Message history"
           ref={messageEndRef}
+          onScroll={handleScroll}
         >
+          {isLoadingOlderMessages && (
+            <p className="chat-history-loading">Loading earlier messages...</p>
+          )}
           {messages.map((message) => (
             <article
               key={message._id}
@@ -262,19 +282,16 @@ const ChatModal = ({ user }) => {
                 <time className="time" dateTime={message.createdAt}>
                   {formatMessageTime(message.createdAt)}
                 </time>
-              </div>
-              <div className="chat-bubble column-chat-bubble">
-                {message.image && (
-                  <img
-                    src={sanitizeImageUrl(message.image, '/spinner.svg')}
-                    alt="Message attachment"
-                    loading="lazy"
-                    decoding="async"
-                    onLoad={handleImageLoad}
-                  />
+                {message.senderId === user._id && (
+                  <MessageStatus message={message} />
                 )}
-                {message.text && <p>{message.text}</p>}
               </div>
+              <MessageBubble
+                message={message}
+                isOwn={message.senderId === user._id}
+                imageAlt="Message attachment"
+                onImageLoad={() => handleImageLoad(message._id)}
+              />
             </article>
           ))}
         </div>
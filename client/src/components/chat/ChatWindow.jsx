@@ -1,7 +1,10 @@
 import { useEffect, useRef } from 'react'
 import { useChatStore } from '../../store/useChatStore'
+import { useOlderMessages } from '../../hooks/chat'
 import ChatHeader from './ChatHeader'
 import MessageInput from './MessageInput'
+import MessageStatus from './MessageStatus'
+import MessageBubble from './MessageBubble'
 import { MessageSkeleton } from '../skeletons'
 import { formatMessageTime } from '../../utilities/formatTime'
 import { sanitizeImageUrl } from '../../utilities/sanitizeUrl'
@@ -17,6 +20,9 @@ const ChatWindow = ({ user }) => {
   } = useChatStore()
 
   const messageEndRef = useRef(null)
+  const scrollRef = useRef(null)
+  const { handleScroll, isLoadingOlderMessages, shouldAutoScroll } =
+    useOlderMessages(scrollRef)
 
   useEffect(() => {
     const fetchAndSubscribe = async () => {
@@ -31,10 +37,13 @@ const ChatWindow = ({ user }) => {
   }, [selectedUser._id])
 
   useEffect(() => {
+    if (!shouldAutoScroll()) {
+      return
+    }
     if (messageEndRef.current && messages) {
       messageEndRef.current.scrollIntoView({ behavior: 'smooth' })
     }
-  }, [messages])
+  }, [messages, shouldAutoScroll])
 
   if (isMessagesLoading) {
     return (
@@ -49,7 +58,14 @@ const ChatWindow = ({ user }) => {
   return (
     <>
       <ChatHeader />
-      <div className="chat-scroll padding">
+      <div
+        className="chat-scroll padding"
+        ref={scrollRef}
+        onScroll={handleScroll}
+      >
+        {isLoadingOlderMessages && (
+          <p className="chat-history-loading">Loading earlier messages...</p>
+        )}
         {messages.map((message) => (
           <div
             key={message._id}
@@ -76,16 +92,14 @@ const ChatWindow = ({ user }) => {
               <time className="time">
                 {formatMessageTime(message.createdAt)}
               </time>
-            </div>
-            <div className="chat-bubble column-chat-bubble">
-              {message.image && (
-                <img
-                  src={sanitizeImageUrl(message.image, '/spinner.svg')}
-                  alt="Attachment"
-                />
+              {message.senderId === user._id && (
+                <MessageStatus message={message} />
               )}
-              {message.text && <p>{message.text}</p>}
             </div>
+            <MessageBubble
+              message={message}
+              isOwn={message.senderId === user._id}
+            />
           </div>
         ))}
       </div>
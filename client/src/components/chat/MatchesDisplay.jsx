@@ -1,19 +1,16 @@
 import axiosInstance from '../../config/axiosInstance'
 import { useState, useEffect } from 'react'
-import { useAuthStore } from '../../store/useAuthStore'
 import { SidebarSkeleton } from '../skeletons'
 
 const MatchesDisplay = ({ matches, setSelectedUser, animatedMatchIds }) => {
   const [matchedProfiles, setMatchedProfiles] = useState(null)
-  const { user } = useAuthStore()
 
   const [matchesLoading, setMatchesLoading] = useState(true)
   const [error, setError] = useState(null)
 
-  const userId = user?.user_id
-
   useEffect(() => {
     const fetchMatches = async () => {
+      // The server only returns the users who share a mutual match
       const matchedUserIds = matches?.map(({ user_id }) => user_id)
       try {
         setMatchesLoading(true)
@@ -42,24 +39,19 @@ const MatchesDisplay = ({ matches, setSelectedUser, animatedMatchIds }) => {
     fetchMatches()
   }, [matches])
 
-  const filteredMatchedProfiles = matchedProfiles?.filter(
-    (matchedProfile) =>
-      matchedProfile.matches.filter((profile) => profile.user_id == userId)
-        .length > 0
-  )
   if (matchesLoading) return <SidebarSkeleton matches={error} />
 
   const handleMatchClick = (match) => {
     setSelectedUser(match)
   }
 
-  if (!filteredMatchedProfiles || filteredMatchedProfiles.length === 0) {
+  if (!matchedProfiles || matchedProfiles.length === 0) {
     return null
   }
 
   return (
     <div className="matches-display">
-      {filteredMatchedProfiles?.map((match) => (
+      {matchedProfiles?.map((match) => (
         <div
           key={match.user_id}
           className={`match-button ${
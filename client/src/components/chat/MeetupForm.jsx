@@ -0,0 +1,173 @@
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+
+const MEETUP_TYPES = ['Play Dates', 'Exercise Buddy', 'Walk Companion']
+
+// datetime-local wants local time without seconds or zone: 2025-06-01T17:30
+const toLocalInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+  return local.toISOString().slice(0, 16)
+}
+
+const getLastKnownCoordinates = () => {
+  try {
+    return JSON.parse(localStorage.getItem('lastKnownCoordinates')) || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * MeetupForm - Propose a meetup, or counter-propose one (prefilled from `initial`)
+ *
+ * @param {Object} props
+ * @param {Object} props.initial - Meetup being countered (optional)
+ * @param {string} props.defaultMeetupType - Used when there is no initial meetup
+ * @param {string} props.submitLabel
+ * @param {boolean} props.isSubmitting
+ * @param {Function} props.onSubmit - Called with { startsAt, timeZone, placeName, latitude, longitude, meetupType }
+ * @param {Function} props.onCancel
+ */
+const MeetupForm = ({
+  initial,
+  defaultMeetupType,
+  submitLabel,
+  isSubmitting,
+  onSubmit,
+  onCancel,
+}) => {
+  const initialCoordinates = initial
+    ? {
+        longitude: initial.location.coordinates[0],
+        latitude: initial.location.coordinates[1],
+      }
+    : getLastKnownCoordinates()
+
+  const [startsAt, setStartsAt] = useState(
+    initial ? toLocalInputValue(new Date(initial.startsAt)) : ''
+  )
+  const [placeName, setPlaceName] = useState(initial?.placeName || '')
+  const [coordinates, setCoordinates] = useState(initialCoordinates)
+  const [meetupType, setMeetupType] = useState(
+    initial?.meetupType ||
+      (MEETUP_TYPES.includes(defaultMeetupType)
+        ? defaultMeetupType
+        : MEETUP_TYPES[0])
+  )
+  const [isLocating, setIsLocating] = useState(false)
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error('Geolocation is not supported by your browser')
+      return
+    }
+    setIsLocating(true)
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setCoordinates({
+          longitude: position.coords.longitude,
+          latitude: position.coords.latitude,
+        })
+        setIsLocating(false)
+      },
+      () => {
+        toast.error('Unable to get your location')
+        setIsLocating(false)
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 0 }
+    )
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!startsAt || !placeName.trim()) {
+      toast.error('Pick a time and a place')
+      return
+    }
+    if (!coordinates) {
+      toast.error('Add the meetup location')
+      return
+    }
+    const date = new Date(startsAt)
+    if (date.getTime() <= Date.now()) {
+      toast.error('Meetup time must be in the future')
+      return
+    }
+
+    onSubmit({
+      startsAt: date.toISOString(),
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      placeName: placeName.trim(),
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      meetupType,
+    })
+  }
+
+  return (
+    <form className="meetup-form" onSubmit={handleSubmit}>
+      <label>
+        When
+        <input
+          type="datetime-local"
+          className="border-form"
+          value={startsAt}
+          min={toLocalInputValue(new Date())}
+          onChange={(e) => setStartsAt(e.target.value)}
+          required
+        />
+      </label>
+      <label>
+        Where
+        <input
+          type="text"
+          className="border-form"
+          placeholder="Park, trail or café"
+          value={placeName}
+          maxLength={120}
+          onChange={(e) => setPlaceName(e.target.value)}
+          required
+        />
+      </label>
+      <div className="meetup-form-location">
+        <span>
+          {coordinates
+            ? `📍 ${coordinates.latitude.toFixed(4)}, ${coordinates.longitude.toFixed(4)}`
+            : 'No location yet'}
+        </span>
+        <button
+          type="button"
+          className="text-buttons"
+          onClick={handleUseMyLocation}
+          disabled={isLocating}
+        >
+          {isLocating ? 'Locating...' : 'Use my location'}
+        </button>
+      </div>
+      <label>
+        Activity
+        <select
+          className="border-form"
+          value={meetupType}
+          onChange={(e) => setMeetupType(e.target.value)}
+        >
+          {MEETUP_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="meetup-form-actions">
+        <button type="submit" className="primary-button" disabled={isSubmitting}>
+          {isSubmitting ? 'Sending...' : submitLabel}
+        </button>
+        <button type="button" className="secondary-button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default MeetupForm
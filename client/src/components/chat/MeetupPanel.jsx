@@ -0,0 +1,151 @@
+import { useEffect, useState } from 'react'
+import { CalendarDays } from 'lucide-react'
+import { useMeetupStore } from '../../store/useMeetupStore'
+import MeetupForm from './MeetupForm'
+
+const formatMeetupTime = (startsAt) =>
+  new Date(startsAt).toLocaleString([], {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+
+/**
+ * MeetupPanel - Upcoming meetups with the selected match, shown in ChatModal
+ *
+ * The user a meetup was proposed to can accept, decline or counter-propose it;
+ * accepted meetups can be downloaded as an .ics calendar file.
+ *
+ * @param {Object} props
+ * @param {Object} props.user - Current user
+ * @param {Object} props.selectedUser - Match being chatted with
+ */
+const MeetupPanel = ({ user, selectedUser }) => {
+  const {
+    meetups,
+    isSubmitting,
+    fetchMeetups,
+    proposeMeetup,
+    respondToMeetup,
+    counterMeetup,
+    downloadCalendar,
+    subscribeToMeetups,
+    unsubscribeFromMeetups,
+    resetMeetups,
+  } = useMeetupStore()
+  // null, 'propose', or the meetup being countered
+  const [formFor, setFormFor] = useState(null)
+
+  useEffect(() => {
+    fetchMeetups(selectedUser._id)
+    subscribeToMeetups()
+    return () => {
+      unsubscribeFromMeetups()
+      resetMeetups()
+    }
+  }, [
+    selectedUser._id,
+    fetchMeetups,
+    subscribeToMeetups,
+    unsubscribeFromMeetups,
+    resetMeetups,
+  ])
+
+  const handleSubmit = async (details) => {
+    const sent =
+      formFor === 'propose'
+        ? await proposeMeetup(selectedUser._id, details)
+        : await counterMeetup(formFor._id, details)
+    if (sent) setFormFor(null)
+  }
+
+  return (
+    <section className="meetup-panel" aria-label="Meetups">
+      {!formFor && (
+        <button
+          type="button"
+          className="meetup-propose-btn"
+          onClick={() => setFormFor('propose')}
+        >
+          <CalendarDays size={16} aria-hidden="true" /> Propose a meetup
+        </button>
+      )}
+
+      {formFor && (
+        <MeetupForm
+          key={formFor === 'propose' ? 'propose' : formFor._id}
+          initial={formFor === 'propose' ? null : formFor}
+          defaultMeetupType={selectedUser.meetup_type}
+          submitLabel={formFor === 'propose' ? 'Propose' : 'Counter-propose'}
+          isSubmitting={isSubmitting}
+          onSubmit={handleSubmit}
+          onCancel={() => setFormFor(null)}
+        />
+      )}
+
+      {meetups.length > 0 && (
+        <ul className="meetup-list">
+          {meetups.map((meetup) => {
+            const isForMe = meetup.proposedTo === user._id
+            return (
+              <li key={meetup._id} className={`meetup-item ${meetup.status}`}>
+                <div className="meetup-details">
+                  <strong>{meetup.meetupType}</strong>
+                  <time dateTime={meetup.startsAt}>
+                    {formatMeetupTime(meetup.startsAt)}
+                  </time>
+                  <span>{meetup.placeName}</span>
+                </div>
+                <div className="meetup-actions">
+                  {meetup.status === 'accepted' && (
+                    <button
+                      type="button"
+                      className="text-buttons"
+                      onClick={() => downloadCalendar(meetup)}
+                    >
+                      Add to calendar
+                    </button>
+                  )}
+                  {meetup.status === 'proposed' && isForMe && (
+                    <>
+                      <button
+                        type="button"
+                        className="text-buttons"
+                        disabled={isSubmitting}
+                        onClick={() => respondToMeetup(meetup._id, 'accept')}
+                      >
+                        Accept
+                      </button>
+                      <button
+                        type="button"
+                        className="text-buttons"
+                        disabled={isSubmitting}
+                        onClick={() => respondToMeetup(meetup._id, 'decline')}
+                      >
+                        Decline
+                      </button>
+                      <button
+                        type="button"
+                        className="text-buttons"
+                        onClick={() => setFormFor(meetup)}
+                      >
+                        Counter
+                      </button>
+                    </>
+                  )}
+                  {meetup.status === 'proposed' && !isForMe && (
+                    <span className="meetup-waiting">Waiting for reply</span>
+                  )}
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default MeetupPanel
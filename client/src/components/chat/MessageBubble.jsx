@@ -0,0 +1,155 @@
+import { useState } from 'react'
+import { useChatStore } from '../../store/useChatStore'
+import { sanitizeImageUrl } from '../../utilities/sanitizeUrl'
+import ConfirmationModal from '../modals/ConfirmationModal'
+
+// Matches MESSAGE_CONFIG.EDIT_WINDOW_MS on the server
+const EDIT_WINDOW_MS = 15 * 60 * 1000
+
+/**
+ * MessageBubble - Message body with edit / unsend actions for the sender
+ *
+ * Unsent messages stay in the conversation as a "Message unsent" tombstone. Images
+ * show a placeholder while they are screened and a notice if moderation rejects them.
+ *
+ * @param {Object} props
+ * @param {Object} props.message - Message (text, image, imageModeration, editedAt,
+ *   deletedAt)
+ * @param {boolean} props.isOwn - Whether the current user sent the message
+ * @param {string} props.imageAlt - Alt text for an image attachment
+ * @param {Function} props.onImageLoad - Optional callback when the image loads
+ */
+const MessageBubble = ({
+  message,
+  isOwn,
+  imageAlt = 'Attachment',
+  onImageLoad,
+}) => {
+  const { editMessage, unsendMessage } = useChatStore()
+  const [isEditing, setIsEditing] = useState(false)
+  const [draft, setDraft] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+  const [isConfirmingUnsend, setIsConfirmingUnsend] = useState(false)
+
+  if (message.deletedAt) {
+    return (
+      <div className="chat-bubble column-chat-bubble unsent">
+        <p>Message unsent</p>
+      </div>
+    )
+  }
+
+  const imageStatus = message.imageModeration?.status
+
+  const canEdit =
+    isOwn &&
+    Boolean(message.text) &&
+    Date.now() - new Date(message.createdAt).getTime() < EDIT_WINDOW_MS
+
+  const startEditing = () => {
+    setDraft(message.text)
+    setIsEditing(true)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    const text = draft.trim()
+    if (!text || text === message.text) {
+      setIsEditing(false)
+      return
+    }
+
+    setIsSaving(true)
+    const saved = await editMessage(message._id, text)
+    setIsSaving(false)
+    if (saved) setIsEditing(false)
+  }
+
+  const handleUnsendConfirm = async () => {
+    setIsSaving(true)
+    await unsendMessage(message._id)
+    setIsSaving(false)
+    setIsConfirmingUnsend(false)
+  }
+
+  return (
+    <>
+      <div className="chat-bubble column-chat-bubble">
+        {message.image && (
+          <img
+            src={sanitizeImageUrl(message.image, '/spinner.svg')}
+            alt={imageAlt}
+            loading="lazy"
+            decoding="async"
+            onLoad={onImageLoad}
+          />
+        )}
+        {!message.image && imageStatus === 'pending' && (
+          <p className="message-image-status">Checking image…</p>
+        )}
+        {imageStatus === 'rejected' && (
+          <p className="message-image-status">
+            {isOwn
+              ? "Your image wasn't sent because it goes against our community guidelines."
+              : 'An image was removed because it goes against our community guidelines.'}
+          </p>
+        )}
+        {isEditing ? (
+          <form className="message-edit-form" onSubmit={handleSave}>
+            <input
+              type="text"
+              className="border-form"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              maxLength={2000}
+              aria-label="Edit message"
+              autoFocus
+            />
+            <button type="submit" className="text-buttons" disabled={isSaving}>
+              Save
+            </button>
+            <button
+              type="button"
+              className="text-buttons"
+              onClick={() => setIsEditing(false)}
+            >
+              Cancel
+            </button>
+          </form>
+        ) : (
+          message.text && <p>{message.text}</p>
+        )}
+        {message.editedAt && !isEditing && (
+          <span className="message-edited">(edited)</span>
+        )}
+      </div>
+
+      {isOwn && !isEditing && (
+        <div className="message-actions">
+          {canEdit && (
+            <button type="button" onClick={startEditing}>
+              Edit
+            </button>
+          )}
+          <button type="button" onClick={() => setIsConfirmingUnsend(true)}>
+            Unsend
+          </button>
+        </div>
+      )}
+
+      {isConfirmingUnsend && (
+        <ConfirmationModal
+          title="Unsend Message"
+          message="Unsend this message? It will be removed for both of you."
+          onConfirm={handleUnsendConfirm}
+          onCancel={() => setIsConfirmingUnsend(false)}
+          confirmText="Unsend"
+          cancelText="Cancel"
+          isLoading={isSaving}
+        />
+      )}
+    </>
+  )
+}
+
+export default MessageBubble
@@ -11,7 +11,10 @@ const MessageInput = () => {
   const [previewUrl, setPreviewUrl] = useState(null)
   const [isSendingImage, setIsSendingImage] = useState(false)
   const fileInputRef = useRef(null)
-  const { sendMessage } = useChatStore()
+  const { sendMessage, notifyTyping, stopTyping } = useChatStore()
+
+  // Let the other user know we stopped typing when the chat closes
+  useEffect(() => stopTyping, [stopTyping])
 
   useEffect(() => {
     return () => {
@@ -76,9 +79,19 @@ const MessageInput = () => {
     if (fileInputRef.current) fileInputRef.current.value = ''
   }
 
+  const handleTextChange = (e) => {
+    setText(e.target.value)
+    if (e.target.value.trim()) {
+      notifyTyping()
+    } else {
+      stopTyping()
+    }
+  }
+
   const handleSendMessage = async (e) => {
     e.preventDefault()
     if (!text.trim() && !imagePreview) return
+    stopTyping()
 
     const sendingImage = Boolean(imagePreview)
     if (sendingImage) setIsSendingImage(true)
@@ -133,7 +146,7 @@ const MessageInput = () => {
             className="border-form"
             placeholder="Message/upload image..."
             value={text}
-            onChange={(e) => setText(e.target.value)}
+            onChange={handleTextChange}
           />
           <input
             type="file"
@@ -0,0 +1,40 @@
+import { Check, CheckCheck } from 'lucide-react'
+
+/**
+ * MessageStatus - Sent / delivered / read ticks for the current user's messages
+ *
+ * Read only shows when the other user shares read receipts (the server
+ * never sets readAt otherwise).
+ *
+ * @param {Object} props
+ * @param {Object} props.message - Message with optional deliveredAt / readAt
+ */
+const MessageStatus = ({ message }) => {
+  if (message.readAt) {
+    return (
+      <span className="message-status read" aria-label="Read" title="Read">
+        <CheckCheck size={14} />
+      </span>
+    )
+  }
+
+  if (message.deliveredAt) {
+    return (
+      <span
+        className="message-status"
+        aria-label="Delivered"
+        title="Delivered"
+      >
+        <CheckCheck size={14} />
+      </span>
+    )
+  }
+
+  return (
+    <span className="message-status" aria-label="Sent" title="Sent">
+      <Check size={14} />
+    </span>
+  )
+}
+
+export default MessageStatus
@@ -0,0 +1,21 @@
+import { useChatStore } from '../../store/useChatStore'
+
+const TypingIndicator = () => {
+  const { selectedUser, typingUserIds } = useChatStore()
+
+  if (!selectedUser || !typingUserIds.includes(selectedUser.user_id)) {
+    return null
+  }
+
+  const label = selectedUser.dogs_name
+    ? `${selectedUser.dogs_name}'s human is typing…`
+    : `${selectedUser.userName} is typing…`
+
+  return (
+    <p className="typing-indicator" aria-live="polite">
+      {label}
+    </p>
+  )
+}
+
+export default TypingIndicator
@@ -1,6 +1,12 @@
+export { default as BlockReportActions } from './BlockReportActions.jsx'
 export { default as ChatContainer } from './ChatContainer.jsx'
 export { default as ChatHeader } from './ChatHeader.jsx'
 export { default as ChatModal } from './ChatModal.jsx'
 export { default as ChatWindow } from './ChatWindow.jsx'
+export { default as MeetupForm } from './MeetupForm.jsx'
+export { default as MeetupPanel } from './MeetupPanel.jsx'
 export { default as MessageInput } from './MessageInput.jsx'
+export { default as MessageBubble } from './MessageBubble.jsx'
+export { default as MessageStatus } from './MessageStatus.jsx'
+export { default as TypingIndicator } from './TypingIndicator.jsx'
 export { default as MatchesDisplay } from './MatchesDisplay.jsx'
@@ -0,0 +1,275 @@
+import { useState, useRef, useEffect } from 'react'
+import { SlidersHorizontal, X } from 'lucide-react'
+import { useFilterPresets } from '../../hooks/dashboard/useFilterPresets'
+import { formatSentenceCase } from '../../utilities/formatSentenceCase'
+import {
+  DOG_SIZES,
+  EMPTY_DISCOVERY_FILTERS,
+  countActiveFilters,
+  filtersToPreset,
+  presetToFilters,
+} from '../../utilities/discoveryFilters'
+import dogBreeds from '../../data/dogBreeds.json'
+
+/**
+ * DiscoveryFilterPanel - Breed, size, age and photo filters for the swipe deck
+ *
+ * Sits next to DistanceSelector. Filters are applied through onFiltersChange
+ * (kept in the URL by useDashboardData) and can be saved as named presets.
+ *
+ * @param {Object} props
+ * @param {Object} props.filters - Active filters (see utilities/discoveryFilters)
+ * @param {Function} props.onFiltersChange - (filters) => void
+ */
+const DiscoveryFilterPanel = ({ filters, onFiltersChange }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [draft, setDraft] = useState(filters)
+  const [presetName, setPresetName] = useState('')
+  const panelRef = useRef(null)
+  const { presets, isSaving, fetchPresets, savePreset, deletePreset } =
+    useFilterPresets()
+
+  const activeCount = countActiveFilters(filters)
+
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(filters)
+      fetchPresets()
+    }
+  }, [isOpen, filters, fetchPresets])
+
+  // Close panel when clicking outside
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setDraft((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }))
+  }
+
+  const toggleSize = (size) => {
+    setDraft((prev) => ({
+      ...prev,
+      size: prev.size.includes(size)
+        ? prev.size.filter((s) => s !== size)
+        : [...prev.size, size],
+    }))
+  }
+
+  const handleApply = () => {
+    onFiltersChange(draft)
+    setIsOpen(false)
+  }
+
+  const handleClear = () => {
+    setDraft(EMPTY_DISCOVERY_FILTERS)
+    onFiltersChange(EMPTY_DISCOVERY_FILTERS)
+    setIsOpen(false)
+  }
+
+  const handleApplyPreset = (preset) => {
+    const presetFilters = presetToFilters(preset.filters)
+    setDraft(presetFilters)
+    onFiltersChange(presetFilters)
+    setIsOpen(false)
+  }
+
+  const handleSavePreset = async () => {
+    const saved = await savePreset(presetName.trim(), filtersToPreset(draft))
+    if (saved) {
+      setPresetName('')
+    }
+  }
+
+  return (
+    <div className="discovery-filters" ref={panelRef}>
+      <button
+        type="button"
+        className="dropdown-trigger"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        aria-controls="discovery-filter-panel"
+      >
+        <span>{activeCount > 0 ? `Filters (${activeCount})` : 'Filters'}</span>
+        <SlidersHorizontal size={18} />
+      </button>
+
+      {isOpen && (
+        <div
+          id="discovery-filter-panel"
+          className="discovery-filter-panel"
+          role="dialog"
+          aria-label="Discovery filters"
+        >
+          <label htmlFor="filter-breed">Breed</label>
+          <input
+            type="text"
+            id="filter-breed"
+            name="breed"
+            list="filter-breed-options"
+            value={draft.breed}
+            onChange={handleChange}
+            maxLength="100"
+            placeholder="Any breed"
+          />
+          <datalist id="filter-breed-options">
+            {dogBreeds.map((breed) => (
+              <option key={breed} value={breed} />
+            ))}
+          </datalist>
+
+          <fieldset className="filter-sizes">
+            <legend>Size</legend>
+            {DOG_SIZES.map((size) => (
+              <label key={size} className="filter-checkbox">
+                <input
+                  type="checkbox"
+                  checked={draft.size.includes(size)}
+                  onChange={() => toggleSize(size)}
+                />
+                {formatSentenceCase(size)}
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset className="filter-range">
+            <legend>Dog age</legend>
+            <input
+              type="number"
+              name="minDogAge"
+              aria-label="Minimum dog age"
+              placeholder="Min"
+              min="0"
+              max="30"
+              value={draft.minDogAge}
+              onChange={handleChange}
+            />
+            <span>to</span>
+            <input
+              type="number"
+              name="maxDogAge"
+              aria-label="Maximum dog age"
+              placeholder="Max"
+              min="0"
+              max="30"
+              value={draft.maxDogAge}
+              onChange={handleChange}
+            />
+          </fieldset>
+
+          <fieldset className="filter-range">
+            <legend>Owner age</legend>
+            <input
+              type="number"
+              name="minOwnerAge"
+              aria-label="Minimum owner age"
+              placeholder="Min"
+              min="13"
+              max="120"
+              value={draft.minOwnerAge}
+              onChange={handleChange}
+            />
+            <span>to</span>
+            <input
+              type="number"
+              name="maxOwnerAge"
+              aria-label="Maximum owner age"
+              placeholder="Max"
+              min="13"
+              max="120"
+              value={draft.maxOwnerAge}
+              onChange={handleChange}
+            />
+          </fieldset>
+
+          <label className="filter-checkbox">
+            <input
+              type="checkbox"
+              name="hasPhoto"
+              checked={draft.hasPhoto}
+              onChange={handleChange}
+            />
+            Owner has a profile photo
+          </label>
+
+          <div className="discovery-filter-actions">
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={handleClear}
+            >
+              Clear
+            </button>
+            <button
+              type="button"
+              className="primary-button"
+              onClick={handleApply}
+            >
+              Apply
+            </button>
+          </div>
+
+          <div className="filter-presets">
+            <p>
+              <strong>Saved filters</strong>
+            </p>
+            {presets.length > 0 && (
+              <ul>
+                {presets.map((preset) => (
+                  <li key={preset._id}>
+                    <button
+                      type="button"
+                      className="filter-preset"
+                      onClick={() => handleApplyPreset(preset)}
+                    >
+                      {preset.name}
+                    </button>
+                    <button
+                      type="button"
+                      className="filter-preset-remove"
+                      onClick={() => deletePreset(preset._id)}
+                      aria-label={`Delete saved filters ${preset.name}`}
+                    >
+                      <X size={14} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="filter-preset-save">
+              <input
+                type="text"
+                aria-label="Name for these filters"
+                placeholder="Name these filters"
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                maxLength="40"
+              />
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={handleSavePreset}
+                disabled={isSaving || !presetName.trim()}
+              >
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DiscoveryFilterPanel
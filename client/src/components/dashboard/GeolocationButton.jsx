@@ -17,6 +17,8 @@ const GeolocationButton = ({ userId, onLocationUpdate }) => {
         userId,
         longitude,
         latitude,
+        // Daily swipe and like quotas reset at local midnight
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
       })
 
       // Only update UI state AFTER coordinates are successfully saved
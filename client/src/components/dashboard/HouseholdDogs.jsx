@@ -0,0 +1,62 @@
+import { sanitizeImageUrl } from '../../utilities/sanitizeUrl'
+
+/**
+ * HouseholdDogs - Read-only list of every dog in a user's household
+ *
+ * Used by ProfileModal and PublicProfile. The primary dog's first photo is
+ * already shown in the gallery, so only its extra photos are listed here.
+ *
+ * @param {Object} props
+ * @param {Array} props.dogs - [{ _id, name, age, breed, size, temperament, about, photoUrls }]
+ */
+const HouseholdDogs = ({ dogs = [] }) => {
+  if (dogs.length === 0) return null
+
+  return (
+    <>
+      {dogs.map((dog, index) => {
+        const photos = (index === 0 ? dog.photoUrls.slice(1) : dog.photoUrls)
+          .map((url) => sanitizeImageUrl(url, null))
+          .filter(Boolean)
+
+        return (
+          <div className="profile-section household-dog" key={dog._id}>
+            <div className="profile-details">
+              <p>
+                <strong>{dog.name}</strong>
+                {dog.age !== undefined && dog.age !== null && `, Age ${dog.age}`}
+              </p>
+              {(dog.breed || dog.size) && (
+                <p className="household-dog-traits">
+                  {[dog.breed, dog.size].filter(Boolean).join(' · ')}
+                </p>
+              )}
+              {dog.temperament && (
+                <p className="household-dog-traits">{dog.temperament}</p>
+              )}
+              {dog.about && (
+                <div className="profile-bio">
+                  <p>{dog.about}</p>
+                </div>
+              )}
+            </div>
+            {photos.length > 0 && (
+              <div className="household-dog-photos">
+                {photos.map((url) => (
+                  <img
+                    key={url}
+                    src={url}
+                    alt={dog.name}
+                    className="household-dog-photo"
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </>
+  )
+}
+
+export default HouseholdDogs
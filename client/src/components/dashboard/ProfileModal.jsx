@@ -3,6 +3,7 @@ import { useEffect } from 'react'
 import { sanitizeImageUrl } from '../../utilities/sanitizeUrl'
 import { useLike } from '../../hooks/dashboard/useLike'
 import { SocialShareButtons } from '../share'
+import HouseholdDogs from './HouseholdDogs'
 
 const ProfileModal = ({ user, onClose }) => {
   const { liked, loading, createLike, checkIfLiked } = useLike()
@@ -21,6 +22,8 @@ const ProfileModal = ({ user, onClose }) => {
 
   if (!user) return null
 
+  const hasDogs = user.dogs?.length > 0
+
   return (
     <div className="profile-modal-overlay">
       <div className="profile-modal">
@@ -58,10 +61,12 @@ const ProfileModal = ({ user, onClose }) => {
           <div className="profile-modal-info">
             <div className="profile-section">
               <div className="profile-details">
-                <p>
-                  <strong>{user.dogs_name}</strong>
-                  {user.age && `, Age ${user.age}`}
-                </p>
+                {!hasDogs && (
+                  <p>
+                    <strong>{user.dogs_name}</strong>
+                    {user.age && `, Age ${user.age}`}
+                  </p>
+                )}
                 <p className="profile-distance">
                   {user.distance_to_other_users} miles from you
                 </p>
@@ -73,6 +78,8 @@ const ProfileModal = ({ user, onClose }) => {
               </div>
             </div>
 
+            <HouseholdDogs dogs={user.dogs} />
+
             <div className="profile-section">
               <div className="profile-details">
                 <p>
@@ -2,9 +2,14 @@ import { useState } from 'react'
 import { ChevronUp } from 'lucide-react'
 import TinderCard from 'react-tinder-card'
 import ProfileModal from './ProfileModal'
+import { formatDogNames } from '../../utilities/formatDogNames'
 
 const SwipeCard = ({ user, onSwipe, onCardLeftScreen }) => {
   const [isModalOpen, setIsModalOpen] = useState(false)
+  const isMultiDog = user.dogs?.length > 1
+  const dogLabel = isMultiDog
+    ? formatDogNames(user)
+    : `${user.dogs_name}, Age ${user.age}`
 
   const handleOpenModal = (e) => {
     e.preventDefault()
@@ -17,7 +22,7 @@ const SwipeCard = ({ user, onSwipe, onCardLeftScreen }) => {
       <TinderCard
         className="swipe"
         key={user.user_id}
-        onSwipe={(dir) => onSwipe(dir, user.user_id)}
+        onSwipe={(dir) => onSwipe(dir, user.user_id, user._id)}
         onCardLeftScreen={() => onCardLeftScreen(user.dogs_name)}
         preventSwipe={['up', 'down']}
       >
@@ -28,7 +33,7 @@ const SwipeCard = ({ user, onSwipe, onCardLeftScreen }) => {
               backgroundImage: 'url(' + user.imageUrl + ')',
             }}
             role="img"
-            aria-label={`${user.dogs_name}, age ${user.age}`}
+            aria-label={dogLabel}
           >
             <button
               className="card-info-button"
@@ -40,10 +45,14 @@ const SwipeCard = ({ user, onSwipe, onCardLeftScreen }) => {
             </button>
             <figcaption className="caption">
               <p className="dog-info">
-                {user.dogs_name}
-                {', '}
-                Age {user.age}
+                {dogLabel}
                 <br />
+                {!isMultiDog && user.breed && (
+                  <>
+                    <span className="dog-breed">{user.breed}</span>
+                    <br />
+                  </>
+                )}
                 {user.distance_to_other_users} miles from you
                 <br />
                 {user.about}
@@ -1,6 +1,8 @@
+import { Undo2 } from 'lucide-react'
 import SwipeCard from './SwipeCard'
 import GeolocationButton from './GeolocationButton'
 import DistanceSelector from './DistanceSelector'
+import DiscoveryFilterPanel from './DiscoveryFilterPanel'
 
 const SwipeContainer = ({
   userId,
@@ -8,10 +10,16 @@ const SwipeContainer = ({
   latitude,
   filteredMeetupTypeUsers,
   selectDistance,
+  discoveryFilters,
   onLocationUpdate,
   onSwipe,
   onCardLeftScreen,
   onDistanceChange,
+  onFiltersChange,
+  canUndo = false,
+  isUndoing = false,
+  onUndo,
+  restoredCards = {},
 }) => {
   return (
     <div className="swipe-container">
@@ -26,7 +34,9 @@ const SwipeContainer = ({
         {longitude && latitude
           ? filteredMeetupTypeUsers?.map((filteredMeetupTypeUser) => (
               <SwipeCard
-                key={filteredMeetupTypeUser.user_id}
+                key={`${filteredMeetupTypeUser.user_id}-${
+                  restoredCards[filteredMeetupTypeUser.user_id] || 0
+                }`}
                 user={filteredMeetupTypeUser}
                 onSwipe={onSwipe}
                 onCardLeftScreen={onCardLeftScreen}
@@ -35,10 +45,29 @@ const SwipeContainer = ({
           : null}
       </div>
 
-      <DistanceSelector
-        selectDistance={selectDistance}
-        onDistanceChange={onDistanceChange}
-      />
+      {canUndo && (
+        <button
+          type="button"
+          className="undo-swipe-button"
+          onClick={onUndo}
+          disabled={isUndoing}
+          aria-label="Undo last swipe"
+        >
+          <Undo2 size={18} />
+          <span>{isUndoing ? 'Undoing...' : 'Undo'}</span>
+        </button>
+      )}
+
+      <div className="discovery-controls">
+        <DistanceSelector
+          selectDistance={selectDistance}
+          onDistanceChange={onDistanceChange}
+        />
+        <DiscoveryFilterPanel
+          filters={discoveryFilters}
+          onFiltersChange={onFiltersChange}
+        />
+      </div>
     </div>
   )
 }
@@ -1,3 +1,4 @@
 export { default as GeolocationButton } from './GeolocationButton.jsx'
 export { default as SwipeCard } from './SwipeCard.jsx'
 export { default as SwipeContainer } from './SwipeContainer.jsx'
+export { default as DiscoveryFilterPanel } from './DiscoveryFilterPanel.jsx'
@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react'
+import { Check } from 'lucide-react'
+import dogBreeds from '../../data/dogBreeds.json'
+
+/**
+ * BreedConfirmation - Confirm or override the breed detected from a dog photo
+ *
+ * The server keeps the top breed guesses from checkImage (detectedBreeds) and
+ * pre-fills the dog's breed with the best one. Owners can accept a suggestion
+ * or pick any breed from dogBreeds.json; a breed chosen here is saved as
+ * owner-confirmed and is not replaced by later photo uploads.
+ *
+ * @param {Object} props
+ * @param {string} props.dogName - Dog name for the prompt
+ * @param {Array} props.detectedBreeds - [{ name, confidence }] highest confidence first
+ * @param {string} props.confirmedBreed - Breed already confirmed by the owner, if any
+ * @param {Function} props.onConfirm - (breed: string) => Promise<boolean> | boolean
+ * @param {string} props.idPrefix - Unique prefix for the select id
+ */
+const BreedConfirmation = ({
+  dogName,
+  detectedBreeds = [],
+  confirmedBreed = '',
+  onConfirm,
+  idPrefix = 'breed',
+}) => {
+  const [selectedBreed, setSelectedBreed] = useState(
+    confirmedBreed || detectedBreeds[0]?.name || ''
+  )
+  const [isEditing, setIsEditing] = useState(!confirmedBreed)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    setSelectedBreed(confirmedBreed || detectedBreeds[0]?.name || '')
+    setIsEditing(!confirmedBreed)
+  }, [confirmedBreed, detectedBreeds])
+
+  const handleConfirm = async () => {
+    if (!selectedBreed) return
+    setIsSaving(true)
+    const confirmed = await onConfirm(selectedBreed)
+    setIsSaving(false)
+    if (confirmed !== false) {
+      setIsEditing(false)
+    }
+  }
+
+  if (!isEditing) {
+    return (
+      <div className="breed-confirmation confirmed" role="status">
+        <Check size={16} />
+        <span>
+          Breed: <span className="breed-name">{selectedBreed}</span>
+        </span>
+        <button
+          type="button"
+          className="breed-change-button"
+          onClick={() => setIsEditing(true)}
+        >
+          Change
+        </button>
+      </div>
+    )
+  }
+
+  const selectId = `${idPrefix}-breed-override`
+
+  return (
+    <div className="breed-confirmation">
+      <p className="breed-confirmation-title">
+        <strong>Which breed is {dogName || 'your dog'}?</strong>
+      </p>
+
+      {detectedBreeds.length > 0 && (
+        <div
+          className="breed-suggestions"
+          role="radiogroup"
+          aria-label="Detected breeds"
+        >
+          {detectedBreeds.map((breed) => (
+            <button
+              key={breed.name}
+              type="button"
+              role="radio"
+              aria-checked={selectedBreed === breed.name}
+              className={`breed-suggestion ${
+                selectedBreed === breed.name ? 'selected' : ''
+              }`}
+              onClick={() => setSelectedBreed(breed.name)}
+            >
+              <span className="breed-name">{breed.name}</span>
+              <span className="breed-probability">
+                {Math.round(breed.confidence * 100)}%
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <label htmlFor={selectId}>Or choose another breed</label>
+      <select
+        id={selectId}
+        value={selectedBreed}
+        onChange={(e) => setSelectedBreed(e.target.value)}
+      >
+        <option value="">Select breed</option>
+        {selectedBreed && !dogBreeds.includes(selectedBreed) && (
+          <option value={selectedBreed}>{selectedBreed}</option>
+        )}
+        {dogBreeds.map((breed) => (
+          <option key={breed} value={breed}>
+            {breed}
+          </option>
+        ))}
+      </select>
+
+      <button
+        type="button"
+        className="upload-button primary"
+        onClick={handleConfirm}
+        disabled={!selectedBreed || isSaving}
+      >
+        {isSaving ? 'Saving...' : 'Confirm Breed'}
+      </button>
+    </div>
+  )
+}
+
+export default BreedConfirmation
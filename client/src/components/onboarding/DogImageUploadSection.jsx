@@ -1,6 +1,7 @@
-import { useRef, useCallback, useState, useEffect } from 'react'
+import { useRef, useCallback, useState, useEffect, useMemo } from 'react'
 import { Upload, X, Loader, Check } from 'lucide-react'
 import { sanitizeImageUrl, sanitizeErrorMessage } from '../../utilities/sanitizeUrl'
+import BreedConfirmation from './BreedConfirmation'
 
 /**
  * DogImageUploadSection - Dog photo upload with ML breed detection
@@ -15,6 +16,7 @@ import { sanitizeImageUrl, sanitizeErrorMessage } from '../../utilities/sanitize
  * 4. Backend processes image through ML model
  * 5. Response includes dogBreeds array with breed names and probabilities
  * 6. Breeds displayed with confidence percentages
+ * 7. If onConfirmBreed is provided, the owner confirms or overrides the breed
  *
  * Edit Mode Behavior:
  * - If currentImageUrl is provided and showCurrentImage is true:
@@ -41,6 +43,9 @@ import { sanitizeImageUrl, sanitizeErrorMessage } from '../../utilities/sanitize
  * @param {Array} props.dogBreeds - Detected breeds [{className, probability}, ...]
  * @param {string|null} props.currentImageUrl - Signed CloudFront URL of existing image (edit mode)
  * @param {boolean} props.showCurrentImage - Whether to display the current image (edit mode)
+ * @param {string} props.dogName - Dog name used in the breed prompt
+ * @param {string} props.confirmedBreed - Breed the owner already confirmed
+ * @param {Function} props.onConfirmBreed - (breed: string) => void - Owner confirmed a breed
  */
 const DogImageUploadSection = ({
   imageURL,
@@ -52,8 +57,19 @@ const DogImageUploadSection = ({
   dogBreeds = [],
   currentImageUrl = null,
   showCurrentImage = false,
+  dogName = '',
+  confirmedBreed = '',
+  onConfirmBreed = null,
 }) => {
   const fileInputRef = useRef()
+  const detectedBreeds = useMemo(
+    () =>
+      dogBreeds.map((breed) => ({
+        name: breed.className.replace(/_/g, ' ').toLowerCase(),
+        confidence: breed.probability,
+      })),
+    [dogBreeds]
+  )
   const [uploadSuccess, setUploadSuccess] = useState(false)
   const [showingCurrentImage, setShowingCurrentImage] = useState(false)
 
@@ -158,8 +174,17 @@ const DogImageUploadSection = ({
               decoding="async"
             />
 
-            {/* Breed List */}
-            {dogBreeds.length > 0 && (
+            {/* Breed List (confirmable when the parent handles confirmation) */}
+            {dogBreeds.length > 0 && onConfirmBreed && (
+              <BreedConfirmation
+                dogName={dogName}
+                detectedBreeds={detectedBreeds}
+                confirmedBreed={confirmedBreed}
+                onConfirm={onConfirmBreed}
+                idPrefix="primary-dog"
+              />
+            )}
+            {dogBreeds.length > 0 && !onConfirmBreed && (
               <div className="breed-list">
                 <h4 className="breed-list-title">Detected Breeds</h4>
                 <ul className="breed-items">
@@ -0,0 +1,344 @@
+import { useEffect, useState } from 'react'
+import { useHouseholdDogs } from '../../hooks/onboarding'
+import { formatSentenceCase } from '../../utilities/formatSentenceCase'
+import { sanitizeImageUrl } from '../../utilities/sanitizeUrl'
+import ConfirmationModal from '../modals/ConfirmationModal'
+import BreedConfirmation from './BreedConfirmation'
+import dogBreeds from '../../data/dogBreeds.json'
+
+const DOG_SIZES = ['small', 'medium', 'large', 'giant']
+const MAX_DOGS = 5
+const EMPTY_DOG = {
+  name: '',
+  age: '',
+  breed: '',
+  size: '',
+  temperament: '',
+  about: '',
+}
+
+// Only send fields the user filled in so optional values stay unset
+const toPayload = (draft) =>
+  Object.fromEntries(
+    Object.entries(draft).filter(([, value]) => value !== '' && value !== null)
+  )
+
+const toDraft = (dog) => ({
+  name: dog.name || '',
+  age: dog.age ?? '',
+  breed: dog.breed || '',
+  size: dog.size || '',
+  temperament: dog.temperament || '',
+  about: dog.about || '',
+})
+
+/**
+ * DogFields - Shared inputs for adding and editing a household dog
+ * Name, age and description of the primary dog are edited in the main profile form above
+ */
+const DogFields = ({ idPrefix, draft, onChange, isPrimary = false }) => (
+  <div className="dog-profile-section">
+    <label htmlFor={`${idPrefix}-name`}>
+      <strong>Name</strong>
+    </label>
+    <input
+      type="text"
+      id={`${idPrefix}-name`}
+      name="name"
+      value={draft.name}
+      onChange={onChange}
+      disabled={isPrimary}
+      maxLength="50"
+    />
+
+    <label htmlFor={`${idPrefix}-age`}>
+      <strong>Age</strong>
+    </label>
+    <input
+      type="number"
+      id={`${idPrefix}-age`}
+      name="age"
+      min="0"
+      max="30"
+      value={draft.age}
+      onChange={onChange}
+      disabled={isPrimary}
+    />
+
+    <label htmlFor={`${idPrefix}-breed`}>
+      <strong>Breed</strong>
+    </label>
+    <input
+      type="text"
+      id={`${idPrefix}-breed`}
+      name="breed"
+      list="household-dog-breeds"
+      value={draft.breed}
+      onChange={onChange}
+      maxLength="100"
+    />
+
+    <label htmlFor={`${idPrefix}-size`}>
+      <strong>Size</strong>
+    </label>
+    <select
+      id={`${idPrefix}-size`}
+      name="size"
+      value={draft.size}
+      onChange={onChange}
+    >
+      <option value="">Select size</option>
+      {DOG_SIZES.map((size) => (
+        <option key={size} value={size}>
+          {formatSentenceCase(size)}
+        </option>
+      ))}
+    </select>
+
+    <label htmlFor={`${idPrefix}-temperament`}>
+      <strong>Temperament</strong>
+    </label>
+    <input
+      type="text"
+      id={`${idPrefix}-temperament`}
+      name="temperament"
+      placeholder="Playful, gentle with puppies..."
+      value={draft.temperament}
+      onChange={onChange}
+      maxLength="100"
+    />
+
+    <label htmlFor={`${idPrefix}-about`}>
+      <strong>About</strong>
+    </label>
+    <textarea
+      id={`${idPrefix}-about`}
+      name="about"
+      placeholder="What makes this dog special?"
+      value={draft.about}
+      onChange={onChange}
+      disabled={isPrimary}
+      maxLength="500"
+    />
+  </div>
+)
+
+/**
+ * HouseholdDogCard - Edit one dog, manage its photos, or remove it
+ */
+const HouseholdDogCard = ({ dog, isPrimary, onSave, onRemove, onUploadPhoto, onRemovePhoto }) => {
+  const [draft, setDraft] = useState(toDraft(dog))
+  const [isSaving, setIsSaving] = useState(false)
+  const [isUploading, setIsUploading] = useState(false)
+
+  useEffect(() => {
+    setDraft(toDraft(dog))
+  }, [dog])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setDraft((prev) => ({
+      ...prev,
+      [name]: name === 'name' ? formatSentenceCase(value) : value,
+    }))
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    const { breed, size, temperament } = draft
+    await onSave(
+      dog._id,
+      toPayload(isPrimary ? { breed, size, temperament } : draft)
+    )
+    setIsSaving(false)
+  }
+
+  const handlePhotoSelect = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setIsUploading(true)
+    await onUploadPhoto(dog._id, file)
+    setIsUploading(false)
+  }
+
+  return (
+    <div className="household-dog-card">
+      <h3>{isPrimary ? `${dog.name} (primary)` : dog.name}</h3>
+
+      {dog.detectedBreeds?.length > 0 && dog.breedSource !== 'owner' && (
+        <BreedConfirmation
+          dogName={dog.name}
+          detectedBreeds={dog.detectedBreeds}
+          onConfirm={(breed) => onSave(dog._id, { breed })}
+          idPrefix={`dog-${dog._id}`}
+        />
+      )}
+
+      <DogFields
+        idPrefix={`dog-${dog._id}`}
+        draft={draft}
+        onChange={handleChange}
+        isPrimary={isPrimary}
+      />
+
+      <div className="household-dog-photos">
+        {(dog.photos || []).map((photo, index) => {
+          const url = sanitizeImageUrl(photo.url, null)
+          const isMainPhoto = isPrimary && index === 0
+          return (
+            <div className="household-dog-photo-item" key={photo.key}>
+              {url && <img src={url} alt={dog.name} className="household-dog-photo" />}
+              {!isMainPhoto && (
+                <button
+                  type="button"
+                  className="household-dog-photo-remove"
+                  onClick={() => onRemovePhoto(dog._id, photo.key)}
+                  aria-label={`Remove photo of ${dog.name}`}
+                >
+                  &#x2715;
+                </button>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      <label className="secondary-button household-dog-upload">
+        {isUploading ? 'Uploading...' : 'Add Photo'}
+        <input
+          type="file"
+          accept="image/jpeg,image/png,image/webp,image/gif"
+          onChange={handlePhotoSelect}
+          disabled={isUploading}
+          hidden
+        />
+      </label>
+
+      <div className="household-dog-actions">
+        <button
+          type="button"
+          className="primary-button"
+          onClick={handleSave}
+          disabled={isSaving || (!isPrimary && !draft.name.trim())}
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        {!isPrimary && (
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={() => onRemove(dog)}
+          >
+            Remove
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * HouseholdDogsEditor - Manage every dog in a multi-dog household
+ *
+ * Rendered by EditDogProfile below the main profile form. Each dog is saved
+ * independently via /api/auth/dogs, so this sits outside the profile <form>.
+ */
+const HouseholdDogsEditor = () => {
+  const {
+    dogs,
+    isLoading,
+    fetchDogs,
+    createDog,
+    updateDog,
+    deleteDog,
+    uploadDogPhoto,
+    deleteDogPhoto,
+  } = useHouseholdDogs()
+  const [newDog, setNewDog] = useState(EMPTY_DOG)
+  const [isAdding, setIsAdding] = useState(false)
+  const [dogToRemove, setDogToRemove] = useState(null)
+  const [isRemoving, setIsRemoving] = useState(false)
+
+  useEffect(() => {
+    fetchDogs()
+  }, [fetchDogs])
+
+  const handleNewDogChange = (e) => {
+    const { name, value } = e.target
+    setNewDog((prev) => ({
+      ...prev,
+      [name]: name === 'name' ? formatSentenceCase(value) : value,
+    }))
+  }
+
+  const handleAddDog = async () => {
+    setIsAdding(true)
+    const created = await createDog(toPayload(newDog))
+    if (created) {
+      setNewDog(EMPTY_DOG)
+    }
+    setIsAdding(false)
+  }
+
+  const confirmRemoveDog = async () => {
+    setIsRemoving(true)
+    await deleteDog(dogToRemove._id)
+    setIsRemoving(false)
+    setDogToRemove(null)
+  }
+
+  return (
+    <section className="household-dogs-editor" aria-labelledby="household-dogs-heading">
+      <h2 id="household-dogs-heading">Your Dogs</h2>
+
+      <datalist id="household-dog-breeds">
+        {dogBreeds.map((breed) => (
+          <option key={breed} value={breed} />
+        ))}
+      </datalist>
+
+      {isLoading && <p>Loading your dogs...</p>}
+
+      {dogs.map((dog, index) => (
+        <HouseholdDogCard
+          key={dog._id}
+          dog={dog}
+          isPrimary={index === 0}
+          onSave={updateDog}
+          onRemove={setDogToRemove}
+          onUploadPhoto={uploadDogPhoto}
+          onRemovePhoto={deleteDogPhoto}
+        />
+      ))}
+
+      {!isLoading && dogs.length < MAX_DOGS && (
+        <div className="household-dog-card">
+          <h3>Add Another Dog</h3>
+          <DogFields idPrefix="new-dog" draft={newDog} onChange={handleNewDogChange} />
+          <button
+            type="button"
+            className="primary-button"
+            onClick={handleAddDog}
+            disabled={isAdding || !newDog.name.trim()}
+          >
+            {isAdding ? 'Adding...' : 'Add Dog'}
+          </button>
+        </div>
+      )}
+
+      {dogToRemove && (
+        <ConfirmationModal
+          title={`Remove ${dogToRemove.name}?`}
+          message="This dog and its photos will be removed from your profile."
+          confirmText="Remove"
+          onConfirm={confirmRemoveDog}
+          onCancel={() => setDogToRemove(null)}
+          isLoading={isRemoving}
+        />
+      )}
+    </section>
+  )
+}
+
+export default HouseholdDogsEditor
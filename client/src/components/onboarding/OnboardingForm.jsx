@@ -47,6 +47,7 @@ import { SimpleImageUpload } from '../upload'
  * @param {Array} props.dogBreeds - Detected dog breeds from ML model
  * @param {string|null} props.currentDogImageUrl - Existing dog image signed URL (edit mode)
  * @param {string|null} props.currentProfileImageUrl - Existing profile image signed URL (edit mode)
+ * @param {Function} props.onConfirmBreed - Callback when the owner confirms a detected breed
  */
 const OnboardingForm = ({
   formData,
@@ -70,6 +71,7 @@ const OnboardingForm = ({
   dogBreeds = [],
   currentDogImageUrl = null,
   currentProfileImageUrl = null,
+  onConfirmBreed = null,
 }) => {
   return (
     <form onSubmit={submitProfile}>
@@ -84,6 +86,9 @@ const OnboardingForm = ({
           dogBreeds={dogBreeds}
           currentImageUrl={currentDogImageUrl}
           showCurrentImage={!!currentDogImageUrl}
+          dogName={formData.dogs_name}
+          confirmedBreed={formData.breed}
+          onConfirmBreed={onConfirmBreed}
         />
 
         <DogProfileForm
@@ -3,3 +3,4 @@ export { default as DogProfileForm } from './DogProfileForm'
 export { default as MeetupPreferences } from './MeetupPreferences'
 export { default as OnboardingSubmitButton } from './OnboardingSubmitButton'
 export { default as OnboardingForm } from './OnboardingForm'
+export { default as HouseholdDogsEditor } from './HouseholdDogsEditor'
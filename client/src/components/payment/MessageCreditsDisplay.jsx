@@ -1,32 +1,37 @@
+import { useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuthStore } from '../../store/useAuthStore'
-import { MessageSquareMore, Sparkles } from 'lucide-react'
+import { usePaymentStore } from '../../store/usePaymentStore'
+import { MessageSquareMore } from 'lucide-react'
+
+// Daily quotas shown under the credits, when the plan limits them
+const DAILY_QUOTA_LABELS = {
+  rightSwipes: 'right swipe',
+  likes: 'like',
+}
 
 const MessageCreditsDisplay = () => {
   const navigate = useNavigate()
   const { user } = useAuthStore()
+  const { entitlements, fetchEntitlements } = usePaymentStore()
+
+  useEffect(() => {
+    if (user) {
+      fetchEntitlements()
+    }
+  }, [user, fetchEntitlements])
 
   if (!user) return null
 
-  // Don't show for premium/vip users with active or canceling subscriptions
-  if (
-    (user.subscription === 'premium' || user.subscription === 'vip') &&
-    (user.subscriptionStatus === 'active' || user.subscriptionStatus === 'canceling')
-  ) {
-    return (
-      <div className="credits-display unlimited">
-        <span className="credits-icon">
-          <Sparkles />
-        </span>
-        <span className="credits-text">Unlimited Messages</span>
-      </div>
-    )
-  }
-
-  const credits = user.messageCredits || 0
+  // Every plan spends credits; paid plans get a monthly top-up
+  const credits = entitlements?.messageCredits ?? user.messageCredits ?? 0
   const isLow = credits <= 3
   const isEmpty = credits === 0
 
+  const limitedQuotas = Object.entries(DAILY_QUOTA_LABELS).filter(
+    ([counter]) => entitlements?.daily?.[counter]?.limit != null
+  )
+
   return (
     <div
       className={`credits-display ${isLow ? 'low' : ''} ${
@@ -39,6 +44,15 @@ const MessageCreditsDisplay = () => {
       <span className="credits-text">
         {credits} message{credits !== 1 ? 's' : ''} left
       </span>
+      {limitedQuotas.map(([counter, label]) => {
+        const { remaining } = entitlements.daily[counter]
+        return (
+          <span key={counter} className="credits-quota">
+            {remaining} {label}
+            {remaining !== 1 ? 's' : ''} left today
+          </span>
+        )
+      })}
       {isLow && (
         <button
           className="buy-credits-btn"
@@ -104,6 +104,14 @@ const SubscriptionCard = () => {
 
         {subscription.plan !== 'free' && (
           <>
+            {subscription.trialEndsAt && (
+              <div className="detail-row">
+                <span className="label">Trial Ends:</span>
+                <span className="value">
+                  {new Date(subscription.trialEndsAt).toLocaleDateString()}
+                </span>
+              </div>
+            )}
             {subscription.endDate && subscription.status === 'canceling' && (
               <div className="detail-row">
                 <span className="label">Access Until:</span>
@@ -0,0 +1,181 @@
+import { useEffect, useState } from 'react'
+import { toast } from 'react-hot-toast'
+import axiosInstance from '../../config/axiosInstance'
+import { ensureCsrfToken } from '../../services/csrfService.js'
+
+// Rows of the preferences grid. Messages have no in-app toggle: chat
+// messages always show up in an open app.
+const EVENTS = [
+  { id: 'like', label: 'Likes', channels: ['email', 'push', 'inApp'] },
+  { id: 'match', label: 'Matches', channels: ['email', 'push', 'inApp'] },
+  { id: 'message', label: 'Messages', channels: ['email', 'push'] },
+]
+
+const CHANNEL_LABELS = {
+  email: 'Email',
+  push: 'Push',
+  inApp: 'In-app',
+}
+
+const EMAIL_MODES = [
+  { value: 'instant', label: 'Right away' },
+  { value: 'daily', label: 'Daily digest' },
+  { value: 'weekly', label: 'Weekly digest' },
+]
+
+const browserTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    axiosInstance
+      .get('/api/notifications/preferences')
+      .then((res) => setPreferences(res.data.data.preferences))
+      .catch(() => setPreferences(null))
+  }, [])
+
+  // Send only the changed fields; the server merges them
+  const save = async (update, successMessage) => {
+    setSaving(true)
+    try {
+      await ensureCsrfToken()
+      const res = await axiosInstance.put(
+        '/api/notifications/preferences',
+        update
+      )
+      setPreferences(res.data.data.preferences)
+      toast.success(successMessage, { duration: 3000 })
+    } catch (err) {
+      toast.error('Failed to update notification preferences', {
+        duration: 3000,
+      })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!preferences) {
+    return null
+  }
+
+  const handleChannelToggle = (event, channel) => {
+    const enabled = !preferences.events[event][channel]
+    save(
+      { events: { [event]: { [channel]: enabled } } },
+      'Notification preferences updated'
+    )
+  }
+
+  const handleEmailModeChange = (e) => {
+    save({ emailMode: e.target.value }, 'Email frequency updated')
+  }
+
+  // Quiet hours follow this browser's time zone
+  const saveQuietHours = (fields) => {
+    // A half-typed time input reports ''
+    if (Object.values(fields).some((value) => value === '')) {
+      return
+    }
+    save(
+      { quietHours: { ...fields, timeZone: browserTimeZone() } },
+      'Quiet hours updated'
+    )
+  }
+
+  const { quietHours } = preferences
+
+  return (
+    <details className="notification-preferences">
+      <summary>Notification Preferences</summary>
+
+      <table>
+        <thead>
+          <tr>
+            <th scope="col">Notify me about</th>
+            {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+              <th scope="col" key={channel}>
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {EVENTS.map(({ id, label, channels }) => (
+            <tr key={id}>
+              <th scope="row">{label}</th>
+              {Object.keys(CHANNEL_LABELS).map((channel) => (
+                <td key={channel}>
+                  {channels.includes(channel) && (
+                    <input
+                      type="checkbox"
+                      aria-label={`${label}: ${CHANNEL_LABELS[channel]}`}
+                      checked={preferences.events[id][channel]}
+                      onChange={() => handleChannelToggle(id, channel)}
+                      disabled={saving}
+                    />
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <label>
+        <span>Email me</span>
+        <select
+          value={preferences.emailMode}
+          onChange={handleEmailModeChange}
+          disabled={saving}
+        >
+          {EMAIL_MODES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="profile-visibility-toggle">
+        <input
+          type="checkbox"
+          checked={quietHours.enabled}
+          onChange={() => saveQuietHours({ enabled: !quietHours.enabled })}
+          disabled={saving}
+        />
+        <span>{quietHours.enabled ? 'Quiet Hours On' : 'Quiet Hours Off'}</span>
+      </label>
+      {quietHours.enabled && (
+        <div className="quiet-hours">
+          <label>
+            <span>From</span>
+            <input
+              type="time"
+              value={quietHours.start}
+              onChange={(e) => saveQuietHours({ start: e.target.value })}
+              disabled={saving}
+            />
+          </label>
+          <label>
+            <span>To</span>
+            <input
+              type="time"
+              value={quietHours.end}
+              onChange={(e) => saveQuietHours({ end: e.target.value })}
+              disabled={saving}
+            />
+          </label>
+          <p>
+            No push notifications during quiet hours. Emails wait until they
+            end.
+          </p>
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default NotificationPreferences
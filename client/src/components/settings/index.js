@@ -0,0 +1 @@
+export { default as NotificationPreferences } from './NotificationPreferences.jsx'
@@ -0,0 +1 @@
+export { useOlderMessages } from './useOlderMessages.js'
@@ -0,0 +1,63 @@
+import { useCallback, useLayoutEffect, useRef } from 'react'
+import { useChatStore } from '../../store/useChatStore'
+
+// Distance from the top (px) at which the next page of older messages loads
+const LOAD_OLDER_THRESHOLD = 80
+
+/**
+ * useOlderMessages - Loads older chat history when the message list is scrolled
+ * near the top, keeping the visible messages in place while the page is prepended.
+ *
+ * @param {Object} scrollRef - Ref to the scrolling message container
+ * @returns {Object} handleScroll for the container's onScroll, isLoadingOlderMessages,
+ *   and shouldAutoScroll() for scroll-to-bottom effects (false right after a prepend)
+ */
+export const useOlderMessages = (scrollRef) => {
+  const { messages, hasMoreMessages, isLoadingOlderMessages, loadOlderMessages } =
+    useChatStore()
+  // scrollHeight before the older page was added
+  const prevScrollHeightRef = useRef(null)
+  const justPrependedRef = useRef(false)
+
+  // Layout effect so the position is restored before paint and before the
+  // components' scroll-to-bottom effects run
+  useLayoutEffect(() => {
+    const scrollEl = scrollRef.current
+    if (prevScrollHeightRef.current === null || !scrollEl) {
+      return
+    }
+    scrollEl.scrollTop += scrollEl.scrollHeight - prevScrollHeightRef.current
+    prevScrollHeightRef.current = null
+    justPrependedRef.current = true
+  }, [messages, scrollRef])
+
+  const handleScroll = useCallback(
+    async (e) => {
+      const scrollEl = e.currentTarget
+      if (
+        scrollEl.scrollTop > LOAD_OLDER_THRESHOLD ||
+        !hasMoreMessages ||
+        isLoadingOlderMessages
+      ) {
+        return
+      }
+
+      prevScrollHeightRef.current = scrollEl.scrollHeight
+      const loaded = await loadOlderMessages()
+      if (!loaded) {
+        prevScrollHeightRef.current = null
+      }
+    },
+    [hasMoreMessages, isLoadingOlderMessages, loadOlderMessages]
+  )
+
+  const shouldAutoScroll = useCallback(() => {
+    if (justPrependedRef.current) {
+      justPrependedRef.current = false
+      return false
+    }
+    return true
+  }, [])
+
+  return { handleScroll, isLoadingOlderMessages, shouldAutoScroll }
+}
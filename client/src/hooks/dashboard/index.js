@@ -2,3 +2,4 @@ export { useDashboardData } from './useDashboardData.js'
 export { useGeolocation } from './useGeolocation.js'
 export { useSwipeLogic } from './useSwipeLogic.js'
 export { useLike } from './useLike.js'
+export { useFilterPresets } from './useFilterPresets.js'
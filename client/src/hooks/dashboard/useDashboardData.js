@@ -1,8 +1,13 @@
-import { useState, useCallback, useEffect } from 'react'
+import { useState, useCallback, useEffect, useMemo } from 'react'
 import axiosInstance from '../../config/axiosInstance'
 import { useSearchParams } from 'react-router-dom'
 import toast from 'react-hot-toast'
 import { getErrorMessage } from '../../utilities/axiosUtils'
+import {
+  DISCOVERY_FILTER_KEYS,
+  filtersFromSearchParams,
+  filtersToQueryParams,
+} from '../../utilities/discoveryFilters'
 
 export const useDashboardData = (userId) => {
   const [user, setUser] = useState(null)
@@ -15,6 +20,13 @@ export const useDashboardData = (userId) => {
   })
   const selectDistance = searchParams.get('selectDistance')
 
+  // Discovery filters live in the URL next to selectDistance
+  const searchString = searchParams.toString()
+  const discoveryFilters = useMemo(
+    () => filtersFromSearchParams(new URLSearchParams(searchString)),
+    [searchString]
+  )
+
   const getUser = useCallback(async () => {
     try {
       const response = await axiosInstance.get('/api/auth/user', {
@@ -42,6 +54,7 @@ export const useDashboardData = (userId) => {
             params: {
               userId,
               selectDistance: overrideDistance ?? selectDistance,
+              ...filtersToQueryParams(discoveryFilters),
               _t: Date.now(),
             },
             headers: {
@@ -71,7 +84,7 @@ export const useDashboardData = (userId) => {
         setIsLoadingMeetupUsers(false)
       }
     },
-    [userId, selectDistance]
+    [userId, selectDistance, discoveryFilters]
   )
 
   const handleDistanceChange = async (e) => {
@@ -101,6 +114,24 @@ export const useDashboardData = (userId) => {
     }
   }
 
+  // Changing filters updates the URL; Dashboard refetches when getMeetupTypeUsers changes
+  const handleFiltersChange = (filters) => {
+    const params = filtersToQueryParams(filters)
+    setSearchParams(
+      (prev) => {
+        DISCOVERY_FILTER_KEYS.forEach((key) => {
+          if (params[key] !== undefined) {
+            prev.set(key, params[key])
+          } else {
+            prev.delete(key)
+          }
+        })
+        return prev
+      },
+      { replace: true }
+    )
+  }
+
   // Filter out matched users
   const getFilteredUsers = (longitude, latitude) => {
     const matchedUserIdsandUser = user?.matches // database field
@@ -151,9 +182,11 @@ export const useDashboardData = (userId) => {
     user,
     meetupTypeUsers,
     selectDistance,
+    discoveryFilters,
     getUser,
     getMeetupTypeUsers,
     handleDistanceChange,
+    handleFiltersChange,
     getFilteredUsers,
     meetupTypeUsersError,
     isLoadingMeetupUsers,
@@ -0,0 +1,55 @@
+import { useState, useCallback } from 'react'
+import axiosInstance from '../../config/axiosInstance'
+import toast from 'react-hot-toast'
+import { getErrorMessage } from '../../utilities/axiosUtils'
+
+/**
+ * useFilterPresets - Saved discovery filter presets (/api/auth/filter-presets)
+ * Saving a preset with an existing name overwrites it.
+ */
+export const useFilterPresets = () => {
+  const [presets, setPresets] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+
+  const fetchPresets = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get('/api/auth/filter-presets')
+      setPresets(response.data.data.presets || [])
+    } catch (error) {
+      // Presets are optional - the filter panel still works without them
+    }
+  }, [])
+
+  const savePreset = useCallback(async (name, filters) => {
+    setIsSaving(true)
+    try {
+      const response = await axiosInstance.post('/api/auth/filter-presets', {
+        name,
+        filters,
+      })
+      setPresets(response.data.data.presets || [])
+      toast.success(`Saved "${name}"`)
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to save filters'))
+      return false
+    } finally {
+      setIsSaving(false)
+    }
+  }, [])
+
+  const deletePreset = useCallback(async (presetId) => {
+    try {
+      const response = await axiosInstance.delete(
+        `/api/auth/filter-presets/${presetId}`
+      )
+      setPresets(response.data.data.presets || [])
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to delete saved filters'))
+      return false
+    }
+  }, [])
+
+  return { presets, isSaving, fetchPresets, savePreset, deletePreset }
+}
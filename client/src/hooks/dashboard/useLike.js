@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react'
 import axiosInstance from '../../config/axiosInstance'
 import toast from 'react-hot-toast'
+import { getErrorMessage } from '../../utilities/axiosUtils'
 import { trackLikeConversion } from '../../services/analyticsService'
 
 export const useLike = () => {
@@ -21,7 +22,9 @@ export const useLike = () => {
         return true
       }
     } catch (error) {
-      if (error.response?.status === 400) {
+      if (error.response?.status === 429) {
+        toast.error(getErrorMessage(error, 'Daily like limit reached'))
+      } else if (error.response?.status === 400) {
         toast.error(error.response.data?.data?.message || 'Could not like profile')
       } else {
         toast.error('Failed to like profile')
@@ -1,9 +1,15 @@
 import { useState, useCallback } from 'react'
 import axiosInstance from '../../config/axiosInstance'
 import toast from 'react-hot-toast'
+import { getErrorMessage } from '../../utilities/axiosUtils'
 
 export const useSwipeLogic = (userId, getUser) => {
   const [lastDirection, setLastDirection] = useState()
+  // Most recent swipe, kept so premium/vip users can undo it
+  const [lastSwipe, setLastSwipe] = useState(null)
+  // Bumped per user_id on undo so the swiped card remounts back on the stack
+  const [restoredCards, setRestoredCards] = useState({})
+  const [isUndoing, setIsUndoing] = useState(false)
 
   const updateMatches = useCallback(
     async (matchedUserId) => {
@@ -17,7 +23,16 @@ export const useSwipeLogic = (userId, getUser) => {
         console.error('Failed to add match:', err)
 
         // Provide more specific error messages for debugging
-        if (err.isCsrfError) {
+        if (err.response?.status === 429) {
+          // Daily right-swipe quota used up: the swipe was not recorded, so
+          // put the card back for later
+          toast.error(getErrorMessage(err, 'Daily swipe limit reached'))
+          setRestoredCards((prev) => ({
+            ...prev,
+            [matchedUserId]: (prev[matchedUserId] || 0) + 1,
+          }))
+          setLastSwipe(null)
+        } else if (err.isCsrfError) {
           toast.error('Security error: Please refresh the page and try again.')
           console.error('🔐 CSRF token validation failed during match')
         } else if (err.isAuthError) {
@@ -33,24 +48,67 @@ export const useSwipeLogic = (userId, getUser) => {
     [userId, getUser]
   )
 
+  // Left swipes are stored so the profile stays out of discovery until the pass expires
+  const recordPass = useCallback(async (passedUserObjectId) => {
+    try {
+      await axiosInstance.post(`/api/passes/${passedUserObjectId}`)
+    } catch (err) {
+      // Non-critical: the card is already gone, it may just reappear on the next load
+      console.error('Failed to record pass:', err)
+    }
+  }, [])
+
   const swiped = useCallback(
-    (direction, swipedUserId) => {
+    (direction, swipedUserId, swipedUserObjectId) => {
       if (direction === 'right') {
         updateMatches(swipedUserId)
         toast.success('You waged right!', {
           duration: 2000,
         })
       } else if (direction === 'left') {
+        if (swipedUserObjectId) {
+          recordPass(swipedUserObjectId)
+        }
         toast('You waged left!', {
           duration: 2000,
           icon: '😥',
         })
       }
       setLastDirection(direction)
+      setLastSwipe({ direction, userId: swipedUserId })
     },
-    [updateMatches]
+    [updateMatches, recordPass]
   )
 
+  const undoLastSwipe = useCallback(async () => {
+    if (!lastSwipe || isUndoing) return
+
+    setIsUndoing(true)
+    try {
+      const response = await axiosInstance.post('/api/auth/undo-swipe', {
+        matchedUserId: lastSwipe.userId,
+        direction: lastSwipe.direction,
+      })
+      setRestoredCards((prev) => ({
+        ...prev,
+        [lastSwipe.userId]: (prev[lastSwipe.userId] || 0) + 1,
+      }))
+      setLastSwipe(null)
+      if (lastSwipe.direction === 'right') {
+        // The card was hidden as a match; refreshing matches brings it back
+        getUser()
+      }
+      const { undosRemaining } = response.data.data
+      toast.success(`Swipe undone (${undosRemaining} left today)`, {
+        duration: 2000,
+      })
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to undo swipe'))
+    } finally {
+      setIsUndoing(false)
+    }
+  }, [lastSwipe, isUndoing, getUser])
+
   const outOfFrame = useCallback((name) => {
     console.log(name + ' left the screen!')
   }, [])
@@ -59,5 +117,9 @@ export const useSwipeLogic = (userId, getUser) => {
     lastDirection,
     swiped,
     outOfFrame,
+    canUndo: Boolean(lastSwipe),
+    isUndoing,
+    undoLastSwipe,
+    restoredCards,
   }
 }
@@ -1 +1,2 @@
 export { useOnboarding } from './useOnboarding'
+export { useHouseholdDogs } from './useHouseholdDogs'
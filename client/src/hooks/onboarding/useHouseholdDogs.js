@@ -0,0 +1,122 @@
+import { useState, useCallback } from 'react'
+import axiosInstance from '../../config/axiosInstance'
+import toast from 'react-hot-toast'
+import { sanitizeErrorMessage } from '../../utilities/sanitizeUrl'
+import { compressImage } from '../../utilities/compressImage'
+
+const getErrorMessage = (error, fallback) =>
+  sanitizeErrorMessage(
+    error.response?.data?.errors?.[0]?.msg ||
+      error.response?.data?.message ||
+      fallback
+  )
+
+/**
+ * useHouseholdDogs - CRUD for the current user's dogs (/api/auth/dogs)
+ *
+ * The first dog is the primary dog; its name, age and main photo are edited
+ * through the regular profile form and mirrored by the server.
+ */
+export const useHouseholdDogs = () => {
+  const [dogs, setDogs] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+
+  const replaceDog = (dog) =>
+    setDogs((prev) => prev.map((d) => (d._id === dog._id ? dog : d)))
+
+  const fetchDogs = useCallback(async () => {
+    setIsLoading(true)
+    try {
+      const response = await axiosInstance.get('/api/auth/dogs')
+      setDogs(response.data.data.dogs || [])
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to load your dogs'))
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  const createDog = useCallback(async (fields) => {
+    try {
+      const response = await axiosInstance.post('/api/auth/dogs', fields)
+      setDogs((prev) => [...prev, response.data.data.dog])
+      toast.success(`${response.data.data.dog.name} added`)
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to add dog'))
+      return false
+    }
+  }, [])
+
+  const updateDog = useCallback(async (dogId, fields) => {
+    try {
+      const response = await axiosInstance.patch(
+        `/api/auth/dogs/${dogId}`,
+        fields
+      )
+      replaceDog(response.data.data.dog)
+      toast.success('Dog updated')
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to update dog'))
+      return false
+    }
+  }, [])
+
+  const deleteDog = useCallback(async (dogId) => {
+    try {
+      const response = await axiosInstance.delete(`/api/auth/dogs/${dogId}`)
+      setDogs(response.data.data.dogs || [])
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to remove dog'))
+      return false
+    }
+  }, [])
+
+  const uploadDogPhoto = useCallback(async (dogId, file) => {
+    try {
+      let uploadFile = file
+      if (file.type !== 'image/gif' && file.type !== 'image/svg+xml') {
+        uploadFile = await compressImage(file, 0.6)
+      }
+
+      const form = new FormData()
+      form.append('image', uploadFile)
+
+      const response = await axiosInstance.put(
+        `/api/auth/dogs/${dogId}/photos`,
+        form
+      )
+      replaceDog(response.data.data.dog)
+      return response.data.data
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to upload photo'))
+      return null
+    }
+  }, [])
+
+  const deleteDogPhoto = useCallback(async (dogId, photoKey) => {
+    try {
+      const response = await axiosInstance.delete(
+        `/api/auth/dogs/${dogId}/photos/${photoKey}`
+      )
+      replaceDog(response.data.data.dog)
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to remove photo'))
+      return false
+    }
+  }, [])
+
+  return {
+    dogs,
+    isLoading,
+    fetchDogs,
+    createDog,
+    updateDog,
+    deleteDog,
+    uploadDogPhoto,
+    deleteDogPhoto,
+  }
+}
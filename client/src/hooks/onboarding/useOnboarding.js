@@ -37,13 +37,13 @@ export const useOnboarding = () => {
     user_id: user?.user_id || '',
     dogs_name: '',
     age: '',
+    breed: '',
     show_meetup_type: false,
     meetup_type: 'Walk Companion',
     meetup_interest: 'Show all meetup activites',
     about: '',
     userAge: '',
     userAbout: '',
-    matches: [],
     current_user_search_radius: 10,
   })
 
@@ -117,6 +117,15 @@ export const useOnboarding = () => {
     }
   }
 
+  // Owner-confirmed breed is saved with the profile (formData.breed)
+  const handleConfirmBreed = (breed) => {
+    setFormData((prevState) => ({
+      ...prevState,
+      breed,
+    }))
+    return true
+  }
+
   const clearDogImage = () => {
     setDogImageURL(null)
     setDogImageFile(null)
@@ -256,6 +265,7 @@ export const useOnboarding = () => {
     submitProfile,
     handleDogImageSelect,
     handleDogImageUpload,
+    handleConfirmBreed,
     clearDogImage,
   }
 }
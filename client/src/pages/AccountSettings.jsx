@@ -6,6 +6,13 @@ import { toast } from 'react-hot-toast'
 import { useAuthStore } from '../store/useAuthStore'
 import { Nav } from '../components/layout'
 import { PageHead } from '../components/PageHead'
+import { NotificationPreferences } from '../components/settings'
+import {
+  isPushSupported,
+  getPushSubscription,
+  enablePushNotifications,
+  disablePushNotifications,
+} from '../services/pushService'
 
 const SCRIPT_CONFIG = {
   privacy: {
@@ -29,12 +36,19 @@ const MAX_RETRIES = 2
 const SCRIPT_TIMEOUT = 8000
 
 const AccountSettings = () => {
-  const { logout, user, updateProfileVisibility } = useAuthStore()
+  const { logout, user, updateProfileVisibility, updateReadReceipts } =
+    useAuthStore()
   const [showModal, setShowModal] = useState(false)
   const [isProfilePublic, setIsProfilePublic] = useState(
     user?.isProfilePublic ?? true
   )
   const [visibilityLoading, setVisibilityLoading] = useState(false)
+  const [sendReadReceipts, setSendReadReceipts] = useState(
+    user?.sendReadReceipts ?? true
+  )
+  const [readReceiptsLoading, setReadReceiptsLoading] = useState(false)
+  const [pushEnabled, setPushEnabled] = useState(false)
+  const [pushLoading, setPushLoading] = useState(false)
   const [showVisibilityBanner, setShowVisibilityBanner] = useState(false)
 
   useEffect(() => {
@@ -46,6 +60,12 @@ const AccountSettings = () => {
     }
   }, [])
 
+  useEffect(() => {
+    getPushSubscription()
+      .then((subscription) => setPushEnabled(Boolean(subscription)))
+      .catch(() => setPushEnabled(false))
+  }, [])
+
   const userId = user?.user_id
 
   const handleDismissBanner = () => {
@@ -69,6 +89,46 @@ const AccountSettings = () => {
     }
   }
 
+  const handleReadReceiptsToggle = async (e) => {
+    e.preventDefault()
+    setReadReceiptsLoading(true)
+    try {
+      const newValue = !sendReadReceipts
+      await updateReadReceipts(newValue)
+      setSendReadReceipts(newValue)
+      toast.success(`Read receipts are now ${newValue ? 'on' : 'off'}`, {
+        duration: 3000,
+      })
+    } catch (err) {
+      toast.error('Failed to update read receipts', { duration: 3000 })
+    } finally {
+      setReadReceiptsLoading(false)
+    }
+  }
+
+  const handlePushToggle = async (e) => {
+    e.preventDefault()
+    setPushLoading(true)
+    try {
+      if (pushEnabled) {
+        await disablePushNotifications()
+        setPushEnabled(false)
+        toast.success('Push notifications are now off', { duration: 3000 })
+      } else if (await enablePushNotifications()) {
+        setPushEnabled(true)
+        toast.success('Push notifications are now on', { duration: 3000 })
+      } else {
+        toast.error('Allow notifications for Woof Meetup in your browser', {
+          duration: 3000,
+        })
+      }
+    } catch (err) {
+      toast.error('Failed to update push notifications', { duration: 3000 })
+    } finally {
+      setPushLoading(false)
+    }
+  }
+
   const deleteClick = () => {
     setShowModal(true)
   }
@@ -247,6 +307,7 @@ const AccountSettings = () => {
 
           <div className="account-settings">
             <Link to="/dashboard">&lt;&lt; Back to Dashboard</Link>
+            {user?.isAdmin && <Link to="/admin">Admin</Link>}
             <label className="profile-visibility-toggle">
               <input
                 type="checkbox"
@@ -258,6 +319,33 @@ const AccountSettings = () => {
                 {isProfilePublic ? 'Profile is Public' : 'Profile is Private'}
               </span>
             </label>
+            <label className="profile-visibility-toggle">
+              <input
+                type="checkbox"
+                checked={sendReadReceipts}
+                onChange={handleReadReceiptsToggle}
+                disabled={readReceiptsLoading}
+              />
+              <span>
+                {sendReadReceipts ? 'Read Receipts On' : 'Read Receipts Off'}
+              </span>
+            </label>
+            {isPushSupported() && (
+              <label className="profile-visibility-toggle">
+                <input
+                  type="checkbox"
+                  checked={pushEnabled}
+                  onChange={handlePushToggle}
+                  disabled={pushLoading}
+                />
+                <span>
+                  {pushEnabled
+                    ? 'Push Notifications On'
+                    : 'Push Notifications Off'}
+                </span>
+              </label>
+            )}
+            <NotificationPreferences />
             <Link onClick={() => handleScriptSelection('privacy')}>
               Privacy Policy
             </Link>
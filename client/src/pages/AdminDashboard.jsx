@@ -0,0 +1,184 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+
+import { useAdminStore } from '../store/useAdminStore'
+import { Nav } from '../components/layout'
+import { PageHead } from '../components/PageHead'
+import { AdminHeader, BarChart, DailyChart } from '../components/admin'
+import { SidebarSkeleton } from '../components/skeletons'
+import ConfirmationModal from '../components/modals/ConfirmationModal'
+
+const RANGE_OPTIONS = [7, 30, 90, 365]
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString() : ''
+
+const AdminDashboard = () => {
+  const {
+    referralStats,
+    growthStats,
+    pendingDeletions,
+    pendingDeletionsTotal,
+    statsDays,
+    isLoadingOverview,
+    isRunningDeletionJob,
+    overviewError,
+    fetchOverview,
+    runDeletionJob,
+  } = useAdminStore()
+  const [showDeletionConfirm, setShowDeletionConfirm] = useState(false)
+
+  useEffect(() => {
+    fetchOverview()
+  }, [fetchOverview])
+
+  const handleRunDeletionJob = async () => {
+    await runDeletionJob()
+    setShowDeletionConfirm(false)
+  }
+
+  const summary = referralStats?.summary
+
+  return (
+    <>
+      <PageHead
+        title="Admin"
+        description="Woof Meetup admin overview."
+        robots="noindex, nofollow"
+      />
+      <div className="background-color">
+        <div className="overlay">
+          <Nav minimal={true} />
+          <main className="admin-page">
+            <AdminHeader />
+
+            <div className="admin-toolbar">
+              <label htmlFor="admin-range">Show last</label>
+              <select
+                id="admin-range"
+                value={statsDays}
+                onChange={(e) => fetchOverview(Number(e.target.value))}
+                disabled={isLoadingOverview}
+              >
+                {RANGE_OPTIONS.map((days) => (
+                  <option key={days} value={days}>
+                    {days} days
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {!growthStats || !referralStats ? (
+              <SidebarSkeleton error={overviewError} />
+            ) : (
+              <>
+                {overviewError && (
+                  <p className="server-error">{overviewError}</p>
+                )}
+                <section className="admin-summary" aria-label="Signups">
+                  <div>
+                    <strong>{summary.totalSignups}</strong> signups
+                  </div>
+                  <div>
+                    <strong>{summary.referralSignups}</strong> referred
+                  </div>
+                  <div>
+                    <strong>{summary.referralConversionRate}%</strong> via
+                    referral
+                  </div>
+                </section>
+
+                <section className="admin-charts">
+                  <DailyChart
+                    title="Signups per day"
+                    series={growthStats.signups}
+                    since={growthStats.since}
+                    days={statsDays}
+                  />
+                  <DailyChart
+                    title="Subscriptions per day"
+                    series={growthStats.subscriptions}
+                    since={growthStats.since}
+                    days={statsDays}
+                  />
+                  <BarChart
+                    title="Referral sources"
+                    data={referralStats.stats.map((s) => ({
+                      label: s._id,
+                      value: s.count,
+                    }))}
+                  />
+                  <BarChart
+                    title="Accounts by plan"
+                    data={growthStats.plans.map((p) => ({
+                      label: p.plan || 'free',
+                      value: p.count,
+                    }))}
+                  />
+                </section>
+
+                <section className="admin-section">
+                  <div className="admin-section-header">
+                    <h2>Pending deletion ({pendingDeletionsTotal})</h2>
+                    <button
+                      className="primary-button"
+                      type="button"
+                      onClick={() => setShowDeletionConfirm(true)}
+                      disabled={isRunningDeletionJob}
+                    >
+                      Run deletion job
+                    </button>
+                  </div>
+                  {pendingDeletions.length === 0 ? (
+                    <p className="admin-empty">
+                      No accounts are scheduled for deletion.
+                    </p>
+                  ) : (
+                    <table className="admin-table">
+                      <thead>
+                        <tr>
+                          <th>User</th>
+                          <th>Email</th>
+                          <th>Deletes on</th>
+                          <th>Reason</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pendingDeletions.map((user) => (
+                          <tr key={user.user_id}>
+                            <td>
+                              <Link to={`/admin/users/${user.user_id}`}>
+                                {user.userName || user.user_id}
+                              </Link>
+                            </td>
+                            <td>{user.email}</td>
+                            <td>{formatDate(user.scheduledDeletionDate)}</td>
+                            <td>{user.deletionReason}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </section>
+              </>
+            )}
+          </main>
+        </div>
+      </div>
+
+      {showDeletionConfirm && (
+        <ConfirmationModal
+          title="Run Deletion Job"
+          message="Permanently delete every account whose scheduled deletion date has passed? This cannot be undone."
+          onConfirm={handleRunDeletionJob}
+          onCancel={() => setShowDeletionConfirm(false)}
+          confirmText="Run Now"
+          cancelText="Cancel"
+          isLoading={isRunningDeletionJob}
+        />
+      )}
+    </>
+  )
+}
+
+export default AdminDashboard
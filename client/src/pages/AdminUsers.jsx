@@ -0,0 +1,217 @@
+import { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+
+import { useAdminStore } from '../store/useAdminStore'
+import { Nav } from '../components/layout'
+import { PageHead } from '../components/PageHead'
+import { AdminHeader } from '../components/admin'
+import { SidebarSkeleton } from '../components/skeletons'
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—')
+
+const formatAmount = (amount, currency = 'usd') =>
+  new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+  }).format(amount)
+
+// Label/value rows for one section of the account view
+const Details = ({ title, rows }) => (
+  <section className="admin-section">
+    <h2>{title}</h2>
+    <dl className="admin-details">
+      {rows.map(([label, value]) => (
+        <div key={label}>
+          <dt>{label}</dt>
+          <dd>{value ?? '—'}</dd>
+        </div>
+      ))}
+    </dl>
+  </section>
+)
+
+const AccountView = ({ account }) => {
+  const { user, subscription, credits, deletion, suspension, transactions } =
+    account
+
+  return (
+    <>
+      <Details
+        title={user.userName || user.email}
+        rows={[
+          ['user_id', user.user_id],
+          ['Email', user.email],
+          ['Dog', user.dogs_name],
+          ['Verified', user.isVerified ? 'Yes' : 'No'],
+          ['Admin', user.isAdmin ? 'Yes' : 'No'],
+          ['Joined', formatDate(user.createdAt)],
+          ['Last login', formatDate(user.lastLogin)],
+          ['Referral source', user.referral_source],
+          ['Reports against', account.reportsAgainst],
+          ['Open content flags', account.openContentFlags],
+        ]}
+      />
+      <Details
+        title="Subscription"
+        rows={[
+          ['Plan', subscription.plan],
+          ['Status', subscription.status],
+          ['Ends', formatDate(subscription.endDate)],
+          ['Stripe customer', subscription.stripeCustomerId],
+        ]}
+      />
+      <Details
+        title="Credits"
+        rows={[
+          ['Message credits', credits.messageCredits],
+          ['Messages sent', credits.totalMessagesSent],
+        ]}
+      />
+      <Details
+        title="Status"
+        rows={[
+          ['Suspended', suspension.isSuspended ? 'Yes' : 'No'],
+          ['Suspended at', formatDate(suspension.suspendedAt)],
+          ['Suspension reason', suspension.reason],
+          ['Pending deletion', deletion.pendingDeletion ? 'Yes' : 'No'],
+          ['Deletes on', formatDate(deletion.scheduledDeletionDate)],
+          ['Deletion reason', deletion.deletionReason],
+        ]}
+      />
+      <section className="admin-section">
+        <h2>Transactions</h2>
+        {transactions.length === 0 ? (
+          <p className="admin-empty">No transactions.</p>
+        ) : (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Amount</th>
+                <th>Credits</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.map((transaction) => (
+                <tr key={transaction._id}>
+                  <td>{formatDate(transaction.createdAt)}</td>
+                  <td>{transaction.type}</td>
+                  <td>
+                    {formatAmount(transaction.amount, transaction.currency)}
+                  </td>
+                  <td>{transaction.creditsAdded || ''}</td>
+                  <td>{transaction.status}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </>
+  )
+}
+
+// /admin/users - search by email, username or user_id; /admin/users/:userId - one account
+const AdminUsers = () => {
+  const { userId } = useParams()
+  const {
+    searchResults,
+    searchTerm,
+    account,
+    accountError,
+    isSearching,
+    isLoadingAccount,
+    searchUsers,
+    fetchAccount,
+    clearAccount,
+  } = useAdminStore()
+  const [query, setQuery] = useState(searchTerm)
+
+  useEffect(() => {
+    if (userId) {
+      fetchAccount(userId)
+    } else {
+      clearAccount()
+    }
+  }, [userId, fetchAccount, clearAccount])
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    const term = query.trim()
+    if (term) {
+      searchUsers(term)
+    }
+  }
+
+  return (
+    <>
+      <PageHead
+        title="Admin - Users"
+        description="Look up Woof Meetup accounts."
+        robots="noindex, nofollow"
+      />
+      <div className="background-color">
+        <div className="overlay">
+          <Nav minimal={true} />
+          <main className="admin-page">
+            <AdminHeader />
+
+            <form className="admin-search" onSubmit={handleSearch}>
+              <label htmlFor="admin-user-search" className="sr-only">
+                Email, username or user ID
+              </label>
+              <input
+                id="admin-user-search"
+                type="search"
+                value={query}
+                maxLength={100}
+                placeholder="Email, username or user ID"
+                onChange={(e) => setQuery(e.target.value)}
+              />
+              <button
+                className="primary-button"
+                type="submit"
+                disabled={isSearching || !query.trim()}
+              >
+                Search
+              </button>
+            </form>
+
+            {isSearching ? (
+              <SidebarSkeleton />
+            ) : (
+              searchTerm && (
+                <ul className="admin-results">
+                  {searchResults.length === 0 && (
+                    <li className="admin-empty">No users found.</li>
+                  )}
+                  {searchResults.map((user) => (
+                    <li key={user.user_id}>
+                      <Link to={`/admin/users/${user.user_id}`}>
+                        {user.userName || '(no name)'}
+                      </Link>{' '}
+                      {user.email} · {user.subscription}
+                      {user.isSuspended && ' · suspended'}
+                      {user.pendingDeletion && ' · pending deletion'}
+                    </li>
+                  ))}
+                </ul>
+              )
+            )}
+
+            {userId &&
+              (account && !isLoadingAccount ? (
+                <AccountView account={account} />
+              ) : (
+                <SidebarSkeleton error={accountError} />
+              ))}
+          </main>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default AdminUsers
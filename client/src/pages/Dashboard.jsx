@@ -51,12 +51,23 @@ const Dashboard = () => {
   const { longitude, latitude, updateLocation } = useGeolocation()
   const {
     selectDistance,
+    discoveryFilters,
     getUser,
     handleDistanceChange,
+    handleFiltersChange,
     getFilteredUsers,
     getMeetupTypeUsers,
   } = useDashboardData(userId)
-  const { swiped, outOfFrame } = useSwipeLogic(userId, getUser)
+  const {
+    swiped,
+    outOfFrame,
+    canUndo,
+    isUndoing,
+    undoLastSwipe,
+    restoredCards,
+  } = useSwipeLogic(userId, getUser)
+  const canUseUndo =
+    user?.subscription === 'premium' || user?.subscription === 'vip'
 
   // Refetch users when location updates
   useEffect(() => {
@@ -83,13 +94,16 @@ const Dashboard = () => {
   useEffect(() => {
     if (!socket) return
 
-    const handleNewMatch = () => {
+    // inApp is false when the user turned off in-app notifications
+    const handleNewMatch = (data) => {
       getUser()
       useAuthStore.getState().checkAuth()
       trackProfileMatch()
-      toast.success('You have a new match! 🎉', {
-        duration: 3000,
-      })
+      if (data?.inApp !== false) {
+        toast.success('You have a new match! 🎉', {
+          duration: 3000,
+        })
+      }
     }
 
     const handleUserUnmatched = () => {
@@ -110,10 +124,12 @@ const Dashboard = () => {
 
     const handleUserLiked = (data) => {
       trackProfileLike()
-      toast.success(`❤️ ${data.fromUserName} likes you!`, {
-        duration: 4000,
-        icon: false,
-      })
+      if (data.inApp !== false) {
+        toast.success(`❤️ ${data.fromUserName} likes you!`, {
+          duration: 4000,
+          icon: false,
+        })
+      }
     }
 
     socket.on('newMatch', handleNewMatch)
@@ -155,10 +171,16 @@ const Dashboard = () => {
               latitude={latitude}
               filteredMeetupTypeUsers={filteredMeetupTypeUsers}
               selectDistance={selectDistance}
+              discoveryFilters={discoveryFilters}
               onLocationUpdate={updateLocation}
               onSwipe={swiped}
               onCardLeftScreen={outOfFrame}
               onDistanceChange={handleDistanceChange}
+              onFiltersChange={handleFiltersChange}
+              canUndo={canUseUndo && canUndo}
+              isUndoing={isUndoing}
+              onUndo={undoLastSwipe}
+              restoredCards={restoredCards}
             />
           </section>
         </main>
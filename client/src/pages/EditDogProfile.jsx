@@ -1,5 +1,5 @@
 import { Nav } from '../components/layout'
-import { OnboardingForm } from '../components/onboarding'
+import { OnboardingForm, HouseholdDogsEditor } from '../components/onboarding'
 import { PageHead } from '../components/PageHead'
 import axiosInstance from '../config/axiosInstance'
 import { Link, useNavigate } from 'react-router-dom'
@@ -32,6 +32,7 @@ import { compressImage } from '../utilities/compressImage'
  * - New dog images upload to POST /api/auth/image
  * - Profile images upload to PUT /api/auth/profile-image
  * - Form submission PATCHes to /api/auth/user
+ * - Additional household dogs are managed by HouseholdDogsEditor via /api/auth/dogs
  *
  * Edit vs New Image Behavior:
  * - Existing images: Shown with preview and label, can be replaced with new image
@@ -97,6 +98,7 @@ const EditDogProfile = () => {
     user_id: userId,
     dogs_name: '',
     age: '',
+    breed: '',
     show_meetup_type: false,
     meetup_type: '',
     meetup_interest: '',
@@ -212,6 +214,15 @@ const EditDogProfile = () => {
     }
   }
 
+  // Owner-confirmed breed is saved with the profile (formData.breed)
+  const handleConfirmBreed = (breed) => {
+    setFormData((prevState) => ({
+      ...prevState,
+      breed,
+    }))
+    return true
+  }
+
   const clearDogImage = () => {
     setDogImageURL(null)
     setDogImageFile(null)
@@ -444,9 +455,12 @@ const EditDogProfile = () => {
               onDogImageUpload={handleDogImageUpload}
               onClearDogImage={clearDogImage}
               dogBreeds={dogBreeds}
+              onConfirmBreed={handleConfirmBreed}
               currentDogImageUrl={currentDogImageUrl}
               currentProfileImageUrl={currentProfileImageUrl}
             />
+
+            <HouseholdDogsEditor />
           </div>
         </div>
       </div>
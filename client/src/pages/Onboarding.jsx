@@ -21,6 +21,7 @@ const Onboarding = () => {
     dogImageError,
     handleDogImageSelect,
     handleDogImageUpload,
+    handleConfirmBreed,
     clearDogImage,
     dogBreeds,
     setIsProfileImageUploading,
@@ -71,6 +72,7 @@ const Onboarding = () => {
               onDogImageUpload={handleDogImageUpload}
               onClearDogImage={clearDogImage}
               dogBreeds={dogBreeds}
+              onConfirmBreed={handleConfirmBreed}
             />
           </div>
         </div>
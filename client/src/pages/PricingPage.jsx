@@ -17,8 +17,14 @@ const PricingPage = () => {
     loadingPackage,
     fetchCreditPackages,
     creditPackages,
+    fetchSubscriptionOffer,
+    subscriptionOffer,
   } = usePaymentStore()
   const [activeTab, setActiveTab] = useState('subscription')
+  const [promoCode, setPromoCode] = useState('')
+
+  // Trials are only offered on an account's first subscription
+  const premiumTrialDays = subscriptionOffer?.trialDays?.premium || 0
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -30,6 +36,10 @@ const PricingPage = () => {
     fetchCreditPackages()
   }, [fetchCreditPackages])
 
+  useEffect(() => {
+    fetchSubscriptionOffer()
+  }, [fetchSubscriptionOffer])
+
   useEffect(() => {
     const canceled = searchParams.get('canceled')
 
@@ -40,7 +50,7 @@ const PricingPage = () => {
 
   const handleSubscriptionPurchase = async (planType) => {
     try {
-      await createSubscriptionCheckout(planType)
+      await createSubscriptionCheckout(planType, promoCode.trim())
     } catch (error) {
       // Error handled by store
     }
@@ -100,6 +110,26 @@ const PricingPage = () => {
           </button>
         </div>
 
+        {activeTab === 'subscription' && (
+          <div className="promo-code">
+            <label htmlFor="promo-code">Have a promo code?</label>
+            <input
+              id="promo-code"
+              type="text"
+              value={promoCode}
+              onChange={(e) => setPromoCode(e.target.value)}
+              placeholder="Enter code"
+              maxLength={50}
+              autoComplete="off"
+            />
+            {subscriptionOffer?.referralDiscount && !promoCode && (
+              <p className="promo-code-note">
+                Your referral discount will be applied at checkout
+              </p>
+            )}
+          </div>
+        )}
+
         {activeTab === 'subscription' && (
           <div className="pricing-cards">
             {/* Free Plan */}
@@ -131,6 +161,11 @@ const PricingPage = () => {
                   <span className="amount">$9.99</span>
                   <span className="period">/month</span>
                 </div>
+                {premiumTrialDays > 0 && user?.subscription !== 'premium' && (
+                  <div className="trial-note">
+                    {premiumTrialDays}-day free trial
+                  </div>
+                )}
               </div>
               <ul className="features">
                 <li>✓ Unlimited messages</li>
@@ -147,6 +182,8 @@ const PricingPage = () => {
                   ? 'Current Plan'
                   : isLoading
                   ? 'Processing...'
+                  : premiumTrialDays > 0
+                  ? 'Start Free Trial'
                   : 'Get Premium'}
               </button>
             </div>
@@ -5,6 +5,8 @@ import { sanitizeImageUrl } from '../utilities/sanitizeUrl'
 import { PageHead } from '../components/PageHead'
 import { SocialShareButtons } from '../components/share'
 import { Nav } from '../components/layout'
+import HouseholdDogs from '../components/dashboard/HouseholdDogs'
+import { formatDogNames } from '../utilities/formatDogNames'
 import { X } from 'lucide-react'
 import '../pages/PublicProfile.css'
 
@@ -56,9 +58,9 @@ const PublicProfile = () => {
 
   const memoizedPageData = useMemo(
     () => ({
-      title: profile ? `${profile.dogs_name || 'Dog'} - Woof Meetup` : 'Profile Not Found',
+      title: profile ? `${formatDogNames(profile) || 'Dog'} - Woof Meetup` : 'Profile Not Found',
       description: profile
-        ? `Meet ${profile.userName || 'User'} and ${profile.dogs_name || 'their dog'}. ${
+        ? `Meet ${profile.userName || 'User'} and ${formatDogNames(profile) || 'their dog'}. ${
             profile.userAbout || 'Looking for dog meetups on Woof Meetup.'
           }`
         : 'This profile is no longer available.',
@@ -258,10 +260,12 @@ const PublicProfile = () => {
                 <div className="profile-modal-info">
                   <div className="profile-section">
                     <div className="profile-details">
-                      <p>
-                        <strong>{profile.dogs_name || 'Unknown Dog'}</strong>
-                        {profile.age && `, Age ${profile.age}`}
-                      </p>
+                      {!(profile.dogs?.length > 0) && (
+                        <p>
+                          <strong>{profile.dogs_name || 'Unknown Dog'}</strong>
+                          {profile.age && `, Age ${profile.age}`}
+                        </p>
+                      )}
                       {profile.distance_to_other_users && (
                         <p className="profile-distance">
                           {profile.distance_to_other_users} miles from you
@@ -280,6 +284,8 @@ const PublicProfile = () => {
                     </div>
                   </div>
 
+                  <HouseholdDogs dogs={profile.dogs} />
+
                   <div className="profile-section">
                     <div className="profile-details">
                       <p>
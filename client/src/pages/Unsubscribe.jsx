@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { Loader } from 'lucide-react'
+import axiosInstance from '../config/axiosInstance'
+import { getErrorMessage } from '../utilities/axiosUtils.js'
+import { PageHead } from '../components/PageHead'
+
+// What each unsubscribe link category stops
+const CATEGORY_LABELS = {
+  likes: 'like notification emails',
+  matches: 'match notification emails',
+  digest: 'notification digest emails',
+  meetup_reminders: 'meetup reminder emails',
+  all: 'all notification and reminder emails',
+}
+
+// Confirmation page for the unsubscribe link in email footers. Mail clients
+// that support one-click unsubscribe POST to the API directly instead.
+const Unsubscribe = () => {
+  const { token } = useParams()
+  const [link, setLink] = useState(null)
+  const [error, setError] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [isDone, setIsDone] = useState(false)
+
+  useEffect(() => {
+    axiosInstance
+      .get(`/api/notifications/unsubscribe/${token}`)
+      .then((res) => setLink(res.data.data))
+      .catch((err) =>
+        setError(getErrorMessage(err, 'This unsubscribe link is invalid'))
+      )
+  }, [token])
+
+  const handleUnsubscribe = async () => {
+    setIsLoading(true)
+    try {
+      await axiosInstance.post(`/api/notifications/unsubscribe/${token}`)
+      setIsDone(true)
+    } catch (err) {
+      setError(getErrorMessage(err, 'Error unsubscribing'))
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  let content = <Loader className="spin" size={28} />
+  if (error) {
+    content = <p className="server-error">{error}</p>
+  } else if (isDone) {
+    content = (
+      <p className="modal-copy">
+        {link.email} will no longer receive {CATEGORY_LABELS[link.category]}.
+        You can turn emails back on in your account settings.
+      </p>
+    )
+  } else if (link) {
+    content = (
+      <>
+        <p className="modal-copy">
+          Stop sending {CATEGORY_LABELS[link.category]} to {link.email}?
+          Account emails such as password resets are always sent.
+        </p>
+        <button
+          className="secondary-button"
+          onClick={handleUnsubscribe}
+          disabled={isLoading}
+        >
+          {isLoading ? 'Unsubscribing...' : 'Unsubscribe'}
+        </button>
+      </>
+    )
+  }
+
+  return (
+    <>
+      <PageHead
+        title="Unsubscribe"
+        description="Manage the emails you receive from Woof Meetup."
+      />
+      <div className="overlay" aria-hidden="true">
+        <div
+          className="auth-modal"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="unsubscribe-heading"
+        >
+          <h2 id="unsubscribe-heading">Unsubscribe</h2>
+          <br />
+          {content}
+          <br />
+          <Link to="/">Back to Woof Meetup</Link>
+        </div>
+      </div>
+    </>
+  )
+}
+export default Unsubscribe
@@ -0,0 +1,102 @@
+/**
+ * Web Push Service
+ * Subscribes this browser to push notifications for likes, matches and messages that
+ * arrive while the user has no open tab. Uses the service worker registered in main.jsx
+ * (production builds only), so push is unavailable in development.
+ */
+
+import axiosInstance from '../config/axiosInstance'
+import { ensureCsrfToken } from './csrfService.js'
+
+// VAPID keys are base64url; pushManager.subscribe() wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4)
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/')
+  const raw = window.atob(base64)
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0))
+}
+
+const getRegistration = async () =>
+  (await navigator.serviceWorker.getRegistration()) || null
+
+/**
+ * Whether this browser can receive push notifications
+ */
+export const isPushSupported = () =>
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window
+
+/**
+ * This browser's current push subscription, if any
+ * @returns {Promise<PushSubscription|null>}
+ */
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) {
+    return null
+  }
+  const registration = await getRegistration()
+  return registration ? registration.pushManager.getSubscription() : null
+}
+
+/**
+ * Ask for permission, subscribe and register the subscription with the server
+ * @returns {Promise<boolean>} false if permission was denied or push is unavailable
+ */
+export const enablePushNotifications = async () => {
+  if (!isPushSupported()) {
+    return false
+  }
+  const registration = await getRegistration()
+  if (!registration) {
+    return false
+  }
+
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') {
+    return false
+  }
+
+  const {
+    data: {
+      data: { publicKey },
+    },
+  } = await axiosInstance.get('/api/notifications/vapid-public-key')
+
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    }))
+
+  await ensureCsrfToken()
+  await axiosInstance.post(
+    '/api/notifications/subscriptions',
+    subscription.toJSON()
+  )
+  return true
+}
+
+/**
+ * Remove this browser's subscription from the server and the push service
+ */
+export const disablePushNotifications = async () => {
+  const subscription = await getPushSubscription()
+  if (!subscription) {
+    return
+  }
+  try {
+    await ensureCsrfToken()
+    await axiosInstance.delete('/api/notifications/subscriptions', {
+      data: { endpoint: subscription.endpoint },
+    })
+  } catch (error) {
+    // 404: the server already dropped it (e.g. it expired)
+    if (error.response?.status !== 404) {
+      throw error
+    }
+  } finally {
+    await subscription.unsubscribe()
+  }
+}
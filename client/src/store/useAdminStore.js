@@ -0,0 +1,96 @@
+import { create } from 'zustand'
+import toast from 'react-hot-toast'
+import axiosInstance from '../config/axiosInstance'
+import { getErrorMessage } from '../utilities/axiosUtils.js'
+import { ensureCsrfToken } from '../services/csrfService.js'
+
+// Admin console data (/admin pages). Every endpoint here is gated by checkAdminRole.
+export const useAdminStore = create((set, get) => ({
+  referralStats: null, // { stats: [{ _id: source, count }], summary }
+  growthStats: null, // { since, signups, subscriptions, plans }
+  pendingDeletions: [],
+  pendingDeletionsTotal: 0,
+  searchResults: [],
+  searchTerm: '',
+  account: null,
+  accountError: null,
+  isLoadingOverview: false,
+  isSearching: false,
+  isLoadingAccount: false,
+  isRunningDeletionJob: false,
+  overviewError: null,
+  statsDays: 30,
+
+  fetchOverview: async (days = get().statsDays) => {
+    set({ isLoadingOverview: true, overviewError: null, statsDays: days })
+    try {
+      const [referral, growth, pending] = await Promise.all([
+        axiosInstance.get('/api/auth/referral-stats'),
+        axiosInstance.get('/api/admin/stats/growth', { params: { days } }),
+        axiosInstance.get('/api/admin/users/pending-deletion', {
+          params: { limit: 50 },
+        }),
+      ])
+      set({
+        referralStats: referral.data.data,
+        growthStats: growth.data.data,
+        pendingDeletions: pending.data.data,
+        pendingDeletionsTotal: pending.data.pagination.total,
+      })
+    } catch (error) {
+      set({
+        overviewError: getErrorMessage(error, 'Failed to load admin data'),
+      })
+    } finally {
+      set({ isLoadingOverview: false })
+    }
+  },
+
+  searchUsers: async (term) => {
+    set({ isSearching: true, searchTerm: term })
+    try {
+      const res = await axiosInstance.get('/api/admin/users', {
+        params: { q: term, limit: 25 },
+      })
+      // Ignore results for a search the admin has already replaced
+      if (get().searchTerm === term) {
+        set({ searchResults: res.data.data })
+      }
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'User search failed'))
+    } finally {
+      set({ isSearching: false })
+    }
+  },
+
+  fetchAccount: async (userId) => {
+    set({ isLoadingAccount: true, account: null, accountError: null })
+    try {
+      const res = await axiosInstance.get(`/api/admin/users/${userId}`)
+      set({ account: res.data.data })
+    } catch (error) {
+      set({ accountError: getErrorMessage(error, 'Failed to load account') })
+    } finally {
+      set({ isLoadingAccount: false })
+    }
+  },
+
+  clearAccount: () => set({ account: null, accountError: null }),
+
+  // Runs the scheduled account deletion job now instead of waiting for its cron
+  runDeletionJob: async () => {
+    set({ isRunningDeletionJob: true })
+    try {
+      await ensureCsrfToken()
+      await axiosInstance.post('/api/auth/trigger-scheduled-deletion')
+      toast.success('Scheduled deletion job finished')
+      await get().fetchOverview()
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to run the deletion job'))
+      return false
+    } finally {
+      set({ isRunningDeletionJob: false })
+    }
+  },
+}))
@@ -7,6 +7,7 @@ import {
   disconnectSocket,
   isSocketConnected,
 } from '../services/socketService.js'
+import { disablePushNotifications } from '../services/pushService.js'
 
 export const useAuthStore = create((set, get) => ({
   user: null,
@@ -114,6 +115,8 @@ export const useAuthStore = create((set, get) => ({
   logout: async () => {
     set({ isLoading: true, error: null })
     try {
+      // Stop pushes to this browser for the account that is logging out
+      await disablePushNotifications().catch(() => {})
       await ensureCsrfToken()
       await axiosInstance.post('/api/auth/logout')
       // Security Fix: JWT token is automatically cleared by httpOnly cookie expiration
@@ -250,6 +253,33 @@ export const useAuthStore = create((set, get) => ({
     return { success: true }
   },
 
+  // Blocking also ends the match, so drop it locally like an unmatch
+  blockUser: async (blockedUserId) => {
+    await ensureCsrfToken()
+    await axiosInstance.post(`/api/users/${blockedUserId}/block`)
+
+    const { user } = get()
+    set({
+      user: {
+        ...user,
+        matches: user.matches.filter(
+          (match) => match.user_id !== blockedUserId
+        ),
+      },
+    })
+
+    return { success: true }
+  },
+
+  reportUser: async (reportedUserId, report) => {
+    await ensureCsrfToken()
+    const res = await axiosInstance.post(
+      `/api/users/${reportedUserId}/report`,
+      report
+    )
+    return res.data.data
+  },
+
   clearError: () => {
     set({ error: null })
   },
@@ -285,4 +315,18 @@ export const useAuthStore = create((set, get) => ({
     }))
     return response.data
   },
+
+  updateReadReceipts: async (sendReadReceipts) => {
+    await ensureCsrfToken()
+    const response = await axiosInstance.patch('/api/auth/read-receipts', {
+      sendReadReceipts,
+    })
+    set((state) => ({
+      user: {
+        ...state.user,
+        sendReadReceipts,
+      },
+    }))
+    return response.data
+  },
 }))
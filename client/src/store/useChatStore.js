@@ -9,15 +9,38 @@ import {
   trackFirstMessageConversion,
 } from '../services/analyticsService.js'
 
+// Messages per page - older pages load as the user scrolls up
+const MESSAGE_PAGE_SIZE = 30
+
 let reconnectHandler = null
 let imageUpdateHandler = null
+let deliveredHandler = null
+let readHandler = null
+let editedHandler = null
+let deletedHandler = null
+let imageRejectedHandler = null
+let typingStartHandler = null
+let typingStopHandler = null
+
+// Typing indicators: typing:start is re-sent while typing, typing:stop after a pause
+const TYPING_START_INTERVAL_MS = 2000
+const TYPING_IDLE_MS = 3000
+// Hide the other user's indicator if their typing:stop never arrives
+const TYPING_DISPLAY_TIMEOUT_MS = 6000
+let typingIdleTimer = null
+let typingReceiverId = null
+let lastTypingStartAt = 0
+const typingDisplayTimers = new Map()
 const messageRefreshIntervals = new Map()
 const pollTimers = new Map()
 
 export const useChatStore = create((set, get) => ({
   messages: [],
+  hasMoreMessages: false,
   selectedUser: null,
   isMessagesLoading: false,
+  isLoadingOlderMessages: false,
+  typingUserIds: [],
   isChatOpen: false,
 
   setIsChatOpen: (isOpen) => set({ isChatOpen: isOpen }),
@@ -26,13 +49,15 @@ export const useChatStore = create((set, get) => ({
     set({ isMessagesLoading: true })
     try {
       const res = await axiosInstance.get(`/api/messages/${userId}`, {
-        params: { _t: Date.now() },
+        params: { limit: MESSAGE_PAGE_SIZE, _t: Date.now() },
         headers: {
           'Cache-Control': 'no-cache',
           Pragma: 'no-cache',
         },
       })
-      set({ messages: res.data.data })
+      const { messages, hasMore } = res.data.data
+      set({ messages, hasMoreMessages: hasMore })
+      get().markConversationRead()
     } catch (error) {
       const msg = getErrorMessage(error, 'Failed to load messages')
       toast.error(msg)
@@ -40,6 +65,144 @@ export const useChatStore = create((set, get) => ({
       set({ isMessagesLoading: false })
     }
   },
+
+  // Prepend the page before the oldest loaded message. Returns true if a page was added.
+  loadOlderMessages: async () => {
+    const { selectedUser, messages, hasMoreMessages, isLoadingOlderMessages } =
+      get()
+    if (
+      !selectedUser ||
+      !hasMoreMessages ||
+      isLoadingOlderMessages ||
+      messages.length === 0
+    ) {
+      return false
+    }
+
+    set({ isLoadingOlderMessages: true })
+    try {
+      const res = await axiosInstance.get(`/api/messages/${selectedUser._id}`, {
+        params: { before: messages[0]._id, limit: MESSAGE_PAGE_SIZE },
+      })
+      // Drop the page if another chat was opened while it loaded
+      if (get().selectedUser?._id !== selectedUser._id) {
+        return false
+      }
+      const { messages: olderMessages, hasMore } = res.data.data
+      set({
+        messages: [...olderMessages, ...get().messages],
+        hasMoreMessages: hasMore,
+      })
+      return olderMessages.length > 0
+    } catch (error) {
+      const msg = getErrorMessage(error, 'Failed to load older messages')
+      toast.error(msg)
+      return false
+    } finally {
+      set({ isLoadingOlderMessages: false })
+    }
+  },
+
+  // Append messages newer than the last loaded one (reconnects and periodic refresh)
+  // without discarding older pages. Falls back to reloading the latest page.
+  fetchNewMessages: async (userId) => {
+    const lastMessage = get().messages[get().messages.length - 1]
+    if (!lastMessage?._id) {
+      return get().getMessages(userId)
+    }
+
+    try {
+      const res = await axiosInstance.get(`/api/messages/${userId}`, {
+        params: {
+          after: lastMessage._id,
+          limit: MESSAGE_PAGE_SIZE,
+          _t: Date.now(),
+        },
+        headers: {
+          'Cache-Control': 'no-cache',
+          Pragma: 'no-cache',
+        },
+      })
+      const { messages: newerMessages, hasMore } = res.data.data
+      if (hasMore) {
+        return get().getMessages(userId)
+      }
+      const knownIds = new Set(get().messages.map((m) => m._id))
+      const unseen = newerMessages.filter((m) => !knownIds.has(m._id))
+      if (unseen.length > 0) {
+        set({ messages: [...get().messages, ...unseen] })
+        get().markConversationRead()
+      }
+    } catch (error) {
+      // The last message may have been cleared - reload the latest page
+      return get().getMessages(userId)
+    }
+  },
+  // Tell the server the open conversation has been read (socket, REST fallback).
+  // The server decides whether the sender sees it, based on the read receipts setting.
+  markConversationRead: async () => {
+    const { selectedUser } = get()
+    if (!selectedUser?._id || document.visibilityState === 'hidden') return
+
+    const socket = useAuthStore.getState().socket
+    if (socket?.connected) {
+      socket.emit('markMessagesRead', { userId: selectedUser._id }, (res) => {
+        if (!res?.success) {
+          get().markConversationReadViaApi(selectedUser._id)
+        }
+      })
+      return
+    }
+    get().markConversationReadViaApi(selectedUser._id)
+  },
+
+  markConversationReadViaApi: async (userId) => {
+    try {
+      await ensureCsrfToken()
+      await axiosInstance.post(`/api/messages/read/${userId}`)
+    } catch (error) {
+      // Non-critical - unread state is corrected on the next read
+      if (import.meta.env.MODE === 'development') {
+        console.error('Failed to mark conversation read:', error)
+      }
+    }
+  },
+
+  // Called as the current user types; emits typing:start (throttled) and
+  // typing:stop once they pause
+  notifyTyping: () => {
+    const { selectedUser } = get()
+    const socket = useAuthStore.getState().socket
+    if (!selectedUser?.user_id || !socket?.connected) return
+
+    if (typingReceiverId && typingReceiverId !== selectedUser.user_id) {
+      get().stopTyping()
+    }
+
+    const now = Date.now()
+    if (now - lastTypingStartAt >= TYPING_START_INTERVAL_MS) {
+      lastTypingStartAt = now
+      typingReceiverId = selectedUser.user_id
+      socket.emit('typing:start', { receiverId: typingReceiverId })
+    }
+
+    clearTimeout(typingIdleTimer)
+    typingIdleTimer = setTimeout(() => get().stopTyping(), TYPING_IDLE_MS)
+  },
+
+  stopTyping: () => {
+    clearTimeout(typingIdleTimer)
+    typingIdleTimer = null
+    if (!typingReceiverId) return
+
+    const socket = useAuthStore.getState().socket
+    if (socket?.connected) {
+      socket.emit('typing:stop', { receiverId: typingReceiverId })
+    }
+    typingReceiverId = null
+    lastTypingStartAt = 0
+  },
+
   sendMessage: async (messageData) => {
     const { selectedUser, messages } = get()
 
@@ -120,12 +283,16 @@ export const useChatStore = create((set, get) => ({
             return
           }
           try {
-            const { data: { data: messageList } } = await axiosInstance.get(
+            const { data: { data: { messages: messageList } } } = await axiosInstance.get(
               `/api/messages/${selectedUser._id}`,
-              { params: { _t: Date.now() } }
+              { params: { limit: MESSAGE_PAGE_SIZE, _t: Date.now() } }
             )
             const updated = messageList.find((m) => m._id === newMessage._id)
-            if (updated && updated.image) {
+            // Stop once the image is approved (URL set) or rejected by moderation
+            if (
+              updated &&
+              (updated.image || updated.imageModeration?.status === 'rejected')
+            ) {
               if (import.meta.env.MODE === 'development') {
                 console.log(`✅ Image detected in poll for ${newMessage._id}`)
               }
@@ -194,6 +361,18 @@ export const useChatStore = create((set, get) => ({
     // Remove old listeners to prevent duplicates (memory leak fix)
     socket.off('newMessage')
     socket.off('chatCleared')
+    socket.off('messageDelivered')
+    socket.off('messagesRead')
+    socket.off('messageEdited')
+    socket.off('messageDeleted')
+    socket.off('typing:start')
+    socket.off('typing:stop')
+
+    const clearTypingUser = (userId) => {
+      clearTimeout(typingDisplayTimers.get(userId))
+      typingDisplayTimers.delete(userId)
+      set({ typingUserIds: get().typingUserIds.filter((id) => id !== userId) })
+    }
 
     const handleNewMessage = (newMessage, ack) => {
       const currentState = get()
@@ -206,8 +385,95 @@ export const useChatStore = create((set, get) => ({
           messages: [...currentState.messages, newMessage],
         })
       }
+      // A message arriving means the sender stopped typing
+      if (newMessage.senderId === selectedUser?._id) {
+        clearTypingUser(selectedUser.user_id)
+      }
 
       if (typeof ack === 'function') ack(true)
+
+      if (isMessageForCurrentChat && newMessage.senderId === selectedUser?._id) {
+        get().markConversationRead()
+      }
+    }
+
+    const handleTypingStart = ({ userId } = {}) => {
+      if (!userId) return
+      if (!get().typingUserIds.includes(userId)) {
+        set({ typingUserIds: [...get().typingUserIds, userId] })
+      }
+      clearTimeout(typingDisplayTimers.get(userId))
+      typingDisplayTimers.set(
+        userId,
+        setTimeout(() => clearTypingUser(userId), TYPING_DISPLAY_TIMEOUT_MS)
+      )
+    }
+
+    const handleTypingStop = ({ userId } = {}) => {
+      if (userId) clearTypingUser(userId)
+    }
+
+    // Our message(s) reached the other user's client
+    const handleMessageDelivered = (data) => {
+      const { messageId, receiverId, deliveredAt } = data || {}
+      set({
+        messages: get().messages.map((msg) => {
+          const matches = messageId
+            ? msg._id === messageId
+            : msg.receiverId === receiverId
+          return matches && !msg.deliveredAt ? { ...msg, deliveredAt } : msg
+        }),
+      })
+    }
+
+    // The other user read the conversation
+    const handleMessagesRead = (data) => {
+      const { readerId, readAt } = data || {}
+      set({
+        messages: get().messages.map((msg) =>
+          msg.receiverId === readerId && !msg.readAt
+            ? { ...msg, readAt, deliveredAt: msg.deliveredAt || readAt }
+            : msg
+        ),
+      })
+    }
+
+    // The other user edited or unsent one of their messages
+    const handleMessageEdited = ({ messageId, text, editedAt } = {}) => {
+      get().applyMessageChanges(messageId, { text, editedAt })
+    }
+
+    const handleMessageDeleted = ({ messageId, deletedAt } = {}) => {
+      get().applyMessageChanges(messageId, { text: '', image: null, deletedAt })
+    }
+
+    // An image in this chat failed moderation - it will never be shown
+    const handleImageRejected = ({ messageId } = {}) => {
+      if (pollTimers.has(messageId)) {
+        clearInterval(pollTimers.get(messageId))
+        pollTimers.delete(messageId)
+      }
+      const rejected = get().messages.find((message) => message._id === messageId)
+      get().applyMessageChanges(messageId, {
+        image: null,
+        imageModeration: { status: 'rejected' },
+      })
+
+      // The server refunds the credit for a rejected image
+      const authState = useAuthStore.getState()
+      if (
+        rejected &&
+        authState.user &&
+        rejected.senderId === authState.user._id &&
+        authState.user.subscription === 'free'
+      ) {
+        useAuthStore.setState({
+          user: {
+            ...authState.user,
+            messageCredits: (authState.user.messageCredits || 0) + 1,
+          },
+        })
+      }
     }
 
     const handleChatCleared = (data, ack) => {
@@ -215,6 +481,7 @@ export const useChatStore = create((set, get) => ({
       if (data && data.userId === selectedUser._id) {
         set({
           messages: [],
+          hasMoreMessages: false,
         })
         try {
           if (toast && typeof toast.info === 'function') {
@@ -244,7 +511,7 @@ export const useChatStore = create((set, get) => ({
       }
       setTimeout(async () => {
         try {
-          await get().getMessages(currentSelectedUser._id)
+          await get().fetchNewMessages(currentSelectedUser._id)
           if (import.meta.env.MODE === 'development') {
             console.log('✅ Messages fetched after reconnect')
           }
@@ -280,10 +547,24 @@ export const useChatStore = create((set, get) => ({
     socket.on('newMessage', handleNewMessage)
     socket.on('chatCleared', handleChatCleared)
     socket.on('messageImageUpdated', handleImageUpdated)
+    socket.on('messageDelivered', handleMessageDelivered)
+    socket.on('messagesRead', handleMessagesRead)
+    socket.on('messageEdited', handleMessageEdited)
+    socket.on('messageDeleted', handleMessageDeleted)
+    socket.on('messageImageRejected', handleImageRejected)
+    socket.on('typing:start', handleTypingStart)
+    socket.on('typing:stop', handleTypingStop)
     socket.on('connect', handleReconnect)
     
     reconnectHandler = handleReconnect
     imageUpdateHandler = handleImageUpdated
+    deliveredHandler = handleMessageDelivered
+    readHandler = handleMessagesRead
+    editedHandler = handleMessageEdited
+    deletedHandler = handleMessageDeleted
+    imageRejectedHandler = handleImageRejected
+    typingStartHandler = handleTypingStart
+    typingStopHandler = handleTypingStop
     
     if (import.meta.env.MODE === 'development') {
       console.log('✅ Socket listeners registered, including messageImageUpdated')
@@ -296,7 +577,7 @@ export const useChatStore = create((set, get) => ({
     
     const interval = setInterval(async () => {
       try {
-        await get().getMessages(selectedUser._id)
+        await get().fetchNewMessages(selectedUser._id)
       } catch (error) {
         console.error('Periodic message refresh failed:', error)
       }
@@ -323,6 +604,38 @@ export const useChatStore = create((set, get) => ({
       socket.off('messageImageUpdated', imageUpdateHandler)
       imageUpdateHandler = null
     }
+    if (deliveredHandler) {
+      socket.off('messageDelivered', deliveredHandler)
+      deliveredHandler = null
+    }
+    if (readHandler) {
+      socket.off('messagesRead', readHandler)
+      readHandler = null
+    }
+    if (editedHandler) {
+      socket.off('messageEdited', editedHandler)
+      editedHandler = null
+    }
+    if (deletedHandler) {
+      socket.off('messageDeleted', deletedHandler)
+      deletedHandler = null
+    }
+    if (imageRejectedHandler) {
+      socket.off('messageImageRejected', imageRejectedHandler)
+      imageRejectedHandler = null
+    }
+    if (typingStartHandler) {
+      socket.off('typing:start', typingStartHandler)
+      typingStartHandler = null
+    }
+    if (typingStopHandler) {
+      socket.off('typing:stop', typingStopHandler)
+      typingStopHandler = null
+    }
+    get().stopTyping()
+    typingDisplayTimers.forEach((timer) => clearTimeout(timer))
+    typingDisplayTimers.clear()
+    set({ typingUserIds: [] })
     
     // Clean up message refresh interval for this user
     if (selectedUser && messageRefreshIntervals.has(selectedUser._id)) {
@@ -337,6 +650,53 @@ export const useChatStore = create((set, get) => ({
     })
   },
 
+  applyMessageChanges: (messageId, changes) => {
+    if (!messageId) return
+    set({
+      messages: get().messages.map((msg) =>
+        msg._id === messageId ? { ...msg, ...changes } : msg
+      ),
+    })
+  },
+
+  // Edit the text of one of my messages (server enforces the edit window)
+  editMessage: async (messageId, text) => {
+    try {
+      await ensureCsrfToken()
+      const res = await axiosInstance.patch(`/api/messages/message/${messageId}`, {
+        text,
+      })
+      const { text: savedText, editedAt } = res.data.data
+      get().applyMessageChanges(messageId, { text: savedText, editedAt })
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to edit message'))
+      return false
+    }
+  },
+
+  // Unsend one of my messages - it stays in the chat as "Message unsent"
+  unsendMessage: async (messageId) => {
+    try {
+      await ensureCsrfToken()
+      const res = await axiosInstance.delete(`/api/messages/message/${messageId}`)
+      // No image will arrive for an unsent message
+      if (pollTimers.has(messageId)) {
+        clearInterval(pollTimers.get(messageId))
+        pollTimers.delete(messageId)
+      }
+      get().applyMessageChanges(messageId, {
+        text: '',
+        image: null,
+        deletedAt: res.data.data.deletedAt,
+      })
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to unsend message'))
+      return false
+    }
+  },
+
   clearMessages: async () => {
     const { selectedUser } = get()
     if (!selectedUser) return
@@ -344,7 +704,7 @@ export const useChatStore = create((set, get) => ({
     try {
       await ensureCsrfToken()
       await axiosInstance.delete(`/api/messages/${selectedUser._id}`)
-      set({ messages: [] })
+      set({ messages: [], hasMoreMessages: false })
       toast.success('Chat cleared successfully')
     } catch (error) {
       const msg = getErrorMessage(error, 'Failed to clear chat')
@@ -353,7 +713,7 @@ export const useChatStore = create((set, get) => ({
   },
 
   setSelectedUser: async (selectedUser) => {
-    set({ selectedUser })
+    set({ selectedUser, hasMoreMessages: false })
     if (selectedUser) {
       setTimeout(async () => {
         try {
@@ -0,0 +1,158 @@
+import { create } from 'zustand'
+import toast from 'react-hot-toast'
+import axiosInstance from '../config/axiosInstance'
+import { useAuthStore } from './useAuthStore'
+import { getErrorMessage } from '../utilities/axiosUtils.js'
+import { ensureCsrfToken } from '../services/csrfService.js'
+import { trackMeetupScheduled } from '../services/analyticsService.js'
+
+let meetupUpdatedHandler = null
+
+// Keep upcoming proposed/accepted meetups only, soonest first (same as the API)
+const upsertMeetup = (meetups, meetup, replacedMeetupId) => {
+  const others = meetups.filter(
+    (m) => m._id !== meetup._id && m._id !== replacedMeetupId
+  )
+  const next = ['proposed', 'accepted'].includes(meetup.status)
+    ? [...others, meetup]
+    : others
+  return next.sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+}
+
+export const useMeetupStore = create((set, get) => ({
+  meetups: [],
+  meetupsUserId: null, // _id of the user the loaded meetups are with
+  isLoading: false,
+  isSubmitting: false,
+
+  fetchMeetups: async (userId) => {
+    set({ isLoading: true, meetupsUserId: userId })
+    try {
+      const res = await axiosInstance.get(`/api/meetups/with/${userId}`)
+      if (get().meetupsUserId === userId) {
+        set({ meetups: res.data.data.meetups })
+      }
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to load meetups'))
+    } finally {
+      set({ isLoading: false })
+    }
+  },
+
+  // details: { startsAt (ISO string), timeZone, placeName, latitude, longitude, meetupType }
+  proposeMeetup: async (receiverId, details) => {
+    set({ isSubmitting: true })
+    try {
+      await ensureCsrfToken()
+      const res = await axiosInstance.post('/api/meetups', {
+        receiverId,
+        ...details,
+      })
+      set({ meetups: upsertMeetup(get().meetups, res.data.data.meetup) })
+      toast.success('Meetup proposed')
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to propose meetup'))
+      return false
+    } finally {
+      set({ isSubmitting: false })
+    }
+  },
+
+  respondToMeetup: async (meetupId, action) => {
+    set({ isSubmitting: true })
+    try {
+      await ensureCsrfToken()
+      const res = await axiosInstance.post(`/api/meetups/${meetupId}/${action}`)
+      const { meetup } = res.data.data
+      set({ meetups: upsertMeetup(get().meetups, meetup) })
+      if (action === 'accept') {
+        trackMeetupScheduled(meetup.meetupType)
+        toast.success('Meetup accepted')
+      }
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, `Failed to ${action} meetup`))
+      return false
+    } finally {
+      set({ isSubmitting: false })
+    }
+  },
+
+  counterMeetup: async (meetupId, details) => {
+    set({ isSubmitting: true })
+    try {
+      await ensureCsrfToken()
+      const res = await axiosInstance.post(
+        `/api/meetups/${meetupId}/counter`,
+        details
+      )
+      const { meetup, replacedMeetupId } = res.data.data
+      set({ meetups: upsertMeetup(get().meetups, meetup, replacedMeetupId) })
+      toast.success('Counter-proposal sent')
+      return true
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to send counter-proposal'))
+      return false
+    } finally {
+      set({ isSubmitting: false })
+    }
+  },
+
+  // Download an accepted meetup as an .ics file
+  downloadCalendar: async (meetup) => {
+    try {
+      const res = await axiosInstance.get(`/api/meetups/${meetup._id}/ics`, {
+        responseType: 'blob',
+      })
+      const url = URL.createObjectURL(res.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `woof-meetup-${meetup.startsAt.slice(0, 10)}.ics`
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to download calendar file'))
+    }
+  },
+
+  // Live updates when the other user proposes, answers or counters
+  subscribeToMeetups: () => {
+    const socket = useAuthStore.getState().socket
+    if (!socket) return
+
+    get().unsubscribeFromMeetups()
+
+    meetupUpdatedHandler = ({ meetup, replacedMeetupId } = {}) => {
+      if (!meetup) return
+      const withUserId = get().meetupsUserId
+      if (meetup.proposedBy !== withUserId && meetup.proposedTo !== withUserId) {
+        return
+      }
+      set({ meetups: upsertMeetup(get().meetups, meetup, replacedMeetupId) })
+
+      if (meetup.status === 'accepted') {
+        toast.success('Your meetup was accepted')
+      } else if (meetup.status === 'declined') {
+        toast('Your meetup was declined')
+      } else if (replacedMeetupId) {
+        toast('You received a counter-proposal')
+      } else {
+        toast('You received a meetup proposal')
+      }
+    }
+    socket.on('meetupUpdated', meetupUpdatedHandler)
+  },
+
+  unsubscribeFromMeetups: () => {
+    const socket = useAuthStore.getState().socket
+    if (socket && meetupUpdatedHandler) {
+      socket.off('meetupUpdated', meetupUpdatedHandler)
+    }
+    meetupUpdatedHandler = null
+  },
+
+  resetMeetups: () => set({ meetups: [], meetupsUserId: null }),
+}))
@@ -11,6 +11,8 @@ import {
 
 export const usePaymentStore = create((set, get) => ({
   subscription: null,
+  entitlements: null,
+  subscriptionOffer: null, // { trialDays: { premium, vip }, referralDiscount }
   creditPackages: null,
   paymentHistory: [],
   isLoading: false,
@@ -35,8 +37,21 @@ export const usePaymentStore = create((set, get) => ({
     }
   },
 
+  // Fetch the free trial and referral discount offered at checkout
+  fetchSubscriptionOffer: async () => {
+    try {
+      const response = await axiosInstance.get(
+        '/api/payments/subscription-offer'
+      )
+      set({ subscriptionOffer: response.data.data.offer })
+      return response.data.data.offer
+    } catch (error) {
+      set({ error: getErrorMessage(error, 'Error fetching subscription offer') })
+    }
+  },
+
   // Create subscription checkout
-  createSubscriptionCheckout: async (planType) => {
+  createSubscriptionCheckout: async (planType, promoCode) => {
     set({ isLoading: true, error: null })
     try {
       await ensureCsrfToken()
@@ -44,6 +59,7 @@ export const usePaymentStore = create((set, get) => ({
         '/api/payments/create-subscription-checkout',
         {
           planType,
+          ...(promoCode && { promoCode }),
         }
       )
 
@@ -61,7 +77,12 @@ export const usePaymentStore = create((set, get) => ({
         error: msg,
         isLoading: false,
       })
-      toast.error('Failed to create checkout session')
+      // 400s explain what to fix, e.g. an invalid promo code
+      if (error.response?.status === 400) {
+        toast.error(msg)
+      } else {
+        toast.error('Failed to create checkout session')
+      }
     }
   },
 
@@ -175,6 +196,18 @@ export const usePaymentStore = create((set, get) => ({
     }
   },
 
+  // Fetch message credits and today's swipe and like quotas
+  // No isLoading toggle: the header refreshes this whenever the menu opens
+  fetchEntitlements: async () => {
+    try {
+      const response = await axiosInstance.get('/api/payments/entitlements')
+      set({ entitlements: response.data.data.entitlements })
+      return response.data.data.entitlements
+    } catch (error) {
+      set({ error: getErrorMessage(error, 'Error fetching entitlements') })
+    }
+  },
+
   // Fetch credit packages
   fetchCreditPackages: async () => {
     set({ isLoading: true, error: null })
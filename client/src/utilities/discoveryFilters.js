@@ -0,0 +1,105 @@
+/**
+ * Discovery filter helpers shared by the Dashboard filter panel and useDashboardData
+ * Filters are kept as { breed, size: [], minDogAge, maxDogAge, minOwnerAge, maxOwnerAge, hasPhoto }
+ * and sent to GET /api/auth/meetup-type-users as query parameters.
+ */
+
+export const DISCOVERY_FILTER_KEYS = [
+  'breed',
+  'size',
+  'minDogAge',
+  'maxDogAge',
+  'minOwnerAge',
+  'maxOwnerAge',
+  'hasPhoto',
+]
+
+export const DOG_SIZES = ['small', 'medium', 'large', 'giant']
+
+export const EMPTY_DISCOVERY_FILTERS = {
+  breed: '',
+  size: [],
+  minDogAge: '',
+  maxDogAge: '',
+  minOwnerAge: '',
+  maxOwnerAge: '',
+  hasPhoto: false,
+}
+
+const NUMERIC_KEYS = ['minDogAge', 'maxDogAge', 'minOwnerAge', 'maxOwnerAge']
+
+/**
+ * Reads filters from URL search params
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} Filters with empty defaults for missing values
+ */
+export const filtersFromSearchParams = (searchParams) => ({
+  ...EMPTY_DISCOVERY_FILTERS,
+  breed: searchParams.get('breed') || '',
+  size: (searchParams.get('size') || '').split(',').filter(Boolean),
+  minDogAge: searchParams.get('minDogAge') || '',
+  maxDogAge: searchParams.get('maxDogAge') || '',
+  minOwnerAge: searchParams.get('minOwnerAge') || '',
+  maxOwnerAge: searchParams.get('maxOwnerAge') || '',
+  hasPhoto: searchParams.get('hasPhoto') === 'true',
+})
+
+/**
+ * Converts filters to query parameters, leaving out anything unset
+ * @param {Object} filters
+ * @returns {Object} e.g. { breed: 'beagle', size: 'small,medium', hasPhoto: 'true' }
+ */
+export const filtersToQueryParams = (filters = {}) => {
+  const params = {}
+  if (filters.breed?.trim()) params.breed = filters.breed.trim()
+  if (filters.size?.length) params.size = filters.size.join(',')
+  NUMERIC_KEYS.forEach((key) => {
+    if (filters[key] !== '' && filters[key] !== undefined && filters[key] !== null) {
+      params[key] = String(filters[key])
+    }
+  })
+  if (filters.hasPhoto) params.hasPhoto = 'true'
+  return params
+}
+
+/**
+ * Converts filters to the body shape saved with a preset (numbers, arrays, booleans)
+ * @param {Object} filters
+ * @returns {Object}
+ */
+export const filtersToPreset = (filters = {}) => {
+  const preset = {}
+  if (filters.breed?.trim()) preset.breed = filters.breed.trim()
+  if (filters.size?.length) preset.size = filters.size
+  NUMERIC_KEYS.forEach((key) => {
+    if (filters[key] !== '' && filters[key] !== undefined && filters[key] !== null) {
+      preset[key] = Number(filters[key])
+    }
+  })
+  if (filters.hasPhoto) preset.hasPhoto = true
+  return preset
+}
+
+/**
+ * Converts a saved preset back into editable filters
+ * @param {Object} presetFilters
+ * @returns {Object}
+ */
+export const presetToFilters = (presetFilters = {}) => ({
+  ...EMPTY_DISCOVERY_FILTERS,
+  breed: presetFilters.breed || '',
+  size: presetFilters.size || [],
+  minDogAge: presetFilters.minDogAge ?? '',
+  maxDogAge: presetFilters.maxDogAge ?? '',
+  minOwnerAge: presetFilters.minOwnerAge ?? '',
+  maxOwnerAge: presetFilters.maxOwnerAge ?? '',
+  hasPhoto: Boolean(presetFilters.hasPhoto),
+})
+
+/**
+ * Counts the filters that are set (for the Filters button badge)
+ * @param {Object} filters
+ * @returns {number}
+ */
+export const countActiveFilters = (filters = {}) =>
+  Object.keys(filtersToQueryParams(filters)).length
@@ -0,0 +1,13 @@
+/**
+ * Formats every dog name in a household for display
+ * e.g. "Max", "Max & Bella", "Max, Bella & Rex"
+ * Falls back to the legacy dogs_name field for profiles without a dogs array
+ * @param {Object} profile - User profile with optional dogs array
+ * @returns {string} - The formatted names
+ */
+export const formatDogNames = (profile) => {
+  const names = (profile?.dogs || []).map((dog) => dog.name).filter(Boolean)
+  if (names.length === 0) return profile?.dogs_name || ''
+  if (names.length === 1) return names[0]
+  return `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`
+}
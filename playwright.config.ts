@@ -76,6 +76,8 @@ export default defineConfig({
     {
       command: 'npm run server',
       url: 'http://localhost:8000',
+      // Image and text moderation without network access unless a provider is chosen explicitly
+      env: { MODERATION_PROVIDER: process.env.MODERATION_PROVIDER || 'stub' },
       reuseExistingServer: !process.env.CI,
       timeout: 120000,
     },
@@ -23,24 +23,83 @@ export const SUBSCRIPTION_TYPES = {
   VIP: 'vip',
 }
 
+// Plan entitlements, enforced by services/entitlement.service.js. Daily quotas (null = unlimited)
+// reset at midnight in the user's time zone. Paid plans are granted messageCredits on every
+// paid invoice; free accounts start with the User model's signup credits.
 export const SUBSCRIPTION_BENEFITS = {
   [SUBSCRIPTION_TYPES.FREE]: {
     messageCredits: 3,
-    matchesPerDay: 10,
+    matchesPerDay: 10, // right swipes
+    likesPerDay: 10, // profile likes
+    swipeUndosPerDay: 0, // undo is a paid feature
     description: 'Free tier - limited messages',
   },
   [SUBSCRIPTION_TYPES.PREMIUM]: {
     messageCredits: 100,
     matchesPerDay: null, // unlimited
+    likesPerDay: null,
+    swipeUndosPerDay: 10,
     description: 'Premium subscription',
   },
   [SUBSCRIPTION_TYPES.VIP]: {
     messageCredits: 500,
     matchesPerDay: null, // unlimited
+    likesPerDay: null,
+    swipeUndosPerDay: 50,
     description: 'VIP membership',
   },
 }
 
+// Daily quotas: counter on User.dailyUsage -> SUBSCRIPTION_BENEFITS limit
+export const DAILY_QUOTAS = {
+  RIGHT_SWIPES: { counter: 'rightSwipes', benefit: 'matchesPerDay' },
+  LIKES: { counter: 'likes', benefit: 'likesPerDay' },
+  SWIPE_UNDOS: { counter: 'swipeUndos', benefit: 'swipeUndosPerDay' },
+}
+
+// ============================================================================
+// MESSAGE CREDIT LEDGER
+// ============================================================================
+// Every change to User.messageCredits is an append-only CreditLedgerEntry; the User field is a
+// cached balance that /api/admin/credits/reconcile checks against the ledger sum
+export const CREDIT_LEDGER_TYPES = {
+  OPENING: 'opening', // balance a user had before the ledger existed, or signup credits
+  GRANT: 'grant', // monthly plan credits
+  PURCHASE: 'purchase', // credit packs bought through Stripe checkout
+  SPEND: 'spend', // one sent message
+  REFUND: 'refund', // credits given back (e.g. a message that failed to save)
+  ADJUSTMENT: 'adjustment', // admin grants/revokes and plan resets
+  VOID: 'void', // remaining balance removed on account deletion
+  CLAWBACK: 'clawback', // credits removed after a Stripe refund or dispute
+}
+
+export const CREDIT_LEDGER_CONFIG = {
+  FREE_TIER_RESET_CREDITS: 10, // balance a canceled subscription falls back to
+  ACCOUNT_ENTRIES_LIMIT: 50, // most recent ledger entries shown on an admin account view
+  RECONCILE_BATCH_SIZE: 500,
+  MAX_DRIFT_REPORTED: 100,
+}
+
+// ============================================================================
+// STRIPE WEBHOOK EVENT STORE
+// ============================================================================
+export const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: 'received', // stored, not yet handled
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed', // retried by jobs/webhookRetry.job.js, or replayed by an admin
+}
+
+export const WEBHOOK_EVENT_CONFIG = {
+  MAX_AUTO_ATTEMPTS: 5, // the retry job gives up after this many; admins can still replay
+  RETRY_DELAY_MINUTES: 10, // doubled after every failed attempt
+  STUCK_AFTER_MINUTES: 15, // received/processing this long means the server died mid-event
+  RETRY_BATCH_SIZE: 50,
+  PROCESSED_RETENTION_DAYS: 90, // failed events are kept until they succeed
+  MAX_ERROR_LENGTH: 2000,
+  EVENT_ID_PATTERN: /^evt_[A-Za-z0-9]+$/,
+}
+
 // ============================================================================
 // IMAGE UPLOAD CONFIGURATION
 // ============================================================================
@@ -59,6 +118,16 @@ export const IMAGE_VALIDATION = {
   PROFILE_IMAGE_SIZE: 800,
 }
 
+// ============================================================================
+// DOG PROFILES (multi-dog households)
+// ============================================================================
+export const DOG_PROFILE = {
+  MAX_DOGS: 5,
+  MAX_PHOTOS_PER_DOG: 6,
+  MAX_DETECTED_BREEDS: 3,
+  SIZES: ['small', 'medium', 'large', 'giant'],
+}
+
 // ============================================================================
 // USER STATUSES
 // ============================================================================
@@ -76,15 +145,275 @@ export const MESSAGE_CONFIG = {
   MAX_LENGTH: 2000,
   MIN_LENGTH: 1,
   TYPING_INDICATOR_TIMEOUT: 3000, // 3 seconds
+  TYPING_THROTTLE_MS: 2000, // relay at most one typing:start per socket and receiver in this window
+  TYPING_MAX_EVENTS_PER_WINDOW: 300, // per event, per socket, per rate limiter window (5 minutes)
+  HISTORY_PAGE_SIZE: 30, // messages per page when scrolling back through a conversation
+  PREVIEW_LENGTH: 100, // characters kept in Conversation.lastMessage
+  DELIVERY_ACK_TIMEOUT: 10000, // 10 seconds for the receiver's client to acknowledge newMessage
+  EDIT_WINDOW_MS: 15 * 60 * 1000, // senders can edit a text message for 15 minutes
+}
+
+// Chat images are screened with checkImage before the receiver can see them
+export const IMAGE_MODERATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+}
+
+// ============================================================================
+// CONTENT MODERATION PROVIDERS
+// ============================================================================
+// Selected with MODERATION_PROVIDER. Without it, OpenAI is used when OPENAI_API_KEY is set
+// (always in production) and the offline local classifier otherwise.
+export const MODERATION_PROVIDERS = {
+  OPENAI: 'openai', // OpenAI vision + moderation APIs
+  LOCAL: 'local', // offline heuristics, no network access
+  STUB: 'stub', // fixed verdicts for tests, never allowed in production
+}
+
+export const MODERATION_CONFIG = {
+  OPENAI_VISION_MODEL: 'gpt-4o-mini',
+  OPENAI_TEXT_MODEL: 'omni-moderation-latest',
+  // Local classifier: share of skin-toned pixels above which an image is queued for review
+  LOCAL_SKIN_RATIO_THRESHOLD: 0.6,
+  LOCAL_SAMPLE_SIZE: 64, // images are downscaled to this many pixels square before sampling
+  // Stub provider: 'allow' passes everything, 'flag' rejects everything
+  STUB_VERDICT: process.env.MODERATION_STUB_VERDICT === 'flag' ? 'flag' : 'allow',
+}
+
+// ============================================================================
+// TEXT MODERATION (message text and profile about/userAbout)
+// ============================================================================
+// What happens to text that matches a rule. The strictest matching action wins.
+export const TEXT_MODERATION_ACTIONS = {
+  BLOCK: 'block', // reject the message or profile update
+  MASK: 'mask', // replace the matched text with MASK_CHARACTER
+  FLAG: 'flag', // keep the text as is and queue it for admin review
+  OFF: 'off', // rule disabled
+}
+
+export const TEXT_MODERATION_CONTEXTS = {
+  MESSAGE: 'message',
+  PROFILE: 'profile',
+}
+
+export const CONTENT_FLAG_STATUS = {
+  OPEN: 'open',
+  REVIEWED: 'reviewed',
+  DISMISSED: 'dismissed',
+}
+
+// Default rules. Actions can be overridden per rule id with TEXT_MODERATION_RULE_ACTIONS, a JSON
+// object such as {"link":"block","payment_app":"off"}. `classifier` runs the moderation
+// provider's checkText; every other rule is a pattern. earlyMessagesOnly rules only apply to
+// the first EARLY_MESSAGE_COUNT messages between two users.
+export const TEXT_MODERATION_RULES = [
+  {
+    id: 'slur',
+    category: 'hate',
+    action: TEXT_MODERATION_ACTIONS.BLOCK,
+    contexts: [TEXT_MODERATION_CONTEXTS.MESSAGE, TEXT_MODERATION_CONTEXTS.PROFILE],
+    pattern:
+      /\b(f[a@]gg?[o0]ts?|n[i1]gg(er|a)s?|retard(ed|s)?|tr[a@]nn(y|ies)|sp[i1]cs?|k[i1]kes?)\b/gi,
+  },
+  {
+    id: 'profanity',
+    category: 'profanity',
+    action: TEXT_MODERATION_ACTIONS.MASK,
+    contexts: [TEXT_MODERATION_CONTEXTS.MESSAGE, TEXT_MODERATION_CONTEXTS.PROFILE],
+    pattern:
+      /\b(f+u+c+k+(ing|er|ed)?|sh[i1]t+(ty)?|bitch(es)?|cunt|asshole|dick(head)?|motherfucker)\b/gi,
+  },
+  {
+    id: 'classifier',
+    category: 'harassment',
+    action: TEXT_MODERATION_ACTIONS.FLAG,
+    contexts: [TEXT_MODERATION_CONTEXTS.MESSAGE, TEXT_MODERATION_CONTEXTS.PROFILE],
+  },
+  {
+    id: 'phone_number',
+    category: 'contact_info',
+    action: TEXT_MODERATION_ACTIONS.MASK,
+    contexts: [TEXT_MODERATION_CONTEXTS.MESSAGE, TEXT_MODERATION_CONTEXTS.PROFILE],
+    earlyMessagesOnly: true,
+    pattern: /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g,
+  },
+  {
+    id: 'email_address',
+    category: 'contact_info',
+    action: TEXT_MODERATION_ACTIONS.MASK,
+    contexts: [TEXT_MODERATION_CONTEXTS.MESSAGE, TEXT_MODERATION_CONTEXTS.PROFILE],
+    earlyMessagesOnly: true,
+    pattern: /[\w.+-]+\s*(?:@|\(at\)|\[at\])\s*[\w-]+\s*(?:\.|\(dot\)|\[dot\])\s*[a-z]{2,}/gi,
+  },
+  {
+    id: 'link',
+    category: 'contact_info',
+    action: TEXT_MODERATION_ACTIONS.MASK,
+    contexts: [TEXT_MODERATION_CONTEXTS.MESSAGE, TEXT_MODERATION_CONTEXTS.PROFILE],
+    earlyMessagesOnly: true,
+    pattern:
+      /\b(?:https?:\/\/|www\.)\S+|\b[\w-]+\.(?:com|net|org|io|co|me|ly|app|link)\b(?:\/\S*)?/gi,
+  },
+  {
+    id: 'payment_app',
+    category: 'scam',
+    action: TEXT_MODERATION_ACTIONS.FLAG,
+    contexts: [TEXT_MODERATION_CONTEXTS.MESSAGE, TEXT_MODERATION_CONTEXTS.PROFILE],
+    earlyMessagesOnly: true,
+    pattern:
+      /\b(venmo|cash\s?app|zelle|paypal|western union|moneygram|gift\s?cards?|bitcoin|crypto|wire transfer)\b/gi,
+  },
+]
+
+export const TEXT_MODERATION_CONFIG = {
+  EARLY_MESSAGE_COUNT: 10, // messages between two users that earlyMessagesOnly rules cover
+  MASK_CHARACTER: '*',
+  MAX_EXCERPT_LENGTH: 500, // characters of the original text kept on a ContentFlag
+}
+
+// ============================================================================
+// WEB PUSH NOTIFICATIONS
+// ============================================================================
+// Likes, matches and messages are pushed when the user has no live socket
+export const PUSH_CONFIG = {
+  MAX_SUBSCRIPTIONS_PER_USER: 10, // oldest browser subscriptions are dropped beyond this
+  TTL_SECONDS: 24 * 60 * 60, // push service keeps undelivered notifications for a day
+  MAX_BODY_LENGTH: 120, // characters of message text shown in a notification
+  DEFAULT_SUBJECT: 'mailto:woofmeetup@outlook.com', // VAPID contact when VAPID_SUBJECT is unset
+}
+
+// ============================================================================
+// NOTIFICATION PREFERENCES
+// ============================================================================
+export const NOTIFICATION_EVENTS = {
+  LIKE: 'like',
+  MATCH: 'match',
+  MESSAGE: 'message',
+}
+
+export const NOTIFICATION_CHANNELS = {
+  EMAIL: 'email',
+  PUSH: 'push',
+  IN_APP: 'inApp', // toast while the app is open
+}
+
+export const EMAIL_DIGEST_MODES = {
+  INSTANT: 'instant',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+}
+
+// Channels each event supports, with the defaults for users who never saved preferences.
+// Messages have no in-app toggle: chat messages are always delivered to an open app.
+export const NOTIFICATION_DEFAULTS = {
+  like: { email: true, push: true, inApp: true },
+  match: { email: true, push: true, inApp: true },
+  message: { email: false, push: true },
+}
+
+export const NOTIFICATION_DIGEST_CONFIG = {
+  DAILY_INTERVAL_HOURS: 24,
+  WEEKLY_INTERVAL_HOURS: 24 * 7,
+  MAX_ITEMS_PER_EMAIL: 50, // older items beyond this are summarized as a count
+  PENDING_TTL_DAYS: 30, // undelivered digest items are dropped after this
+}
+
+// ============================================================================
+// EMAIL UNSUBSCRIBE
+// ============================================================================
+// Every email carries a signed List-Unsubscribe link for one of these categories. Account
+// emails (verification, password reset, billing) are always sent; their link unsubscribes
+// the address from every other category (ALL).
+export const EMAIL_CATEGORIES = {
+  LIKES: 'likes',
+  MATCHES: 'matches',
+  DIGEST: 'digest',
+  MEETUP_REMINDERS: 'meetup_reminders',
+  ALL: 'all',
+}
+
+export const UNSUBSCRIBE_CONFIG = {
+  TOKEN_TTL_DAYS: 90, // links in old emails stop working after this
+  TOKEN_AUDIENCE: 'email-unsubscribe',
 }
 
 // ============================================================================
 // MATCH STATUS
 // ============================================================================
 export const MATCH_STATUS = {
-  PENDING: 'pending',
-  MATCHED: 'matched',
+  PENDING: 'pending', // one side swiped right
+  MUTUAL: 'mutual', // both sides swiped right
   UNMATCHED: 'unmatched',
+  BLOCKED: 'blocked',
+}
+
+// ============================================================================
+// MEETUPS (playdates scheduled from chat)
+// ============================================================================
+export const MEETUP_STATUS = {
+  PROPOSED: 'proposed', // waiting for the other user
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  COUNTERED: 'countered', // replaced by a counter-proposal (see Meetup.counterOf)
+}
+
+export const MEETUP_CONFIG = {
+  TYPES: ['Play Dates', 'Exercise Buddy', 'Walk Companion'],
+  DURATION_MINUTES: 60, // event length in the .ics export
+  MAX_DAYS_AHEAD: 90,
+  MAX_PLACE_NAME_LENGTH: 120,
+  REMINDER_LEAD_HOURS: 24, // reminder email goes out this long before startsAt
+}
+
+// ============================================================================
+// USER REPORTS (moderation queue)
+// ============================================================================
+export const REPORT_STATUS = {
+  OPEN: 'open',
+  IN_REVIEW: 'in_review', // triaged by an admin
+  RESOLVED: 'resolved', // action taken
+  DISMISSED: 'dismissed', // no action needed
+}
+
+export const REPORT_CONFIG = {
+  REASONS: ['spam', 'harassment', 'inappropriate_content', 'fake_profile', 'underage', 'other'],
+  // Reasons that start at high priority in the queue
+  HIGH_PRIORITY_REASONS: ['harassment', 'underage'],
+  PRIORITIES: ['low', 'normal', 'high'],
+  ACTIONS: ['none', 'warning', 'content_removed', 'account_suspended'],
+  MAX_DETAILS_LENGTH: 1000,
+  MAX_EVIDENCE_IDS: 20,
+}
+
+// ============================================================================
+// ADMIN CONSOLE
+// ============================================================================
+export const ADMIN_AUDIT_ACTIONS = {
+  USER_SUSPENDED: 'user_suspended',
+  USER_UNSUSPENDED: 'user_unsuspended',
+  CREDITS_GRANTED: 'credits_granted',
+  CREDITS_REVOKED: 'credits_revoked',
+  CREDITS_RECONCILED: 'credits_reconciled',
+  WEBHOOK_EVENT_REPLAYED: 'webhook_event_replayed',
+  REPORT_TRIAGED: 'report_triaged',
+  REPORT_RESOLVED: 'report_resolved',
+  CONTENT_FLAG_REVIEWED: 'content_flag_reviewed',
+}
+
+export const ADMIN_CONFIG = {
+  // User search matches email, userName or user_id
+  SEARCH_PATTERN: /^[\w@.+\-' ]+$/,
+  MAX_SEARCH_LENGTH: 100,
+  MAX_CREDIT_ADJUSTMENT: 1000,
+  MAX_REASON_LENGTH: 500,
+  ACCOUNT_TRANSACTIONS_LIMIT: 50, // most recent transactions shown on an account
+  DEFAULT_STATS_DAYS: 30,
+  MAX_STATS_DAYS: 365,
+  // verifyToken caches suspension state per user; other server instances see a suspension
+  // within this window (the instance that made it sees it at once)
+  SUSPENSION_CACHE_TTL_MS: 30 * 1000,
+  SUSPENSION_CACHE_MAX_ENTRIES: 10000,
 }
 
 // ============================================================================
@@ -182,6 +511,18 @@ export const STRIPE_SUBSCRIPTION_NAMES = {
   [SUBSCRIPTION_TYPES.VIP]: 'VIP Subscription',
 }
 
+// Free trial length in days per paid plan (0 = no trial). Only an account's first subscription
+// gets a trial; the first paid invoice after it grants the plan's message credits.
+export const SUBSCRIPTION_TRIAL_DAYS = {
+  [SUBSCRIPTION_TYPES.PREMIUM]: Number(process.env.STRIPE_PREMIUM_TRIAL_DAYS ?? 7),
+  [SUBSCRIPTION_TYPES.VIP]: Number(process.env.STRIPE_VIP_TRIAL_DAYS ?? 7),
+}
+
+export const PROMO_CODE_CONFIG = {
+  MAX_LENGTH: 50,
+  PATTERN: /^[A-Za-z0-9_-]+$/, // characters Stripe allows in promotion codes
+}
+
 // ============================================================================
 // PAGINATION
 // ============================================================================
@@ -199,6 +540,24 @@ export const DISTANCE_OPTIONS = [5, 10, 25, 50, 100] // in miles
 
 export const DEFAULT_DISTANCE = 10 // miles
 
+// ============================================================================
+// DISCOVERY FILTERS
+// ============================================================================
+export const DISCOVERY_FILTERS = {
+  MAX_PRESETS: 10,
+  MAX_PRESET_NAME_LENGTH: 40,
+  DOG_AGE: { MIN: 0, MAX: 30 },
+  OWNER_AGE: { MIN: 13, MAX: 120 },
+}
+
+// ============================================================================
+// PASSES (left swipes)
+// ============================================================================
+export const PASS_CONFIG = {
+  // Passed profiles resurface in discovery after this many days
+  EXPIRY_DAYS: parseInt(process.env.PASS_EXPIRY_DAYS) || 30,
+}
+
 // ============================================================================
 // ERROR MESSAGES (User-facing, non-revealing)
 // ============================================================================
@@ -272,17 +631,47 @@ export const AWS_S3_CONFIG = {
 export const CONSTANTS = {
   TOKEN_EXPIRY,
   SUBSCRIPTION_TYPES,
+  DAILY_QUOTAS,
+  CREDIT_LEDGER_TYPES,
+  CREDIT_LEDGER_CONFIG,
+  WEBHOOK_EVENT_STATUS,
+  WEBHOOK_EVENT_CONFIG,
   USER_STATUS,
   MATCH_STATUS,
+  MEETUP_STATUS,
+  MEETUP_CONFIG,
+  REPORT_STATUS,
+  REPORT_CONFIG,
+  ADMIN_AUDIT_ACTIONS,
+  ADMIN_CONFIG,
   RATE_LIMITS,
   EMAIL_TEMPLATES,
   MESSAGE_CONFIG,
+  IMAGE_MODERATION_STATUS,
+  MODERATION_PROVIDERS,
+  MODERATION_CONFIG,
+  TEXT_MODERATION_ACTIONS,
+  TEXT_MODERATION_CONTEXTS,
+  TEXT_MODERATION_RULES,
+  TEXT_MODERATION_CONFIG,
+  CONTENT_FLAG_STATUS,
+  PUSH_CONFIG,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  EMAIL_DIGEST_MODES,
+  NOTIFICATION_DEFAULTS,
+  NOTIFICATION_DIGEST_CONFIG,
+  EMAIL_CATEGORIES,
+  UNSUBSCRIBE_CONFIG,
   PAGINATION,
   DISTANCE_OPTIONS,
+  DISCOVERY_FILTERS,
+  PASS_CONFIG,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   SOCKET_EVENTS,
   IMAGE_VALIDATION,
+  DOG_PROFILE,
 }
 
 export default CONSTANTS
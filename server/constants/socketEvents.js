@@ -3,6 +3,27 @@ export const SocketEvents = {
   DISCONNECT: 'disconnect',
   ERROR: 'error',
   GET_ONLINE_USERS: 'getOnlineUsers',
+  NEW_MESSAGE: 'newMessage',
+  // Server -> sender: a message reached the receiver's client
+  MESSAGE_DELIVERED: 'messageDelivered',
+  // Server -> sender: the receiver read the conversation
+  MESSAGES_READ: 'messagesRead',
+  // Client -> server: mark the conversation with another user as read
+  MARK_MESSAGES_READ: 'markMessagesRead',
+  // Server -> receiver: the sender edited or unsent a message
+  MESSAGE_EDITED: 'messageEdited',
+  MESSAGE_DELETED: 'messageDeleted',
+  // Server -> sender and receiver: a chat image failed moderation and will not be shown
+  MESSAGE_IMAGE_REJECTED: 'messageImageRejected',
+  // Server -> liked user
+  USER_LIKED: 'userLiked',
+  // Server -> both users when a like becomes mutual
+  NEW_MATCH: 'newMatch',
+  // Server -> other participant: a meetup was proposed, accepted, declined or countered
+  MEETUP_UPDATED: 'meetupUpdated',
+  // Client -> server -> other participant (mutual matches only)
+  TYPING_START: 'typing:start',
+  TYPING_STOP: 'typing:stop',
   VALIDATED_EVENT_PREFIX: '__validated_',
 }
 
@@ -0,0 +1,563 @@
+import { validationResult } from 'express-validator'
+import { reportService } from '../services/report.service.js'
+import { adminService } from '../services/admin.service.js'
+import { textModerationService } from '../services/text-moderation.service.js'
+import { webhookEventService } from '../services/webhook-event.service.js'
+import { processStripeEvent } from './webhook.controller.js'
+import { getReceiverSocketId, io } from '../lib/socket.js'
+import { ADMIN_AUDIT_ACTIONS, WEBHOOK_EVENT_STATUS } from '../constants/index.js'
+import {
+  sendSuccess,
+  sendError,
+  sendPaginated,
+  sendValidationError,
+  sendNotFound,
+  sendForbidden,
+  sendInternalError,
+} from '../utils/ApiResponse.js'
+import { logError, logInfo } from '../utilities/logger.js'
+import { withTransaction } from '../utilities/transaction.js'
+
+const pageOf = ({ limit, skip }) => Math.floor(skip / limit) + 1
+
+// Every admin action is written to the audit log
+const audit = (
+  req,
+  action,
+  { targetUserId = null, targetId = null, reason = '', details = {} },
+  session = null
+) =>
+  adminService.recordAction(
+    { adminId: req.userId, action, targetUserId, targetId, reason, details, ip: req.ip },
+    session
+  )
+
+// Run an admin action and write its audit entry in the same transaction, so neither is saved
+// without the other. perform(session) returns the action's result, or null when nothing changed
+// (no entry is written); entryFor(result) builds the entry from it.
+const withAudit = (req, action, perform, entryFor) =>
+  withTransaction(async (session) => {
+    const result = await perform(session)
+    if (result) {
+      await audit(req, action, entryFor(result), session)
+    }
+    return result
+  })
+
+// Moderation queue - open and in-review reports unless ?status= is given
+export const getReports = async (req, res) => {
+  try {
+    const { limit, skip } = req.pagination
+    const statuses = req.validatedQuery?.status
+
+    const { reports, total } = await reportService.list({ statuses, limit, skip })
+    sendPaginated(res, reports, pageOf(req.pagination), limit, total)
+  } catch (error) {
+    logError('admin.controller', 'Failed to list reports', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Take a report into review (assigns it to the current admin)
+export const triageReport = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const report = await withAudit(
+      req,
+      ADMIN_AUDIT_ACTIONS.REPORT_TRIAGED,
+      (session) =>
+        reportService.triage(
+          req.params.reportId,
+          req.userId,
+          { priority: req.body.priority },
+          session
+        ),
+      (triaged) => ({
+        targetUserId: triaged.reportedUserId,
+        targetId: triaged._id.toString(),
+        details: { priority: triaged.priority },
+      })
+    )
+    if (!report) {
+      return sendError(res, 'Report not found or already closed', 404)
+    }
+
+    logInfo('admin.controller', `Admin ${req.userId} triaged report ${report._id}`)
+    sendSuccess(res, { report }, 'Report in review')
+  } catch (error) {
+    logError('admin.controller', 'Failed to triage report', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Close a report as resolved or dismissed
+export const resolveReport = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const { status, action, note } = req.body
+    const report = await withAudit(
+      req,
+      ADMIN_AUDIT_ACTIONS.REPORT_RESOLVED,
+      (session) =>
+        reportService.resolve(req.params.reportId, req.userId, { status, action, note }, session),
+      (resolved) => ({
+        targetUserId: resolved.reportedUserId,
+        targetId: resolved._id.toString(),
+        reason: resolved.resolution.note,
+        details: { status, action: resolved.resolution.action },
+      })
+    )
+    if (!report) {
+      return sendError(res, 'Report not found or already closed', 404)
+    }
+
+    logInfo('admin.controller', `Admin ${req.userId} closed report ${report._id} as ${status}`)
+    sendSuccess(res, { report }, 'Report closed')
+  } catch (error) {
+    logError('admin.controller', 'Failed to resolve report', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Search accounts by email, userName or user_id (?q=&limit=&skip=)
+export const searchUsers = async (req, res) => {
+  try {
+    const term = req.validatedQuery?.q
+    if (!term) {
+      return sendValidationError(res, [{ path: 'q', msg: 'Search term is required' }])
+    }
+
+    const { limit, skip } = req.pagination
+    const { users, total } = await adminService.searchUsers(term, { limit, skip })
+    sendPaginated(res, users, pageOf(req.pagination), limit, total)
+  } catch (error) {
+    logError('admin.controller', 'Failed to search users', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+export const getPendingDeletions = async (req, res) => {
+  try {
+    const { limit, skip } = req.pagination
+    const { users, total } = await adminService.listPendingDeletion({ limit, skip })
+    sendPaginated(res, users, pageOf(req.pagination), limit, total)
+  } catch (error) {
+    logError('admin.controller', 'Failed to list pending deletions', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Signups and subscriptions over time (?days=)
+export const getGrowthStats = async (req, res) => {
+  try {
+    const stats = await adminService.getGrowthStats({ days: req.validatedQuery?.days })
+    sendSuccess(res, stats)
+  } catch (error) {
+    logError('admin.controller', 'Failed to load growth stats', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+export const getUserAccount = async (req, res) => {
+  try {
+    const account = await adminService.getAccount(req.params.userId)
+    if (!account) {
+      return sendNotFound(res, 'User')
+    }
+    sendSuccess(res, account)
+  } catch (error) {
+    logError('admin.controller', 'Failed to load account', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Suspended users are rejected by verifyToken and the socket handshake
+export const suspendUser = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const { userId } = req.params
+    const { reason } = req.body
+    const target = await adminService.findUser(userId)
+    if (!target) {
+      return sendNotFound(res, 'User')
+    }
+    if (target.isAdmin) {
+      return sendForbidden(res, 'Admin accounts cannot be suspended')
+    }
+
+    const user = await withAudit(
+      req,
+      ADMIN_AUDIT_ACTIONS.USER_SUSPENDED,
+      (session) => adminService.setSuspended(userId, true, reason, session),
+      () => ({ targetUserId: userId, reason })
+    )
+    if (!user) {
+      return sendError(res, 'User is already suspended', 409)
+    }
+    adminService.forgetSuspension(userId)
+
+    // End any live socket session right away
+    const socketId = getReceiverSocketId(userId)
+    if (socketId) {
+      io.in(socketId).disconnectSockets(true)
+    }
+
+    logInfo('admin.controller', `Admin ${req.userId} suspended user ${userId}`)
+    sendSuccess(res, { user }, 'User suspended')
+  } catch (error) {
+    logError('admin.controller', 'Failed to suspend user', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+export const unsuspendUser = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const { userId } = req.params
+    const { reason = '' } = req.body
+    const user = await withAudit(
+      req,
+      ADMIN_AUDIT_ACTIONS.USER_UNSUSPENDED,
+      (session) => adminService.setSuspended(userId, false, '', session),
+      () => ({ targetUserId: userId, reason })
+    )
+    if (!user) {
+      if (!(await adminService.findUser(userId))) {
+        return sendNotFound(res, 'User')
+      }
+      return sendError(res, 'User is not suspended', 409)
+    }
+    adminService.forgetSuspension(userId)
+
+    logInfo('admin.controller', `Admin ${req.userId} unsuspended user ${userId}`)
+    sendSuccess(res, { user }, 'User unsuspended')
+  } catch (error) {
+    logError('admin.controller', 'Failed to unsuspend user', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Grant and revoke share everything but the sign of the adjustment
+const adjustCredits = (direction) => async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const { userId } = req.params
+    const { amount, reason } = req.body
+    const delta = direction === 'grant' ? amount : -amount
+    const action = direction === 'grant' ? 'CREDITS_GRANTED' : 'CREDITS_REVOKED'
+
+    const result = await withAudit(
+      req,
+      ADMIN_AUDIT_ACTIONS[action],
+      (session) =>
+        adminService.adjustCredits(userId, delta, { reason, adminId: req.userId }, session),
+      (balances) => ({ targetUserId: userId, reason, details: { amount, ...balances } })
+    )
+    if (!result) {
+      const target = await adminService.findUser(userId)
+      if (!target) {
+        return sendNotFound(res, 'User')
+      }
+      return sendError(res, `User only has ${target.messageCredits} credits`, 409)
+    }
+
+    logInfo(
+      'admin.controller',
+      `Admin ${req.userId} ${ADMIN_AUDIT_ACTIONS[action]}: ${amount} for user ${userId}`
+    )
+    sendSuccess(res, { messageCredits: result.balanceAfter }, 'Credits updated')
+  } catch (error) {
+    logError('admin.controller', `Failed to ${direction} credits`, error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+export const grantCredits = adjustCredits('grant')
+export const revokeCredits = adjustCredits('revoke')
+
+// Check cached credit balances against the credit ledger; with fix=true, repair the drift
+export const reconcileCredits = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const { userId = null, fix = false, reason = '' } = req.body
+    if (userId && !(await adminService.findUser(userId))) {
+      return sendNotFound(res, 'User')
+    }
+
+    // A full reconcile is too large for one transaction, so the entry is written before any
+    // balance is repaired; each repair is also recorded in the credit ledger
+    if (fix) {
+      await audit(req, ADMIN_AUDIT_ACTIONS.CREDITS_RECONCILED, {
+        targetUserId: userId,
+        reason,
+        details: { scope: userId ? 'user' : 'all' },
+      })
+    }
+
+    const summary = await adminService.reconcileCredits(userId, fix)
+    if (!summary) {
+      return sendNotFound(res, 'User')
+    }
+    logInfo(
+      'admin.controller',
+      `Admin ${req.userId} reconciled credits: ${summary.drifted} of ${summary.checked} drifted, ${summary.fixed} fixed`
+    )
+    sendSuccess(res, summary)
+  } catch (error) {
+    logError('admin.controller', 'Failed to reconcile credits', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Admin audit log, newest first (?adminId=&targetUserId=&limit=&skip=)
+export const getAuditLog = async (req, res) => {
+  try {
+    const { limit, skip } = req.pagination
+    const { entries, total } = await adminService.listAuditLog({
+      adminId: req.query.adminId,
+      targetUserId: req.query.targetUserId,
+      limit,
+      skip,
+    })
+    sendPaginated(res, entries, pageOf(req.pagination), limit, total)
+  } catch (error) {
+    logError('admin.controller', 'Failed to load audit log', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Content flagged or blocked by text moderation, newest first (?userId=&status=&limit=&skip=)
+export const getContentFlags = async (req, res) => {
+  try {
+    const { limit, skip } = req.pagination
+    const { flags, total } = await textModerationService.listFlags({
+      userId: req.query.userId,
+      statuses: req.validatedQuery?.status,
+      limit,
+      skip,
+    })
+    sendPaginated(res, flags, pageOf(req.pagination), limit, total)
+  } catch (error) {
+    logError('admin.controller', 'Failed to list content flags', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Users ranked by open content flags
+export const getContentFlagCounts = async (req, res) => {
+  try {
+    const { limit, skip } = req.pagination
+    const { users, total } = await textModerationService.countByUser({ limit, skip })
+    sendPaginated(res, users, pageOf(req.pagination), limit, total)
+  } catch (error) {
+    logError('admin.controller', 'Failed to count content flags', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Close an open content flag as reviewed (action taken) or dismissed (false positive)
+export const reviewContentFlag = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const flag = await withAudit(
+      req,
+      ADMIN_AUDIT_ACTIONS.CONTENT_FLAG_REVIEWED,
+      (session) =>
+        textModerationService.review(req.params.flagId, req.userId, req.body.status, session),
+      (reviewed) => ({
+        targetUserId: reviewed.userId,
+        targetId: reviewed._id.toString(),
+        details: { status: reviewed.status, rules: reviewed.rules },
+      })
+    )
+    if (!flag) {
+      return sendError(res, 'Content flag not found or already reviewed', 404)
+    }
+
+    logInfo('admin.controller', `Admin ${req.userId} reviewed content flag ${flag._id}`)
+    sendSuccess(res, { flag }, 'Content flag reviewed')
+  } catch (error) {
+    logError('admin.controller', 'Failed to review content flag', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Stored Stripe webhook events - failed ones unless ?status= is given
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const { limit, skip } = req.pagination
+    const { events, total } = await webhookEventService.list({
+      statuses: req.validatedQuery?.status,
+      limit,
+      skip,
+    })
+    sendPaginated(res, events, pageOf(req.pagination), limit, total)
+  } catch (error) {
+    logError('admin.controller', 'Failed to list webhook events', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// One webhook event with its raw payload
+export const getWebhookEvent = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const event = await webhookEventService.get(req.params.eventId)
+    if (!event) {
+      return sendNotFound(res, 'Webhook event')
+    }
+    sendSuccess(res, event)
+  } catch (error) {
+    logError('admin.controller', 'Failed to get webhook event', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Re-run a failed (or stuck) webhook event through the webhook handlers
+export const replayWebhookEvent = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const { eventId } = req.params
+    const event = await webhookEventService.get(eventId)
+    if (!event) {
+      return sendNotFound(res, 'Webhook event')
+    }
+    if (event.status === WEBHOOK_EVENT_STATUS.PROCESSED) {
+      return sendError(res, 'Webhook event was already processed', 409)
+    }
+
+    // The handlers run their own transactions, so the entry is written before the replay; its
+    // outcome is kept on the event itself (status, lastError, replayedBy)
+    await audit(req, ADMIN_AUDIT_ACTIONS.WEBHOOK_EVENT_REPLAYED, {
+      targetId: eventId,
+      reason: req.body.reason,
+      details: { type: event.type, previousStatus: event.status },
+    })
+
+    const result = await webhookEventService.run(eventId, processStripeEvent, {
+      replayedBy: req.userId,
+    })
+    if (!result) {
+      return sendError(res, 'Webhook event is being processed right now', 409)
+    }
+    logInfo('admin.controller', `Admin ${req.userId} replayed webhook event ${eventId}`)
+
+    const succeeded = result.status === WEBHOOK_EVENT_STATUS.PROCESSED
+    sendSuccess(
+      res,
+      { eventId, ...result },
+      succeeded ? 'Webhook event processed' : 'Webhook event failed again'
+    )
+  } catch (error) {
+    logError('admin.controller', 'Failed to replay webhook event', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
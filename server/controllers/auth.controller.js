@@ -4,6 +4,8 @@ import { v4 as uuidv4 } from 'uuid'
 import { isString, isArray } from 'lodash-es'
 import { User } from '../models/user.model.js'
 import { DeletionLog } from '../models/deletion-log.model.js'
+import { Pass } from '../models/pass.model.js'
+import { DAILY_QUOTAS, NOTIFICATION_EVENTS, TEXT_MODERATION_CONTEXTS } from '../constants/index.js'
 import Message from '../models/message.model.js'
 
 import { generatedVerificationToken } from '../utilities/generatedVerificationToken.js'
@@ -19,17 +21,31 @@ import {
   sendSuccess,
   sendError,
   sendValidationError,
+  sendNotFound,
+  sendForbidden,
   sendInternalError,
 } from '../utils/ApiResponse.js'
 import {
   withTransaction,
-  updateOneWithSession,
   deleteOneWithSession,
   createWithSession,
 } from '../utilities/transaction.js'
 import { stripeService } from '../services/stripe.service.js'
+import { dogService } from '../services/dog.service.js'
+import { discoveryService } from '../services/discovery.service.js'
+import { matchService } from '../services/match.service.js'
+import { entitlementService } from '../services/entitlement.service.js'
+import { creditLedgerService } from '../services/credit-ledger.service.js'
+import { conversationService } from '../services/conversation.service.js'
+import { meetupService } from '../services/meetup.service.js'
+import { pushService } from '../services/push.service.js'
+import { notificationPreferenceService } from '../services/notification-preference.service.js'
+import { notificationService } from '../services/notification.service.js'
+import { textModerationService } from '../services/text-moderation.service.js'
 import { io, getReceiverSocketId } from '../lib/socket.js'
+import { SocketEvents } from '../constants/socketEvents.js'
 import { validateUserId } from '../utilities/sanitizeInput.js'
+import { isValidTimeZone } from '../utilities/timeZone.js'
 import { getCloudFrontPrivateKey } from '../utilities/cloudFrontKeyParser.js'
 
 import { getSignedUrl } from '@aws-sdk/cloudfront-signer'
@@ -89,7 +105,20 @@ export const signup = async (req, res) => {
       referral_source,
     })
 
-    await user.save()
+    // The account and its opening ledger entry are saved together
+    await withTransaction(async (session) => {
+      await user.save(session ? { session } : {})
+      try {
+        await creditLedgerService.open(user._id, user.messageCredits, session)
+      } catch (error) {
+        // Without a transaction the account is already saved; the admin credit reconcile
+        // writes the missing opening entry from its cached balance
+        if (session) {
+          throw error
+        }
+        logError('auth.controller', 'Failed to record signup credits', error)
+      }
+    })
 
     const isLocalhost = req.hostname?.includes('localhost') || req.hostname?.includes('127.0.0.1')
     const token = generateTokenAndSetCookie(res, user.user_id, user._id, user.email, isLocalhost)
@@ -137,6 +166,9 @@ export const login = async (req, res) => {
     if (!isPasswordValid) {
       return sendError(res, 'Invalid credentials', 400)
     }
+    if (user.isSuspended) {
+      return sendForbidden(res, 'Your account has been suspended')
+    }
 
     const isLocalhost = req.hostname?.includes('localhost') || req.hostname?.includes('127.0.0.1')
     const token = generateTokenAndSetCookie(res, user.user_id, user._id, user.email, isLocalhost)
@@ -146,6 +178,7 @@ export const login = async (req, res) => {
 
     // Convert to plain object to add computed properties
     const userObj = user._doc
+    userObj.matches = await matchService.getLegacyMatches(user.user_id)
 
     // Generate signed URL for dog image if it exists
     if (user.image) {
@@ -228,6 +261,7 @@ export const verifyEmail = async (req, res) => {
 
     // Convert to plain object to add computed properties
     const userObj = user.toObject()
+    userObj.matches = await matchService.getLegacyMatches(user.user_id)
 
     // Generate signed URL for dog image if it exists
     if (user.image) {
@@ -432,6 +466,7 @@ export const checkAuth = async (req, res) => {
 
     // Convert to plain object to add computed properties
     const userObj = user.toObject()
+    userObj.matches = await matchService.getLegacyMatches(user.user_id)
 
     // Generate signed URL for dog image if it exists
     if (user.image) {
@@ -559,11 +594,18 @@ export const getMatches = async (req, res) => {
       }
     }
 
+    // Only return users who share a mutual match with the current user
+    const mutualUserIds = new Set(await matchService.getMutualMatchUserIds(req.userId))
+    const matchedUserIds = userIds.filter((id) => mutualUserIds.has(id))
+    if (matchedUserIds.length === 0) {
+      return sendSuccess(res, { users: [] })
+    }
+
     const pipeline = [
       {
         $match: {
           user_id: {
-            $in: userIds,
+            $in: matchedUserIds,
           },
         },
       },
@@ -658,6 +700,7 @@ export const getUser = async (req, res) => {
     }
 
     const user = userDoc.toObject()
+    user.matches = await matchService.getLegacyMatches(user.user_id)
 
     if (user.image) {
       try {
@@ -739,6 +782,18 @@ export const getMeetupTypeUsers = async (req, res) => {
     // Convert miles to meters for geoNear (1 mile = 1609.34 meters)
     const searchRadiusMeters = searchRadius * 1609.34
 
+    // Hide users already swiped right on, matched or passed on (passes expire so profiles can resurface)
+    const matchedUserIds = await matchService.getDiscoveryExcludedUserIds(queryUserId)
+    const passedUserIds = await Pass.find({
+      fromUserId: currentUser._id,
+      expiresAt: { $gt: new Date() },
+    }).distinct('toUserId')
+
+    // Optional discovery filters (breed, size, dog/owner age, has photo), validated by the route
+    const { geoNearQuery: filterQuery, ownerAgeMatch } = discoveryService.buildFilterConditions(
+      discoveryService.pickFilters(req.validatedQuery)
+    )
+
     // Create the aggregation pipeline with $geoNear
     const pipeline = [
       // First, we need to add a 2dsphere index to the location field in the User model
@@ -755,12 +810,17 @@ export const getMeetupTypeUsers = async (req, res) => {
           maxDistance: searchRadiusMeters,
           spherical: true,
           query: {
-            // Exclude the current user
-            user_id: { $ne: queryUserId },
+            // Exclude the current user, matched users and passed users
+            user_id: { $nin: [queryUserId, ...matchedUserIds] },
+            _id: { $nin: passedUserIds },
+            ...filterQuery,
           },
         },
       },
 
+      // Owner age range (userAge is stored as a string)
+      ...(ownerAgeMatch ? [{ $match: ownerAgeMatch }] : []),
+
       // Stage 2: Convert distance from meters to miles and round
       {
         $addFields: {
@@ -811,6 +871,8 @@ export const getMeetupTypeUsers = async (req, res) => {
           profile_image: 1,
           userAge: 1,
           userAbout: 1,
+          dogs: 1,
+          breed: { $arrayElemAt: ['$dogs.breed', 0] },
           location: '$location.coordinates',
           distance_to_other_users: 1,
         },
@@ -856,6 +918,9 @@ export const getMeetupTypeUsers = async (req, res) => {
           )
         }
       }
+
+      // Every dog in the household, with signed photo URLs
+      user.dogs = dogService.serializeDogs(user.dogs || [])
     }
 
     sendSuccess(res, { users: foundUsers })
@@ -869,7 +934,7 @@ export const getMeetupTypeUsers = async (req, res) => {
 }
 // Set lon lat coordiantes
 export const getCurrentPosition = async (req, res) => {
-  const { userId, longitude, latitude } = req.body
+  const { userId, longitude, latitude, timeZone } = req.body
 
   const targetUserId = userId || req.userId
 
@@ -897,6 +962,10 @@ export const getCurrentPosition = async (req, res) => {
         location: { type: 'Point', coordinates: [longitude, latitude] },
       },
     }
+    // The browser's time zone decides when daily swipe and like quotas reset
+    if (isValidTimeZone(timeZone)) {
+      updateDocument.$set.timeZone = timeZone
+    }
 
     const userCoordinates = await User.updateOne(query, updateDocument)
 
@@ -939,6 +1008,17 @@ export const putUser = async (req, res) => {
   try {
     const query = { user_id: targetUserId }
 
+    const profileText = await textModerationService.moderateProfile(targetUserId, {
+      about: formData.about,
+      userAbout: formData.userAbout,
+    })
+    if (profileText.blocked) {
+      return sendError(res, 'Your profile text breaks our community guidelines', 400, {
+        code: 'PROFILE_TEXT_BLOCKED',
+        categories: profileText.categories,
+      })
+    }
+
     const updateDocument = {
       $set: {
         dogs_name: formData.dogs_name,
@@ -946,15 +1026,20 @@ export const putUser = async (req, res) => {
         show_meetup_type: formData.show_meetup_type,
         meetup_type: formData.meetup_type,
         meetup_interest: formData.meetup_interest,
-        about: formData.about,
+        about: profileText.fields.about,
         userAge: formData.userAge,
-        userAbout: formData.userAbout,
-        matches: [],
+        userAbout: profileText.fields.userAbout,
         current_user_search_radius: formData.current_user_search_radius,
       },
     }
 
     const insertedUser = await User.updateOne(query, updateDocument)
+    await dogService.syncPrimaryDog(targetUserId, {
+      name: formData.dogs_name,
+      age: formData.age,
+      about: profileText.fields.about,
+      breed: formData.breed,
+    })
     sendSuccess(res, insertedUser)
   } catch (error) {
     logError('auth.controller', 'Put user error', error)
@@ -986,11 +1071,44 @@ export const updateMatches = async (req, res) => {
     validateUserId(userId, 'userId')
     validateUserId(matchedUserId, 'matchedUserId')
 
-    const query = { user_id: userId }
-    const updateDocument = {
-      $push: { matches: { user_id: matchedUserId } },
+    if (userId === matchedUserId) {
+      return sendError(res, 'You cannot match with yourself', 400)
+    }
+
+    // Re-swiping someone already liked is free; only new right swipes count toward the quota
+    const countsTowardQuota = !(await matchService.hasLiked(userId, matchedUserId))
+    if (countsTowardQuota) {
+      const swipe = await entitlementService.consume(req._id, DAILY_QUOTAS.RIGHT_SWIPES)
+      if (!swipe) {
+        return sendNotFound(res, 'User')
+      }
+      if (!swipe.allowed) {
+        return sendError(res, `You have used all ${swipe.limit} right swipes for today`, 429, [
+          {
+            message: 'dailyLimitReached',
+            value: true,
+            quota: 'rightSwipes',
+            resetsAt: swipe.resetsAt,
+          },
+        ])
+      }
+    }
+
+    let recorded
+    try {
+      recorded = await matchService.recordLike(userId, matchedUserId)
+    } catch (error) {
+      if (countsTowardQuota) {
+        await entitlementService.release(req._id, DAILY_QUOTAS.RIGHT_SWIPES)
+      }
+      throw error
+    }
+    const { match, becameMutual } = recorded
+
+    // Unmatched or blocked pairs stay ended - a new swipe does not notify anyone
+    if (matchService.isEnded(match)) {
+      return sendSuccess(res, { status: match.status })
     }
-    const user = await User.updateOne(query, updateDocument)
 
     const currentUser = await User.findOne({ user_id: userId })
     const otherUser = await User.findOne({ user_id: matchedUserId })
@@ -1000,45 +1118,56 @@ export const updateMatches = async (req, res) => {
       const otherUserDogName = otherUser.dogs_name
       const currentUserName = currentUser.userName
       const otherUserName = otherUser.userName
-      const _currentUserEmail = currentUser.email
       const otherUserEmail = otherUser.email
 
-      try {
-        await sendMatchNotificationEmail(
-          otherUserEmail,
-          otherUserName,
-          currentUserName,
-          currentUserDogName,
-          otherUserDogName
-        )
+      const emailed = await notificationService.email({
+        userId: otherUser._id,
+        event: NOTIFICATION_EVENTS.MATCH,
+        summary: `You matched with ${currentUserName} and ${currentUserDogName}`,
+        send: () =>
+          sendMatchNotificationEmail(
+            otherUserEmail,
+            otherUserName,
+            currentUserName,
+            currentUserDogName,
+            otherUserDogName
+          ),
+      })
+      if (emailed === 'sent') {
         logInfo('auth.controller', `✅ Match email sent to ${otherUserEmail}`)
-      } catch (emailError) {
-        logError('auth.controller', 'Failed to send match notification email', emailError)
       }
     }
 
-    const matchedUser = await User.findOne({ user_id: matchedUserId })
-    const isMutualMatch = matchedUser?.matches?.some((match) => match.user_id === userId)
-
-    if (isMutualMatch) {
-      const matchedUserSocketId = getReceiverSocketId(matchedUserId)
-      const currentUserSocketId = getReceiverSocketId(userId)
-
-      if (matchedUserSocketId) {
-        io.to(matchedUserSocketId).emit('newMatch', {
-          userId: userId,
-          matchedUserId: matchedUserId,
-        })
-      }
-      if (currentUserSocketId) {
-        io.to(currentUserSocketId).emit('newMatch', {
-          userId: userId,
-          matchedUserId: matchedUserId,
-        })
+    if (becameMutual && currentUser && otherUser) {
+      const payload = {
+        userId: userId,
+        matchedUserId: matchedUserId,
+        matchId: match._id,
+        matchedAt: match.matchedAt,
       }
+
+      // Each side is told who they matched with
+      await Promise.all(
+        [
+          [otherUser, currentUser],
+          [currentUser, otherUser],
+        ].map(([recipient, matchedWith]) =>
+          notificationService.notify({
+            userId: recipient._id,
+            event: SocketEvents.NEW_MATCH,
+            payload,
+            push: {
+              title: "It's a match!",
+              body: `You and ${matchedWith.userName} (${matchedWith.dogs_name}) like each other`,
+              url: '/dashboard',
+              tag: `match-${match._id}`,
+            },
+          })
+        )
+      )
     }
 
-    sendSuccess(res, user)
+    sendSuccess(res, { status: match.status, matchId: match._id })
   } catch (error) {
     logError('auth.controller', 'Update matches error', error)
     sendInternalError(res, error, {
@@ -1047,6 +1176,42 @@ export const updateMatches = async (req, res) => {
     })
   }
 }
+// End the match between two users and tell both clients
+// bothSides: false only reverts userId's own right swipe (undo), keeping the other user's like
+// notify: false skips the userUnmatched events (nothing to announce if it was never mutual)
+const removeMatchEntries = async (
+  userId,
+  matchedUserId,
+  { bothSides = true, notify = true } = {}
+) => {
+  if (bothSides) {
+    await matchService.endMatch(userId, matchedUserId)
+  } else {
+    await matchService.revertLike(userId, matchedUserId)
+  }
+
+  if (!notify) {
+    return
+  }
+
+  // Notify both users via Socket.IO
+  const matchedUserSocketId = getReceiverSocketId(matchedUserId)
+  const currentUserSocketId = getReceiverSocketId(userId)
+
+  if (matchedUserSocketId) {
+    io.to(matchedUserSocketId).emit('userUnmatched', {
+      userId: userId,
+      matchedUserId: matchedUserId,
+    })
+  }
+  if (currentUserSocketId) {
+    io.to(currentUserSocketId).emit('userUnmatched', {
+      userId: userId,
+      matchedUserId: matchedUserId,
+    })
+  }
+}
+
 // Remove a match (unmatch)
 export const removeMatch = async (req, res) => {
   const { userId, matchedUserId } = req.body
@@ -1072,46 +1237,88 @@ export const removeMatch = async (req, res) => {
     validateUserId(userId, 'userId')
     validateUserId(matchedUserId, 'matchedUserId')
 
-    // Use transaction to ensure both users are updated atomically
-    await withTransaction(async (session) => {
-      // Remove the match from both users
-      const query = { user_id: userId }
-      const updateDocument = {
-        $pull: { matches: { user_id: matchedUserId } },
-      }
-      await updateOneWithSession(User, query, updateDocument, session)
-
-      // Also remove from the other user's matches
-      const otherUserQuery = { user_id: matchedUserId }
-      const otherUserUpdateDocument = {
-        $pull: { matches: { user_id: userId } },
-      }
-      await updateOneWithSession(User, otherUserQuery, otherUserUpdateDocument, session)
-    })
+    await removeMatchEntries(userId, matchedUserId)
 
     // Fetch updated user data to return
     const updatedUser = await User.findOne({ user_id: userId })
 
-    // Notify both users via Socket.IO
-    const matchedUserSocketId = getReceiverSocketId(matchedUserId)
-    const currentUserSocketId = getReceiverSocketId(userId)
+    sendSuccess(res, updatedUser, 'Match removed successfully', 200)
+  } catch (error) {
+    logError('auth.controller', 'Remove match error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+// Undo the current user's most recent swipe (premium/vip, daily quota per plan)
+// Right swipe: reverts the match via removeMatchEntries. Left swipe: deletes the pass.
+export const undoSwipe = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
 
-    if (matchedUserSocketId) {
-      io.to(matchedUserSocketId).emit('userUnmatched', {
-        userId: userId,
-        matchedUserId: matchedUserId,
-      })
+  const { matchedUserId, direction } = req.body
+
+  try {
+    const currentUser = await User.findById(req._id)
+    if (!currentUser) {
+      return sendNotFound(res, 'User')
     }
-    if (currentUserSocketId) {
-      io.to(currentUserSocketId).emit('userUnmatched', {
-        userId: userId,
-        matchedUserId: matchedUserId,
-      })
+
+    if (entitlementService.getDailyLimit(currentUser, DAILY_QUOTAS.SWIPE_UNDOS) === 0) {
+      return sendError(res, 'Undo is available with Premium and VIP subscriptions', 403, [
+        { message: 'needsSubscription', value: true },
+      ])
     }
 
-    sendSuccess(res, updatedUser, 'Match removed successfully', 200)
+    const otherUser = await User.findOne({ user_id: matchedUserId }, { _id: 1 })
+    if (!otherUser) {
+      return sendNotFound(res, 'User')
+    }
+
+    // Only the swipe that was actually recorded can be undone
+    const hasSwipe =
+      direction === 'right'
+        ? await matchService.hasLiked(req.userId, matchedUserId)
+        : await Pass.exists({ fromUserId: currentUser._id, toUserId: otherUser._id })
+    if (!hasSwipe) {
+      return sendNotFound(res, 'Swipe')
+    }
+
+    const undo = await entitlementService.consume(currentUser._id, DAILY_QUOTAS.SWIPE_UNDOS)
+    if (!undo.allowed) {
+      return sendError(res, `You have used all ${undo.limit} undos for today`, 429, [
+        { message: 'dailyLimitReached', value: true, quota: 'swipeUndos', resetsAt: undo.resetsAt },
+      ])
+    }
+
+    try {
+      if (direction === 'right') {
+        const wasMutual = await matchService.hasMutualMatch(req.userId, matchedUserId)
+        await removeMatchEntries(req.userId, matchedUserId, { bothSides: false, notify: wasMutual })
+      } else {
+        await Pass.deleteOne({ fromUserId: currentUser._id, toUserId: otherUser._id })
+      }
+    } catch (error) {
+      await entitlementService.release(currentUser._id, DAILY_QUOTAS.SWIPE_UNDOS)
+      throw error
+    }
+
+    logInfo('auth.controller', 'Swipe undone', {
+      userId: req.userId,
+      direction,
+    })
+
+    sendSuccess(res, {
+      direction,
+      matchedUserId,
+      undosRemaining: undo.remaining,
+    })
   } catch (error) {
-    logError('auth.controller', 'Remove match error', error)
+    logError('auth.controller', 'Undo swipe error', error)
     sendInternalError(res, error, {
       method: req.method,
       path: req.path,
@@ -1151,6 +1358,15 @@ export const uploadImage = async (req, res) => {
       })
     }
 
+    textModerationService
+      .recordImageFlag({
+        userId,
+        context: TEXT_MODERATION_CONTEXTS.PROFILE,
+        field: 'image',
+        result: imageCheck,
+      })
+      .catch((error) => logError('auth.controller', 'Failed to record image flag', error))
+
     // resize image
     const buffer = await sharp(req.file.buffer)
       .resize({ height: 1920, width: 1080, fit: 'outside' })
@@ -1171,10 +1387,12 @@ export const uploadImage = async (req, res) => {
     await getS3().send(command)
 
     const query = { user_id: userId }
+    const detectedBreeds = dogService.normalizeDetectedBreeds(imageCheck.dogBreeds)
 
     const updateDocument = {
       $set: {
         image: image_name,
+        detectedBreeds,
       },
     }
     const insertedImage = await User.updateOne(query, updateDocument)
@@ -1188,10 +1406,14 @@ export const uploadImage = async (req, res) => {
       )
     }
 
+    // Keep the detected breeds on the primary dog so the owner can confirm or override them
+    await dogService.syncPrimaryDog(userId, { image: image_name, detectedBreeds })
+
     sendSuccess(res, {
       image: insertedImage,
       image_name: image_name,
       dogBreeds: imageCheck.dogBreeds,
+      detectedBreeds,
     })
   } catch (error) {
     logError('auth.controller', 'uploadImage error', error)
@@ -1228,6 +1450,15 @@ export const uploadProfileImage = async (req, res) => {
       )
     }
 
+    textModerationService
+      .recordImageFlag({
+        userId,
+        context: TEXT_MODERATION_CONTEXTS.PROFILE,
+        field: 'profile_image',
+        result: imageCheck,
+      })
+      .catch((error) => logError('auth.controller', 'Failed to record image flag', error))
+
     const buffer = await sharp(req.file.buffer)
       .resize({ height: 1920, width: 1080, fit: 'outside' })
       .withMetadata()
@@ -1396,6 +1627,17 @@ export const patchCurrentUserProfile = async (req, res) => {
   try {
     const query = { user_id: targetUserId }
 
+    const profileText = await textModerationService.moderateProfile(targetUserId, {
+      about: formData.about,
+      userAbout: formData.userAbout,
+    })
+    if (profileText.blocked) {
+      return sendError(res, 'Your profile text breaks our community guidelines', 400, {
+        code: 'PROFILE_TEXT_BLOCKED',
+        categories: profileText.categories,
+      })
+    }
+
     const updateDocument = {
       $set: {
         dogs_name: formData.dogs_name,
@@ -1403,14 +1645,20 @@ export const patchCurrentUserProfile = async (req, res) => {
         show_meetup_type: formData.show_meetup_type,
         meetup_type: formData.meetup_type,
         meetup_interest: formData.meetup_interest,
-        about: formData.about,
+        about: profileText.fields.about,
         userAge: formData.userAge,
-        userAbout: formData.userAbout,
+        userAbout: profileText.fields.userAbout,
         current_user_search_radius: formData.current_user_search_radius,
       },
     }
 
     const insertedUser = await User.updateOne(query, updateDocument)
+    await dogService.syncPrimaryDog(targetUserId, {
+      name: formData.dogs_name,
+      age: formData.age,
+      about: profileText.fields.about,
+      breed: formData.breed,
+    })
 
     if (insertedUser.modifiedCount === 0 && insertedUser.matchedCount === 0) {
       logInfo('auth.controller', 'User not found during profile update', {
@@ -1495,7 +1743,7 @@ export const deleteImage = async (req, res) => {
 // Helper function to perform immediate account deletion
 async function performImmediateDeletion(currentUser, res) {
   const query = { user_id: currentUser.user_id }
-  const voidedCredits = currentUser.messageCredits || 0
+  const voidedCredits = await creditLedgerService.voidBalance(currentUser._id)
 
   // Delete user image from S3
   if (currentUser.image) {
@@ -1525,24 +1773,29 @@ async function performImmediateDeletion(currentUser, res) {
     }
   }
 
+  // Delete photos of any other household dogs (main image handled above)
+  await dogService.deletePhotos(
+    (currentUser.dogs || [])
+      .flatMap((dog) => dog.photos)
+      .filter((photo) => photo !== currentUser.image)
+  )
+
   // Delete all user messages
   await Message.deleteMany({
     $or: [{ senderId: currentUser._id }, { receiverId: currentUser._id }],
   })
+  await conversationService.removeUser(currentUser._id)
+  await meetupService.removeUser(currentUser._id)
+  await pushService.removeUser(currentUser._id)
+  await notificationPreferenceService.removeUser(currentUser._id)
 
   // Get all matched users before deletion (for real-time notifications)
-  const matchedUsers = await User.find({
-    matches: currentUser.user_id,
-  })
+  const matchedUserIds = await matchService.getParticipantUserIds(currentUser.user_id)
 
   // Perform critical deletion operations atomically
   await withTransaction(async (session) => {
-    // Remove from other users' matches
-    await User.updateMany(
-      { matches: currentUser.user_id },
-      { $pull: { matches: currentUser.user_id } },
-      { session }
-    )
+    // Remove every match involving this user
+    await matchService.removeUser(currentUser.user_id, { session })
 
     // Log deletion for audit trail
     await createWithSession(
@@ -1564,8 +1817,8 @@ async function performImmediateDeletion(currentUser, res) {
   })
 
   // Notify all matched users that this user deleted their account (non-critical side effect)
-  matchedUsers.forEach((matchedUser) => {
-    const matchedUserSocketId = getReceiverSocketId(matchedUser.user_id)
+  matchedUserIds.forEach((matchedUserId) => {
+    const matchedUserSocketId = getReceiverSocketId(matchedUserId)
     if (matchedUserSocketId) {
       io.to(matchedUserSocketId).emit('userAccountDeleted', {
         deletedUserId: currentUser.user_id,
@@ -1774,6 +2027,8 @@ export const getPublicProfile = async (req, res) => {
       about: user.about,
       meetup_type: user.meetup_type,
       show_meetup_type: user.show_meetup_type,
+      breed: user.dogs?.[0]?.breed,
+      dogs: dogService.serializeDogs(user.dogs || []),
     }
 
     let currentUser = null
@@ -1897,6 +2152,41 @@ export const updateProfileVisibility = async (req, res) => {
   }
 }
 
+// Turn sending read receipts on or off for the current user
+export const updateReadReceipts = async (req, res) => {
+  try {
+    const { sendReadReceipts } = req.body
+
+    if (typeof sendReadReceipts !== 'boolean') {
+      return sendError(res, 'sendReadReceipts must be a boolean', 400)
+    }
+
+    const user = await User.findOneAndUpdate(
+      { user_id: req.userId },
+      { sendReadReceipts },
+      { new: true, projection: { sendReadReceipts: 1 } }
+    ).lean()
+
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    sendSuccess(
+      res,
+      {
+        sendReadReceipts: user.sendReadReceipts,
+      },
+      `Read receipts are now ${sendReadReceipts ? 'on' : 'off'}`
+    )
+  } catch (error) {
+    logError('auth.controller', 'Update read receipts error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
 // Test endpoint to manually trigger scheduled deletion cron job
 export const triggerScheduledDeletionJob = async (req, res) => {
   try {
@@ -0,0 +1,325 @@
+import { User } from '../models/user.model.js'
+import { DOG_PROFILE, TEXT_MODERATION_CONTEXTS } from '../constants/index.js'
+import { checkImage } from '../utilities/checkImage.js'
+import { logError, logInfo } from '../utilities/logger.js'
+import { validationResult } from 'express-validator'
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendInternalError,
+} from '../utils/ApiResponse.js'
+import { awsService } from '../services/aws.service.js'
+import { dogService } from '../services/dog.service.js'
+import { textModerationService } from '../services/text-moderation.service.js'
+
+import sharp from 'sharp'
+import { randomBytes } from 'crypto'
+
+const randomImageName = (bytes = 32) => randomBytes(bytes).toString('hex')
+
+const DOG_FIELDS = ['name', 'age', 'breed', 'size', 'temperament', 'about']
+
+// Pick the editable dog fields present in the request body
+const pickDogFields = (body) => {
+  const fields = {}
+  for (const field of DOG_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field]
+    }
+  }
+  return fields
+}
+
+// Dog descriptions go through the same text moderation as the profile about field
+// Masks fields.about in place; returns the moderation result when the text is blocked
+const moderateDogAbout = async (userId, fields) => {
+  if (!fields.about) {
+    return null
+  }
+  const moderated = await textModerationService.moderateProfile(userId, { about: fields.about })
+  if (moderated.blocked) {
+    return moderated
+  }
+  fields.about = moderated.fields.about
+  return null
+}
+
+const sendAboutBlocked = (res, moderated) =>
+  sendError(res, 'Your profile text breaks our community guidelines', 400, {
+    code: 'PROFILE_TEXT_BLOCKED',
+    categories: moderated.categories,
+  })
+
+// Get all dogs for the current user (for EditDogProfile.jsx)
+export const getDogs = async (req, res) => {
+  try {
+    const user = await User.findOne({ user_id: req.userId }, { dogs: 1 })
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    sendSuccess(res, { dogs: dogService.serializeDogs(user.dogs, { includePhotoKeys: true }) })
+  } catch (error) {
+    logError('dog.controller', 'Get dogs error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
+// Add a dog to the current user's household
+export const createDog = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const user = await User.findOne({ user_id: req.userId })
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    if (user.dogs.length >= DOG_PROFILE.MAX_DOGS) {
+      return sendError(res, `You can add up to ${DOG_PROFILE.MAX_DOGS} dogs`, 400)
+    }
+
+    const fields = pickDogFields(req.body)
+    const blocked = await moderateDogAbout(req.userId, fields)
+    if (blocked) {
+      return sendAboutBlocked(res, blocked)
+    }
+    if (fields.breed) {
+      fields.breedSource = 'owner'
+    }
+    user.dogs.push(fields)
+    const dog = user.dogs[user.dogs.length - 1]
+
+    if (user.dogs.length === 1) {
+      dogService.mirrorPrimaryDog(user)
+    }
+
+    await user.save()
+
+    logInfo('dog.controller', 'Dog added to household', {
+      userId: req.userId,
+      dogId: dog._id.toString(),
+    })
+
+    sendSuccess(
+      res,
+      {
+        dog: dogService.serializeDogs([dog], { includePhotoKeys: true })[0],
+      },
+      'Dog added',
+      201
+    )
+  } catch (error) {
+    logError('dog.controller', 'Create dog error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
+// Update one of the current user's dogs
+export const updateDog = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const user = await User.findOne({ user_id: req.userId })
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    const dog = user.dogs.id(req.params.dogId)
+    if (!dog) {
+      return sendNotFound(res, 'Dog')
+    }
+
+    const fields = pickDogFields(req.body)
+    const blocked = await moderateDogAbout(req.userId, fields)
+    if (blocked) {
+      return sendAboutBlocked(res, blocked)
+    }
+
+    dog.set(fields)
+    // Any breed sent by the owner confirms or overrides the detected one
+    if (req.body.breed !== undefined) {
+      dog.breedSource = 'owner'
+    }
+
+    if (user.dogs[0]._id.equals(dog._id)) {
+      dogService.mirrorPrimaryDog(user)
+    }
+
+    await user.save()
+
+    sendSuccess(res, {
+      dog: dogService.serializeDogs([dog], { includePhotoKeys: true })[0],
+    })
+  } catch (error) {
+    logError('dog.controller', 'Update dog error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
+// Remove a dog from the current user's household
+// The primary dog is managed through the main profile and cannot be removed here
+export const deleteDog = async (req, res) => {
+  try {
+    const user = await User.findOne({ user_id: req.userId })
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    const dog = user.dogs.id(req.params.dogId)
+    if (!dog) {
+      return sendNotFound(res, 'Dog')
+    }
+
+    if (user.dogs[0]._id.equals(dog._id)) {
+      return sendError(res, 'Your primary dog cannot be removed', 400)
+    }
+
+    const photos = [...dog.photos]
+    dog.deleteOne()
+    await user.save()
+
+    // Remove photos after the document is saved so a failed save keeps them intact
+    await dogService.deletePhotos(photos)
+
+    sendSuccess(res, {
+      dogs: dogService.serializeDogs(user.dogs, { includePhotoKeys: true }),
+    })
+  } catch (error) {
+    logError('dog.controller', 'Delete dog error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
+// Upload a photo for one of the current user's dogs - checks that image contains a dog
+export const uploadDogPhoto = async (req, res) => {
+  if (!req.file) {
+    return sendError(res, 'No file uploaded or file validation failed', 400)
+  }
+
+  try {
+    const user = await User.findOne({ user_id: req.userId })
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    const dog = user.dogs.id(req.params.dogId)
+    if (!dog) {
+      return sendNotFound(res, 'Dog')
+    }
+
+    if (dog.photos.length >= DOG_PROFILE.MAX_PHOTOS_PER_DOG) {
+      return sendError(res, `Each dog can have up to ${DOG_PROFILE.MAX_PHOTOS_PER_DOG} photos`, 400)
+    }
+
+    const imageCheck = await checkImage(req.file.buffer)
+
+    if (!imageCheck.isDog) {
+      return sendError(res, 'This is not a dog please upload an image of your dog.', 400, {
+        code: 'NO_DOG_DETECTED',
+        reason: imageCheck.reason,
+        dogBreeds: [],
+      })
+    }
+
+    textModerationService
+      .recordImageFlag({
+        userId: req.userId,
+        context: TEXT_MODERATION_CONTEXTS.PROFILE,
+        field: 'dog_photo',
+        result: imageCheck,
+      })
+      .catch((error) => logError('dog.controller', 'Failed to record image flag', error))
+
+    const buffer = await sharp(req.file.buffer)
+      .resize({ height: 1920, width: 1080, fit: 'outside' })
+      .jpeg({ quality: 40 })
+      .withMetadata()
+      .toBuffer()
+
+    const imageName = randomImageName()
+    await awsService.uploadToS3(imageName, buffer, req.file.mimetype)
+
+    dog.photos.push(imageName)
+    dogService.applyDetectedBreeds(dog, dogService.normalizeDetectedBreeds(imageCheck.dogBreeds))
+
+    if (user.dogs[0]._id.equals(dog._id)) {
+      dogService.mirrorPrimaryDog(user)
+    }
+
+    await user.save()
+
+    sendSuccess(res, {
+      dog: dogService.serializeDogs([dog], { includePhotoKeys: true })[0],
+      dogBreeds: imageCheck.dogBreeds,
+    })
+  } catch (error) {
+    logError('dog.controller', 'Upload dog photo error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
+// Remove a photo from one of the current user's dogs
+export const deleteDogPhoto = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  const { dogId, photo } = req.params
+
+  try {
+    const user = await User.findOne({ user_id: req.userId })
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    const dog = user.dogs.id(dogId)
+    if (!dog || !dog.photos.includes(photo)) {
+      return sendNotFound(res, 'Photo')
+    }
+
+    // The primary dog's first photo is the main profile photo; replace it via /image instead
+    if (user.dogs[0]._id.equals(dog._id) && dog.photos[0] === photo) {
+      return sendError(res, 'Your main dog photo can only be replaced, not removed', 400)
+    }
+
+    dog.photos.pull(photo)
+    await user.save()
+
+    await dogService.deletePhotos([photo])
+
+    sendSuccess(res, {
+      dog: dogService.serializeDogs([dog], { includePhotoKeys: true })[0],
+    })
+  } catch (error) {
+    logError('dog.controller', 'Delete dog photo error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
@@ -0,0 +1,116 @@
+import { User } from '../models/user.model.js'
+import { DISCOVERY_FILTERS } from '../constants/index.js'
+import { logError } from '../utilities/logger.js'
+import { validationResult } from 'express-validator'
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendInternalError,
+} from '../utils/ApiResponse.js'
+import { discoveryService } from '../services/discovery.service.js'
+
+const serializePresets = (presets = []) =>
+  presets.map((preset) => {
+    const plain = typeof preset.toObject === 'function' ? preset.toObject() : preset
+    return {
+      _id: plain._id,
+      name: plain.name,
+      filters: discoveryService.pickFilters(plain.filters),
+    }
+  })
+
+// Get the current user's saved discovery filter presets (for the Dashboard filter panel)
+export const getFilterPresets = async (req, res) => {
+  try {
+    const user = await User.findOne({ user_id: req.userId }, { discoveryFilterPresets: 1 })
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    sendSuccess(res, { presets: serializePresets(user.discoveryFilterPresets) })
+  } catch (error) {
+    logError('filterPreset.controller', 'Get filter presets error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
+// Save a discovery filter preset - a preset with the same name is overwritten
+export const saveFilterPreset = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const user = await User.findOne({ user_id: req.userId })
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    const name = req.body.name
+    const filters = discoveryService.pickFilters(req.body.filters)
+    const existing = user.discoveryFilterPresets.find(
+      (preset) => preset.name.toLowerCase() === name.toLowerCase()
+    )
+
+    if (existing) {
+      existing.name = name
+      existing.filters = filters
+    } else {
+      if (user.discoveryFilterPresets.length >= DISCOVERY_FILTERS.MAX_PRESETS) {
+        return sendError(
+          res,
+          `You can save up to ${DISCOVERY_FILTERS.MAX_PRESETS} filter presets`,
+          400
+        )
+      }
+      user.discoveryFilterPresets.push({ name, filters })
+    }
+
+    await user.save()
+
+    sendSuccess(
+      res,
+      { presets: serializePresets(user.discoveryFilterPresets) },
+      'Filter preset saved',
+      existing ? 200 : 201
+    )
+  } catch (error) {
+    logError('filterPreset.controller', 'Save filter preset error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
+// Delete one of the current user's discovery filter presets
+export const deleteFilterPreset = async (req, res) => {
+  try {
+    const user = await User.findOne({ user_id: req.userId })
+    if (!user) {
+      return sendNotFound(res, 'User')
+    }
+
+    const preset = user.discoveryFilterPresets.id(req.params.presetId)
+    if (!preset) {
+      return sendNotFound(res, 'Filter preset')
+    }
+
+    preset.deleteOne()
+    await user.save()
+
+    sendSuccess(res, { presets: serializePresets(user.discoveryFilterPresets) })
+  } catch (error) {
+    logError('filterPreset.controller', 'Delete filter preset error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
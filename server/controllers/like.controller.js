@@ -1,10 +1,13 @@
 import { Like } from '../models/like.model.js'
 import { User } from '../models/user.model.js'
 import { sendSuccess, sendError, sendInternalError } from '../utils/ApiResponse.js'
-import { getReceiverSocketId, io } from '../lib/socket.js'
 import { validateUserId } from '../utilities/sanitizeInput.js'
 import { logError, logInfo } from '../utilities/logger.js'
 import { sendLikeNotificationEmail } from '../mailtrap/emails.js'
+import { notificationService } from '../services/notification.service.js'
+import { entitlementService } from '../services/entitlement.service.js'
+import { SocketEvents } from '../constants/socketEvents.js'
+import { DAILY_QUOTAS, NOTIFICATION_EVENTS } from '../constants/index.js'
 
 export const createLike = async (req, res) => {
   try {
@@ -28,8 +31,24 @@ export const createLike = async (req, res) => {
       return sendSuccess(res, { liked: true }, 'Like already exists', 200)
     }
 
+    const quota = await entitlementService.consume(fromUserId, DAILY_QUOTAS.LIKES)
+    if (!quota) {
+      return sendError(res, 'User not found', 404)
+    }
+    if (!quota.allowed) {
+      return sendError(res, `You have used all ${quota.limit} likes for today`, 429, [
+        { message: 'dailyLimitReached', value: true, quota: 'likes', resetsAt: quota.resetsAt },
+      ])
+    }
+
     like = new Like({ fromUserId, toUserId })
-    await like.save()
+    try {
+      await like.save()
+    } catch (error) {
+      // Nothing was liked, so today's quota is not used up
+      await entitlementService.release(fromUserId, DAILY_QUOTAS.LIKES)
+      throw error
+    }
 
     logInfo('like.controller', `User ${fromUserId} liked user ${toUserId}`)
 
@@ -39,28 +58,39 @@ export const createLike = async (req, res) => {
     const yourDogName = toUser.dogs_name
     const receiverEmail = toUser.email
 
-    try {
-      await sendLikeNotificationEmail(
-        receiverEmail,
-        toUser.userName,
-        likerName,
-        likerDogName,
-        yourDogName
-      )
+    const emailed = await notificationService.email({
+      userId: toUser._id,
+      event: NOTIFICATION_EVENTS.LIKE,
+      summary: `${likerName} and ${likerDogName} liked your profile`,
+      send: () =>
+        sendLikeNotificationEmail(
+          receiverEmail,
+          toUser.userName,
+          likerName,
+          likerDogName,
+          yourDogName
+        ),
+    })
+    if (emailed === 'sent') {
       logInfo('like.controller', `Like email sent to ${receiverEmail}`)
-    } catch (emailError) {
-      logError('like.controller', 'Failed to send like notification email', emailError)
     }
 
-    const receiverSocketId = getReceiverSocketId(toUserId)
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit('userLiked', {
+    await notificationService.notify({
+      userId: toUser._id,
+      event: SocketEvents.USER_LIKED,
+      payload: {
         fromUserId,
         fromUserName: likerName,
         fromUserDogName: likerDogName,
         timestamp: new Date(),
-      })
-    }
+      },
+      push: {
+        title: 'Someone likes your profile',
+        body: `${likerName} and ${likerDogName} liked ${yourDogName}'s profile`,
+        url: '/dashboard',
+        tag: 'like',
+      },
+    })
 
     sendSuccess(res, { liked: true }, 'Like created successfully', 201)
   } catch (error) {
@@ -0,0 +1,210 @@
+import { validationResult } from 'express-validator'
+import { User } from '../models/user.model.js'
+import { Meetup } from '../models/meetup.model.js'
+import { meetupService } from '../services/meetup.service.js'
+import { matchService } from '../services/match.service.js'
+import { getReceiverSocketId, io } from '../lib/socket.js'
+import { SocketEvents } from '../constants/socketEvents.js'
+import { MEETUP_STATUS } from '../constants/index.js'
+import { buildMeetupIcs } from '../utilities/icsCalendar.js'
+import { getClientUrl } from '../utilities/getClientUrl.js'
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendInternalError,
+} from '../utils/ApiResponse.js'
+import { logError, logInfo } from '../utilities/logger.js'
+
+// Emit to a user's socket if they are online (socket map is keyed by _id and user_id)
+const notifyUser = (userId, payload) => {
+  const socketId = getReceiverSocketId(userId)
+  if (socketId) {
+    io.to(socketId).emit(SocketEvents.MEETUP_UPDATED, payload)
+  }
+}
+
+// Fields shared by a proposal and a counter-proposal (validated in meetup.route.js)
+const detailsFromBody = (body) => ({
+  startsAt: body.startsAt,
+  timeZone: body.timeZone || 'UTC',
+  placeName: body.placeName,
+  coordinates: [body.longitude, body.latitude],
+  meetupType: body.meetupType,
+})
+
+// The other user, or null unless they still share a mutual match with me
+const getMatchedUser = async (myUserId, otherObjectId) => {
+  const otherUser = await User.findById(otherObjectId, {
+    user_id: 1,
+    userName: 1,
+    dogs_name: 1,
+  }).lean()
+  if (!otherUser || !(await matchService.hasMutualMatch(myUserId, otherUser.user_id))) {
+    return null
+  }
+  return otherUser
+}
+
+// Upcoming proposed and accepted meetups with a matched user (for the chat's meetup panel)
+export const getMeetups = async (req, res) => {
+  try {
+    const { id: otherUserId } = req.params
+    const meetups = await meetupService.listUpcoming(req._id, otherUserId)
+    sendSuccess(res, { meetups })
+  } catch (error) {
+    logError('meetup.controller', 'Failed to get meetups', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req._id,
+    })
+  }
+}
+
+// Propose a meetup to a mutual match
+export const proposeMeetup = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const { receiverId } = req.body
+    if (receiverId === req._id) {
+      return sendError(res, 'You cannot propose a meetup to yourself', 400)
+    }
+
+    const receiver = await getMatchedUser(req.userId, receiverId)
+    if (!receiver) {
+      return sendError(res, 'You can only propose meetups to your matches', 403)
+    }
+
+    const meetup = await meetupService.propose(req._id, receiverId, detailsFromBody(req.body))
+    logInfo('meetup.controller', `User ${req._id} proposed meetup ${meetup._id}`)
+
+    notifyUser(receiverId, { meetup })
+    sendSuccess(res, { meetup }, 'Meetup proposed', 201)
+  } catch (error) {
+    logError('meetup.controller', 'Failed to propose meetup', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req._id,
+    })
+  }
+}
+
+// Accept or decline a meetup proposed to me
+const respondToMeetup = (status) => async (req, res) => {
+  try {
+    const { meetupId } = req.params
+
+    const proposal = await Meetup.findOne({ _id: meetupId, proposedTo: req._id }).lean()
+    if (!proposal) {
+      return sendNotFound(res, 'Meetup')
+    }
+    if (
+      status === MEETUP_STATUS.ACCEPTED &&
+      !(await getMatchedUser(req.userId, proposal.proposedBy))
+    ) {
+      return sendError(res, 'You can only accept meetups with your matches', 403)
+    }
+
+    const meetup = await meetupService.respond(meetupId, req._id, status)
+    if (!meetup) {
+      return sendError(res, 'This meetup has already been answered', 409)
+    }
+
+    notifyUser(meetup.proposedBy.toString(), { meetup })
+    sendSuccess(res, { meetup }, `Meetup ${status}`)
+  } catch (error) {
+    logError('meetup.controller', `Failed to mark meetup ${status}`, error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req._id,
+    })
+  }
+}
+
+export const acceptMeetup = respondToMeetup(MEETUP_STATUS.ACCEPTED)
+export const declineMeetup = respondToMeetup(MEETUP_STATUS.DECLINED)
+
+// Answer a proposal with a different time and/or place
+export const counterMeetup = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const { meetupId } = req.params
+
+    const proposal = await Meetup.findOne({ _id: meetupId, proposedTo: req._id }).lean()
+    if (!proposal) {
+      return sendNotFound(res, 'Meetup')
+    }
+    if (!(await getMatchedUser(req.userId, proposal.proposedBy))) {
+      return sendError(res, 'You can only propose meetups to your matches', 403)
+    }
+
+    const meetup = await meetupService.counter(meetupId, req._id, detailsFromBody(req.body))
+    if (!meetup) {
+      return sendError(res, 'This meetup has already been answered', 409)
+    }
+
+    notifyUser(proposal.proposedBy.toString(), { meetup, replacedMeetupId: proposal._id })
+    sendSuccess(res, { meetup, replacedMeetupId: proposal._id }, 'Counter-proposal sent', 201)
+  } catch (error) {
+    logError('meetup.controller', 'Failed to counter meetup', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req._id,
+    })
+  }
+}
+
+// Download an accepted meetup as an .ics calendar file
+export const getMeetupCalendar = async (req, res) => {
+  try {
+    const meetup = await Meetup.findById(req.params.meetupId).lean()
+    if (!meetup || !meetupService.isParticipant(meetup, req._id)) {
+      return sendNotFound(res, 'Meetup')
+    }
+    if (meetup.status !== MEETUP_STATUS.ACCEPTED) {
+      return sendError(res, 'Only accepted meetups can be added to a calendar', 409)
+    }
+
+    const otherUser = await User.findById(meetupService.otherParticipant(meetup, req._id), {
+      userName: 1,
+      dogs_name: 1,
+    }).lean()
+    const otherName = otherUser?.dogs_name || otherUser?.userName || 'your match'
+    const description = otherUser?.dogs_name
+      ? `Woof Meetup ${meetup.meetupType} with ${otherUser.userName} and ${otherUser.dogs_name}`
+      : `Woof Meetup ${meetup.meetupType} with ${otherName}`
+
+    const ics = buildMeetupIcs(meetup, {
+      summary: `${meetup.meetupType} with ${otherName}`,
+      description,
+      url: `${getClientUrl(req)}/dashboard`,
+    })
+
+    const date = new Date(meetup.startsAt).toISOString().slice(0, 10)
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="woof-meetup-${date}.ics"`,
+    })
+    res.status(200).send(ics)
+  } catch (error) {
+    logError('meetup.controller', 'Failed to export meetup calendar', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req._id,
+    })
+  }
+}
@@ -1,20 +1,124 @@
 import Message from '../models/message.model.js'
 import { User } from '../models/user.model.js'
 import { validationResult } from 'express-validator'
+import sharp from 'sharp'
 import cloudinary from '../lib/cloudinary.js'
 import { getReceiverSocketId, io } from '../lib/socket.js'
-import { decrementMessageCredit } from '../middleware/checkMessageLimit.js'
+import { creditLedgerService } from '../services/credit-ledger.service.js'
 import {
   sendSuccess,
   sendError,
   sendValidationError,
+  sendNotFound,
   sendInternalError,
 } from '../utils/ApiResponse.js'
 import { checkImage } from '../utilities/checkImage.js'
 import { validateUserId } from '../utilities/sanitizeInput.js'
 import { logError, logInfo, logWarning } from '../utilities/logger.js'
+import { logMaliciousPayload } from '../utilities/securityLogger.js'
+import { conversationService } from '../services/conversation.service.js'
+import { matchService } from '../services/match.service.js'
+import { textModerationService } from '../services/text-moderation.service.js'
+import { notificationService } from '../services/notification.service.js'
+import { SocketEvents } from '../constants/socketEvents.js'
+import {
+  MESSAGE_CONFIG,
+  IMAGE_MODERATION_STATUS,
+  TEXT_MODERATION_CONTEXTS,
+  PUSH_CONFIG,
+  NOTIFICATION_EVENTS,
+} from '../constants/index.js'
+
+// Emit to a user's socket if they are online (socket map is keyed by _id and user_id)
+const notifyUser = (userId, event, payload) => {
+  const socketId = getReceiverSocketId(userId)
+  if (socketId) {
+    io.to(socketId).emit(event, payload)
+  }
+}
+
+// Hide a chat image that failed moderation or could not be processed and give the sender the
+// credit back. Only a pending image is rejected, so a late failure cannot undo an approval.
+const rejectMessageImage = async (message, verdict) => {
+  const rejectedMessage = await Message.findOneAndUpdate(
+    {
+      _id: message._id,
+      deletedAt: null,
+      'imageModeration.status': IMAGE_MODERATION_STATUS.PENDING,
+    },
+    { imageModeration: { status: IMAGE_MODERATION_STATUS.REJECTED, ...verdict } },
+    { new: true }
+  )
+  if (!rejectedMessage) {
+    return
+  }
+
+  // Keyed on the message, so a second rejection cannot refund twice
+  await creditLedgerService.refund(message.senderId, 1, {
+    referenceId: String(message._id),
+    description: 'Message image rejected',
+  })
+  await conversationService.updatePreview(rejectedMessage)
+
+  const rejectedData = { messageId: message._id, conversationId: message.conversationId }
+  notifyUser(String(message.senderId), SocketEvents.MESSAGE_IMAGE_REJECTED, rejectedData)
+  notifyUser(String(message.receiverId), SocketEvents.MESSAGE_IMAGE_REJECTED, rejectedData)
+}
+
+// Messages sent before imagePublicId was stored only have the delivery URL:
+// https://res.cloudinary.com/<cloud>/image/upload/v<version>/<public_id>.<format>
+const publicIdFromUrl = (url) => {
+  const match = typeof url === 'string' && url.match(/\/upload\/(?:v\d+\/)?(.+)\.[a-z0-9]+$/i)
+  return match ? match[1] : null
+}
+
+// Screen a chat image with the same checkImage used for profile photos. SVGs are rasterized
+// first because the vision model only reads bitmaps.
+const moderateMessageImage = async ({ base64Data, isSvg }) => {
+  let buffer = Buffer.from(base64Data, 'base64')
+  if (isSvg) {
+    buffer = await sharp(buffer).jpeg().toBuffer()
+  }
+  return checkImage(buffer)
+}
+
+// Web Push, and a digest email line, for a receiver with no live socket (fire-and-forget)
+const notifyOfflineReceiver = async (message, { hasImage }) => {
+  try {
+    const sender = await User.findById(message.senderId, { userName: 1 }).lean()
+    const senderName = sender?.userName || 'a match'
+    let body = message.text
+    if (body.length > PUSH_CONFIG.MAX_BODY_LENGTH) {
+      body = `${body.slice(0, PUSH_CONFIG.MAX_BODY_LENGTH - 1)}…`
+    }
+    await notificationService.push(message.receiverId, SocketEvents.NEW_MESSAGE, {
+      title: `New message from ${senderName}`,
+      body: body || (hasImage ? 'Sent a photo' : ''),
+      url: '/dashboard',
+      tag: `conversation-${message.conversationId}`,
+    })
+    // Message emails have no instant template, they always go out with the digest
+    await notificationService.email({
+      userId: message.receiverId,
+      event: NOTIFICATION_EVENTS.MESSAGE,
+      summary: `New message from ${senderName}`,
+    })
+  } catch (error) {
+    logError('message.controller', 'Failed to notify offline receiver', error)
+  }
+}
 
-// Get messages
+// Remove an unsent message's image from Cloudinary (fire-and-forget)
+const destroyMessageImage = (publicId) => {
+  if (!publicId) {
+    return
+  }
+  cloudinary.uploader.destroy(publicId).catch((error) => {
+    logError('message.controller', `Failed to delete Cloudinary image ${publicId}`, error)
+  })
+}
+
+// Get one page of messages with a user (latest page, or ?before=/?after= a message id)
 export const getMessages = async (req, res) => {
   try {
     const { id: userChattingWithId } = req.params
@@ -23,14 +127,30 @@ export const getMessages = async (req, res) => {
     // Double-check validation (defense in depth)
     validateUserId(userChattingWithId, 'userChattingWithId')
 
-    const messages = await Message.find({
-      $or: [
-        { senderId: myId, receiverId: userChattingWithId },
-        { senderId: userChattingWithId, receiverId: myId },
-      ],
+    const conversation = await conversationService.find(myId, userChattingWithId)
+    if (!conversation) {
+      return sendSuccess(res, { conversationId: null, messages: [], hasMore: false }, null, 200)
+    }
+
+    const page = await conversationService.getMessagesPage(conversation._id, {
+      ...req.cursor,
+      limit: req.pagination.limit,
     })
+    if (!page) {
+      return sendNotFound(res, 'Message')
+    }
 
-    sendSuccess(res, messages, null, 200)
+    // Loading the conversation delivers anything the socket missed while offline
+    const deliveredAt = await conversationService.markDelivered(conversation._id, myId)
+    if (deliveredAt) {
+      notifyUser(userChattingWithId, SocketEvents.MESSAGE_DELIVERED, {
+        conversationId: conversation._id,
+        receiverId: myId,
+        deliveredAt,
+      })
+    }
+
+    sendSuccess(res, { conversationId: conversation._id, ...page }, null, 200)
   } catch (error) {
     logError('message.controller', 'Failed to get messages', error)
     sendInternalError(res, error, {
@@ -57,7 +177,7 @@ export const sendMessage = async (req, res) => {
     }
 
     // Handle both FormData (multipart) and JSON payloads
-    const text = req.body.text || ''
+    let text = req.body.text || ''
     let image = req.body.image
 
     // If image came as a File/Buffer from multipart form-data
@@ -73,6 +193,36 @@ export const sendMessage = async (req, res) => {
     // Double-check validation (defense in depth)
     validateUserId(receiverId, 'receiverId')
 
+    // Blocked in either direction: refuse before uploading or spending a credit
+    const receiver = await User.findById(receiverId, { user_id: 1 }).lean()
+    if (!receiver) {
+      return sendNotFound(res, 'User')
+    }
+    if (await matchService.isBlocked(req.userId, receiver.user_id)) {
+      return sendError(res, 'You cannot message this user', 403)
+    }
+
+    // Text moderation: blocked text is refused, masked text is sent masked
+    const originalText = text
+    const textModeration = await textModerationService.moderate(text, {
+      context: TEXT_MODERATION_CONTEXTS.MESSAGE,
+      isEarlyMessage: await textModerationService.isEarlyMessage(senderId, receiverId),
+    })
+    if (textModeration.blocked) {
+      await textModerationService.recordFlag({
+        userId: req.userId,
+        context: TEXT_MODERATION_CONTEXTS.MESSAGE,
+        field: 'text',
+        text: originalText,
+        result: textModeration,
+      })
+      return sendError(res, 'This message breaks our community guidelines and was not sent', 400, {
+        code: 'MESSAGE_BLOCKED',
+        categories: textModeration.categories,
+      })
+    }
+    text = textModeration.text
+
     let imageUrl
     let rawImageData = null
     if (image) {
@@ -138,19 +288,60 @@ export const sendMessage = async (req, res) => {
       }
     }
 
+    const conversation = await conversationService.findOrCreate(senderId, receiverId)
+
     const newMessage = new Message({
+      conversationId: conversation._id,
       senderId,
       receiverId,
       text,
       image: imageUrl,
+      imageModeration: image ? { status: IMAGE_MODERATION_STATUS.PENDING } : undefined,
+    })
+
+    // Pay for the message before saving it; a concurrent send may have used the last credit
+    // since checkMessageLimit ran
+    const spend = await creditLedgerService.spend(senderId, {
+      referenceId: String(newMessage._id),
+      description: 'Message sent',
     })
+    if (!spend) {
+      return sendError(res, 'Insufficient message credits', 403, [
+        { message: 'needsCredits', value: true, currentCredits: 0 },
+      ])
+    }
 
     logInfo('message.controller', '💾 Saving message from sender to receiver')
 
     // Run these in parallel to speed up response
-    await Promise.all([newMessage.save(), decrementMessageCredit(senderId)])
+    try {
+      await Promise.all([
+        newMessage.save(),
+        conversationService.recordMessage(newMessage, { hasImage: Boolean(image) }),
+        User.updateOne({ _id: senderId }, { $inc: { totalMessagesSent: 1 } }),
+      ])
+    } catch (error) {
+      await creditLedgerService.refund(senderId, 1, {
+        referenceId: String(newMessage._id),
+        description: 'Message failed to send',
+      })
+      throw error
+    }
     logInfo('message.controller', `✅ Message saved to database: ${newMessage._id}`)
 
+    if (textModeration.flagged) {
+      textModerationService
+        .recordFlag({
+          userId: req.userId,
+          context: TEXT_MODERATION_CONTEXTS.MESSAGE,
+          field: 'text',
+          messageId: newMessage._id,
+          text: originalText,
+          result: textModeration,
+        })
+        .catch((error) => logError('message.controller', 'Failed to record content flag', error))
+    }
+
     // Emit with acknowledgment - wait for client confirmation
     // First try direct lookup, then try to find user by _id and use their user_id
     let receiverSocketId = getReceiverSocketId(receiverId)
@@ -178,13 +369,35 @@ export const sendMessage = async (req, res) => {
       }`
     )
     if (receiverSocketId) {
-      io.to(receiverSocketId).emit('newMessage', newMessage, (ack) => {
-        if (ack) {
+      io.timeout(MESSAGE_CONFIG.DELIVERY_ACK_TIMEOUT)
+        .to(receiverSocketId)
+        .emit(SocketEvents.NEW_MESSAGE, newMessage, async (err, responses) => {
+          if (err || !responses?.some(Boolean)) {
+            logInfo('message.controller', '⚠️ Message not acknowledged by receiver')
+            return
+          }
           logInfo('message.controller', '✅ Message delivered to receiver')
-        }
-      })
+          try {
+            const deliveredAt = await conversationService.markDelivered(
+              conversation._id,
+              receiverId,
+              { messageId: newMessage._id }
+            )
+            if (deliveredAt) {
+              notifyUser(senderId, SocketEvents.MESSAGE_DELIVERED, {
+                conversationId: conversation._id,
+                receiverId,
+                messageId: newMessage._id,
+                deliveredAt,
+              })
+            }
+          } catch (error) {
+            logError('message.controller', 'Failed to record message delivery', error)
+          }
+        })
     } else {
       logInfo('message.controller', `⚠️ Receiver ${receiverId} not found in online users map`)
+      notifyOfflineReceiver(newMessage, { hasImage: Boolean(image) })
     }
 
     const requestEnd = Date.now()
@@ -198,6 +411,40 @@ export const sendMessage = async (req, res) => {
     if (image && rawImageData) {
       setImmediate(async () => {
         try {
+          // Screen the image before it is uploaded or revealed to the receiver
+          const imageCheck = await moderateMessageImage(rawImageData)
+          const verdict = {
+            reason: imageCheck.reason,
+            confidence: imageCheck.confidence,
+            checkedAt: new Date(),
+          }
+
+          if (imageCheck.isNude) {
+            logMaliciousPayload('inappropriate_chat_image', {
+              userId: req.userId,
+              endpoint: req.originalUrl,
+              ip: req.ip,
+              details: {
+                messageId: newMessage._id.toString(),
+                confidence: imageCheck.confidence,
+                reason: imageCheck.reason,
+              },
+            })
+
+            await rejectMessageImage(newMessage, verdict)
+            return
+          }
+
+          textModerationService
+            .recordImageFlag({
+              userId: req.userId,
+              context: TEXT_MODERATION_CONTEXTS.MESSAGE,
+              field: 'image',
+              messageId: newMessage._id,
+              result: imageCheck,
+            })
+            .catch((error) => logError('message.controller', 'Failed to record image flag', error))
+
           logInfo('message.controller', '📤 Starting background Cloudinary upload...')
           const uploadOptions = {
             quality: 'auto:eco',
@@ -224,10 +471,19 @@ export const sendMessage = async (req, res) => {
           const uploadedImageUrl = uploadResponse.secure_url
           logInfo('message.controller', '✅ Cloudinary upload complete')
 
-          // Update message with image URL
-          await Message.findByIdAndUpdate(newMessage._id, {
-            image: uploadedImageUrl,
-          })
+          // Update message with image URL (unless it was unsent while uploading)
+          const updatedMessage = await Message.findOneAndUpdate(
+            { _id: newMessage._id, deletedAt: null },
+            {
+              image: uploadedImageUrl,
+              imagePublicId: uploadResponse.public_id,
+              imageModeration: { status: IMAGE_MODERATION_STATUS.APPROVED, ...verdict },
+            }
+          )
+          if (!updatedMessage) {
+            destroyMessageImage(uploadResponse.public_id)
+            return
+          }
           logInfo('message.controller', `✅ Message ${newMessage._id} updated with image URL`)
 
           // Emit updated message to both sender and receiver
@@ -286,25 +542,17 @@ export const sendMessage = async (req, res) => {
               '⚠️ Receiver socket NOT found - image update will NOT be delivered to receiver'
             )
           }
-
-          // Check image for nudity ASYNCHRONOUSLY (non-blocking)
-          if (!rawImageData.isSvg) {
-            const imageBuffer = Buffer.from(rawImageData.base64Data, 'base64')
-            checkImage(imageBuffer)
-              .then((imageCheck) => {
-                if (imageCheck.isNude) {
-                  logWarning(
-                    'message.controller',
-                    `🚨 INAPPROPRIATE IMAGE - Message ${newMessage._id} may need review`
-                  )
-                }
-              })
-              .catch((error) => {
-                logError('message.controller', 'Background nudity check failed', error)
-              })
-          }
         } catch (error) {
           logError('message.controller', 'Background image processing failed', error)
+          // Leave no image stuck in pending; the sender sees it rejected and gets the credit back
+          try {
+            await rejectMessageImage(newMessage, {
+              reason: 'Image could not be processed',
+              checkedAt: new Date(),
+            })
+          } catch (rejectError) {
+            logError('message.controller', 'Failed to reject unprocessed image', rejectError)
+          }
         }
       })
     }
@@ -318,6 +566,151 @@ export const sendMessage = async (req, res) => {
   }
 }
 
+// Mark the conversation with a user as read (REST fallback for the markMessagesRead socket event)
+export const markMessagesRead = async (req, res) => {
+  try {
+    const { id: userChattingWithId } = req.params
+    const myId = req._id
+
+    // Double-check validation (defense in depth)
+    validateUserId(userChattingWithId, 'userChattingWithId')
+
+    const result = await conversationService.markRead(myId, userChattingWithId)
+    if (!result) {
+      return sendNotFound(res, 'Conversation')
+    }
+
+    if (result.notify) {
+      notifyUser(userChattingWithId, SocketEvents.MESSAGES_READ, {
+        conversationId: result.conversationId,
+        readerId: myId,
+        readAt: result.readAt,
+      })
+    }
+
+    sendSuccess(res, {
+      conversationId: result.conversationId,
+      lastReadMessageId: result.lastReadMessageId,
+    })
+  } catch (error) {
+    logError('message.controller', 'Failed to mark messages read', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req._id,
+    })
+  }
+}
+
+// Edit the text of one of my messages within MESSAGE_CONFIG.EDIT_WINDOW_MS
+export const editMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array())
+    }
+
+    const { messageId } = req.params
+    const myId = req._id
+
+    const message = await Message.findOne({ _id: messageId, senderId: myId })
+    if (!message) {
+      return sendNotFound(res, 'Message')
+    }
+    if (message.deletedAt) {
+      return sendError(res, 'This message was unsent', 409)
+    }
+    if (!message.text) {
+      return sendError(res, 'Only text messages can be edited', 400)
+    }
+    if (Date.now() - message.createdAt.getTime() > MESSAGE_CONFIG.EDIT_WINDOW_MS) {
+      const minutes = Math.round(MESSAGE_CONFIG.EDIT_WINDOW_MS / 60000)
+      return sendError(res, `Messages can only be edited for ${minutes} minutes after sending`, 403)
+    }
+
+    const textModeration = await textModerationService.moderate(req.body.text, {
+      context: TEXT_MODERATION_CONTEXTS.MESSAGE,
+      isEarlyMessage: await textModerationService.isEarlyMessage(myId, message.receiverId),
+    })
+    await textModerationService.recordFlag({
+      userId: req.userId,
+      context: TEXT_MODERATION_CONTEXTS.MESSAGE,
+      field: 'text',
+      messageId: message._id,
+      text: req.body.text,
+      result: textModeration,
+    })
+    if (textModeration.blocked) {
+      return sendError(res, 'This message breaks our community guidelines and was not saved', 400, {
+        code: 'MESSAGE_BLOCKED',
+        categories: textModeration.categories,
+      })
+    }
+
+    message.text = textModeration.text
+    message.editedAt = new Date()
+    await message.save()
+    await conversationService.updatePreview(message)
+
+    notifyUser(message.receiverId.toString(), SocketEvents.MESSAGE_EDITED, {
+      messageId: message._id,
+      conversationId: message.conversationId,
+      text: message.text,
+      editedAt: message.editedAt,
+    })
+
+    sendSuccess(res, message, 'Message updated', 200)
+  } catch (error) {
+    logError('message.controller', 'Failed to edit message', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req._id,
+    })
+  }
+}
+
+// Unsend one of my messages: keep a tombstone and remove its text and image
+export const unsendMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params
+    const myId = req._id
+
+    const message = await Message.findOne({ _id: messageId, senderId: myId })
+    if (!message) {
+      return sendNotFound(res, 'Message')
+    }
+    if (message.deletedAt) {
+      return sendSuccess(res, message, 'Message unsent', 200)
+    }
+
+    const imagePublicId = message.imagePublicId || publicIdFromUrl(message.image)
+    message.text = ''
+    message.image = null
+    message.imagePublicId = null
+    message.deletedAt = new Date()
+    await message.save()
+    await conversationService.updatePreview(message)
+
+    destroyMessageImage(imagePublicId)
+
+    notifyUser(message.receiverId.toString(), SocketEvents.MESSAGE_DELETED, {
+      messageId: message._id,
+      conversationId: message.conversationId,
+      deletedAt: message.deletedAt,
+    })
+
+    sendSuccess(res, message, 'Message unsent', 200)
+  } catch (error) {
+    logError('message.controller', 'Failed to unsend message', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req._id,
+    })
+  }
+}
+
 // Delete messages between two users
 export const deleteMessages = async (req, res) => {
   try {
@@ -333,6 +726,7 @@ export const deleteMessages = async (req, res) => {
         { senderId: userChattingWithId, receiverId: myId },
       ],
     })
+    await conversationService.remove(myId, userChattingWithId)
 
     // Notify the other user that chat has been cleared via Socket.IO (with acknowledgment)
     let receiverSocketId = getReceiverSocketId(userChattingWithId)
@@ -0,0 +1,109 @@
+import { validationResult } from 'express-validator'
+import { User } from '../models/user.model.js'
+import { matchService } from '../services/match.service.js'
+import { reportService } from '../services/report.service.js'
+import { getReceiverSocketId, io } from '../lib/socket.js'
+import { isValidObjectId } from '../utilities/sanitizeInput.js'
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendInternalError,
+} from '../utils/ApiResponse.js'
+import { logError, logInfo } from '../utilities/logger.js'
+
+// Profiles link by user_id and chats by _id - accept either
+const findTargetUser = (id) =>
+  User.findOne(isValidObjectId(id) ? { _id: id } : { user_id: id }, { _id: 1, user_id: 1 }).lean()
+
+// Block a user: ends any match and hides both users from each other everywhere
+export const blockUser = async (req, res) => {
+  try {
+    const target = await findTargetUser(req.params.id)
+    if (!target) {
+      return sendNotFound(res, 'User')
+    }
+    if (target.user_id === req.userId) {
+      return sendError(res, 'You cannot block yourself', 400)
+    }
+
+    const { wasMutual } = await matchService.block(req.userId, target.user_id)
+    logInfo('moderation.controller', `User ${req.userId} blocked user ${target.user_id}`)
+
+    // Same event as an unmatch so both clients drop the chat (the block itself is not revealed)
+    if (wasMutual) {
+      for (const userId of [target.user_id, req.userId]) {
+        const socketId = getReceiverSocketId(userId)
+        if (socketId) {
+          io.to(socketId).emit('userUnmatched', {
+            userId: req.userId,
+            matchedUserId: target.user_id,
+          })
+        }
+      }
+    }
+
+    sendSuccess(res, { blocked: true, userId: target.user_id }, 'User blocked')
+  } catch (error) {
+    logError('moderation.controller', 'Failed to block user', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Report a user to the moderation queue, with optional message/image evidence
+export const reportUser = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const target = await findTargetUser(req.params.id)
+    if (!target) {
+      return sendNotFound(res, 'User')
+    }
+    if (target.user_id === req.userId) {
+      return sendError(res, 'You cannot report yourself', 400)
+    }
+    if (await reportService.hasOpenReport(req.userId, target.user_id)) {
+      return sendError(res, 'You have already reported this user', 409)
+    }
+
+    const { reason, details, messageIds, imageIds } = req.body
+    const evidence = await reportService.collectEvidence({ _id: req._id }, target, {
+      messageIds,
+      imageIds,
+    })
+    if (!evidence) {
+      return sendValidationError(
+        res,
+        [{ path: 'messageIds', msg: 'Evidence must be messages between you and this user' }],
+        'Invalid evidence'
+      )
+    }
+
+    const report = await reportService.create(req.userId, target.user_id, {
+      reason,
+      details,
+      evidence,
+    })
+    logInfo(
+      'moderation.controller',
+      `User ${req.userId} reported user ${target.user_id} (${reason}) - report ${report._id}`
+    )
+
+    sendSuccess(res, { reportId: report._id }, 'Report submitted', 201)
+  } catch (error) {
+    logError('moderation.controller', 'Failed to report user', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
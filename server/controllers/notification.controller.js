@@ -0,0 +1,160 @@
+import { validationResult } from 'express-validator'
+import { pushService } from '../services/push.service.js'
+import { notificationPreferenceService } from '../services/notification-preference.service.js'
+import { emailSuppressionService } from '../services/email-suppression.service.js'
+import { User } from '../models/user.model.js'
+import { verifyUnsubscribeToken } from '../utilities/unsubscribeToken.js'
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendInternalError,
+} from '../utils/ApiResponse.js'
+import { logError, logInfo } from '../utilities/logger.js'
+
+// Public VAPID key for pushManager.subscribe()
+export const getVapidPublicKey = (req, res) => {
+  const publicKey = pushService.getPublicKey()
+  if (!publicKey) {
+    return sendError(res, 'Push notifications are not available', 503)
+  }
+  sendSuccess(res, { publicKey })
+}
+
+// Save this browser's push subscription for the current user
+export const subscribe = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    if (!pushService.isConfigured()) {
+      return sendError(res, 'Push notifications are not available', 503)
+    }
+
+    const { endpoint, keys, expirationTime } = req.body
+    await pushService.subscribe(
+      req._id,
+      { endpoint, keys, expirationTime },
+      (req.get('user-agent') || '').slice(0, 256)
+    )
+    logInfo('notification.controller', `User ${req.userId} subscribed to push notifications`)
+    sendSuccess(res, { subscribed: true }, 'Push notifications enabled', 201)
+  } catch (error) {
+    logError('notification.controller', 'Failed to save push subscription', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Remove this browser's push subscription (disabling push, or logging out)
+export const unsubscribe = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const removed = await pushService.unsubscribe(req._id, req.body.endpoint)
+    if (!removed) {
+      return sendNotFound(res, 'Push subscription')
+    }
+    sendSuccess(res, { subscribed: false }, 'Push notifications disabled')
+  } catch (error) {
+    logError('notification.controller', 'Failed to remove push subscription', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Current user's notification preferences (defaults if never saved)
+export const getPreferences = async (req, res) => {
+  try {
+    const { lastDigestSentAt: _lastDigestSentAt, ...preferences } =
+      await notificationPreferenceService.get(req._id)
+    sendSuccess(res, { preferences })
+  } catch (error) {
+    logError('notification.controller', 'Failed to get notification preferences', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Partially update the current user's notification preferences
+export const updatePreferences = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  try {
+    const { events, emailMode, quietHours } = req.body
+    const { lastDigestSentAt: _lastDigestSentAt, ...preferences } =
+      await notificationPreferenceService.update(req._id, { events, emailMode, quietHours })
+
+    // Opting back in here undoes an earlier unsubscribe link for the same emails
+    const user = await User.findById(req._id, { email: 1 }).lean()
+    if (user) {
+      await emailSuppressionService.resubscribeFromPreferences(user.email, { events, emailMode })
+    }
+    sendSuccess(res, { preferences }, 'Notification preferences updated')
+  } catch (error) {
+    logError('notification.controller', 'Failed to update notification preferences', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req.userId,
+    })
+  }
+}
+
+// Describe an unsubscribe link for the client's confirmation page (does not unsubscribe)
+export const getUnsubscribe = (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  const link = verifyUnsubscribeToken(req.params.token)
+  if (!link) {
+    return sendError(res, 'This unsubscribe link is invalid or has expired', 400)
+  }
+  sendSuccess(res, link)
+}
+
+// Unsubscribe the address in a signed link. Public: mail clients POST here for RFC 8058
+// one-click unsubscribe, and the client confirmation page calls it too.
+export const unsubscribeEmail = async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array())
+  }
+
+  const link = verifyUnsubscribeToken(req.params.token)
+  if (!link) {
+    return sendError(res, 'This unsubscribe link is invalid or has expired', 400)
+  }
+
+  try {
+    const categories = await emailSuppressionService.unsubscribe(link.email, link.category)
+    logInfo('notification.controller', `Email unsubscribed from ${categories.join(', ')}`)
+    sendSuccess(res, { email: link.email, categories }, 'You have been unsubscribed')
+  } catch (error) {
+    logError('notification.controller', 'Failed to unsubscribe email', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
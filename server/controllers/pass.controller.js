@@ -0,0 +1,35 @@
+import { Pass, getPassExpiryDate } from '../models/pass.model.js'
+import { User } from '../models/user.model.js'
+import { sendSuccess, sendError, sendInternalError } from '../utils/ApiResponse.js'
+import { logError, logInfo } from '../utilities/logger.js'
+
+// Record a left swipe - passing the same user again restarts the expiry
+export const createPass = async (req, res) => {
+  try {
+    const { id: toUserId } = req.params
+    const fromUserId = req._id
+
+    if (fromUserId === toUserId) {
+      return sendError(res, 'You cannot pass on your own profile', 400)
+    }
+
+    const toUser = await User.exists({ _id: toUserId })
+    if (!toUser) {
+      return sendError(res, 'User not found', 404)
+    }
+
+    const expiresAt = getPassExpiryDate()
+    await Pass.updateOne({ fromUserId, toUserId }, { $set: { expiresAt } }, { upsert: true })
+
+    logInfo('pass.controller', `User ${fromUserId} passed on user ${toUserId}`)
+
+    sendSuccess(res, { passed: true, expiresAt }, 'Pass recorded', 201)
+  } catch (error) {
+    logError('pass.controller', 'Failed to create pass', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+      userId: req._id,
+    })
+  }
+}
@@ -1,6 +1,7 @@
 import { User } from '../models/user.model.js'
 import { Transaction } from '../models/transaction.model.js'
 import { stripeService } from '../services/stripe.service.js'
+import { entitlementService } from '../services/entitlement.service.js'
 import { logError, logInfo } from '../utilities/logger.js'
 import { getClientUrl } from '../utilities/getClientUrl.js'
 import { sanitizeErrorMessage as _sanitizeErrorMessage } from '../utilities/errorSanitizer.js'
@@ -12,6 +13,7 @@ import {
   sendValidationError,
   sendInternalError,
 } from '../utils/ApiResponse.js'
+import { SUBSCRIPTION_TRIAL_DAYS } from '../constants/index.js'
 
 // Credit packages
 const CREDIT_PACKAGES = {
@@ -20,6 +22,20 @@ const CREDIT_PACKAGES = {
   large: { credits: 125, price: 19.99 },
 }
 
+// Trial days offered for a plan, ignoring misconfigured values
+const trialDaysFor = (planType) => {
+  const days = SUBSCRIPTION_TRIAL_DAYS[planType]
+  return Number.isInteger(days) && days > 0 ? days : 0
+}
+
+// Trials and referral coupons are only for an account's first subscription
+async function isFirstSubscription(user) {
+  if (user.trialUsedAt || user.stripeSubscriptionId) {
+    return false
+  }
+  return !(await Transaction.exists({ userId: user._id, type: 'subscription' }))
+}
+
 // Helper function to ensure user has Stripe customer ID
 // Also validates that the customer exists in the current API mode (test or live)
 // Recreates customer if switching from test to live mode
@@ -56,7 +72,7 @@ export const createSubscriptionCheckout = async (req, res) => {
   }
 
   try {
-    const { planType } = req.body
+    const { planType, promoCode } = req.body
     const user = await User.findOne({ user_id: req.userId })
 
     if (!user) {
@@ -85,16 +101,42 @@ export const createSubscriptionCheckout = async (req, res) => {
     const successUrl = `${clientUrl}/payment-success?session_id={CHECKOUT_SESSION_ID}`
     const cancelUrl = `${clientUrl}/pricing?canceled=true`
 
+    let promotionCodeId = null
+    if (promoCode) {
+      const promotion = await stripeService.findPromotionCode(promoCode)
+      if (!promotion) {
+        return sendError(res, 'Invalid or expired promo code', 400)
+      }
+      promotionCodeId = promotion.id
+    }
+
+    const firstSubscription = await isFirstSubscription(user)
+
+    // A referral partner's coupon applies unless the user entered their own code
+    let couponId = null
+    if (firstSubscription && !promotionCodeId) {
+      couponId = stripeService.getReferralCouponId(user.referral_source)
+    }
+
     const session = await stripeService.createSubscriptionCheckout(
       customerId,
       priceId,
       user.user_id,
       successUrl,
-      cancelUrl
+      cancelUrl,
+      {
+        trialDays: firstSubscription ? trialDaysFor(planType) : 0,
+        promotionCodeId,
+        couponId,
+      }
     )
 
     sendSuccess(res, { sessionId: session.id, url: session.url })
   } catch (error) {
+    // Stripe rejects codes restricted to other customers, products or first-time orders
+    if (req.body.promoCode && error.type === 'StripeInvalidRequestError') {
+      return sendError(res, 'This promo code cannot be applied to this plan', 400)
+    }
     logError('payment.controller', 'createSubscriptionCheckout error', error)
     sendInternalError(res, error, {
       method: req.method,
@@ -243,6 +285,7 @@ export const getSubscriptionStatus = async (req, res) => {
         plan: user.subscription,
         status: user.subscriptionStatus,
         endDate: user.subscriptionEndDate,
+        trialEndsAt: user.subscriptionStatus === 'trialing' ? user.trialEndsAt : null,
         messageCredits: user.messageCredits,
         totalMessagesSent: user.totalMessagesSent,
       },
@@ -256,6 +299,55 @@ export const getSubscriptionStatus = async (req, res) => {
   }
 }
 
+// Get the free trial and referral discount the user would get on checkout
+export const getSubscriptionOffer = async (req, res) => {
+  try {
+    const user = await User.findOne({ user_id: req.userId })
+
+    if (!user) {
+      return sendError(res, 'User not found', 404)
+    }
+
+    const firstSubscription = await isFirstSubscription(user)
+
+    sendSuccess(res, {
+      offer: {
+        trialDays: {
+          premium: firstSubscription ? trialDaysFor('premium') : 0,
+          vip: firstSubscription ? trialDaysFor('vip') : 0,
+        },
+        referralDiscount:
+          firstSubscription && Boolean(stripeService.getReferralCouponId(user.referral_source)),
+      },
+    })
+  } catch (error) {
+    logError('payment.controller', 'getSubscriptionOffer error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
+// Get plan entitlements: message credits and today's swipe, like and undo quotas
+export const getEntitlements = async (req, res) => {
+  try {
+    const entitlements = await entitlementService.getEntitlements(req._id)
+
+    if (!entitlements) {
+      return sendError(res, 'User not found', 404)
+    }
+
+    sendSuccess(res, { entitlements })
+  } catch (error) {
+    logError('payment.controller', 'getEntitlements error', error)
+    sendInternalError(res, error, {
+      method: req.method,
+      path: req.path,
+    })
+  }
+}
+
 // Get payment history
 export const getPaymentHistory = async (req, res) => {
   try {
@@ -4,18 +4,52 @@ import { DeletionLog } from '../models/deletion-log.model.js'
 import Message from '../models/message.model.js'
 import { stripeService } from '../services/stripe.service.js'
 import { awsService } from '../services/aws.service.js'
+import { matchService } from '../services/match.service.js'
+import { conversationService } from '../services/conversation.service.js'
+import { meetupService } from '../services/meetup.service.js'
+import { pushService } from '../services/push.service.js'
+import { notificationPreferenceService } from '../services/notification-preference.service.js'
+import { creditLedgerService } from '../services/credit-ledger.service.js'
+import { entitlementService } from '../services/entitlement.service.js'
+import { webhookEventService } from '../services/webhook-event.service.js'
 import { logError, logInfo, logWarning } from '../utilities/logger.js'
 import { validateUserId } from '../utilities/sanitizeInput.js'
+import { withTransaction } from '../utilities/transaction.js'
 import AppError from '../utilities/AppError.js'
 import { ErrorCodes } from '../constants/errorCodes.js'
+import {
+  CREDIT_LEDGER_CONFIG,
+  SUBSCRIPTION_TYPES,
+  WEBHOOK_EVENT_STATUS,
+} from '../constants/index.js'
 import { sendSuccess, sendError } from '../utils/ApiResponse.js'
-import { sendSubscriptionWelcomeEmail, sendCreditsPurchaseEmail } from '../mailtrap/emails.js'
+import {
+  sendSubscriptionWelcomeEmail,
+  sendTrialEndingEmail,
+  sendCreditsPurchaseEmail,
+  sendPaymentRefundedEmail,
+  sendPaymentDisputeEmail,
+} from '../mailtrap/emails.js'
 import { DeleteObjectCommand } from '@aws-sdk/client-s3'
 import { CreateInvalidationCommand } from '@aws-sdk/client-cloudfront'
 
 const bucketName = process.env.AWS_BUCKET_NAME
 const cloudFrontDistId = process.env.CLOUD_FRONT_DIST_ID
 
+// Subscription plan for a Stripe price (anything but the VIP price is premium)
+const planForPriceId = (priceId) =>
+  priceId === process.env.STRIPE_VIP_PRICE_ID ? SUBSCRIPTION_TYPES.VIP : SUBSCRIPTION_TYPES.PREMIUM
+
+// Record the Transaction for a webhook event, keyed on its Stripe event id. A handler can fail
+// after writing it (e.g. sending the email) and then run again from a Stripe retry, the retry
+// job or an admin replay; the event still ends up with exactly one Transaction.
+const recordTransaction = (data, session = null) =>
+  Transaction.findOneAndUpdate(
+    { 'metadata.stripeEventId': data.metadata.stripeEventId },
+    { $setOnInsert: data },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session }
+  )
+
 /**
  * Handle Stripe Webhook Events
  * Security: Implements webhook signature verification and idempotency checks
@@ -27,7 +61,8 @@ const cloudFrontDistId = process.env.CLOUD_FRONT_DIST_ID
  * Idempotency:
  * - Uses Stripe event ID as unique identifier
  * - Prevents duplicate processing if webhook is retried by Stripe
- * - Stores processed event IDs in database to detect retries
+ * - Stores every event (WebhookEvent) with its processing status to detect retries; failed
+ *   events are retried by jobs/webhookRetry.job.js and can be replayed by admins
  */
 export const handleStripeWebhook = async (req, res) => {
   const sig = req.headers['stripe-signature']
@@ -66,15 +101,29 @@ export const handleStripeWebhook = async (req, res) => {
   try {
     // Security: Check for duplicate webhook processing (idempotency)
     // Stripe may retry webhooks that don't get a 200 response quickly
-    // Using the event ID prevents duplicate credit/subscription updates
+    // Every event is stored first; its status prevents duplicate credit/subscription updates
     const eventId = event.id
+    const stored = await webhookEventService.record(event, req.body.toString('utf8'))
+
+    // Events handled before the event store existed are only recorded on their transaction
+    // (a closed dispute updates the record its charge.dispute.created event made)
+    if (
+      stored.attempts === 0 &&
+      (await Transaction.exists({
+        $or: [{ 'metadata.stripeEventId': eventId }, { 'metadata.closedStripeEventId': eventId }],
+      }))
+    ) {
+      await webhookEventService.markProcessed(eventId)
+      stored.status = WEBHOOK_EVENT_STATUS.PROCESSED
+    }
 
-    // Check if we've already processed this webhook
-    const existingEvent = await Transaction.findOne({
-      'metadata.stripeEventId': eventId,
-    })
+    let result = null
+    if (stored.status !== WEBHOOK_EVENT_STATUS.PROCESSED) {
+      result = await webhookEventService.run(eventId, processStripeEvent)
+    }
 
-    if (existingEvent) {
+    if (!result) {
+      // Already processed, or another request/the retry job is processing it right now
       logInfo(
         'webhook.controller',
         `Webhook already processed (idempotency): ${event.type} - Event ID: ${eventId}`
@@ -83,47 +132,9 @@ export const handleStripeWebhook = async (req, res) => {
       return sendSuccess(res, { received: true, isDuplicate: true }, null, 200)
     }
 
-    // Log incoming webhook for audit trail
-    logInfo(
-      'webhook.controller',
-      `Processing webhook: ${event.type} (Event ID: ${eventId}, Timestamp: ${new Date(
-        event.created * 1000
-      ).toISOString()})`
-    )
-
-    // Process the webhook event
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutCompleted(event.data.object, eventId)
-        break
-
-      case 'customer.subscription.created':
-        await handleSubscriptionCreated(event.data.object, eventId)
-        break
-
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object, eventId)
-        break
-
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object, eventId)
-        break
-
-      case 'invoice.payment_succeeded':
-        await handleInvoicePaymentSucceeded(event.data.object, eventId)
-        break
-
-      case 'invoice.payment_failed':
-        await handleInvoicePaymentFailed(event.data.object, eventId)
-        break
-
-      default:
-        // Unhandled webhook event - log for monitoring
-        logInfo(
-          'webhook.controller',
-          `Unhandled webhook event type: ${event.type} (Event ID: ${eventId})`
-        )
-        break
+    if (result.status === WEBHOOK_EVENT_STATUS.FAILED) {
+      // Return 500 to signal Stripe to retry (the retry job retries it as well)
+      return sendError(res, 'Webhook handler failed', 500)
     }
 
     // Acknowledge successful processing to Stripe
@@ -140,6 +151,73 @@ export const handleStripeWebhook = async (req, res) => {
   }
 }
 
+/**
+ * Run a Stripe event through its handler. Used for live webhooks, the retry job and admin
+ * replays (see webhookEventService.run). Throws when the handler fails.
+ * @param {Object} event - Parsed Stripe event
+ */
+export async function processStripeEvent(event) {
+  const eventId = event.id
+
+  // Log incoming webhook for audit trail
+  logInfo(
+    'webhook.controller',
+    `Processing webhook: ${event.type} (Event ID: ${eventId}, Timestamp: ${new Date(
+      event.created * 1000
+    ).toISOString()})`
+  )
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleCheckoutCompleted(event.data.object, eventId)
+      break
+
+    case 'customer.subscription.created':
+      await handleSubscriptionCreated(event.data.object, eventId)
+      break
+
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object, eventId)
+      break
+
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object, eventId)
+      break
+
+    case 'customer.subscription.trial_will_end':
+      await handleTrialWillEnd(event.data.object, eventId)
+      break
+
+    case 'invoice.payment_succeeded':
+      await handleInvoicePaymentSucceeded(event.data.object, eventId)
+      break
+
+    case 'invoice.payment_failed':
+      await handleInvoicePaymentFailed(event.data.object, eventId)
+      break
+
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object, eventId)
+      break
+
+    case 'charge.dispute.created':
+      await handleDisputeCreated(event.data.object, eventId)
+      break
+
+    case 'charge.dispute.closed':
+      await handleDisputeClosed(event.data.object, eventId)
+      break
+
+    default:
+      // Unhandled webhook event - log for monitoring
+      logInfo(
+        'webhook.controller',
+        `Unhandled webhook event type: ${event.type} (Event ID: ${eventId})`
+      )
+      break
+  }
+}
+
 // Handle checkout session completed
 // eventId is used for idempotency - prevents duplicate processing if webhook is retried
 async function handleCheckoutCompleted(session, eventId) {
@@ -188,32 +266,38 @@ async function handleCheckoutCompleted(session, eventId) {
       throw AppError.notFound(ErrorCodes.USER_NOT_FOUND, 'User not found for checkout completion')
     }
 
-    // Update user credits (increment by the credits amount)
-    const updatedUser = await User.findOneAndUpdate(
-      { user_id: userId },
-      { $inc: { messageCredits: credits } },
-      { new: true }
-    )
-
-    if (!updatedUser) {
-      throw AppError.internalError(ErrorCodes.PAYMENT_FAILED, 'Failed to update user credits')
-    }
+    // Add the credits and record the payment together
+    const entry = await withTransaction(async (dbSession) => {
+      const purchase = await creditLedgerService.purchase(
+        user._id,
+        credits,
+        { referenceId: eventId, description: `Purchased ${credits} message credits` },
+        dbSession
+      )
+      if (!purchase) {
+        throw AppError.internalError(ErrorCodes.PAYMENT_FAILED, 'Failed to update user credits')
+      }
 
-    // Create transaction record with event ID for idempotency
-    // Store transaction in database to track payment and enable idempotency
-    await Transaction.create({
-      userId: updatedUser._id,
-      stripePaymentId: session.payment_intent,
-      type: 'credits',
-      amount: session.amount_total / 100,
-      currency: session.currency,
-      status: 'completed',
-      description: `Purchased ${credits} message credits`,
-      creditsAdded: credits,
-      metadata: {
-        sessionId: session.id,
-        stripeEventId: eventId, // Store for idempotency checks
-      },
+      // Create transaction record with event ID for idempotency
+      // Store transaction in database to track payment and enable idempotency
+      await recordTransaction(
+        {
+          userId: user._id,
+          stripePaymentId: session.payment_intent,
+          type: 'credits',
+          amount: session.amount_total / 100,
+          currency: session.currency,
+          status: 'completed',
+          description: `Purchased ${credits} message credits`,
+          creditsAdded: credits,
+          metadata: {
+            sessionId: session.id,
+            stripeEventId: eventId, // Store for idempotency checks
+          },
+        },
+        dbSession
+      )
+      return purchase
     })
 
     // Send credits purchase confirmation email
@@ -223,7 +307,7 @@ async function handleCheckoutCompleted(session, eventId) {
         user.email,
         user.userName,
         credits,
-        updatedUser.messageCredits,
+        entry.balanceAfter,
         session.amount_total / 100
       )
     } catch (emailError) {
@@ -256,18 +340,23 @@ async function handleSubscriptionCreated(subscription, eventId) {
     throw AppError.notFound(ErrorCodes.USER_NOT_FOUND, 'User not found for subscription creation')
   }
 
-  const priceId = subscription.items.data[0].price.id
-  const planType = priceId === process.env.STRIPE_VIP_PRICE_ID ? 'vip' : 'premium'
+  const planType = planForPriceId(subscription.items.data[0].price.id)
 
   logInfo(
     'webhook.controller',
     `Updating user subscription - User: ${user.user_id}, Plan: ${planType}, Status: ${subscription.status}`
   )
 
+  const isTrial = subscription.status === 'trialing'
+
   user.subscription = planType
   user.subscriptionStatus = subscription.status
   user.stripeSubscriptionId = subscription.id
   user.subscriptionEndDate = new Date(subscription.current_period_end * 1000)
+  if (isTrial) {
+    user.trialUsedAt = user.trialUsedAt || new Date()
+    user.trialEndsAt = new Date(subscription.trial_end * 1000)
+  }
   await user.save()
 
   logInfo(
@@ -276,14 +365,19 @@ async function handleSubscriptionCreated(subscription, eventId) {
   )
 
   // Create transaction record for subscription creation
-  await Transaction.create({
+  let description = `${planType} subscription created`
+  if (isTrial) {
+    description = `${planType} free trial started`
+  }
+
+  await recordTransaction({
     userId: user._id,
     stripePaymentId: subscription.id,
     type: 'subscription',
-    amount: subscription.items.data[0].price.unit_amount / 100,
+    amount: isTrial ? 0 : subscription.items.data[0].price.unit_amount / 100,
     currency: subscription.currency,
     status: 'completed',
-    description: `${planType} subscription created`,
+    description,
     metadata: {
       subscriptionId: subscription.id,
       customerId: subscription.customer,
@@ -293,7 +387,12 @@ async function handleSubscriptionCreated(subscription, eventId) {
 
   // Send welcome email for new subscription
   try {
-    await sendSubscriptionWelcomeEmail(user.email, user.userName, planType)
+    await sendSubscriptionWelcomeEmail(
+      user.email,
+      user.userName,
+      planType,
+      isTrial ? user.trialEndsAt : null
+    )
   } catch (emailError) {
     logError('webhook.controller', 'Failed to send subscription welcome email', emailError)
     // Continue execution even if email fails (non-critical)
@@ -312,14 +411,49 @@ async function handleSubscriptionUpdated(subscription, _eventId) {
     throw AppError.notFound(ErrorCodes.USER_NOT_FOUND, 'User not found for subscription update')
   }
 
+  if (user.subscriptionStatus === 'trialing' && subscription.status === 'active') {
+    logInfo('webhook.controller', `Trial converted to paid - User: ${user.user_id}`)
+  }
+
   user.subscriptionStatus = subscription.cancel_at_period_end ? 'canceling' : subscription.status
   user.subscriptionEndDate = new Date(subscription.current_period_end * 1000)
+  // The trial can be extended or ended early from the Stripe dashboard
+  if (subscription.status === 'trialing' && subscription.trial_end) {
+    user.trialEndsAt = new Date(subscription.trial_end * 1000)
+  }
   await user.save()
 }
 
+// Handle trial ending soon (Stripe sends this 3 days before trial_end)
+// Reminds the user they will be charged unless they cancel
+async function handleTrialWillEnd(subscription, _eventId) {
+  const user = await User.findOne({ stripeSubscriptionId: subscription.id })
+
+  if (!user) {
+    logWarning('webhook.controller', 'User not found for trial ending reminder', {
+      subscriptionId: subscription.id,
+    })
+    return
+  }
+
+  // Nothing will be charged: the trial was canceled or already ended
+  if (subscription.status !== 'trialing' || subscription.cancel_at_period_end) {
+    return
+  }
+
+  const price = subscription.items.data[0].price
+  await sendTrialEndingEmail(
+    user.email,
+    user.userName,
+    planForPriceId(price.id),
+    new Date(subscription.trial_end * 1000),
+    price.unit_amount / 100
+  )
+}
+
 // Helper function to permanently delete a user account
 async function performPermanentDeletion(user) {
-  const voidedCredits = user.messageCredits || 0
+  const voidedCredits = await creditLedgerService.voidBalance(user._id)
 
   // Update deletion log
   await DeletionLog.findOneAndUpdate(
@@ -367,9 +501,13 @@ async function performPermanentDeletion(user) {
   await Message.deleteMany({
     $or: [{ senderId: user._id }, { receiverId: user._id }],
   })
+  await conversationService.removeUser(user._id)
+  await meetupService.removeUser(user._id)
+  await pushService.removeUser(user._id)
+  await notificationPreferenceService.removeUser(user._id)
 
-  // Remove from other users' matches
-  await User.updateMany({ matches: user.user_id }, { $pull: { matches: user.user_id } })
+  // Remove every match involving this user
+  await matchService.removeUser(user.user_id)
 
   // Delete user account
   await User.deleteOne({ user_id: user.user_id })
@@ -400,8 +538,10 @@ async function handleSubscriptionDeleted(subscription, _eventId) {
     user.subscriptionStatus = null
     user.stripeSubscriptionId = null
     user.subscriptionEndDate = null
-    user.messageCredits = 10 // Reset to free tier credits
     await user.save()
+    await creditLedgerService.reset(user._id, CREDIT_LEDGER_CONFIG.FREE_TIER_RESET_CREDITS, {
+      description: 'Subscription ended - reset to free tier credits',
+    })
   }
 }
 
@@ -422,20 +562,48 @@ async function handleInvoicePaymentSucceeded(invoice, eventId) {
     return
   }
 
-  await Transaction.create({
-    userId: user._id,
-    stripePaymentId: invoice.payment_intent,
-    type: 'subscription',
-    amount: invoice.amount_paid / 100,
-    currency: invoice.currency,
-    status: 'completed',
-    description: `${user.subscription} subscription payment`,
-    metadata: {
-      invoiceId: invoice.id,
-      subscriptionId: invoice.subscription,
-      stripeEventId: eventId, // Store for idempotency checks
-    },
+  // The $0 invoice that opens a free trial has no charge lines (a 100% coupon still has a
+  // subtotal); credits are granted on the first paid invoice after the trial
+  if (invoice.subtotal === 0) {
+    logInfo(
+      'webhook.controller',
+      `Trial invoice - no credits granted - User: ${user.user_id}, Invoice: ${invoice.id}`
+    )
+    return
+  }
+
+  // The invoice names the plan being paid for; the user record may not be updated yet
+  const priceId = invoice.lines?.data?.[0]?.price?.id
+  const planType = priceId ? planForPriceId(priceId) : user.subscription
+
+  // Each paid billing period grants the plan's monthly message credits
+  await withTransaction(async (session) => {
+    const grant = await entitlementService.grantMonthlyCredits(user._id, planType, eventId, session)
+
+    await recordTransaction(
+      {
+        userId: user._id,
+        stripePaymentId: invoice.payment_intent,
+        type: 'subscription',
+        amount: invoice.amount_paid / 100,
+        currency: invoice.currency,
+        status: 'completed',
+        description: `${planType} subscription payment`,
+        creditsAdded: grant?.credits || 0,
+        metadata: {
+          invoiceId: invoice.id,
+          subscriptionId: invoice.subscription,
+          stripeEventId: eventId, // Store for idempotency checks
+        },
+      },
+      session
+    )
   })
+
+  logInfo(
+    'webhook.controller',
+    `Invoice paid - User: ${user.user_id}, Plan: ${planType}, Invoice: ${invoice.id}`
+  )
 }
 
 // Handle failed invoice payment
@@ -454,7 +622,7 @@ async function handleInvoicePaymentFailed(invoice, eventId) {
   user.subscriptionStatus = 'past_due'
   await user.save()
 
-  await Transaction.create({
+  await recordTransaction({
     userId: user._id,
     stripePaymentId: invoice.payment_intent || invoice.id,
     type: 'subscription',
@@ -469,3 +637,275 @@ async function handleInvoicePaymentFailed(invoice, eventId) {
     },
   })
 }
+
+// Credit purchase or subscription payment a charge belongs to (both store the payment intent)
+const findPaymentTransaction = (paymentIntentId) => {
+  if (!paymentIntentId) {
+    return null
+  }
+  return Transaction.findOne({
+    stripePaymentId: paymentIntentId,
+    type: { $in: ['credits', 'subscription'] },
+    status: { $in: ['completed', 'refunded'] },
+  })
+}
+
+// Credits that came with `amount` cents of a payment of `total` cents
+const creditsForShare = (payment, amount, total) => {
+  if (total <= 0) {
+    return 0
+  }
+  return Math.min(Math.round((payment.creditsAdded * amount) / total), payment.creditsAdded)
+}
+
+// End a paid plan right away (disputed payment); no access until the end of the period
+async function downgradeForDispute(user, disputeId) {
+  if (user.subscription === SUBSCRIPTION_TYPES.FREE) {
+    return false
+  }
+  if (user.stripeSubscriptionId) {
+    try {
+      await stripeService.cancelSubscriptionNow(user.stripeSubscriptionId, 'payment_disputed')
+    } catch (error) {
+      // Still downgrade locally; the subscription can be canceled from the Stripe dashboard
+      logError('webhook.controller', 'Failed to cancel subscription for disputed payment', {
+        userId: user.user_id,
+        disputeId,
+        error: error.message,
+      })
+    }
+  }
+  // Clearing stripeSubscriptionId first means the customer.subscription.deleted event that
+  // follows finds no user, so it does not reset credits to the free tier
+  user.subscription = SUBSCRIPTION_TYPES.FREE
+  user.subscriptionStatus = 'canceled'
+  user.stripeSubscriptionId = null
+  user.subscriptionEndDate = null
+  await user.save()
+  return true
+}
+
+// Handle refunded charge (full or partial; amount_refunded is cumulative)
+// eventId is used for idempotency - prevents duplicate processing if webhook is retried
+async function handleChargeRefunded(charge, eventId) {
+  const payment = await findPaymentTransaction(charge.payment_intent)
+
+  if (!payment) {
+    logWarning('webhook.controller', 'No payment found for refunded charge', {
+      chargeId: charge.id,
+      paymentIntentId: charge.payment_intent,
+    })
+    return
+  }
+
+  // Earlier partial refunds of the same payment were already clawed back (this event's own
+  // refund is left out, so a retried event works out the same amounts)
+  const earlierRefunds = await Transaction.find({
+    type: 'refund',
+    'metadata.paymentTransactionId': String(payment._id),
+    'metadata.stripeEventId': { $ne: eventId },
+  }).lean()
+  const refundedBefore = earlierRefunds.reduce((sum, refund) => sum + refund.amount, 0)
+  const reversedBefore = earlierRefunds.reduce(
+    (sum, refund) => sum + (refund.metadata?.creditsReversed || 0),
+    0
+  )
+
+  const amount = Math.max(Math.round(charge.amount_refunded - refundedBefore * 100), 0) / 100
+  const creditsReversed = Math.max(
+    creditsForShare(payment, charge.amount_refunded, charge.amount) - reversedBefore,
+    0
+  )
+
+  const clawback = await withTransaction(async (session) => {
+    let entry = null
+    if (creditsReversed) {
+      entry = await creditLedgerService.clawback(
+        payment.userId,
+        creditsReversed,
+        { referenceId: eventId, description: 'Payment refunded' },
+        session
+      )
+    }
+
+    await recordTransaction(
+      {
+        userId: payment.userId,
+        stripePaymentId: charge.payment_intent,
+        type: 'refund',
+        amount,
+        currency: charge.currency,
+        status: 'completed',
+        description: `Refund of ${payment.description || 'payment'}`,
+        creditsAdded: entry ? entry.amount : 0,
+        metadata: {
+          chargeId: charge.id,
+          paymentTransactionId: String(payment._id),
+          creditsReversed,
+          stripeEventId: eventId, // Store for idempotency checks
+        },
+      },
+      session
+    )
+
+    if (charge.refunded) {
+      await Transaction.updateOne({ _id: payment._id }, { status: 'refunded' }, { session })
+    }
+    return entry
+  })
+
+  logInfo(
+    'webhook.controller',
+    `Charge refunded - Payment: ${payment._id}, Amount: ${amount}, Credits removed: ${
+      clawback ? -clawback.amount : 0
+    }`
+  )
+
+  const user = await User.findById(payment.userId)
+  if (user) {
+    await sendPaymentRefundedEmail(
+      user.email,
+      user.userName,
+      amount,
+      clawback ? -clawback.amount : 0,
+      user.messageCredits
+    )
+  }
+}
+
+// Handle dispute opened: the disputed funds are withdrawn from us right away
+// eventId is used for idempotency - prevents duplicate processing if webhook is retried
+async function handleDisputeCreated(dispute, eventId) {
+  const payment = await findPaymentTransaction(dispute.payment_intent)
+  const user = payment && (await User.findById(payment.userId))
+
+  if (!user) {
+    logWarning('webhook.controller', 'No user found for disputed charge', {
+      disputeId: dispute.id,
+      chargeId: dispute.charge,
+      paymentIntentId: dispute.payment_intent,
+    })
+    return
+  }
+
+  const paymentCents = Math.round(payment.amount * 100)
+  const creditsReversed = creditsForShare(payment, dispute.amount, paymentCents)
+
+  const clawback = await withTransaction(async (session) => {
+    let entry = null
+    if (creditsReversed) {
+      entry = await creditLedgerService.clawback(
+        user._id,
+        creditsReversed,
+        { referenceId: eventId, description: 'Payment disputed' },
+        session
+      )
+    }
+
+    await recordTransaction(
+      {
+        userId: user._id,
+        stripePaymentId: dispute.payment_intent,
+        type: 'dispute',
+        amount: dispute.amount / 100,
+        currency: dispute.currency,
+        // pending while open; completed if the dispute is lost, failed if it is won
+        status: 'pending',
+        description: `Dispute of ${payment.description || 'payment'} (${dispute.reason})`,
+        creditsAdded: entry ? entry.amount : 0,
+        metadata: {
+          disputeId: dispute.id,
+          chargeId: dispute.charge,
+          reason: dispute.reason,
+          paymentTransactionId: String(payment._id),
+          creditsReversed,
+          stripeEventId: eventId, // Store for idempotency checks
+        },
+      },
+      session
+    )
+    return entry
+  })
+
+  const downgraded = await downgradeForDispute(user, dispute.id)
+
+  logWarning('webhook.controller', 'Payment disputed', {
+    userId: user.user_id,
+    disputeId: dispute.id,
+    reason: dispute.reason,
+    creditsRemoved: clawback ? -clawback.amount : 0,
+    downgraded,
+  })
+
+  await sendPaymentDisputeEmail(user.email, user.userName, dispute.amount / 100, 'opened')
+}
+
+// Handle dispute closed: won keeps the payment (credits restored), lost returns it to the user
+// eventId is used for idempotency - prevents duplicate processing if webhook is retried
+async function handleDisputeClosed(dispute, eventId) {
+  // warning_closed: an inquiry closed without becoming a chargeback
+  const won = ['won', 'warning_closed'].includes(dispute.status)
+
+  const disputeRecord = await withTransaction(async (session) => {
+    // A retried event already closed the dispute; only the email is left to send
+    const closed = await Transaction.findOne({
+      type: 'dispute',
+      'metadata.closedStripeEventId': eventId,
+    }).session(session)
+    if (closed) {
+      return closed
+    }
+
+    // Only an open dispute can be closed, so a redelivered event changes nothing
+    const record = await Transaction.findOneAndUpdate(
+      { type: 'dispute', 'metadata.disputeId': dispute.id, status: 'pending' },
+      {
+        status: won ? 'failed' : 'completed',
+        'metadata.outcome': dispute.status,
+        'metadata.closedStripeEventId': eventId, // Store for idempotency checks
+      },
+      { new: true, session }
+    )
+    if (!record) {
+      return null
+    }
+
+    const removed = -(record.creditsAdded || 0)
+    if (won && removed > 0) {
+      await creditLedgerService.refund(
+        record.userId,
+        removed,
+        { referenceId: eventId, description: 'Dispute won - credits restored' },
+        session
+      )
+    }
+    if (!won) {
+      await Transaction.updateOne(
+        { _id: record.metadata.paymentTransactionId },
+        { status: 'refunded' },
+        { session }
+      )
+    }
+    return record
+  })
+
+  if (!disputeRecord) {
+    logWarning('webhook.controller', 'No open dispute found to close', {
+      disputeId: dispute.id,
+      status: dispute.status,
+    })
+    return
+  }
+
+  logInfo('webhook.controller', `Dispute ${dispute.id} closed: ${dispute.status}`)
+
+  const user = await User.findById(disputeRecord.userId)
+  if (user) {
+    await sendPaymentDisputeEmail(
+      user.email,
+      user.userName,
+      dispute.amount / 100,
+      won ? 'won' : 'lost'
+    )
+  }
+}
@@ -26,7 +26,15 @@ import authRoutes from './routes/auth.route.js'
 import messageRoutes from './routes/message.route.js'
 import paymentRoutes, { webhookRouter } from './routes/payment.route.js'
 import likeRoutes from './routes/like.route.js'
+import passRoutes from './routes/pass.route.js'
+import meetupRoutes from './routes/meetup.route.js'
+import userRoutes from './routes/user.route.js'
+import adminRoutes from './routes/admin.route.js'
+import notificationRoutes from './routes/notification.route.js'
 import { startScheduledDeletionJob } from './jobs/scheduledDeletion.job.js'
+import { startMeetupReminderJob } from './jobs/meetupReminder.job.js'
+import { startNotificationDigestJob } from './jobs/notificationDigest.job.js'
+import { startWebhookRetryJob } from './jobs/webhookRetry.job.js'
 import { preloadModel } from './utilities/checkImage.js'
 import {
   turnstileLimiter,
@@ -299,6 +307,11 @@ app.use('/api/auth', authRoutes)
 app.use('/api/messages', messageRoutes)
 app.use('/api/payments', paymentRoutes)
 app.use('/api/likes', likeRoutes)
+app.use('/api/passes', passRoutes)
+app.use('/api/meetups', meetupRoutes)
+app.use('/api/users', userRoutes)
+app.use('/api/admin', adminRoutes)
+app.use('/api/notifications', notificationRoutes)
 
 // Security: CSRF Error Handler
 // Catches CSRF validation failures and returns proper JSON error responses
@@ -380,6 +393,9 @@ server.listen(PORT, async () => {
 
   connectDB()
   startScheduledDeletionJob()
+  startMeetupReminderJob()
+  startNotificationDigestJob()
+  startWebhookRetryJob()
 
   // SECURITY FIX: Initialize Redis store for distributed rate limiting
   // If REDIS_URL is configured, this enables rate limiting across multiple servers
@@ -401,11 +417,11 @@ server.listen(PORT, async () => {
     // Server continues with in-memory rate limiting
   }
 
-  // Preload OpenAI Vision API for content moderation
+  // Initialize the content moderation provider (MODERATION_PROVIDER)
   try {
     await preloadModel()
   } catch (error) {
-    logError('server.init', 'Failed to initialize nudity detection', error)
+    logError('server.init', 'Failed to initialize content moderation', error)
     logInfo('server.init', 'Server will continue, but content moderation will fail requests')
   }
   logInfo('server.init', `🚀 Server is running on port: ${PORT}`)
@@ -0,0 +1,61 @@
+import cron from 'node-cron'
+import { meetupService } from '../services/meetup.service.js'
+import { sendMeetupReminderEmail } from '../mailtrap/emails.js'
+import { logError, logInfo } from '../utilities/logger.js'
+
+// Email both participants about accepted meetups starting within REMINDER_LEAD_HOURS
+async function processMeetupReminders() {
+  try {
+    const meetups = await meetupService.getDueReminders()
+
+    for (const meetup of meetups) {
+      const { proposedBy, proposedTo } = meetup
+      // Participant deleted their account since accepting
+      if (!proposedBy || !proposedTo) {
+        continue
+      }
+
+      // Claim before sending so overlapping runs never send twice
+      if (!(await meetupService.markReminded(meetup._id))) {
+        continue
+      }
+
+      await sendMeetupReminderEmail(
+        proposedBy.email,
+        proposedBy.userName,
+        proposedBy.dogs_name,
+        proposedTo.userName,
+        proposedTo.dogs_name,
+        meetup
+      )
+      await sendMeetupReminderEmail(
+        proposedTo.email,
+        proposedTo.userName,
+        proposedTo.dogs_name,
+        proposedBy.userName,
+        proposedBy.dogs_name,
+        meetup
+      )
+    }
+
+    if (meetups.length > 0) {
+      logInfo('meetupReminder.job', `Sent reminders for ${meetups.length} meetup(s)`)
+    }
+  } catch (error) {
+    // Job will retry on next scheduled run
+    logError('meetupReminder.job', 'Failed to process meetup reminders', error)
+  }
+}
+
+export function startMeetupReminderJob() {
+  // Cron format: minute hour day month weekday
+  // '*/15 * * * *' = Every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    await processMeetupReminders()
+  })
+}
+
+// For testing: run immediately
+export async function runMeetupRemindersNow() {
+  await processMeetupReminders()
+}
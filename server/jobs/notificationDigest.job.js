@@ -0,0 +1,73 @@
+import cron from 'node-cron'
+import { User } from '../models/user.model.js'
+import { notificationPreferenceService } from '../services/notification-preference.service.js'
+import { sendNotificationDigestEmail } from '../mailtrap/emails.js'
+import { logError, logInfo } from '../utilities/logger.js'
+import { NOTIFICATION_CHANNELS } from '../constants/index.js'
+
+// Email each user their pending notifications once their digest is due and quiet hours are over
+async function processNotificationDigests() {
+  try {
+    const userIds = await notificationPreferenceService.getPendingUserIds()
+    let sent = 0
+
+    for (const userId of userIds) {
+      try {
+        const [user, prefs, items] = await Promise.all([
+          User.findById(userId, { email: 1, userName: 1 }).lean(),
+          notificationPreferenceService.get(userId),
+          notificationPreferenceService.getPending(userId),
+        ])
+
+        // Drop items for deleted accounts and events the user has since turned email off for
+        let wanted = []
+        if (user) {
+          wanted = items.filter(({ event }) =>
+            notificationPreferenceService.isEnabled(prefs, event, NOTIFICATION_CHANNELS.EMAIL)
+          )
+        }
+        const unwanted = items.filter((item) => !wanted.includes(item))
+        if (unwanted.length > 0) {
+          await notificationPreferenceService.clearPending(unwanted.map((item) => item._id))
+        }
+
+        if (wanted.length === 0 || !notificationPreferenceService.isDigestDue(prefs)) {
+          continue
+        }
+
+        // Claim before sending so overlapping runs never send twice
+        if (!(await notificationPreferenceService.claimDigest(userId, prefs.lastDigestSentAt))) {
+          continue
+        }
+
+        if (await sendNotificationDigestEmail(user.email, user.userName, wanted, prefs.emailMode)) {
+          await notificationPreferenceService.clearPending(wanted.map((item) => item._id))
+          sent++
+        }
+      } catch (error) {
+        // Continue with the other users
+        logError('notificationDigest.job', `Failed to send digest to user ${userId}`, error)
+      }
+    }
+
+    if (sent > 0) {
+      logInfo('notificationDigest.job', `Sent ${sent} notification digest(s)`)
+    }
+  } catch (error) {
+    // Job will retry on next scheduled run
+    logError('notificationDigest.job', 'Failed to process notification digests', error)
+  }
+}
+
+export function startNotificationDigestJob() {
+  // Cron format: minute hour day month weekday
+  // '0 * * * *' = At the start of every hour
+  cron.schedule('0 * * * *', async () => {
+    await processNotificationDigests()
+  })
+}
+
+// For testing: run immediately
+export async function runNotificationDigestsNow() {
+  await processNotificationDigests()
+}
@@ -2,6 +2,12 @@ import cron from 'node-cron'
 import { User } from '../models/user.model.js'
 import { DeletionLog } from '../models/deletion-log.model.js'
 import Message from '../models/message.model.js'
+import { matchService } from '../services/match.service.js'
+import { conversationService } from '../services/conversation.service.js'
+import { meetupService } from '../services/meetup.service.js'
+import { pushService } from '../services/push.service.js'
+import { notificationPreferenceService } from '../services/notification-preference.service.js'
+import { creditLedgerService } from '../services/credit-ledger.service.js'
 import { S3Client, DeleteObjectCommand } from '@aws-sdk/client-s3'
 import { CloudFrontClient, CreateInvalidationCommand } from '@aws-sdk/client-cloudfront'
 
@@ -29,7 +35,7 @@ const cloudFront = new CloudFrontClient({
 
 // Helper function to permanently delete a user account
 async function performPermanentDeletion(user) {
-  const voidedCredits = user.messageCredits || 0
+  const voidedCredits = await creditLedgerService.voidBalance(user._id)
 
   // Update deletion log
   await DeletionLog.findOneAndUpdate(
@@ -68,13 +74,29 @@ async function performPermanentDeletion(user) {
     }
   }
 
+  // Delete photos of any other household dogs (main image handled above)
+  const dogPhotos = (user.dogs || [])
+    .flatMap((dog) => dog.photos)
+    .filter((photo) => photo !== user.image)
+  for (const photo of dogPhotos) {
+    try {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucketName, Key: photo }))
+    } catch (_photoError) {
+      // Silent error handling - photo deletion is non-critical for account deletion
+    }
+  }
+
   // Delete all user messages
   await Message.deleteMany({
     $or: [{ senderId: user._id }, { receiverId: user._id }],
   })
+  await conversationService.removeUser(user._id)
+  await meetupService.removeUser(user._id)
+  await pushService.removeUser(user._id)
+  await notificationPreferenceService.removeUser(user._id)
 
-  // Remove from other users' matches
-  await User.updateMany({ matches: user.user_id }, { $pull: { matches: user.user_id } })
+  // Remove every match involving this user
+  await matchService.removeUser(user.user_id)
 
   // Delete user account
   await User.deleteOne({ user_id: user.user_id })
@@ -0,0 +1,55 @@
+import cron from 'node-cron'
+import { webhookEventService } from '../services/webhook-event.service.js'
+import { processStripeEvent } from '../controllers/webhook.controller.js'
+import { logError, logInfo, logWarning } from '../utilities/logger.js'
+import { WEBHOOK_EVENT_CONFIG, WEBHOOK_EVENT_STATUS } from '../constants/index.js'
+
+// Re-run failed Stripe events (with backoff) and events a crashed server left unfinished
+async function retryWebhookEvents() {
+  try {
+    const eventIds = await webhookEventService.findRetryable()
+    let processed = 0
+    let failed = 0
+
+    // One at a time: events for the same customer should not race each other
+    for (const eventId of eventIds) {
+      const result = await webhookEventService.run(eventId, processStripeEvent)
+      if (result?.status === WEBHOOK_EVENT_STATUS.PROCESSED) {
+        processed++
+      } else if (result?.status === WEBHOOK_EVENT_STATUS.FAILED) {
+        failed++
+      }
+    }
+
+    if (processed > 0 || failed > 0) {
+      logInfo(
+        'webhookRetry.job',
+        `Retried webhook events: ${processed} processed, ${failed} failed`
+      )
+    }
+
+    const exhausted = await webhookEventService.countExhausted()
+    if (exhausted > 0) {
+      logWarning(
+        'webhookRetry.job',
+        `${exhausted} webhook event(s) failed ${WEBHOOK_EVENT_CONFIG.MAX_AUTO_ATTEMPTS} times and need an admin replay`
+      )
+    }
+  } catch (error) {
+    // Job will retry on next scheduled run
+    logError('webhookRetry.job', 'Failed to retry webhook events', error)
+  }
+}
+
+export function startWebhookRetryJob() {
+  // Cron format: minute hour day month weekday
+  // '*/5 * * * *' = Every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    await retryWebhookEvents()
+  })
+}
+
+// For testing: run immediately
+export async function runWebhookRetryNow() {
+  await retryWebhookEvents()
+}
@@ -4,7 +4,11 @@ import express from 'express'
 import { logSocketEvent, logSocketError, logInfo } from '../utilities/logger.js'
 import jwt from 'jsonwebtoken'
 import { User } from '../models/user.model.js'
+import { matchService } from '../services/match.service.js'
+import { conversationService } from '../services/conversation.service.js'
+import { isValidObjectId, isValidUUID } from '../utilities/sanitizeInput.js'
 import { SocketEvents } from '../constants/socketEvents.js'
+import { MESSAGE_CONFIG } from '../constants/index.js'
 
 const app = express()
 const server = http.createServer(app)
@@ -57,8 +61,9 @@ class SocketEventRateLimiter {
   /**
    * Check if socket event is allowed based on rate limits
    * Security: Returns false if limits exceeded, true if allowed
+   * @param {number} maxEvents - Per-event override for chatty events (e.g. typing indicators)
    */
-  checkRateLimit(socketId, eventName, payloadSize = 0) {
+  checkRateLimit(socketId, eventName, payloadSize = 0, maxEvents = this.MAX_EVENTS_PER_WINDOW) {
     const now = Date.now()
 
     // Initialize socket entry if it doesn't exist
@@ -85,7 +90,7 @@ class SocketEventRateLimiter {
     }
 
     // Check event count limit
-    if (tracker.count >= this.MAX_EVENTS_PER_WINDOW) {
+    if (tracker.count >= maxEvents) {
       return false
     }
 
@@ -318,14 +323,20 @@ function verifySocketToken(socket) {
  * Socket Event Validation Middleware
  * Security: Validates all socket events with same rigor as HTTP routes
  * Prevents injection attacks and ensures proper event structure
+ * Handlers listen for `${SocketEvents.VALIDATED_EVENT_PREFIX}${eventName}` to receive only
+ * events that passed rate limiting and validation.
+ * @param {Object} options
+ * @param {number} options.maxEventsPerWindow - Rate limit override for this event
  */
-function createSocketEventValidator(eventName, validator) {
+function createSocketEventValidator(eventName, validator, { maxEventsPerWindow } = {}) {
   return (socket, next) => {
     socket.on(eventName, (data, callback) => {
       try {
         // Security: Check rate limits on incoming events
         const payloadSize = JSON.stringify(data).length
-        if (!eventRateLimiter.checkRateLimit(socket.id, eventName, payloadSize)) {
+        if (
+          !eventRateLimiter.checkRateLimit(socket.id, eventName, payloadSize, maxEventsPerWindow)
+        ) {
           logSocketError(
             'socket.event.ratelimit',
             new Error(`Rate limit exceeded for event: ${eventName} on socket ${socket.id}`)
@@ -354,8 +365,11 @@ function createSocketEventValidator(eventName, validator) {
         }
 
         // Event is valid and within rate limits
-        // Let the event handler proceed
-        socket.emit(`__validated_${eventName}`, data, callback)
+        // Let the event handler proceed - dispatched to local listeners only, since
+        // socket.emit would send the event back to the client
+        socket
+          .listeners(`${SocketEvents.VALIDATED_EVENT_PREFIX}${eventName}`)
+          .forEach((listener) => listener(data, callback))
       } catch (error) {
         logSocketError('socket.event.validation', error)
         if (callback && typeof callback === 'function') {
@@ -373,7 +387,7 @@ function createSocketEventValidator(eventName, validator) {
  * Prevents authentication bypass vulnerability
  * Security: Also enforces rate limiting and event validation to prevent attacks
  */
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   const tokenData = verifySocketToken(socket)
 
   if (!tokenData) {
@@ -381,6 +395,17 @@ io.use((socket, next) => {
     return next(new Error('Authentication failed: Invalid or missing token'))
   }
 
+  // Suspended accounts cannot connect (admin suspension also disconnects live sockets)
+  try {
+    if (await User.exists({ user_id: tokenData.userId, isSuspended: true })) {
+      logInfo('socket.auth', `Rejected socket for suspended user ${maskUserId(tokenData.userId)}`)
+      return next(new Error('Account suspended'))
+    }
+  } catch (error) {
+    logSocketError('socket.auth', error)
+    return next(new Error('Authentication failed'))
+  }
+
   // Security: Check connection rate limit to prevent user enumeration and spam
   if (!checkConnectionRateLimit(tokenData.userId)) {
     const maskedId = maskUserId(tokenData.userId)
@@ -401,6 +426,49 @@ io.use((socket, next) => {
   next()
 })
 
+/**
+ * Typing events carry only the receiver's user_id (UUID)
+ */
+function validateTypingPayload(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, error: 'Invalid typing payload' }
+  }
+  if (typeof data.receiverId !== 'string' || !isValidUUID(data.receiverId)) {
+    return { valid: false, error: 'receiverId must be a valid user ID' }
+  }
+  return { valid: true }
+}
+
+// Security: Typing events are validated and rate limited before any handler sees them
+io.use(
+  createSocketEventValidator(SocketEvents.TYPING_START, validateTypingPayload, {
+    maxEventsPerWindow: MESSAGE_CONFIG.TYPING_MAX_EVENTS_PER_WINDOW,
+  })
+)
+io.use(
+  createSocketEventValidator(SocketEvents.TYPING_STOP, validateTypingPayload, {
+    maxEventsPerWindow: MESSAGE_CONFIG.TYPING_MAX_EVENTS_PER_WINDOW,
+  })
+)
+
+/**
+ * Read receipts carry the other participant's MongoDB _id
+ */
+function validateMarkReadPayload(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, error: 'Invalid read receipt payload' }
+  }
+  if (typeof data.userId !== 'string' || !isValidObjectId(data.userId)) {
+    return { valid: false, error: 'Invalid userId' }
+  }
+  return { valid: true }
+}
+
+io.use(createSocketEventValidator(SocketEvents.MARK_MESSAGES_READ, validateMarkReadPayload))
+
+// Last relayed typing:start per socket and receiver - {socketId: {receiverId: timestamp}}
+const typingThrottle = {}
+
 // Get filtered online matches for a user
 async function getFilteredOnlineUsers(userId) {
   try {
@@ -408,14 +476,8 @@ async function getFilteredOnlineUsers(userId) {
       return []
     }
 
-    // Get user's matched users - query by user_id (UUID) not MongoDB _id
-    const user = await User.findOne({ user_id: userId }).select('matches')
-    if (!user || !user.matches) {
-      return []
-    }
-
-    // Extract matched user IDs
-    const matchedIds = user.matches.map((m) => m.user_id || m._id)
+    // Get user's mutual matches - keyed by user_id (UUID) not MongoDB _id
+    const matchedIds = await matchService.getMutualMatchUserIds(userId)
 
     // Filter to only online matched users
     const onlineMatches = Object.keys(userSocketMap).filter((id) =>
@@ -439,14 +501,8 @@ async function getMatchedUserIds(userId) {
       return []
     }
 
-    // Get the user's matches
-    const user = await User.findOne({ user_id: userId }).select('matches')
-    if (!user || !user.matches) {
-      return []
-    }
-
-    // Return matched user IDs
-    return user.matches.map((m) => m.user_id || m._id).filter(Boolean)
+    // Return mutually matched user IDs
+    return await matchService.getMutualMatchUserIds(userId)
   } catch (error) {
     logSocketError('socket.matches.lookup', error)
     return []
@@ -557,6 +613,7 @@ io.on(SocketEvents.CONNECTION, (socket) => {
     // Security: Remove socket from event rate limiter on disconnect
     // Prevents memory leaks from old socket tracking
     eventRateLimiter.removeSocket(socket.id)
+    delete typingThrottle[socket.id]
 
     // Count unique socket IDs (each user has one socket, but two map entries)
     const uniqueRemaining = new Set(Object.values(userSocketMap))
@@ -570,6 +627,79 @@ io.on(SocketEvents.CONNECTION, (socket) => {
     const maskedId = maskUserId(userId)
     logSocketError(`socket.error[${maskedId}]`, error)
   })
+
+  // Typing indicators - relayed only to mutual matches (same check as the online list)
+  // typing:start is throttled per socket; typing:stop is always relayed
+  const relayTyping = (eventName) => async (data) => {
+    try {
+      const { receiverId } = data
+
+      if (eventName === SocketEvents.TYPING_START) {
+        const now = Date.now()
+        const lastRelayed = typingThrottle[socket.id] || {}
+        if (now - (lastRelayed[receiverId] || 0) < MESSAGE_CONFIG.TYPING_THROTTLE_MS) {
+          return
+        }
+        typingThrottle[socket.id] = { ...lastRelayed, [receiverId]: now }
+      } else if (typingThrottle[socket.id]) {
+        delete typingThrottle[socket.id][receiverId]
+      }
+
+      const matchedIds = await getMatchedUserIds(userId)
+      if (!matchedIds.includes(receiverId)) {
+        return
+      }
+
+      const receiverSocketId = userSocketMap[receiverId]
+      if (receiverSocketId) {
+        io.to(receiverSocketId).emit(eventName, { userId })
+      }
+    } catch (error) {
+      logSocketError('socket.typing', error)
+    }
+  }
+
+  socket.on(
+    `${SocketEvents.VALIDATED_EVENT_PREFIX}${SocketEvents.TYPING_START}`,
+    relayTyping(SocketEvents.TYPING_START)
+  )
+  socket.on(
+    `${SocketEvents.VALIDATED_EVENT_PREFIX}${SocketEvents.TYPING_STOP}`,
+    relayTyping(SocketEvents.TYPING_STOP)
+  )
+
+  // Read receipts: the client marks its open conversation as read ({ userId: other user's _id })
+  // Rate limiting and payload validation are done by createSocketEventValidator
+  socket.on(
+    `${SocketEvents.VALIDATED_EVENT_PREFIX}${SocketEvents.MARK_MESSAGES_READ}`,
+    async (data, ack) => {
+      const respond = (result) => {
+        if (typeof ack === 'function') {
+          ack(result)
+        }
+      }
+
+      try {
+        const otherUserId = data.userId
+        const result = await conversationService.markRead(mongoId, otherUserId)
+        if (result?.notify) {
+          const otherSocketId = userSocketMap[otherUserId]
+          if (otherSocketId) {
+            io.to(otherSocketId).emit(SocketEvents.MESSAGES_READ, {
+              conversationId: result.conversationId,
+              readerId: mongoId,
+              readAt: result.readAt,
+            })
+          }
+        }
+
+        respond({ success: true })
+      } catch (error) {
+        logSocketError('socket.messages.read', error)
+        respond({ success: false, error: 'Failed to mark messages read' })
+      }
+    }
+  )
 })
 
 export { io, app, server, eventRateLimiter, createSocketEventValidator, maskUserId }
@@ -127,7 +127,7 @@ export const SUBSCRIPTION_WELCOME_TEMPLATE = `
       </ul>
     </div>
 
-    <p>Your subscription is now active and you can start enjoying all the benefits right away!</p>
+    <p>{statusMessage}</p>
 
     <p style="color: #666; margin-top: 30px;">If you have any questions or need assistance, contact us at <a href="mailto:woofmeetup@outlook.com" style="color: #000000;">woofmeetup@outlook.com</a></p>
     
@@ -141,6 +141,43 @@ export const SUBSCRIPTION_WELCOME_TEMPLATE = `
 </html>
 `
 
+export const TRIAL_ENDING_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Your Free Trial Ends Soon</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.3; color: #333; max-width: 600px; margin: 0 auto; padding: 0;">
+  <div style="text-align: center; margin-bottom: 15px;">
+    <img src="cid:logo" alt="Woof Meetup Logo" style="width: 350px; height: auto;">
+    <h1 style="color: #000000; margin: 10px 0 0 0; font-size: 24px;">Your Free Trial Ends Soon</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 10px 0 20px 0;">
+    <p style="margin-top: 0;">Hello {userName},</p>
+    <p>Your <strong>{planName}</strong> free trial is almost over. When it ends, your subscription continues automatically and your card on file is charged.</p>
+
+    <div style="background-color:#F9F9F9; padding: 20px;">
+      <h2 style="color: #000000; margin-top: 0;">Trial Details:</h2>
+      <p style="margin: 10px 0; font-size: 15px;"><strong>Trial Ends:</strong> {trialEndDate}</p>
+      <p style="margin: 10px 0; font-size: 15px;"><strong>First Charge:</strong> {amount}/month</p>
+    </div>
+
+    <p>Nothing to do if you'd like to keep your benefits. To avoid being charged, cancel before the trial ends from your <a href="{dashboardUrl}" style="color: #000000;">dashboard</a>.</p>
+
+    <p style="color: #666; margin-top: 30px;">If you have any questions, contact us at <a href="mailto:woofmeetup@outlook.com" style="color: #000000;">woofmeetup@outlook.com</a></p>
+
+    <p style="margin-top: 30px;">Happy meetup!<br>The Woof Meetup Team</p>
+  </div>
+  <div style="text-align: center; margin-top: 20px; color: #888; font-size: 0.8em;">
+    <p>This is an automated message, please do not reply to this email.</p>
+    <p style="margin-top: 10px;">&copy; woofmeetup.com | 218 E Ramona Ave, Salt Lake City, UT 84115</p>
+  </div>
+</body>
+</html>
+`
+
 export const ACCOUNT_DELETION_SCHEDULED_TEMPLATE = `
 <!DOCTYPE html>
 <html lang="en">
@@ -226,6 +263,77 @@ export const CREDITS_PURCHASE_TEMPLATE = `
 </html>
 `
 
+export const PAYMENT_REFUNDED_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Refund Processed</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.3; color: #333; max-width: 600px; margin: 0 auto; padding: 0;">
+  <div style="text-align: center; margin-bottom: 15px;">
+      <img src="cid:logo" alt="Woof Meetup Logo" style="width: 350px; height: auto;">
+    <h1 style="color: #000000; margin: 10px 0 0 0; font-size: 24px;">Refund Processed</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 10px 0 20px 0;">
+    <p style="margin-top: 0;">Hello {userName},</p>
+    <p>We have refunded a payment to your original payment method. It can take 5-10 business days to appear on your statement.</p>
+
+    <div style="background-color:#F9F9F9; padding: 20px;">
+      <h2 style="color: #000000; margin-top: 0;">Refund Details:</h2>
+      <p style="margin: 10px 0; font-size: 15px;"><strong>Amount Refunded:</strong> {amount}</p>
+      <p style="margin: 10px 0; font-size: 15px;"><strong>Credits Removed:</strong> {creditsRemoved} message credits</p>
+      <p style="margin: 10px 0; font-size: 15px;"><strong>Current Balance:</strong> {newBalance} message credits</p>
+    </div>
+
+    <p style="color: #666; margin-top: 30px;">If you have any questions about this refund, contact us at <a href="mailto:woofmeetup@outlook.com" style="color: #000000;">woofmeetup@outlook.com</a></p>
+
+    <p style="margin-top: 30px;">Best regards,<br>The Woof Meetup Team</p>
+  </div>
+  <div style="text-align: center; margin-top: 20px; color: #888; font-size: 0.8em;">
+    <p>This is an automated message, please do not reply to this email.</p>
+    <p style="margin-top: 10px;">&copy; woofmeetup.com | 218 E Ramona Ave, Salt Lake City, UT 84115</p>
+  </div>
+</body>
+</html>
+`
+
+export const PAYMENT_DISPUTE_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Payment Dispute</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.3; color: #333; max-width: 600px; margin: 0 auto; padding: 0;">
+  <div style="text-align: center; margin-bottom: 15px;">
+      <img src="cid:logo" alt="Woof Meetup Logo" style="width: 350px; height: auto;">
+    <h1 style="color: #000000; margin: 10px 0 0 0; font-size: 24px;">{headline}</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 10px 0 20px 0;">
+    <p style="margin-top: 0;">Hello {userName},</p>
+    <p>{message}</p>
+
+    <div style="background-color:#F9F9F9; padding: 20px;">
+      <h2 style="color: #000000; margin-top: 0;">Dispute Details:</h2>
+      <p style="margin: 10px 0; font-size: 15px;"><strong>Disputed Amount:</strong> {amount}</p>
+      <p style="margin: 10px 0; font-size: 15px;"><strong>Status:</strong> {status}</p>
+    </div>
+
+    <p style="color: #666; margin-top: 30px;">If you did not mean to dispute this payment, contact us at <a href="mailto:woofmeetup@outlook.com" style="color: #000000;">woofmeetup@outlook.com</a> and we will help sort it out.</p>
+
+    <p style="margin-top: 30px;">Best regards,<br>The Woof Meetup Team</p>
+  </div>
+  <div style="text-align: center; margin-top: 20px; color: #888; font-size: 0.8em;">
+    <p>This is an automated message, please do not reply to this email.</p>
+    <p style="margin-top: 10px;">&copy; woofmeetup.com | 218 E Ramona Ave, Salt Lake City, UT 84115</p>
+  </div>
+</body>
+</html>
+`
+
 export const LIKE_NOTIFICATION_TEMPLATE = `
 <!DOCTYPE html>
 <html lang="en">
@@ -257,6 +365,7 @@ export const LIKE_NOTIFICATION_TEMPLATE = `
   </div>
   <div style="text-align: center; margin-top: 20px; color: #888; font-size: 0.8em;">
     <p>This is an automated message, please do not reply to this email.</p>
+    <p style="margin-top: 10px;">Don't want these emails? <a href="{unsubscribeUrl}" style="color: #888;">Unsubscribe</a></p>
     <p style="margin-top: 10px;">&copy; woofmeetup.com | 218 E Ramona Ave, Salt Lake City, UT 84115</p>
   </div>
 </body>
@@ -294,6 +403,85 @@ export const MATCH_NOTIFICATION_TEMPLATE = `
   </div>
   <div style="text-align: center; margin-top: 20px; color: #888; font-size: 0.8em;">
     <p>This is an automated message, please do not reply to this email.</p>
+    <p style="margin-top: 10px;">Don't want these emails? <a href="{unsubscribeUrl}" style="color: #888;">Unsubscribe</a></p>
+    <p style="margin-top: 10px;">&copy; woofmeetup.com | 218 E Ramona Ave, Salt Lake City, UT 84115</p>
+  </div>
+</body>
+</html>
+`
+
+export const MEETUP_REMINDER_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Your Meetup Is Coming Up!</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.3; color: #333; max-width: 600px; margin: 0 auto; padding: 0;">
+  <div style="text-align: center; margin-bottom: 15px;">
+    <img src="cid:logo" alt="Woof Meetup Logo" style="width: 350px; height: auto;">
+    <h1 style="color: #000000; margin: 10px 0 0 0; font-size: 24px;">🐾 Your Meetup Is Coming Up!</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 10px 0 20px 0;">
+    <p style="margin-top: 0;">Hello {userName},</p>
+    <p>Just a reminder that {yourDogName} has a <strong>{meetupType}</strong> meetup with <strong>{otherName}</strong> and their pup <strong>{otherDogName}</strong>.</p>
+
+    <div style="background-color: #F9F9F9; padding: 20px;">
+      <h2 style="color: #000000; margin-top: 0;">📅 Meetup details</h2>
+      <p style="margin: 10px 0;"><strong>When:</strong> {meetupTime}</p>
+      <p style="margin: 10px 0;"><strong>Where:</strong> {placeName}</p>
+      <div style="text-align: center; margin: 20px 0;">
+        <a href="{dashboardUrl}" style="background-color: #FFC0CB; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Open Chat</a>
+      </div>
+    </div>
+
+    <p style="color: #666; margin-top: 30px;">Plans changed? Send {otherName} a message from your dashboard.</p>
+
+    <p style="margin-top: 30px;">Happy meetup!<br>The Woof Meetup Team</p>
+  </div>
+  <div style="text-align: center; margin-top: 20px; color: #888; font-size: 0.8em;">
+    <p>This is an automated message, please do not reply to this email.</p>
+    <p style="margin-top: 10px;">Don't want these emails? <a href="{unsubscribeUrl}" style="color: #888;">Unsubscribe</a></p>
+    <p style="margin-top: 10px;">&copy; woofmeetup.com | 218 E Ramona Ave, Salt Lake City, UT 84115</p>
+  </div>
+</body>
+</html>
+`
+
+export const NOTIFICATION_DIGEST_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Your Woof Meetup Digest</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.3; color: #333; max-width: 600px; margin: 0 auto; padding: 0;">
+  <div style="text-align: center; margin-bottom: 15px;">
+    <img src="cid:logo" alt="Woof Meetup Logo" style="width: 350px; height: auto;">
+    <h1 style="color: #000000; margin: 10px 0 0 0; font-size: 24px;">🐾 Here's what you missed</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 10px 0 20px 0;">
+    <p style="margin-top: 0;">Hello {userName},</p>
+    <p>Here's what happened on Woof Meetup {periodLabel}: {countsSummary}.</p>
+
+    <div style="background-color: #F9F9F9; padding: 20px;">
+      <ul style="margin: 0; padding-left: 20px;">
+        {digestItems}
+      </ul>
+      <div style="text-align: center; margin: 20px 0;">
+        <a href="{dashboardUrl}" style="background-color: #FFC0CB; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">View Dashboard</a>
+      </div>
+    </div>
+
+    <p style="color: #666; margin-top: 30px;">Choose which emails you get, and how often, in your <a href="{settingsUrl}" style="color: #666;">account settings</a>.</p>
+
+    <p style="margin-top: 30px;">Happy meetup!<br>The Woof Meetup Team</p>
+  </div>
+  <div style="text-align: center; margin-top: 20px; color: #888; font-size: 0.8em;">
+    <p>This is an automated message, please do not reply to this email.</p>
+    <p style="margin-top: 10px;">Don't want these emails? <a href="{unsubscribeUrl}" style="color: #888;">Unsubscribe</a></p>
     <p style="margin-top: 10px;">&copy; woofmeetup.com | 218 E Ramona Ave, Salt Lake City, UT 84115</p>
   </div>
 </body>
@@ -3,20 +3,37 @@ import {
   PASSWORD_RESET_SUCCESS_TEMPLATE,
   VERIFICATION_EMAIL_TEMPLATE,
   SUBSCRIPTION_WELCOME_TEMPLATE,
+  TRIAL_ENDING_TEMPLATE,
   ACCOUNT_DELETION_SCHEDULED_TEMPLATE,
   CREDITS_PURCHASE_TEMPLATE,
+  PAYMENT_REFUNDED_TEMPLATE,
+  PAYMENT_DISPUTE_TEMPLATE,
   LIKE_NOTIFICATION_TEMPLATE,
   MATCH_NOTIFICATION_TEMPLATE,
+  MEETUP_REMINDER_TEMPLATE,
+  NOTIFICATION_DIGEST_TEMPLATE,
 } from './emailTemplates.js'
 import { mailtrapClient, senders } from './mailtrap.config.js'
 import _fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { logError } from '../utilities/logger.js'
-import { safeTemplateReplace, sanitizeTemplateVariable } from '../utilities/htmlEscaper.js'
+import { getClientUrl } from '../utilities/getClientUrl.js'
+import {
+  escapeHtml,
+  safeTemplateReplace,
+  sanitizeTemplateVariable,
+} from '../utilities/htmlEscaper.js'
 import { getAllowedEmailImagePaths, safeReadFile } from '../utilities/pathValidator.js'
 import AppError from '../utilities/AppError.js'
 import { ErrorCodes } from '../constants/errorCodes.js'
+import {
+  EMAIL_CATEGORIES,
+  EMAIL_DIGEST_MODES,
+  NOTIFICATION_DIGEST_CONFIG,
+} from '../constants/index.js'
+import { createUnsubscribeToken } from '../utilities/unsubscribeToken.js'
+import { emailSuppressionService } from '../services/email-suppression.service.js'
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url)
@@ -44,6 +61,21 @@ const getLogoAttachment = () => {
   }
 }
 
+// RFC 8058 one-click List-Unsubscribe headers, plus the footer link (a confirmation page in
+// the client) for the templates that show one. Both go through the client URL, which serves
+// or proxies /api.
+const buildUnsubscribe = (email, category) => {
+  const token = createUnsubscribeToken(email, category)
+  const siteUrl = getClientUrl()
+  return {
+    headers: {
+      'List-Unsubscribe': `<${siteUrl}/api/notifications/unsubscribe/${token}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+    url: `${siteUrl}/unsubscribe/${token}`,
+  }
+}
+
 export const sendVerificationEmail = async (email, verificationToken) => {
   const recipient = [{ email }]
 
@@ -54,6 +86,7 @@ export const sendVerificationEmail = async (email, verificationToken) => {
     await mailtrapClient.send({
       from: senders.verification,
       to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
       subject: 'Verify your email',
       html: VERIFICATION_EMAIL_TEMPLATE.replace('{verificationCode}', verificationToken),
       category: 'Email Verification',
@@ -75,6 +108,7 @@ export const sendWelcomeEmail = async (email, userName) => {
     await mailtrapClient.send({
       from: senders.welcome,
       to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
       template_uuid: '9b6607d9-0d70-4aea-9471-d8e81184aaa5',
       template_variables: {
         name: userName,
@@ -106,6 +140,7 @@ export const sendPasswordResetEmail = async (email, resetURL) => {
     await mailtrapClient.send({
       from: senders.passwordReset,
       to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
       subject: 'Reset your password',
       html: PASSWORD_RESET_REQUEST_TEMPLATE.replace('{resetURL}', safeResetURL),
       category: 'Password Reset',
@@ -130,6 +165,7 @@ export const sendResetSuccessEmail = async (email) => {
     await mailtrapClient.send({
       from: senders.passwordReset,
       to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
       subject: 'Password Reset Successful',
       html: PASSWORD_RESET_SUCCESS_TEMPLATE,
       category: 'Password Reset',
@@ -144,29 +180,36 @@ export const sendResetSuccessEmail = async (email) => {
   }
 }
 
-export const sendSubscriptionWelcomeEmail = async (email, userName, planType) => {
+// trialEndsAt is set when the subscription starts with a free trial
+export const sendSubscriptionWelcomeEmail = async (
+  email,
+  userName,
+  planType,
+  trialEndsAt = null
+) => {
   const recipient = [{ email }]
 
-  // Determine client URL based on environment
-  const getClientUrl = () => {
-    if (process.env.CLIENT_URL) {
-      return process.env.CLIENT_URL
-    }
-    if (process.env.NODE_ENV === 'production') {
-      return 'https://woofmeetup.com'
-    }
-    return 'http://localhost:8000'
-  }
-
   const clientUrl = getClientUrl()
   const planName = planType === 'vip' ? 'VIP Plan' : 'Premium Plan'
 
+  let statusMessage =
+    'Your subscription is now active and you can start enjoying all the benefits right away!'
+  if (trialEndsAt) {
+    const trialEndDate = new Date(trialEndsAt).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    })
+    statusMessage = `Your free trial is active until ${trialEndDate}. You won't be charged before then, and you can cancel anytime from your dashboard.`
+  }
+
   try {
     // MEDIUM SECURITY FIX: Use safeTemplateReplace to HTML-escape all user-controlled variables
     // Prevents template injection attacks from malicious usernames or planNames
     const htmlContent = safeTemplateReplace(SUBSCRIPTION_WELCOME_TEMPLATE, {
       planName: sanitizeTemplateVariable(planName, 'text'),
       userName: sanitizeTemplateVariable(userName, 'text'),
+      statusMessage: sanitizeTemplateVariable(statusMessage, 'text'),
       dashboardUrl: sanitizeTemplateVariable(`${clientUrl}/dashboard`, 'url'),
     })
 
@@ -176,6 +219,7 @@ export const sendSubscriptionWelcomeEmail = async (email, userName, planType) =>
     await mailtrapClient.send({
       from: senders.subscription,
       to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
       subject: `Welcome to ${planName}! 🎉`,
       html: htmlContent,
       category: 'Subscription',
@@ -187,6 +231,47 @@ export const sendSubscriptionWelcomeEmail = async (email, userName, planType) =>
   }
 }
 
+// Reminder sent by the webhook when Stripe reports a trial ends in a few days
+export const sendTrialEndingEmail = async (email, userName, planType, trialEndsAt, amount) => {
+  const recipient = [{ email }]
+
+  // Sent from a webhook, so there is no request to read the domain from
+  const clientUrl = getClientUrl()
+  const planName = planType === 'vip' ? 'VIP Plan' : 'Premium Plan'
+  const trialEndDate = new Date(trialEndsAt).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  })
+
+  try {
+    const htmlContent = safeTemplateReplace(TRIAL_ENDING_TEMPLATE, {
+      userName: sanitizeTemplateVariable(userName, 'text'),
+      planName: sanitizeTemplateVariable(planName, 'text'),
+      trialEndDate: sanitizeTemplateVariable(trialEndDate, 'text'),
+      amount: sanitizeTemplateVariable(`$${amount.toFixed(2)}`, 'text'),
+      dashboardUrl: sanitizeTemplateVariable(`${clientUrl}/dashboard`, 'url'),
+    })
+
+    const logoAttachment = getLogoAttachment()
+    const attachments = logoAttachment ? [logoAttachment] : []
+
+    await mailtrapClient.send({
+      from: senders.subscription,
+      to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
+      subject: `Your ${planName} free trial ends soon`,
+      html: htmlContent,
+      category: 'Trial Ending',
+      attachments,
+    })
+  } catch (error) {
+    logError('emails', 'Error sending trial ending email', error)
+    // Don't throw error - the reminder is a courtesy, the subscription is unaffected
+  }
+}
+
 export const sendAccountDeletionEmail = async (
   email,
   userName,
@@ -197,17 +282,6 @@ export const sendAccountDeletionEmail = async (
 ) => {
   const recipient = [{ email }]
 
-  // Determine client URL based on environment
-  const getClientUrl = () => {
-    if (process.env.CLIENT_URL) {
-      return process.env.CLIENT_URL
-    }
-    if (process.env.NODE_ENV === 'production') {
-      return 'https://woofmeetup.com'
-    }
-    return 'http://localhost:8000'
-  }
-
   const _clientUrl = getClientUrl()
 
   // Format deletion date
@@ -278,6 +352,7 @@ export const sendAccountDeletionEmail = async (
     await mailtrapClient.send({
       from: senders.accountDeletion,
       to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
       subject: 'Account Deletion Scheduled - Woof Meetup',
       html: htmlContent,
       category: 'Account Deletion',
@@ -308,6 +383,7 @@ export const sendCreditsPurchaseEmail = async (email, userName, credits, newBala
     await mailtrapClient.send({
       from: senders.creditsPurchase,
       to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
       subject: 'Credits Purchase Confirmed - Woof Meetup',
       html: htmlContent,
       category: 'Credits Purchase',
@@ -319,6 +395,101 @@ export const sendCreditsPurchaseEmail = async (email, userName, credits, newBala
   }
 }
 
+export const sendPaymentRefundedEmail = async (
+  email,
+  userName,
+  amount,
+  creditsRemoved,
+  newBalance
+) => {
+  const recipient = [{ email }]
+
+  try {
+    const htmlContent = safeTemplateReplace(PAYMENT_REFUNDED_TEMPLATE, {
+      userName: sanitizeTemplateVariable(userName, 'text'),
+      amount: sanitizeTemplateVariable(`$${amount.toFixed(2)}`, 'text'),
+      creditsRemoved: sanitizeTemplateVariable(String(creditsRemoved), 'text'),
+      newBalance: sanitizeTemplateVariable(String(newBalance), 'text'),
+    })
+
+    const logoAttachment = getLogoAttachment()
+    const attachments = logoAttachment ? [logoAttachment] : []
+
+    await mailtrapClient.send({
+      from: senders.creditsPurchase,
+      to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
+      subject: 'Refund Processed - Woof Meetup',
+      html: htmlContent,
+      category: 'Payment Refunded',
+      attachments,
+    })
+  } catch (error) {
+    logError('emails', 'Error sending payment refunded email', error)
+    // Don't throw error - the refund is already recorded
+  }
+}
+
+// Copy for each stage of a dispute
+const DISPUTE_EMAIL_CONTENT = {
+  opened: {
+    subject: 'Payment Disputed - Woof Meetup',
+    headline: 'A Payment Was Disputed',
+    status: 'Under review',
+    message:
+      'Your bank let us know that you disputed a payment to Woof Meetup. While the dispute is reviewed, the message credits from that payment have been removed and any paid subscription has been canceled.',
+  },
+  won: {
+    subject: 'Payment Dispute Closed - Woof Meetup',
+    headline: 'Dispute Closed',
+    status: 'Closed - payment upheld',
+    message:
+      'The dispute was closed and the payment stays with Woof Meetup, so the message credits we removed have been restored. You can subscribe again at any time.',
+  },
+  lost: {
+    subject: 'Payment Dispute Closed - Woof Meetup',
+    headline: 'Dispute Closed',
+    status: 'Closed - payment returned to you',
+    message:
+      'The dispute was closed and the payment was returned to you. The message credits from that payment stay removed.',
+  },
+}
+
+/**
+ * Tell a user about a dispute they opened with their bank
+ * @param {string} stage - 'opened', 'won' or 'lost'
+ */
+export const sendPaymentDisputeEmail = async (email, userName, amount, stage) => {
+  const recipient = [{ email }]
+  const content = DISPUTE_EMAIL_CONTENT[stage]
+
+  try {
+    const htmlContent = safeTemplateReplace(PAYMENT_DISPUTE_TEMPLATE, {
+      userName: sanitizeTemplateVariable(userName, 'text'),
+      headline: content.headline,
+      message: content.message,
+      status: content.status,
+      amount: sanitizeTemplateVariable(`$${amount.toFixed(2)}`, 'text'),
+    })
+
+    const logoAttachment = getLogoAttachment()
+    const attachments = logoAttachment ? [logoAttachment] : []
+
+    await mailtrapClient.send({
+      from: senders.creditsPurchase,
+      to: recipient,
+      headers: buildUnsubscribe(email, EMAIL_CATEGORIES.ALL).headers,
+      subject: content.subject,
+      html: htmlContent,
+      category: 'Payment Dispute',
+      attachments,
+    })
+  } catch (error) {
+    logError('emails', 'Error sending payment dispute email', error)
+    // Don't throw error - the dispute is already recorded
+  }
+}
+
 export const sendLikeNotificationEmail = async (
   email,
   userName,
@@ -328,25 +499,21 @@ export const sendLikeNotificationEmail = async (
 ) => {
   const recipient = [{ email }]
 
-  const getClientUrl = () => {
-    if (process.env.CLIENT_URL) {
-      return process.env.CLIENT_URL
-    }
-    if (process.env.NODE_ENV === 'production') {
-      return 'https://woofmeetup.com'
-    }
-    return 'http://localhost:8000'
-  }
-
   const clientUrl = getClientUrl()
 
   try {
+    if (await emailSuppressionService.isSuppressed(email, EMAIL_CATEGORIES.LIKES)) {
+      return
+    }
+    const unsubscribe = buildUnsubscribe(email, EMAIL_CATEGORIES.LIKES)
+
     const htmlContent = safeTemplateReplace(LIKE_NOTIFICATION_TEMPLATE, {
       userName: sanitizeTemplateVariable(userName, 'text'),
       likerName: sanitizeTemplateVariable(likerName, 'text'),
       likerDogName: sanitizeTemplateVariable(likerDogName, 'text'),
       yourDogName: sanitizeTemplateVariable(yourDogName, 'text'),
       dashboardUrl: sanitizeTemplateVariable(`${clientUrl}/dashboard`, 'url'),
+      unsubscribeUrl: sanitizeTemplateVariable(unsubscribe.url, 'url'),
     })
 
     const logoAttachment = getLogoAttachment()
@@ -355,6 +522,7 @@ export const sendLikeNotificationEmail = async (
     await mailtrapClient.send({
       from: senders.likeNotification,
       to: recipient,
+      headers: unsubscribe.headers,
       subject: `${likerName} liked your profile on Woof Meetup!`,
       html: htmlContent,
       category: 'Like Notification',
@@ -375,25 +543,21 @@ export const sendMatchNotificationEmail = async (
 ) => {
   const recipient = [{ email }]
 
-  const getClientUrl = () => {
-    if (process.env.CLIENT_URL) {
-      return process.env.CLIENT_URL
-    }
-    if (process.env.NODE_ENV === 'production') {
-      return 'https://woofmeetup.com'
-    }
-    return 'http://localhost:8000'
-  }
-
   const clientUrl = getClientUrl()
 
   try {
+    if (await emailSuppressionService.isSuppressed(email, EMAIL_CATEGORIES.MATCHES)) {
+      return
+    }
+    const unsubscribe = buildUnsubscribe(email, EMAIL_CATEGORIES.MATCHES)
+
     const htmlContent = safeTemplateReplace(MATCH_NOTIFICATION_TEMPLATE, {
       userName: sanitizeTemplateVariable(userName, 'text'),
       matchName: sanitizeTemplateVariable(matchName, 'text'),
       matchDogName: sanitizeTemplateVariable(matchDogName, 'text'),
       yourDogName: sanitizeTemplateVariable(yourDogName, 'text'),
       dashboardUrl: sanitizeTemplateVariable(`${clientUrl}/dashboard`, 'url'),
+      unsubscribeUrl: sanitizeTemplateVariable(unsubscribe.url, 'url'),
     })
 
     const logoAttachment = getLogoAttachment()
@@ -402,6 +566,7 @@ export const sendMatchNotificationEmail = async (
     await mailtrapClient.send({
       from: senders.matchNotification,
       to: recipient,
+      headers: unsubscribe.headers,
       subject: `You've got a match with ${matchName} on Woof Meetup! 🎉`,
       html: htmlContent,
       category: 'Match Notification',
@@ -412,3 +577,144 @@ export const sendMatchNotificationEmail = async (
     // Don't throw error - email failure shouldn't break match flow
   }
 }
+
+export const sendMeetupReminderEmail = async (
+  email,
+  userName,
+  yourDogName,
+  otherName,
+  otherDogName,
+  meetup
+) => {
+  const recipient = [{ email }]
+
+  const clientUrl = getClientUrl()
+
+  try {
+    if (await emailSuppressionService.isSuppressed(email, EMAIL_CATEGORIES.MEETUP_REMINDERS)) {
+      return
+    }
+    const unsubscribe = buildUnsubscribe(email, EMAIL_CATEGORIES.MEETUP_REMINDERS)
+
+    const meetupTime = new Date(meetup.startsAt).toLocaleString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: meetup.timeZone || 'UTC',
+      timeZoneName: 'short',
+    })
+
+    const htmlContent = safeTemplateReplace(MEETUP_REMINDER_TEMPLATE, {
+      userName: sanitizeTemplateVariable(userName, 'text'),
+      yourDogName: sanitizeTemplateVariable(yourDogName, 'text'),
+      otherName: sanitizeTemplateVariable(otherName, 'text'),
+      otherDogName: sanitizeTemplateVariable(otherDogName, 'text'),
+      meetupType: sanitizeTemplateVariable(meetup.meetupType, 'text'),
+      meetupTime: sanitizeTemplateVariable(meetupTime, 'text'),
+      placeName: sanitizeTemplateVariable(meetup.placeName, 'text'),
+      dashboardUrl: sanitizeTemplateVariable(`${clientUrl}/dashboard`, 'url'),
+      unsubscribeUrl: sanitizeTemplateVariable(unsubscribe.url, 'url'),
+    })
+
+    const logoAttachment = getLogoAttachment()
+    const attachments = logoAttachment ? [logoAttachment] : []
+
+    await mailtrapClient.send({
+      from: senders.meetupReminder,
+      to: recipient,
+      headers: unsubscribe.headers,
+      subject: `Reminder: ${meetup.meetupType} with ${otherName} on Woof Meetup`,
+      html: htmlContent,
+      category: 'Meetup Reminder',
+      attachments,
+    })
+  } catch (error) {
+    logError('emails', 'Error sending meetup reminder email', error)
+    // Don't throw error - one failed reminder shouldn't stop the reminder job
+  }
+}
+
+const DIGEST_PERIOD_LABELS = {
+  [EMAIL_DIGEST_MODES.DAILY]: 'today',
+  [EMAIL_DIGEST_MODES.WEEKLY]: 'this week',
+  [EMAIL_DIGEST_MODES.INSTANT]: 'while you were away',
+}
+
+const DIGEST_EVENT_NOUNS = {
+  like: ['new like', 'new likes'],
+  match: ['new match', 'new matches'],
+  message: ['new message', 'new messages'],
+}
+
+// "2 new likes, 1 new match and 3 new messages"
+const summarizeDigestCounts = (items) => {
+  const counts = items.reduce((acc, { event }) => {
+    acc[event] = (acc[event] || 0) + 1
+    return acc
+  }, {})
+  const parts = Object.entries(DIGEST_EVENT_NOUNS)
+    .filter(([event]) => counts[event])
+    .map(([event, [one, many]]) => `${counts[event]} ${counts[event] === 1 ? one : many}`)
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts.at(-1)}` : parts[0]
+}
+
+/**
+ * Send one email listing a user's pending like/match/message notifications
+ * @param {Array<{event: string, summary: string}>} items - Pending notifications, oldest first
+ * @param {string} emailMode - EMAIL_DIGEST_MODES value, used for the period wording
+ * @returns {Promise<boolean>} false if sending failed (the job keeps the items and retries).
+ * An address that unsubscribed from digests counts as handled.
+ */
+export const sendNotificationDigestEmail = async (email, userName, items, emailMode) => {
+  const recipient = [{ email }]
+
+  const clientUrl = getClientUrl()
+
+  try {
+    if (await emailSuppressionService.isSuppressed(email, EMAIL_CATEGORIES.DIGEST)) {
+      return true
+    }
+    const unsubscribe = buildUnsubscribe(email, EMAIL_CATEGORIES.DIGEST)
+
+    // Newest first, capped so a long weekly digest stays readable
+    const shown = items.slice(-NOTIFICATION_DIGEST_CONFIG.MAX_ITEMS_PER_EMAIL).reverse()
+    const hiddenCount = items.length - shown.length
+    const itemLines = shown.map(
+      ({ summary }) => `<li style="margin: 6px 0;">${escapeHtml(summary)}</li>`
+    )
+    if (hiddenCount > 0) {
+      itemLines.push(`<li style="margin: 6px 0;">…and ${hiddenCount} more</li>`)
+    }
+
+    // Item HTML is escaped above; safeTemplateReplace would escape the list markup itself
+    const htmlContent = safeTemplateReplace(NOTIFICATION_DIGEST_TEMPLATE, {
+      userName: sanitizeTemplateVariable(userName, 'text'),
+      periodLabel: DIGEST_PERIOD_LABELS[emailMode] || DIGEST_PERIOD_LABELS.instant,
+      countsSummary: summarizeDigestCounts(items),
+      dashboardUrl: sanitizeTemplateVariable(`${clientUrl}/dashboard`, 'url'),
+      unsubscribeUrl: sanitizeTemplateVariable(unsubscribe.url, 'url'),
+      settingsUrl: sanitizeTemplateVariable(`${clientUrl}/account-settings`, 'url'),
+    }).replace('{digestItems}', itemLines.join('\n        '))
+
+    const logoAttachment = getLogoAttachment()
+    const attachments = logoAttachment ? [logoAttachment] : []
+
+    await mailtrapClient.send({
+      from: senders.notificationDigest,
+      to: recipient,
+      headers: unsubscribe.headers,
+      subject: `Your Woof Meetup digest: ${summarizeDigestCounts(items)}`,
+      html: htmlContent,
+      category: 'Notification Digest',
+      attachments,
+    })
+    return true
+  } catch (error) {
+    logError('emails', 'Error sending notification digest email', error)
+    // Don't throw error - the digest job retries on its next run
+    return false
+  }
+}
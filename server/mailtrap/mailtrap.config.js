@@ -49,6 +49,14 @@ export const senders = {
     email: 'hello@woofmeetup.com',
     name: 'Woof Meetup - New Match',
   },
+  meetupReminder: {
+    email: 'hello@woofmeetup.com',
+    name: 'Woof Meetup - Meetup Reminder',
+  },
+  notificationDigest: {
+    email: 'hello@woofmeetup.com',
+    name: 'Woof Meetup - Digest',
+  },
 }
 
 // Legacy export for backward compatibility
@@ -22,12 +22,8 @@ export const checkMessageLimit = async (req, res, next) => {
       return sendNotFound(res, 'User')
     }
 
-    // Premium and VIP users have unlimited messages
-    if (user.subscription === 'premium' || user.subscription === 'vip') {
-      return next()
-    }
-
-    // Free users need credits
+    // Every plan spends credits; premium and VIP get a monthly grant (see entitlement.service).
+    // This is an early check only: the credit is spent atomically when the message is saved.
     if (user.messageCredits <= 0) {
       return sendError(res, 'Insufficient message credits', 403, [
         { message: 'needsCredits', value: true, currentCredits: user.messageCredits },
@@ -44,25 +40,3 @@ export const checkMessageLimit = async (req, res, next) => {
     })
   }
 }
-
-export const decrementMessageCredit = async (userId) => {
-  try {
-    const user = await User.findById(userId)
-    if (!user) {
-      return
-    }
-
-    // Only decrement for free users
-    if (user.subscription === 'free' && user.messageCredits > 0) {
-      user.messageCredits -= 1
-      user.totalMessagesSent += 1
-      await user.save()
-    } else if (user.subscription !== 'free') {
-      // Still track total messages for premium/vip users
-      user.totalMessagesSent += 1
-      await user.save()
-    }
-  } catch (_error) {
-    // Silent error handling - credit decrement is non-critical
-  }
-}
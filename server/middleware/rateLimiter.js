@@ -581,3 +581,166 @@ const _likeActionLimiter = createLimiterWithMonitoring('like-action', {
 
 export const likeActionLimiter =
   process.env.NODE_ENV === 'production' ? _likeActionLimiter : bypassMiddleware
+
+// Rate limiter for /api/auth/undo-swipe endpoint
+// Security: Burst protection only - the per-plan daily quota is enforced in undoSwipe
+// Default: 10 requests per minute per IP in production
+const UNDO_SWIPE_RATE_LIMIT_MAX = process.env.UNDO_SWIPE_RATE_LIMIT_MAX
+  ? parseInt(process.env.UNDO_SWIPE_RATE_LIMIT_MAX)
+  : 10
+const UNDO_SWIPE_RATE_LIMIT_WINDOW_MS = process.env.UNDO_SWIPE_RATE_LIMIT_WINDOW_MS
+  ? parseInt(process.env.UNDO_SWIPE_RATE_LIMIT_WINDOW_MS)
+  : 60 * 1000
+
+const _undoSwipeLimiter = createLimiterWithMonitoring('undo-swipe', {
+  windowMs: UNDO_SWIPE_RATE_LIMIT_WINDOW_MS,
+  max: UNDO_SWIPE_RATE_LIMIT_MAX,
+  message: {
+    success: false,
+    message: 'Too many undo attempts, please slow down',
+    code: 'UNDO_SWIPE_RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+})
+
+export const undoSwipeLimiter =
+  process.env.NODE_ENV === 'production' ? _undoSwipeLimiter : bypassMiddleware
+
+// Rate limiter for POST /api/messages/read/:id (REST fallback for read receipts)
+// Security: Prevents hammering message updates; clients normally mark reads over the socket
+// Default: 60 requests per 5 minutes per IP in production
+const MESSAGE_READ_RATE_LIMIT_MAX = process.env.MESSAGE_READ_RATE_LIMIT_MAX
+  ? parseInt(process.env.MESSAGE_READ_RATE_LIMIT_MAX)
+  : 60
+const MESSAGE_READ_RATE_LIMIT_WINDOW_MS = process.env.MESSAGE_READ_RATE_LIMIT_WINDOW_MS
+  ? parseInt(process.env.MESSAGE_READ_RATE_LIMIT_WINDOW_MS)
+  : 5 * 60 * 1000
+
+const _messageReadLimiter = createLimiterWithMonitoring('message-read', {
+  windowMs: MESSAGE_READ_RATE_LIMIT_WINDOW_MS,
+  max: MESSAGE_READ_RATE_LIMIT_MAX,
+  message: {
+    success: false,
+    message: 'Too many read updates, please slow down',
+    code: 'MESSAGE_READ_RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+})
+
+export const messageReadLimiter =
+  process.env.NODE_ENV === 'production' ? _messageReadLimiter : bypassMiddleware
+
+// Rate limiter for meetup proposals and answers (POST /api/meetups...)
+// Security: Prevents flooding a match with proposals
+// Default: 20 requests per 15 minutes per IP in production
+const MEETUP_RATE_LIMIT_MAX = process.env.MEETUP_RATE_LIMIT_MAX
+  ? parseInt(process.env.MEETUP_RATE_LIMIT_MAX)
+  : 20
+const MEETUP_RATE_LIMIT_WINDOW_MS = process.env.MEETUP_RATE_LIMIT_WINDOW_MS
+  ? parseInt(process.env.MEETUP_RATE_LIMIT_WINDOW_MS)
+  : 15 * 60 * 1000
+
+const _meetupLimiter = createLimiterWithMonitoring('meetup', {
+  windowMs: MEETUP_RATE_LIMIT_WINDOW_MS,
+  max: MEETUP_RATE_LIMIT_MAX,
+  message: {
+    success: false,
+    message: 'Too many meetup requests, please try again later',
+    code: 'MEETUP_RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+})
+
+export const meetupLimiter =
+  process.env.NODE_ENV === 'production' ? _meetupLimiter : bypassMiddleware
+
+// Rate limiter for blocking and reporting users (POST /api/users/:id/block|report)
+// Security: Prevents report flooding of the moderation queue
+// Default: 10 requests per hour per IP in production
+const REPORT_RATE_LIMIT_MAX = process.env.REPORT_RATE_LIMIT_MAX
+  ? parseInt(process.env.REPORT_RATE_LIMIT_MAX)
+  : 10
+const REPORT_RATE_LIMIT_WINDOW_MS = process.env.REPORT_RATE_LIMIT_WINDOW_MS
+  ? parseInt(process.env.REPORT_RATE_LIMIT_WINDOW_MS)
+  : 60 * 60 * 1000
+
+const _reportLimiter = createLimiterWithMonitoring('report', {
+  windowMs: REPORT_RATE_LIMIT_WINDOW_MS,
+  max: REPORT_RATE_LIMIT_MAX,
+  message: {
+    success: false,
+    message: 'Too many block or report requests, please try again later',
+    code: 'REPORT_RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+})
+
+export const reportLimiter =
+  process.env.NODE_ENV === 'production' ? _reportLimiter : bypassMiddleware
+
+// Rate limiter for push subscription changes (POST/DELETE /api/notifications/subscriptions)
+// Security: Prevents filling the subscription store from one client
+// Default: 30 requests per 15 minutes per IP in production
+const NOTIFICATION_RATE_LIMIT_MAX = process.env.NOTIFICATION_RATE_LIMIT_MAX
+  ? parseInt(process.env.NOTIFICATION_RATE_LIMIT_MAX)
+  : 30
+const NOTIFICATION_RATE_LIMIT_WINDOW_MS = process.env.NOTIFICATION_RATE_LIMIT_WINDOW_MS
+  ? parseInt(process.env.NOTIFICATION_RATE_LIMIT_WINDOW_MS)
+  : 15 * 60 * 1000
+
+const _notificationLimiter = createLimiterWithMonitoring('notification', {
+  windowMs: NOTIFICATION_RATE_LIMIT_WINDOW_MS,
+  max: NOTIFICATION_RATE_LIMIT_MAX,
+  message: {
+    success: false,
+    message: 'Too many notification setting changes, please try again later',
+    code: 'NOTIFICATION_RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+})
+
+export const notificationLimiter =
+  process.env.NODE_ENV === 'production' ? _notificationLimiter : bypassMiddleware
+
+// Rate limiter for public email unsubscribe links (GET/POST /api/notifications/unsubscribe/:token)
+// Security: Limits token guessing against the public endpoint
+// Default: 300 requests per 15 minutes per IP in production (mail providers send one-click
+// unsubscribes for many users from a few IPs)
+const UNSUBSCRIBE_RATE_LIMIT_MAX = process.env.UNSUBSCRIBE_RATE_LIMIT_MAX
+  ? parseInt(process.env.UNSUBSCRIBE_RATE_LIMIT_MAX)
+  : 300
+const UNSUBSCRIBE_RATE_LIMIT_WINDOW_MS = process.env.UNSUBSCRIBE_RATE_LIMIT_WINDOW_MS
+  ? parseInt(process.env.UNSUBSCRIBE_RATE_LIMIT_WINDOW_MS)
+  : 15 * 60 * 1000
+
+const _unsubscribeLimiter = createLimiterWithMonitoring('unsubscribe', {
+  windowMs: UNSUBSCRIBE_RATE_LIMIT_WINDOW_MS,
+  max: UNSUBSCRIBE_RATE_LIMIT_MAX,
+  message: {
+    success: false,
+    message: 'Too many unsubscribe requests, please try again later',
+    code: 'UNSUBSCRIBE_RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+})
+
+export const unsubscribeLimiter =
+  process.env.NODE_ENV === 'production' ? _unsubscribeLimiter : bypassMiddleware
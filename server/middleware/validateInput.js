@@ -5,6 +5,7 @@
 
 import {
   validateUserId,
+  isValidObjectId,
   isSafeString,
   isValidEmail,
   validateResetToken,
@@ -36,6 +37,27 @@ export const validateParamUserId = (paramName = 'id') => {
   }
 }
 
+/**
+ * Middleware to validate a MongoDB ObjectId from request parameters
+ * Used for sub-document and record IDs (e.g. dogs) that are not user IDs
+ * @param {string} paramName - The URL parameter name (default: 'id')
+ */
+export const validateParamObjectId = (paramName = 'id') => {
+  return (req, res, next) => {
+    const value = req.params[paramName]
+
+    if (typeof value !== 'string' || !/^[0-9a-f]{24}$/i.test(value) || !isValidObjectId(value)) {
+      return sendValidationError(
+        res,
+        [{ path: paramName, msg: `${paramName} must be a valid ID` }],
+        'Invalid input format'
+      )
+    }
+
+    next()
+  }
+}
+
 /**
  * Middleware to validate user ID from query string parameters
  * Protects against NoSQL injection via query parameters
@@ -215,6 +237,44 @@ export const validatePaginationParams = (maxLimit = 100) => {
   }
 }
 
+/**
+ * Middleware to validate cursor pagination parameters (?before= / ?after= a record id)
+ * At most one cursor may be given; validated ids are attached to req.cursor
+ * @param {string[]} paramNames - Cursor query parameter names (default: ['before', 'after'])
+ */
+export const validateCursorParams = (paramNames = ['before', 'after']) => {
+  return (req, res, next) => {
+    const cursor = {}
+
+    for (const paramName of paramNames) {
+      const value = req.query[paramName]
+      if (value === undefined || value === '') {
+        continue
+      }
+
+      if (typeof value !== 'string' || !/^[0-9a-f]{24}$/i.test(value) || !isValidObjectId(value)) {
+        return sendValidationError(
+          res,
+          [{ path: paramName, msg: `${paramName} must be a valid ID` }],
+          'Invalid pagination parameters'
+        )
+      }
+      cursor[paramName] = value
+    }
+
+    if (Object.keys(cursor).length > 1) {
+      return sendValidationError(
+        res,
+        [{ path: 'cursor', msg: `Only one of ${paramNames.join(', ')} can be used` }],
+        'Invalid pagination parameters'
+      )
+    }
+
+    req.cursor = cursor
+    next()
+  }
+}
+
 /**
  * Middleware to validate numeric range query parameters
  * Prevents DoS attacks via extreme values and injection attacks
@@ -273,3 +333,122 @@ export const validateNumericRangeQuery = (
     }
   }
 }
+
+/**
+ * Middleware to validate a comma-separated list of allowed values from the query string
+ * Prevents NoSQL injection via operator objects and arbitrary values
+ * @param {string} queryParamName - Query parameter name to validate
+ * @param {Array<string>} allowedValues - Values the parameter may contain
+ * @param {string} fieldName - Display name for error messages
+ */
+export const validateEnumQuery = (queryParamName, allowedValues, fieldName) => {
+  return (req, res, next) => {
+    const value = req.query[queryParamName]
+
+    // Skip validation if parameter not provided
+    if (!value) {
+      return next()
+    }
+
+    const values = typeof value === 'string' ? value.split(',').map((v) => v.trim()) : null
+
+    if (!values || values.some((v) => !allowedValues.includes(v))) {
+      return sendValidationError(
+        res,
+        [{ path: queryParamName, msg: `${fieldName} must be one of: ${allowedValues.join(', ')}` }],
+        'Invalid query parameters'
+      )
+    }
+
+    req.validatedQuery = req.validatedQuery || {}
+    req.validatedQuery[queryParamName] = [...new Set(values)]
+
+    next()
+  }
+}
+
+/**
+ * Middleware to validate a free-text query parameter against a character whitelist
+ * @param {string} queryParamName - Query parameter name to validate
+ * @param {RegExp} pattern - Allowed characters
+ * @param {number} maxLength - Maximum length after trimming
+ * @param {string} fieldName - Display name for error messages
+ */
+export const validateTextQuery = (queryParamName, pattern, maxLength, fieldName) => {
+  return (req, res, next) => {
+    const value = req.query[queryParamName]
+
+    // Skip validation if parameter not provided
+    if (!value) {
+      return next()
+    }
+
+    const trimmed = typeof value === 'string' ? value.trim() : null
+
+    if (!trimmed || trimmed.length > maxLength || !pattern.test(trimmed)) {
+      return sendValidationError(
+        res,
+        [{ path: queryParamName, msg: `${fieldName} contains invalid characters or is too long` }],
+        'Invalid query parameters'
+      )
+    }
+
+    req.validatedQuery = req.validatedQuery || {}
+    req.validatedQuery[queryParamName] = trimmed
+
+    next()
+  }
+}
+
+/**
+ * Middleware to validate a boolean flag from the query string ('true' or 'false')
+ * @param {string} queryParamName - Query parameter name to validate
+ * @param {string} fieldName - Display name for error messages
+ */
+export const validateBooleanQuery = (queryParamName, fieldName) => {
+  return (req, res, next) => {
+    const value = req.query[queryParamName]
+
+    // Skip validation if parameter not provided
+    if (value === undefined || value === '') {
+      return next()
+    }
+
+    if (value !== 'true' && value !== 'false') {
+      return sendValidationError(
+        res,
+        [{ path: queryParamName, msg: `${fieldName} must be true or false` }],
+        'Invalid query parameters'
+      )
+    }
+
+    req.validatedQuery = req.validatedQuery || {}
+    req.validatedQuery[queryParamName] = value === 'true'
+
+    next()
+  }
+}
+
+/**
+ * Middleware to check that a min/max pair of query parameters is in order
+ * Must run after validateNumericRangeQuery for both parameters
+ * @param {string} minParamName - Lower bound query parameter
+ * @param {string} maxParamName - Upper bound query parameter
+ * @param {string} fieldName - Display name for error messages
+ */
+export const validateQueryRangeOrder = (minParamName, maxParamName, fieldName) => {
+  return (req, res, next) => {
+    const min = req.validatedQuery?.[minParamName]
+    const max = req.validatedQuery?.[maxParamName]
+
+    if (min !== undefined && max !== undefined && min > max) {
+      return sendValidationError(
+        res,
+        [{ path: minParamName, msg: `Minimum ${fieldName} cannot exceed maximum ${fieldName}` }],
+        'Invalid query parameters'
+      )
+    }
+
+    next()
+  }
+}
@@ -1,7 +1,8 @@
 import jwt from 'jsonwebtoken'
+import { adminService } from '../services/admin.service.js'
 import { logError, logInfo } from '../utilities/logger.js'
 import { logAuthFailure, logAuthSuccess } from '../utilities/securityLogger.js'
-import { sendUnauthorized, sendInternalError } from '../utils/ApiResponse.js'
+import { sendUnauthorized, sendForbidden, sendInternalError } from '../utils/ApiResponse.js'
 
 /**
  * JWT Token Verification Middleware
@@ -12,11 +13,12 @@ import { sendUnauthorized, sendInternalError } from '../utils/ApiResponse.js'
  * - Expired token (401)
  * - Invalid signature (401)
  * - Malformed token (401)
+ * - Suspended account (403)
  * - Server errors (500)
  *
  * SECURITY FIX: Integrated security logging for auth failures and success
  */
-export const verifyToken = (req, res, next) => {
+export const verifyToken = async (req, res, next) => {
   const token = req.cookies.token
 
   if (!token) {
@@ -43,6 +45,16 @@ export const verifyToken = (req, res, next) => {
       return sendUnauthorized(res, 'Invalid token')
     }
 
+    // Suspensions apply to tokens issued before them (cached briefly, see SUSPENSION_CACHE_TTL_MS)
+    if (await adminService.isSuspended(decoded.userId)) {
+      logAuthFailure('account_suspended', {
+        endpoint: req.path,
+        ip: req.ip,
+        userId: decoded.userId,
+      })
+      return sendForbidden(res, 'Your account has been suspended')
+    }
+
     req.userId = decoded.userId
     req._id = decoded._id
 
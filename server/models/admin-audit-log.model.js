@@ -0,0 +1,80 @@
+import mongoose from 'mongoose'
+import { ADMIN_AUDIT_ACTIONS } from '../constants/index.js'
+
+// One entry per admin action. Entries are append-only: every field is immutable and updates
+// or deletes through the model are rejected.
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    // Admin user_id
+    adminId: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    action: {
+      type: String,
+      enum: Object.values(ADMIN_AUDIT_ACTIONS),
+      required: true,
+      immutable: true,
+    },
+    // user_id of the account acted on, if any
+    targetUserId: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+    // Report, or other record, the action applied to
+    targetId: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+    reason: {
+      type: String,
+      default: '',
+      immutable: true,
+    },
+    // Action-specific values, e.g. { amount, balanceBefore, balanceAfter }
+    details: {
+      type: Object,
+      default: {},
+      immutable: true,
+    },
+    ip: {
+      type: String,
+      required: false,
+      immutable: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+)
+
+adminAuditLogSchema.index({ createdAt: -1 })
+adminAuditLogSchema.index({ targetUserId: 1, createdAt: -1 })
+adminAuditLogSchema.index({ adminId: 1, createdAt: -1 })
+
+adminAuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Admin audit log entries cannot be modified'))
+  }
+  next()
+})
+
+const rejectChange = function (next) {
+  next(new Error('Admin audit log entries cannot be modified or deleted'))
+}
+
+for (const operation of [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+]) {
+  adminAuditLogSchema.pre(operation, rejectChange)
+}
+
+export const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema)
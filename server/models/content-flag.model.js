@@ -0,0 +1,74 @@
+import mongoose from 'mongoose'
+import {
+  CONTENT_FLAG_STATUS,
+  TEXT_MODERATION_ACTIONS,
+  TEXT_MODERATION_CONTEXTS,
+  TEXT_MODERATION_CONFIG,
+} from '../constants/index.js'
+
+// Text that a text moderation rule blocked or flagged for review, or an image the moderation
+// provider queued for review. The author is referenced by user_id like Report, and the original
+// text is kept because blocked text is never saved (for images, the provider's reason).
+const contentFlagSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    context: {
+      type: String,
+      enum: Object.values(TEXT_MODERATION_CONTEXTS),
+      required: true,
+    },
+    // 'text' / 'image' for messages, 'about' / 'userAbout' / 'image' / 'profile_image' /
+    // 'dog_photo' for profiles
+    field: {
+      type: String,
+      required: true,
+    },
+    // Set for messages that were sent (flagged, not blocked)
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+    action: {
+      type: String,
+      enum: [TEXT_MODERATION_ACTIONS.BLOCK, TEXT_MODERATION_ACTIONS.FLAG],
+      required: true,
+    },
+    rules: {
+      type: [String],
+      default: [],
+    },
+    categories: {
+      type: [String],
+      default: [],
+    },
+    excerpt: {
+      type: String,
+      maxlength: TEXT_MODERATION_CONFIG.MAX_EXCERPT_LENGTH,
+    },
+    status: {
+      type: String,
+      enum: Object.values(CONTENT_FLAG_STATUS),
+      default: CONTENT_FLAG_STATUS.OPEN,
+    },
+    // Admin user_id that reviewed the flag
+    reviewedBy: {
+      type: String,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+)
+
+// Per-user counts for triage, and each user's flags newest first
+contentFlagSchema.index({ status: 1, userId: 1 })
+contentFlagSchema.index({ userId: 1, createdAt: -1 })
+
+export const ContentFlag = mongoose.model('ContentFlag', contentFlagSchema)
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose'
+
+// One conversation per pair of users, keyed by MongoDB _id like Message.senderId/receiverId.
+// participantKey is the two sorted ids joined with '_' so a pair can only exist once.
+const conversationSchema = new mongoose.Schema(
+  {
+    participants: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      validate: {
+        validator: (participants) => participants.length === 2,
+        message: 'A conversation must have exactly two participants',
+      },
+    },
+    participantKey: {
+      type: String,
+      required: true,
+    },
+    // Preview for conversation lists
+    lastMessage: {
+      messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+      senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      text: { type: String },
+      hasImage: { type: Boolean, default: false },
+      createdAt: { type: Date },
+    },
+    // Keyed by participant _id string
+    unreadCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Last message each participant has read, keyed by participant _id string
+    lastReadMessageIds: {
+      type: Map,
+      of: mongoose.Schema.Types.ObjectId,
+      default: {},
+    },
+  },
+  { timestamps: true }
+)
+
+conversationSchema.index({ participantKey: 1 }, { unique: true })
+conversationSchema.index({ participants: 1, updatedAt: -1 })
+
+// Unique key for a pair of user _ids
+conversationSchema.statics.keyFor = (userId, otherUserId) =>
+  [String(userId), String(otherUserId)].sort().join('_')
+
+export const Conversation = mongoose.model('Conversation', conversationSchema)
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose'
+import { CREDIT_LEDGER_TYPES } from '../constants/index.js'
+
+// One entry per change to a user's message credits. The ledger sum is the real balance and
+// User.messageCredits caches it. Entries are append-only: every field is immutable and updates
+// or deletes through the model are rejected, so entries outlive deleted accounts.
+const creditLedgerEntrySchema = new mongoose.Schema(
+  {
+    // User _id
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      immutable: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(CREDIT_LEDGER_TYPES),
+      required: true,
+      immutable: true,
+    },
+    // Signed change: positive for grants, purchases and refunds, negative for spends and voids
+    amount: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    // Cached balance right after this entry was applied
+    balanceAfter: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    // What caused the entry (Stripe event id, message id, ...). Unique per type, so a retried
+    // webhook or request cannot apply the same change twice.
+    referenceId: {
+      type: String,
+      required: false,
+      immutable: true,
+    },
+    description: {
+      type: String,
+      default: '',
+      immutable: true,
+    },
+    // user_id of the admin who made an adjustment
+    createdBy: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+)
+
+creditLedgerEntrySchema.index({ userId: 1, createdAt: -1 })
+creditLedgerEntrySchema.index(
+  { type: 1, referenceId: 1 },
+  { unique: true, partialFilterExpression: { referenceId: { $type: 'string' } } }
+)
+
+creditLedgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Credit ledger entries cannot be modified'))
+  }
+  next()
+})
+
+const rejectChange = function (next) {
+  next(new Error('Credit ledger entries cannot be modified or deleted'))
+}
+
+for (const operation of [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+]) {
+  creditLedgerEntrySchema.pre(operation, rejectChange)
+}
+
+export const CreditLedgerEntry = mongoose.model('CreditLedgerEntry', creditLedgerEntrySchema)
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose'
+import { EMAIL_CATEGORIES } from '../constants/index.js'
+
+// An address that unsubscribed from an email category. Keyed by address rather than user, so it
+// also covers mail sent before or after the account existed.
+const emailSuppressionSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      enum: Object.values(EMAIL_CATEGORIES).filter((c) => c !== EMAIL_CATEGORIES.ALL),
+      required: true,
+    },
+  },
+  { timestamps: true }
+)
+
+emailSuppressionSchema.index({ email: 1, category: 1 }, { unique: true })
+
+export const EmailSuppression = mongoose.model('EmailSuppression', emailSuppressionSchema)
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose'
+import { MATCH_STATUS } from '../constants/index.js'
+
+// One document per pair of users, keyed by user_id (UUID) like the socket maps.
+// userA/userB are stored in sorted order so a pair can only exist once.
+const matchSchema = new mongoose.Schema(
+  {
+    userA: {
+      type: String,
+      required: true,
+    },
+    userB: {
+      type: String,
+      required: true,
+    },
+    // Participants who swiped right; both present means the match is mutual
+    likedBy: {
+      type: [String],
+      default: [],
+    },
+    initiatedBy: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(MATCH_STATUS),
+      default: MATCH_STATUS.PENDING,
+    },
+    matchedAt: {
+      type: Date,
+      default: null,
+    },
+    unmatchedAt: {
+      type: Date,
+      default: null,
+    },
+    // Participant who unmatched or blocked
+    endedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+)
+
+matchSchema.index({ userA: 1, userB: 1 }, { unique: true })
+matchSchema.index({ userA: 1, status: 1 })
+matchSchema.index({ userB: 1, status: 1 })
+
+matchSchema.pre('validate', function (next) {
+  if (this.userA >= this.userB) {
+    return next(new Error('Match participants must be two different users in sorted order'))
+  }
+  next()
+})
+
+// Sorted participant keys for a pair of user_ids
+matchSchema.statics.pairFor = (userId, otherUserId) =>
+  userId < otherUserId
+    ? { userA: userId, userB: otherUserId }
+    : { userA: otherUserId, userB: userId }
+
+export const Match = mongoose.model('Match', matchSchema)
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose'
+import { MEETUP_STATUS, MEETUP_CONFIG } from '../constants/index.js'
+
+// A playdate proposed from chat between two mutually matched users (MongoDB _ids, like
+// Message.senderId/receiverId). A counter-proposal is a new meetup from the other user
+// with counterOf pointing at the one it replaces, which becomes COUNTERED.
+const meetupSchema = new mongoose.Schema(
+  {
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    proposedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    // Proposer's IANA time zone, used to show the time in reminder emails
+    timeZone: {
+      type: String,
+      default: 'UTC',
+    },
+    placeName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MEETUP_CONFIG.MAX_PLACE_NAME_LENGTH,
+    },
+    // GeoJSON point, [longitude, latitude] like User.location
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: {
+        type: [Number],
+        required: true,
+      },
+    },
+    meetupType: {
+      type: String,
+      enum: MEETUP_CONFIG.TYPES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(MEETUP_STATUS),
+      default: MEETUP_STATUS.PROPOSED,
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    counterOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meetup',
+      default: null,
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+)
+
+meetupSchema.index({ proposedBy: 1, startsAt: -1 })
+meetupSchema.index({ proposedTo: 1, startsAt: -1 })
+// Reminder job: accepted meetups coming up that have not been reminded yet
+meetupSchema.index({ status: 1, reminderSentAt: 1, startsAt: 1 })
+
+export const Meetup = mongoose.model('Meetup', meetupSchema)
@@ -1,7 +1,13 @@
 import mongoose from 'mongoose'
+import { IMAGE_MODERATION_STATUS } from '../constants/index.js'
 
 const messageSchema = new mongoose.Schema(
   {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: true,
+    },
     senderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -18,10 +24,53 @@ const messageSchema = new mongoose.Schema(
     image: {
       type: String,
     },
+    // checkImage verdict for the attached image. The image URL is only set once it is approved.
+    imageModeration: {
+      status: {
+        type: String,
+        enum: Object.values(IMAGE_MODERATION_STATUS),
+      },
+      reason: {
+        type: String,
+      },
+      confidence: {
+        type: Number,
+      },
+      checkedAt: {
+        type: Date,
+      },
+    },
+    // Cloudinary public_id of the image, so it can be removed when the message is unsent
+    imagePublicId: {
+      type: String,
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Unsent by the sender: text and image are cleared and the message is kept as a tombstone
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the receiver's client acknowledges the message or loads the conversation
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    // Only set when the receiver shares read receipts
+    readAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 )
 
+// Paginated history: newest-first pages within a conversation (see conversation.service)
+messageSchema.index({ conversationId: 1, createdAt: -1, _id: -1 })
+
 const Message = mongoose.model('Message', messageSchema)
 
 export default Message
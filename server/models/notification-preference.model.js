@@ -0,0 +1,57 @@
+import mongoose from 'mongoose'
+import { EMAIL_DIGEST_MODES, NOTIFICATION_DEFAULTS } from '../constants/index.js'
+
+// Quiet hours are wall-clock times in the user's time zone. A window whose end is earlier than
+// its start (22:00 - 07:00) runs past midnight.
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/
+
+// One boolean per channel the event supports
+const channelsSchema = (defaults) =>
+  new mongoose.Schema(
+    Object.fromEntries(
+      Object.entries(defaults).map(([channel, enabled]) => [
+        channel,
+        { type: Boolean, default: enabled },
+      ])
+    ),
+    { _id: false }
+  )
+
+// Per-user notification settings. Users without a document get NOTIFICATION_DEFAULTS.
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    events: {
+      like: { type: channelsSchema(NOTIFICATION_DEFAULTS.like), default: () => ({}) },
+      match: { type: channelsSchema(NOTIFICATION_DEFAULTS.match), default: () => ({}) },
+      message: { type: channelsSchema(NOTIFICATION_DEFAULTS.message), default: () => ({}) },
+    },
+    emailMode: {
+      type: String,
+      enum: Object.values(EMAIL_DIGEST_MODES),
+      default: EMAIL_DIGEST_MODES.INSTANT,
+    },
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, match: TIME_OF_DAY, default: '22:00' },
+      end: { type: String, match: TIME_OF_DAY, default: '07:00' },
+      timeZone: { type: String, default: 'UTC' },
+    },
+    lastDigestSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+)
+
+notificationPreferenceSchema.index({ userId: 1 }, { unique: true })
+
+export const NotificationPreference = mongoose.model(
+  'NotificationPreference',
+  notificationPreferenceSchema
+)
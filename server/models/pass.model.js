@@ -0,0 +1,34 @@
+import mongoose from 'mongoose'
+import { PASS_CONFIG } from '../constants/index.js'
+
+// Expiry for a pass created (or renewed) now
+export const getPassExpiryDate = () =>
+  new Date(Date.now() + PASS_CONFIG.EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+
+// A left swipe. Passed users are hidden from discovery until expiresAt, then the
+// TTL index removes the record so the profile can resurface.
+const passSchema = new mongoose.Schema(
+  {
+    fromUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    toUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: getPassExpiryDate,
+    },
+  },
+  { timestamps: true }
+)
+
+passSchema.index({ fromUserId: 1, toUserId: 1 }, { unique: true })
+passSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const Pass = mongoose.model('Pass', passSchema)
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose'
+import { NOTIFICATION_DIGEST_CONFIG, NOTIFICATION_EVENTS } from '../constants/index.js'
+
+// An email notification held back for the digest job: the user chose a daily/weekly digest,
+// it arrived during their quiet hours, or it is a message (message emails are always batched).
+const pendingNotificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event: {
+      type: String,
+      enum: Object.values(NOTIFICATION_EVENTS),
+      required: true,
+    },
+    // One line of the digest, e.g. "Sam and Rex liked your profile"
+    summary: {
+      type: String,
+      required: true,
+      maxlength: 300,
+    },
+  },
+  { timestamps: true }
+)
+
+pendingNotificationSchema.index({ userId: 1, createdAt: 1 })
+pendingNotificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_DIGEST_CONFIG.PENDING_TTL_DAYS * 24 * 60 * 60 }
+)
+
+export const PendingNotification = mongoose.model('PendingNotification', pendingNotificationSchema)
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose'
+
+// A browser's Web Push subscription (PushSubscription.toJSON() from the client). The endpoint
+// is unique per browser profile, so re-subscribing after another user logs in on the same
+// browser moves it to the new user.
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    endpoint: {
+      type: String,
+      required: true,
+    },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true },
+    },
+    expirationTime: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    lastSuccessAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+)
+
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true })
+pushSubscriptionSchema.index({ userId: 1, createdAt: -1 })
+
+export const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema)
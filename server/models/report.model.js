@@ -0,0 +1,105 @@
+import mongoose from 'mongoose'
+import { REPORT_STATUS, REPORT_CONFIG } from '../constants/index.js'
+
+// Copy of a reported message taken when the report is filed, so unsending it later does not
+// remove the evidence
+const evidenceSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ['message', 'image'],
+      required: true,
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    text: {
+      type: String,
+    },
+    image: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+)
+
+// A user report in the admin moderation queue. Users are referenced by user_id (UUID) like
+// Match, so reports survive account deletion as a moderation record.
+const reportSchema = new mongoose.Schema(
+  {
+    reporterId: {
+      type: String,
+      required: true,
+    },
+    reportedUserId: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_CONFIG.REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      maxlength: REPORT_CONFIG.MAX_DETAILS_LENGTH,
+      default: '',
+    },
+    evidence: {
+      type: [evidenceSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: Object.values(REPORT_STATUS),
+      default: REPORT_STATUS.OPEN,
+    },
+    priority: {
+      type: String,
+      enum: REPORT_CONFIG.PRIORITIES,
+      default: 'normal',
+    },
+    // Admin user_id handling the report
+    assignedTo: {
+      type: String,
+      default: null,
+    },
+    triagedAt: {
+      type: Date,
+      default: null,
+    },
+    resolution: {
+      action: {
+        type: String,
+        enum: REPORT_CONFIG.ACTIONS,
+      },
+      note: {
+        type: String,
+        maxlength: REPORT_CONFIG.MAX_DETAILS_LENGTH,
+      },
+      resolvedBy: {
+        type: String,
+      },
+      resolvedAt: {
+        type: Date,
+      },
+    },
+  },
+  { timestamps: true }
+)
+
+// Admin queue: by status, oldest first (priority is ranked in report.service)
+reportSchema.index({ status: 1, createdAt: 1 })
+reportSchema.index({ reportedUserId: 1, createdAt: -1 })
+reportSchema.index({ reporterId: 1, reportedUserId: 1, status: 1 })
+
+export const Report = mongoose.model('Report', reportSchema)
@@ -13,7 +13,7 @@ const transactionSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['subscription', 'credits', 'refund'],
+      enum: ['subscription', 'credits', 'refund', 'dispute'],
       required: true,
     },
     amount: {
@@ -47,5 +47,11 @@ const transactionSchema = new mongoose.Schema(
 
 transactionSchema.index({ userId: 1, createdAt: -1 })
 transactionSchema.index({ stripePaymentId: 1 })
+// One Transaction per Stripe event, so retried and replayed webhooks cannot record it twice
+transactionSchema.index(
+  { 'metadata.stripeEventId': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.stripeEventId': { $type: 'string' } } }
+)
+transactionSchema.index({ 'metadata.closedStripeEventId': 1 }, { sparse: true })
 
 export const Transaction = mongoose.model('Transaction', transactionSchema)
@@ -1,4 +1,112 @@
 import mongoose from 'mongoose'
+import { DOG_PROFILE, DISCOVERY_FILTERS } from '../constants/index.js'
+
+// A breed guess from checkImage, e.g. { name: 'beagle', confidence: 0.92 }
+const detectedBreedSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    confidence: { type: Number, min: 0, max: 1 },
+  },
+  { _id: false }
+)
+
+// A single dog in a user's household. The first entry is the primary dog and is
+// mirrored onto the legacy dogs_name/age/image fields used across the app.
+const dogSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    age: {
+      type: Number,
+      min: 0,
+      max: 30,
+      required: false,
+    },
+    breed: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      required: false,
+    },
+    // 'detected' while the breed comes from photo analysis, 'owner' once confirmed or overridden
+    breedSource: {
+      type: String,
+      enum: ['detected', 'owner'],
+      required: false,
+    },
+    // Top breed guesses from checkImage on the latest photo upload, highest confidence first
+    detectedBreeds: {
+      type: [detectedBreedSchema],
+      default: [],
+    },
+    size: {
+      type: String,
+      enum: DOG_PROFILE.SIZES,
+      required: false,
+    },
+    temperament: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      required: false,
+    },
+    // The primary dog's description mirrors the legacy about field
+    about: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      required: false,
+    },
+    // S3 object keys, signed on read
+    photos: {
+      type: [String],
+      default: [],
+    },
+  },
+  { timestamps: true }
+)
+
+// A named set of discovery filters the user can re-apply on the Dashboard
+const filterPresetSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: DISCOVERY_FILTERS.MAX_PRESET_NAME_LENGTH,
+    },
+    filters: {
+      breed: { type: String, trim: true, maxlength: 100 },
+      size: { type: [{ type: String, enum: DOG_PROFILE.SIZES }], default: undefined },
+      minDogAge: {
+        type: Number,
+        min: DISCOVERY_FILTERS.DOG_AGE.MIN,
+        max: DISCOVERY_FILTERS.DOG_AGE.MAX,
+      },
+      maxDogAge: {
+        type: Number,
+        min: DISCOVERY_FILTERS.DOG_AGE.MIN,
+        max: DISCOVERY_FILTERS.DOG_AGE.MAX,
+      },
+      minOwnerAge: {
+        type: Number,
+        min: DISCOVERY_FILTERS.OWNER_AGE.MIN,
+        max: DISCOVERY_FILTERS.OWNER_AGE.MAX,
+      },
+      maxOwnerAge: {
+        type: Number,
+        min: DISCOVERY_FILTERS.OWNER_AGE.MIN,
+        max: DISCOVERY_FILTERS.OWNER_AGE.MAX,
+      },
+      hasPhoto: { type: Boolean },
+    },
+  },
+  { timestamps: true }
+)
 
 const userSchema = new mongoose.Schema(
   {
@@ -69,13 +177,30 @@ const userSchema = new mongoose.Schema(
       type: Number,
       required: false,
     },
+    discoveryFilterPresets: {
+      type: [filterPresetSchema],
+      default: [],
+      validate: {
+        validator: (presets) => presets.length <= DISCOVERY_FILTERS.MAX_PRESETS,
+        message: `A user can save up to ${DISCOVERY_FILTERS.MAX_PRESETS} filter presets`,
+      },
+    },
     dogs_name: {
       type: String,
       required: false,
     },
-    matches: {
-      type: Array,
-      required: false,
+    // Breed guesses for the latest main dog photo (copied onto the primary dog)
+    detectedBreeds: {
+      type: [detectedBreedSchema],
+      default: [],
+    },
+    dogs: {
+      type: [dogSchema],
+      default: [],
+      validate: {
+        validator: (dogs) => dogs.length <= DOG_PROFILE.MAX_DOGS,
+        message: `A household can have at most ${DOG_PROFILE.MAX_DOGS} dogs`,
+      },
     },
     meetup_interest: {
       type: String,
@@ -94,6 +219,11 @@ const userSchema = new mongoose.Schema(
       default: true,
       required: false,
     },
+    // When false, senders never see "read" on messages this user receives
+    sendReadReceipts: {
+      type: Boolean,
+      default: true,
+    },
     location: {
       type: Object,
       required: false,
@@ -121,6 +251,15 @@ const userSchema = new mongoose.Schema(
       type: Date,
       required: false,
     },
+    // Set when the first trial starts - an account gets one free trial
+    trialUsedAt: {
+      type: Date,
+      default: null,
+    },
+    trialEndsAt: {
+      type: Date,
+      default: null,
+    },
     // Credits system
     messageCredits: {
       type: Number,
@@ -130,6 +269,18 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // IANA time zone from the browser; daily quotas reset at midnight here
+    timeZone: {
+      type: String,
+      default: 'UTC',
+    },
+    // Daily quota counters (see DAILY_QUOTAS), reset on the first use of each local day
+    dailyUsage: {
+      date: { type: String, default: null }, // YYYY-MM-DD in timeZone
+      rightSwipes: { type: Number, default: 0 },
+      likes: { type: Number, default: 0 },
+      swipeUndos: { type: Number, default: 0 },
+    },
     // Account deletion tracking
     pendingDeletion: {
       type: Boolean,
@@ -148,6 +299,19 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Admin suspension - verifyToken and the socket handshake reject suspended accounts
+    isSuspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspendedAt: {
+      type: Date,
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      required: false,
+    },
     // Referral tracking
     referral_source: {
       type: String,
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose'
+import { WEBHOOK_EVENT_STATUS, WEBHOOK_EVENT_CONFIG } from '../constants/index.js'
+
+// Every Stripe event the webhook receives, stored before it is handled so that failed or
+// interrupted events can be retried and replayed through the same handlers
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // Stripe event id (evt_...)
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    // Signature-verified request body, exactly as Stripe sent it
+    payload: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(WEBHOOK_EVENT_STATUS),
+      default: WEBHOOK_EVENT_STATUS.RECEIVED,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+    // When Stripe created the event
+    stripeCreatedAt: {
+      type: Date,
+      required: false,
+    },
+    // user_id of the admin who last replayed the event
+    replayedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+)
+
+webhookEventSchema.index({ status: 1, lastAttemptAt: 1 })
+// Processed events expire; unprocessed ones have no processedAt date and are kept
+webhookEventSchema.index(
+  { processedAt: 1 },
+  { expireAfterSeconds: WEBHOOK_EVENT_CONFIG.PROCESSED_RETENTION_DAYS * 24 * 60 * 60 }
+)
+
+export const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema)
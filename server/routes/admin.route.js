@@ -0,0 +1,236 @@
+import express from 'express'
+import { body, param } from 'express-validator'
+import { verifyToken } from '../middleware/verifyToken.js'
+import { checkAdminRole } from '../middleware/checkAdminRole.js'
+import {
+  validateParamObjectId,
+  validateParamUserId,
+  validateQueryUserId,
+  validateNumericRangeQuery,
+  validatePaginationParams,
+  validateEnumQuery,
+  validateTextQuery,
+} from '../middleware/validateInput.js'
+import { csrfProtection } from '../middleware/csrf.js'
+import { generalLimiter } from '../middleware/rateLimiter.js'
+import {
+  REPORT_STATUS,
+  REPORT_CONFIG,
+  ADMIN_CONFIG,
+  CONTENT_FLAG_STATUS,
+  WEBHOOK_EVENT_STATUS,
+  WEBHOOK_EVENT_CONFIG,
+} from '../constants/index.js'
+import {
+  getReports,
+  triageReport,
+  resolveReport,
+  searchUsers,
+  getPendingDeletions,
+  getGrowthStats,
+  getUserAccount,
+  suspendUser,
+  unsuspendUser,
+  grantCredits,
+  revokeCredits,
+  reconcileCredits,
+  getAuditLog,
+  getContentFlags,
+  getContentFlagCounts,
+  reviewContentFlag,
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+} from '../controllers/admin.controller.js'
+
+const router = express.Router()
+
+// Why the admin did it - required for suspensions and credit changes
+const reasonValidator = (required) => {
+  let chain = body('reason')
+  if (!required) {
+    chain = chain.optional()
+  }
+  return (
+    chain
+      .isString()
+      // eslint-disable-next-line no-control-regex
+      .customSanitizer((value) => value.replace(/[\x00-\x1F\x7F]/g, '').trim())
+      .isLength({ min: required ? 1 : 0, max: ADMIN_CONFIG.MAX_REASON_LENGTH })
+      .withMessage(
+        `Reason is required and must not exceed ${ADMIN_CONFIG.MAX_REASON_LENGTH} characters`
+      )
+  )
+}
+
+// All admin routes require an authenticated admin
+router.use(verifyToken, generalLimiter, checkAdminRole)
+
+// Search users by email, userName or user_id (?q=&limit=&skip=)
+router.get(
+  '/users',
+  validatePaginationParams(100),
+  validateTextQuery('q', ADMIN_CONFIG.SEARCH_PATTERN, ADMIN_CONFIG.MAX_SEARCH_LENGTH, 'Search'),
+  searchUsers
+)
+
+// Accounts scheduled for deletion, soonest first
+router.get('/users/pending-deletion', validatePaginationParams(100), getPendingDeletions)
+
+// Full account: subscription, credits, transactions, deletion and suspension status
+router.get('/users/:userId', validateParamUserId('userId'), getUserAccount)
+
+// Suspend / unsuspend an account
+// Security: CSRF protection and ID validation
+router.post(
+  '/users/:userId/suspend',
+  csrfProtection,
+  validateParamUserId('userId'),
+  reasonValidator(true),
+  suspendUser
+)
+
+router.post(
+  '/users/:userId/unsuspend',
+  csrfProtection,
+  validateParamUserId('userId'),
+  reasonValidator(false),
+  unsuspendUser
+)
+
+// Grant or revoke message credits
+const creditAdjustmentValidators = [
+  validateParamUserId('userId'),
+  body('amount')
+    .isInt({ min: 1, max: ADMIN_CONFIG.MAX_CREDIT_ADJUSTMENT })
+    .withMessage(`Amount must be between 1 and ${ADMIN_CONFIG.MAX_CREDIT_ADJUSTMENT}`)
+    .toInt(),
+  reasonValidator(true),
+]
+
+router.post(
+  '/users/:userId/credits/grant',
+  csrfProtection,
+  creditAdjustmentValidators,
+  grantCredits
+)
+
+router.post(
+  '/users/:userId/credits/revoke',
+  csrfProtection,
+  creditAdjustmentValidators,
+  revokeCredits
+)
+
+// Compare cached credit balances with the credit ledger (one user, or every account)
+// fix=true repairs the drift and is written to the audit log
+router.post(
+  '/credits/reconcile',
+  csrfProtection,
+  body('userId').optional().isUUID().withMessage('userId must be a valid user ID'),
+  body('fix').optional().isBoolean().withMessage('fix must be a boolean').toBoolean(),
+  reasonValidator(false),
+  reconcileCredits
+)
+
+// Daily signups and subscriptions (?days=)
+router.get(
+  '/stats/growth',
+  validateNumericRangeQuery('days', 1, ADMIN_CONFIG.MAX_STATS_DAYS, 'Days'),
+  getGrowthStats
+)
+
+// Admin audit log (?adminId=&targetUserId=&limit=&skip=)
+router.get(
+  '/audit-log',
+  validatePaginationParams(100),
+  validateQueryUserId('adminId'),
+  validateQueryUserId('targetUserId'),
+  getAuditLog
+)
+
+// Moderation queue (?status=open,in_review&limit=&skip=)
+router.get(
+  '/reports',
+  validatePaginationParams(100),
+  validateEnumQuery('status', Object.values(REPORT_STATUS), 'Status'),
+  getReports
+)
+
+// Take a report into review
+// Security: CSRF protection and ID validation
+router.patch(
+  '/reports/:reportId',
+  csrfProtection,
+  validateParamObjectId('reportId'),
+  body('priority').optional().isIn(REPORT_CONFIG.PRIORITIES).withMessage('Invalid priority'),
+  triageReport
+)
+
+// Close a report
+router.post(
+  '/reports/:reportId/resolve',
+  csrfProtection,
+  validateParamObjectId('reportId'),
+  body('status')
+    .isIn([REPORT_STATUS.RESOLVED, REPORT_STATUS.DISMISSED])
+    .withMessage('Status must be resolved or dismissed'),
+  body('action').optional().isIn(REPORT_CONFIG.ACTIONS).withMessage('Invalid action'),
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: REPORT_CONFIG.MAX_DETAILS_LENGTH })
+    .withMessage(`Note must not exceed ${REPORT_CONFIG.MAX_DETAILS_LENGTH} characters`),
+  resolveReport
+)
+
+// Text moderation flags (?userId=&status=open&limit=&skip=)
+router.get(
+  '/content-flags',
+  validatePaginationParams(100),
+  validateQueryUserId('userId'),
+  validateEnumQuery('status', Object.values(CONTENT_FLAG_STATUS), 'Status'),
+  getContentFlags
+)
+
+// Users ranked by open content flags
+router.get('/content-flags/by-user', validatePaginationParams(100), getContentFlagCounts)
+
+// Close a content flag
+// Security: CSRF protection and ID validation
+router.post(
+  '/content-flags/:flagId/review',
+  csrfProtection,
+  validateParamObjectId('flagId'),
+  body('status')
+    .isIn([CONTENT_FLAG_STATUS.REVIEWED, CONTENT_FLAG_STATUS.DISMISSED])
+    .withMessage('Status must be reviewed or dismissed'),
+  reviewContentFlag
+)
+
+// Stored Stripe webhook events (?status=failed&limit=&skip=)
+router.get(
+  '/webhook-events',
+  validatePaginationParams(100),
+  validateEnumQuery('status', Object.values(WEBHOOK_EVENT_STATUS), 'Status'),
+  getWebhookEvents
+)
+
+const webhookEventIdValidator = param('eventId')
+  .matches(WEBHOOK_EVENT_CONFIG.EVENT_ID_PATTERN)
+  .withMessage('Invalid webhook event ID')
+
+router.get('/webhook-events/:eventId', webhookEventIdValidator, getWebhookEvent)
+
+// Re-run a failed event through the webhook handlers
+// Security: CSRF protection and ID validation
+router.post(
+  '/webhook-events/:eventId/replay',
+  csrfProtection,
+  webhookEventIdValidator,
+  reasonValidator(false),
+  replayWebhookEvent
+)
+
+export default router
@@ -14,6 +14,7 @@ import {
   putUser,
   updateMatches,
   removeMatch,
+  undoSwipe,
   uploadImage,
   uploadProfileImage,
   getCurrentUserProfile,
@@ -24,8 +25,23 @@ import {
   triggerScheduledDeletionJob,
   getPublicProfile,
   updateProfileVisibility,
+  updateReadReceipts,
   getReferralStats,
 } from '../controllers/auth.controller.js'
+import {
+  getDogs,
+  createDog,
+  updateDog,
+  deleteDog,
+  uploadDogPhoto,
+  deleteDogPhoto,
+} from '../controllers/dog.controller.js'
+import {
+  getFilterPresets,
+  saveFilterPreset,
+  deleteFilterPreset,
+} from '../controllers/filterPreset.controller.js'
+import { DOG_PROFILE, DISCOVERY_FILTERS } from '../constants/index.js'
 import { verifyToken } from '../middleware/verifyToken.js'
 import { checkAdminRole } from '../middleware/checkAdminRole.js'
 import { sendValidationError } from '../utils/ApiResponse.js'
@@ -40,6 +56,7 @@ import {
   checkAuthLimiter,
   userEnumerationLimiter,
   addCoordinatesLimiter,
+  undoSwipeLimiter,
 } from '../middleware/rateLimiter.js'
 import {
   validateBodyUserIds,
@@ -47,8 +64,13 @@ import {
   validateResetTokenParam,
   validatePaginationParams,
   validateNumericRangeQuery,
+  validateParamObjectId,
+  validateEnumQuery,
+  validateTextQuery,
+  validateBooleanQuery,
+  validateQueryRangeOrder,
 } from '../middleware/validateInput.js'
-import { body } from 'express-validator'
+import { body, param } from 'express-validator'
 import multer, { memoryStorage } from 'multer'
 // Security: CSRF protection for all state-changing operations
 import { csrfProtection } from '../middleware/csrf.js'
@@ -102,6 +124,68 @@ const upload = multer({
 
 const router = express.Router()
 
+// Breed names from client/src/data/dogBreeds.json include accents, '.', '&' and parentheses
+const BREED_PATTERN = /^[\p{L}\s\-'().&]*$/u
+
+// Optional discovery filters for /meetup-type-users (see services/discovery.service.js)
+const { DOG_AGE, OWNER_AGE } = DISCOVERY_FILTERS
+const discoveryFilterQueryValidators = [
+  validateTextQuery('breed', BREED_PATTERN, 100, 'Breed'),
+  validateEnumQuery('size', DOG_PROFILE.SIZES, 'Size'),
+  validateNumericRangeQuery('minDogAge', DOG_AGE.MIN, DOG_AGE.MAX, 'Minimum dog age'),
+  validateNumericRangeQuery('maxDogAge', DOG_AGE.MIN, DOG_AGE.MAX, 'Maximum dog age'),
+  validateQueryRangeOrder('minDogAge', 'maxDogAge', 'dog age'),
+  validateNumericRangeQuery('minOwnerAge', OWNER_AGE.MIN, OWNER_AGE.MAX, 'Minimum owner age'),
+  validateNumericRangeQuery('maxOwnerAge', OWNER_AGE.MIN, OWNER_AGE.MAX, 'Maximum owner age'),
+  validateQueryRangeOrder('minOwnerAge', 'maxOwnerAge', 'owner age'),
+  validateBooleanQuery('hasPhoto', 'Has photo'),
+]
+
+// Same filters in a saved preset body
+const filterPresetValidators = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Preset name is required')
+    .isLength({ max: DISCOVERY_FILTERS.MAX_PRESET_NAME_LENGTH })
+    .withMessage(
+      `Preset name must not exceed ${DISCOVERY_FILTERS.MAX_PRESET_NAME_LENGTH} characters`
+    )
+    .matches(/^[a-zA-Z0-9\s\-']*$/)
+    .withMessage('Preset name contains invalid characters'),
+  body('filters').isObject().withMessage('Filters must be an object'),
+  body('filters.breed')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Breed must not exceed 100 characters')
+    .matches(BREED_PATTERN)
+    .withMessage('Breed contains invalid characters'),
+  body('filters.size').optional().isArray({ max: DOG_PROFILE.SIZES.length }),
+  body('filters.size.*').isIn(DOG_PROFILE.SIZES).withMessage('Invalid dog size'),
+  body(['filters.minDogAge', 'filters.maxDogAge'])
+    .optional({ nullable: true })
+    .isInt({ min: DOG_AGE.MIN, max: DOG_AGE.MAX })
+    .withMessage(`Dog age must be between ${DOG_AGE.MIN} and ${DOG_AGE.MAX}`)
+    .toInt(),
+  body(['filters.minOwnerAge', 'filters.maxOwnerAge'])
+    .optional({ nullable: true })
+    .isInt({ min: OWNER_AGE.MIN, max: OWNER_AGE.MAX })
+    .withMessage(`Owner age must be between ${OWNER_AGE.MIN} and ${OWNER_AGE.MAX}`)
+    .toInt(),
+  body('filters.hasPhoto').optional({ nullable: true }).isBoolean().toBoolean(),
+  body('filters').custom((filters) => {
+    const outOfOrder = (min, max) => Number.isInteger(min) && Number.isInteger(max) && min > max
+    if (outOfOrder(filters.minDogAge, filters.maxDogAge)) {
+      throw new Error('Minimum dog age cannot exceed maximum dog age')
+    }
+    if (outOfOrder(filters.minOwnerAge, filters.maxOwnerAge)) {
+      throw new Error('Minimum owner age cannot exceed maximum owner age')
+    }
+    return true
+  }),
+]
+
 // SECURITY: Wrapper to handle multer errors
 const multerErrorHandler = (middleware) => {
   return (req, res, next) => {
@@ -153,6 +237,10 @@ router.patch(
   updateProfileVisibility
 )
 
+// Turn read receipts on/off for the current user (AccountSettings)
+// Requires authentication and CSRF protection
+router.patch('/read-receipts', csrfProtection, verifyToken, generalLimiter, updateReadReceipts)
+
 // Public endpoint to fetch a user's public profile for SEO and sharing
 // No authentication required - this is intentional for public profile pages
 router.get('/public-profile/:userId', generalLimiter, getPublicProfile)
@@ -170,6 +258,7 @@ router.get(
   validatePaginationParams(100),
   validateQueryUserId('userId'),
   validateNumericRangeQuery('selectDistance', 1, 500, 'Distance'),
+  ...discoveryFilterQueryValidators,
   getMeetupTypeUsers
 )
 // Security: Apply rate limiting and validate query parameters to prevent DoS and NoSQL injection attacks
@@ -320,6 +409,13 @@ router.put(
     .withMessage('Dog age is required')
     .isInt({ min: 1, max: 30 })
     .withMessage('Dog age must be between 1 and 30'),
+  body('formData.breed')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Breed must not exceed 100 characters')
+    .matches(BREED_PATTERN)
+    .withMessage('Breed contains invalid characters'),
   body('formData.userAge')
     .optional({ checkFalsy: true })
     .trim()
@@ -373,6 +469,17 @@ router.put(
   validateBodyUserIds(['userId', 'matchedUserId']),
   removeMatch
 )
+// Security: Premium/VIP only with a daily quota (checked in the controller) plus burst limiting
+router.post(
+  '/undo-swipe',
+  csrfProtection,
+  verifyToken,
+  undoSwipeLimiter,
+  validateBodyUserIds(['matchedUserId']),
+  body('matchedUserId').notEmpty().withMessage('matchedUserId is required'),
+  body('direction').isIn(['left', 'right']).withMessage('Direction must be left or right'),
+  undoSwipe
+)
 
 router.put(
   '/image',
@@ -411,6 +518,13 @@ router.patch(
     .optional({ checkFalsy: true })
     .isInt({ min: 1, max: 30 })
     .withMessage('Dog age must be between 1 and 30'),
+  body('formData.breed')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Breed must not exceed 100 characters')
+    .matches(BREED_PATTERN)
+    .withMessage('Breed contains invalid characters'),
   body('formData.userAge')
     .optional({ checkFalsy: true })
     .isInt({ min: 13, max: 120 })
@@ -450,6 +564,105 @@ router.patch(
   patchCurrentUserProfile
 )
 
+// Dog fields shared by create and update; name is only required on create
+const dogValidators = (isCreate) => [
+  isCreate
+    ? body('name').trim().notEmpty().withMessage('Dog name is required')
+    : body('name').optional().trim().notEmpty().withMessage('Dog name cannot be empty'),
+  body('name')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Dog name must not exceed 50 characters')
+    .matches(/^[a-zA-Z0-9\s\-']*$/)
+    .withMessage('Dog name contains invalid characters'),
+  body('age')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Dog age must be between 0 and 30')
+    .toInt(),
+  body('breed')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Breed must not exceed 100 characters')
+    .matches(BREED_PATTERN)
+    .withMessage('Breed contains invalid characters'),
+  body('size').optional().isIn(DOG_PROFILE.SIZES).withMessage('Invalid dog size'),
+  body('temperament')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Temperament must not exceed 100 characters')
+    .matches(/^[a-zA-Z0-9\s.,\-'!]*$/)
+    .withMessage('Temperament contains invalid characters'),
+  body('about')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Dog description must not exceed 500 characters')
+    .matches(/^[a-zA-Z0-9\s.,\-'"!?]*$/)
+    .withMessage('Dog description contains invalid characters'),
+]
+
+// Multi-dog households: dogs always belong to the authenticated user (req.userId)
+router.get('/dogs', verifyToken, generalLimiter, getDogs)
+// Security: CSRF protection and field validation for dog create/update
+router.post('/dogs', csrfProtection, verifyToken, generalLimiter, dogValidators(true), createDog)
+router.patch(
+  '/dogs/:dogId',
+  csrfProtection,
+  verifyToken,
+  generalLimiter,
+  validateParamObjectId('dogId'),
+  dogValidators(false),
+  updateDog
+)
+router.delete(
+  '/dogs/:dogId',
+  csrfProtection,
+  verifyToken,
+  generalLimiter,
+  validateParamObjectId('dogId'),
+  deleteDog
+)
+router.put(
+  '/dogs/:dogId/photos',
+  csrfProtection,
+  verifyToken,
+  validateParamObjectId('dogId'),
+  multerErrorHandler(upload.single('image')),
+  validateMagicBytesMiddleware,
+  uploadDogPhoto
+)
+// Security: Photo keys are random 64-char hex names generated on upload
+router.delete(
+  '/dogs/:dogId/photos/:photo',
+  csrfProtection,
+  verifyToken,
+  validateParamObjectId('dogId'),
+  param('photo').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid photo'),
+  deleteDogPhoto
+)
+
+// Saved discovery filter presets always belong to the authenticated user (req.userId)
+router.get('/filter-presets', verifyToken, generalLimiter, getFilterPresets)
+router.post(
+  '/filter-presets',
+  csrfProtection,
+  verifyToken,
+  generalLimiter,
+  filterPresetValidators,
+  saveFilterPreset
+)
+router.delete(
+  '/filter-presets/:presetId',
+  csrfProtection,
+  verifyToken,
+  generalLimiter,
+  validateParamObjectId('presetId'),
+  deleteFilterPreset
+)
+
 // Security: Apply CSRF protection, validate query parameters to prevent NoSQL injection and unauthorized image deletion
 router.delete('/image', csrfProtection, verifyToken, validateQueryUserId('userId'), deleteImage)
 // Security: Apply CSRF protection, validate query parameters to prevent NoSQL injection and unauthorized account deletion
@@ -0,0 +1,127 @@
+import express from 'express'
+import { body } from 'express-validator'
+import { verifyToken } from '../middleware/verifyToken.js'
+import { validateParamObjectId } from '../middleware/validateInput.js'
+import { csrfProtection } from '../middleware/csrf.js'
+import { meetupLimiter, messageRetrievalLimiter } from '../middleware/rateLimiter.js'
+import { MEETUP_CONFIG } from '../constants/index.js'
+import {
+  getMeetups,
+  proposeMeetup,
+  acceptMeetup,
+  declineMeetup,
+  counterMeetup,
+  getMeetupCalendar,
+} from '../controllers/meetup.controller.js'
+
+const router = express.Router()
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// When, where and what - shared by proposals and counter-proposals
+const meetupDetailValidators = [
+  body('startsAt')
+    .isISO8601()
+    .withMessage('Meetup time must be a valid date')
+    .toDate()
+    .custom((startsAt) => {
+      if (startsAt.getTime() <= Date.now()) {
+        throw new Error('Meetup time must be in the future')
+      }
+      if (startsAt.getTime() > Date.now() + MEETUP_CONFIG.MAX_DAYS_AHEAD * DAY_MS) {
+        throw new Error(
+          `Meetups can be scheduled at most ${MEETUP_CONFIG.MAX_DAYS_AHEAD} days ahead`
+        )
+      }
+      return true
+    }),
+  body('timeZone')
+    .optional()
+    .isString()
+    .isLength({ max: 64 })
+    .custom((timeZone) => {
+      // Throws RangeError for anything that is not an IANA time zone
+      new Intl.DateTimeFormat('en-US', { timeZone })
+      return true
+    })
+    .withMessage('Invalid time zone'),
+  body('placeName')
+    .isString()
+    // eslint-disable-next-line no-control-regex
+    .customSanitizer((value) => value.replace(/[\x00-\x1F\x7F]/g, '').trim())
+    .notEmpty()
+    .withMessage('Place name is required')
+    .isLength({ max: MEETUP_CONFIG.MAX_PLACE_NAME_LENGTH })
+    .withMessage(`Place name must not exceed ${MEETUP_CONFIG.MAX_PLACE_NAME_LENGTH} characters`),
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('meetupType').isIn(MEETUP_CONFIG.TYPES).withMessage('Invalid meetup type'),
+]
+
+// Upcoming meetups with a matched user
+// Security: Validate the user's _id from the URL parameter to prevent NoSQL injection
+router.get(
+  '/with/:id',
+  verifyToken,
+  messageRetrievalLimiter,
+  validateParamObjectId('id'),
+  getMeetups
+)
+
+// Propose a meetup to a mutual match
+// Security: CSRF protection, rate limiting and strict body validation
+router.post(
+  '/',
+  csrfProtection,
+  verifyToken,
+  meetupLimiter,
+  body('receiverId').isMongoId().withMessage('receiverId must be a valid ID'),
+  meetupDetailValidators,
+  proposeMeetup
+)
+
+// Answer a proposal made to me
+router.post(
+  '/:meetupId/accept',
+  csrfProtection,
+  verifyToken,
+  meetupLimiter,
+  validateParamObjectId('meetupId'),
+  acceptMeetup
+)
+
+router.post(
+  '/:meetupId/decline',
+  csrfProtection,
+  verifyToken,
+  meetupLimiter,
+  validateParamObjectId('meetupId'),
+  declineMeetup
+)
+
+router.post(
+  '/:meetupId/counter',
+  csrfProtection,
+  verifyToken,
+  meetupLimiter,
+  validateParamObjectId('meetupId'),
+  meetupDetailValidators,
+  counterMeetup
+)
+
+// Accepted meetup as an .ics calendar download
+router.get(
+  '/:meetupId/ics',
+  verifyToken,
+  messageRetrievalLimiter,
+  validateParamObjectId('meetupId'),
+  getMeetupCalendar
+)
+
+export default router
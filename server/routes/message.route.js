@@ -3,19 +3,48 @@ import { body } from 'express-validator'
 import multer from 'multer'
 import { verifyToken } from '../middleware/verifyToken.js'
 import { checkMessageLimit } from '../middleware/checkMessageLimit.js'
-import { validateParamUserId, validatePaginationParams } from '../middleware/validateInput.js'
+import {
+  validateParamUserId,
+  validatePaginationParams,
+  validateCursorParams,
+  validateParamObjectId,
+} from '../middleware/validateInput.js'
 import { csrfProtection } from '../middleware/csrf.js'
 import {
   messageRetrievalLimiter,
   messageSendingLimiter,
   messageDeletionLimiter,
+  messageReadLimiter,
 } from '../middleware/rateLimiter.js'
 import AppError from '../utilities/AppError.js'
 import { ErrorCodes } from '../constants/errorCodes.js'
-import { getMessages, sendMessage, deleteMessages } from '../controllers/message.controller.js'
+import {
+  getMessages,
+  sendMessage,
+  markMessagesRead,
+  editMessage,
+  unsendMessage,
+  deleteMessages,
+} from '../controllers/message.controller.js'
 
 const router = express.Router()
 
+// Shared by send and edit: remove null bytes and other control characters, collapse whitespace
+const sanitizeMessageText = () =>
+  body('text').customSanitizer((value) => {
+    if (!value) {
+      return ''
+    }
+    return String(value)
+      .trim()
+      // eslint-disable-next-line no-control-regex
+      .replace(/\x00/g, '')
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\x01-\x08\x0B-\x0C\x0E-\x1F\x7F]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+  })
+
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 },
@@ -32,12 +61,14 @@ const upload = multer({
 // Security: Validate user ID from URL parameter to prevent NoSQL injection
 // Security: Validate pagination parameters to prevent DoS and injection attacks
 // Security: Rate limit message retrieval to prevent enumeration and DoS attacks
+// Cursor pagination: ?before=<messageId> for older messages, ?after=<messageId> for newer
 router.get(
   '/:id',
   verifyToken,
   messageRetrievalLimiter,
   validateParamUserId('id'),
   validatePaginationParams(),
+  validateCursorParams(),
   getMessages
 )
 
@@ -51,21 +82,7 @@ router.post(
   messageSendingLimiter,
   validateParamUserId('id'),
   upload.single('image'),
-  body('text')
-    .customSanitizer((value) => {
-      if (!value) {
-        return ''
-      }
-      // Remove null bytes and other control characters
-      return String(value)
-        .trim()
-        // eslint-disable-next-line no-control-regex
-        .replace(/\x00/g, '')
-        // eslint-disable-next-line no-control-regex
-        .replace(/[\x01-\x08\x0B-\x0C\x0E-\x1F\x7F]/g, '')
-        .replace(/\s+/g, ' ')
-        .trim()
-    })
+  sanitizeMessageText()
     .optional({ checkFalsy: true })
     .isLength({ min: 1, max: 2000 })
     .withMessage('Message text must be between 1 and 2000 characters')
@@ -103,6 +120,43 @@ router.post(
   sendMessage
 )
 
+// Mark the conversation with a user as read - REST fallback when the socket is unavailable
+// Security: Apply CSRF protection and rate limiting to prevent message update abuse
+router.post(
+  '/read/:id',
+  csrfProtection,
+  verifyToken,
+  messageReadLimiter,
+  validateParamUserId('id'),
+  markMessagesRead
+)
+
+// Edit the text of one of my messages (within MESSAGE_CONFIG.EDIT_WINDOW_MS)
+// Security: Validate message ID and re-sanitize text exactly like sending
+router.patch(
+  '/message/:messageId',
+  csrfProtection,
+  verifyToken,
+  messageSendingLimiter,
+  validateParamObjectId('messageId'),
+  sanitizeMessageText()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message text must be between 1 and 2000 characters')
+    .escape(),
+  editMessage
+)
+
+// Unsend one of my messages (leaves a tombstone, removes the image from Cloudinary)
+// Security: Apply CSRF protection and the message deletion rate limit
+router.delete(
+  '/message/:messageId',
+  csrfProtection,
+  verifyToken,
+  messageDeletionLimiter,
+  validateParamObjectId('messageId'),
+  unsendMessage
+)
+
 // Security: Apply CSRF protection to message deletion
 // Security: Apply rate limiting to prevent message scrubbing attacks
 router.delete(
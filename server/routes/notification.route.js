@@ -0,0 +1,123 @@
+import express from 'express'
+import { body, param } from 'express-validator'
+import { verifyToken } from '../middleware/verifyToken.js'
+import { csrfProtection } from '../middleware/csrf.js'
+import { notificationLimiter, unsubscribeLimiter } from '../middleware/rateLimiter.js'
+import {
+  getVapidPublicKey,
+  subscribe,
+  unsubscribe,
+  getPreferences,
+  updatePreferences,
+  getUnsubscribe,
+  unsubscribeEmail,
+} from '../controllers/notification.controller.js'
+import { isValidTimeZone } from '../utilities/timeZone.js'
+import {
+  EMAIL_DIGEST_MODES,
+  NOTIFICATION_DEFAULTS,
+  NOTIFICATION_EVENTS,
+} from '../constants/index.js'
+
+const router = express.Router()
+
+// Push service URL from PushSubscription.toJSON()
+const endpointValidator = body('endpoint')
+  .isString()
+  .isLength({ max: 2048 })
+  .isURL({ protocols: ['https'], require_protocol: true })
+  .withMessage('endpoint must be an https URL')
+
+// Base64url-encoded subscription keys
+const keyValidator = (field, maxLength) =>
+  body(field)
+    .isString()
+    .isLength({ min: 1, max: maxLength })
+    .matches(/^[A-Za-z0-9_-]+={0,2}$/)
+    .withMessage(`${field} must be a base64url string`)
+
+// Only known events and the channels each one supports may be set, each to a boolean
+const eventsValidator = body('events')
+  .optional()
+  .isObject()
+  .custom((events) =>
+    Object.entries(events).every(
+      ([event, channels]) =>
+        Object.values(NOTIFICATION_EVENTS).includes(event) &&
+        channels !== null &&
+        typeof channels === 'object' &&
+        Object.entries(channels).every(
+          ([channel, enabled]) =>
+            channel in NOTIFICATION_DEFAULTS[event] && typeof enabled === 'boolean'
+        )
+    )
+  )
+  .withMessage('events must map notification events to channel booleans')
+
+const timeOfDayValidator = (field) =>
+  body(field)
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage(`${field} must be a time in HH:mm format`)
+
+router.get('/vapid-public-key', verifyToken, getVapidPublicKey)
+
+// Security: CSRF protection, rate limiting and strict subscription validation
+router.post(
+  '/subscriptions',
+  csrfProtection,
+  verifyToken,
+  notificationLimiter,
+  endpointValidator,
+  keyValidator('keys.p256dh', 256),
+  keyValidator('keys.auth', 64),
+  body('expirationTime')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('expirationTime must be a timestamp'),
+  subscribe
+)
+
+router.delete(
+  '/subscriptions',
+  csrfProtection,
+  verifyToken,
+  notificationLimiter,
+  endpointValidator,
+  unsubscribe
+)
+
+router.get('/preferences', verifyToken, getPreferences)
+
+// Security: CSRF protection, rate limiting and whitelisted preference fields
+router.put(
+  '/preferences',
+  csrfProtection,
+  verifyToken,
+  notificationLimiter,
+  eventsValidator,
+  body('emailMode')
+    .optional()
+    .isIn(Object.values(EMAIL_DIGEST_MODES))
+    .withMessage(`emailMode must be one of: ${Object.values(EMAIL_DIGEST_MODES).join(', ')}`),
+  body('quietHours').optional().isObject().withMessage('quietHours must be an object'),
+  body('quietHours.enabled').optional().isBoolean({ strict: true }),
+  timeOfDayValidator('quietHours.start'),
+  timeOfDayValidator('quietHours.end'),
+  body('quietHours.timeZone')
+    .optional()
+    .isString()
+    .isLength({ max: 64 })
+    .custom(isValidTimeZone)
+    .withMessage('quietHours.timeZone must be an IANA time zone'),
+  updatePreferences
+)
+
+// Public: the signed token is the credential. No CSRF token because mail clients POST here
+// directly (RFC 8058 one-click unsubscribe).
+const unsubscribeTokenValidator = param('token').isJWT().withMessage('Invalid unsubscribe link')
+
+router.get('/unsubscribe/:token', unsubscribeLimiter, unsubscribeTokenValidator, getUnsubscribe)
+router.post('/unsubscribe/:token', unsubscribeLimiter, unsubscribeTokenValidator, unsubscribeEmail)
+
+export default router
@@ -0,0 +1,20 @@
+import express from 'express'
+import { verifyToken } from '../middleware/verifyToken.js'
+import { validateParamObjectId } from '../middleware/validateInput.js'
+import { csrfProtection } from '../middleware/csrf.js'
+import { likeActionLimiter } from '../middleware/rateLimiter.js'
+import { createPass } from '../controllers/pass.controller.js'
+
+const router = express.Router()
+
+// Left swipes share the like limiter - both are one request per swiped card
+router.post(
+  '/:id',
+  csrfProtection,
+  verifyToken,
+  likeActionLimiter,
+  validateParamObjectId('id'),
+  createPass
+)
+
+export default router
@@ -8,12 +8,15 @@ import {
   cancelSubscription,
   reactivateSubscription,
   getSubscriptionStatus,
+  getSubscriptionOffer,
+  getEntitlements,
   getPaymentHistory,
   createPortalSession,
   getCreditPackages,
 } from '../controllers/payment.controller.js'
 import { handleStripeWebhook } from '../controllers/webhook.controller.js'
 import { stripeLimiter } from '../middleware/rateLimiter.js'
+import { PROMO_CODE_CONFIG } from '../constants/index.js'
 
 const router = express.Router()
 
@@ -28,6 +31,13 @@ router.post(
     .withMessage('planType is required')
     .isIn(['premium', 'vip'])
     .withMessage('planType must be one of: premium, vip'),
+  body('promoCode')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: PROMO_CODE_CONFIG.MAX_LENGTH })
+    .withMessage(`promoCode must be at most ${PROMO_CODE_CONFIG.MAX_LENGTH} characters`)
+    .matches(PROMO_CODE_CONFIG.PATTERN)
+    .withMessage('promoCode may only contain letters, numbers, dashes and underscores'),
   createSubscriptionCheckout
 )
 router.post(
@@ -44,6 +54,8 @@ router.post(
 router.post('/cancel-subscription', csrfProtection, verifyToken, cancelSubscription)
 router.post('/reactivate-subscription', csrfProtection, verifyToken, reactivateSubscription)
 router.get('/subscription-status', verifyToken, getSubscriptionStatus)
+router.get('/subscription-offer', verifyToken, getSubscriptionOffer)
+router.get('/entitlements', verifyToken, getEntitlements)
 router.get('/payment-history', verifyToken, getPaymentHistory)
 router.post('/create-portal-session', csrfProtection, verifyToken, createPortalSession)
 router.get('/credit-packages', getCreditPackages)
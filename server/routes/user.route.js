@@ -0,0 +1,53 @@
+import express from 'express'
+import { body } from 'express-validator'
+import { verifyToken } from '../middleware/verifyToken.js'
+import { validateParamUserId } from '../middleware/validateInput.js'
+import { csrfProtection } from '../middleware/csrf.js'
+import { reportLimiter } from '../middleware/rateLimiter.js'
+import { REPORT_CONFIG } from '../constants/index.js'
+import { blockUser, reportUser } from '../controllers/moderation.controller.js'
+
+const router = express.Router()
+
+// Optional list of message ids offered as evidence
+const evidenceIdsValidator = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: REPORT_CONFIG.MAX_EVIDENCE_IDS })
+    .withMessage(`${field} must be an array of at most ${REPORT_CONFIG.MAX_EVIDENCE_IDS} ids`),
+  body(`${field}.*`).isMongoId().withMessage(`${field} must contain valid message ids`),
+]
+
+// Block a user (by _id or user_id)
+// Security: CSRF protection, rate limiting and ID validation
+router.post(
+  '/:id/block',
+  csrfProtection,
+  verifyToken,
+  reportLimiter,
+  validateParamUserId('id'),
+  blockUser
+)
+
+// Report a user to the moderation queue
+// Security: CSRF protection, rate limiting and strict body validation
+router.post(
+  '/:id/report',
+  csrfProtection,
+  verifyToken,
+  reportLimiter,
+  validateParamUserId('id'),
+  body('reason').isIn(REPORT_CONFIG.REASONS).withMessage('Invalid report reason'),
+  body('details')
+    .optional()
+    .isString()
+    // eslint-disable-next-line no-control-regex
+    .customSanitizer((value) => value.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '').trim())
+    .isLength({ max: REPORT_CONFIG.MAX_DETAILS_LENGTH })
+    .withMessage(`Details must not exceed ${REPORT_CONFIG.MAX_DETAILS_LENGTH} characters`),
+  evidenceIdsValidator('messageIds'),
+  evidenceIdsValidator('imageIds'),
+  reportUser
+)
+
+export default router
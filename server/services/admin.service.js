@@ -0,0 +1,289 @@
+/**
+ * Admin Service
+ * Account lookups, suspensions and credit adjustments for the admin console, plus the
+ * append-only admin audit log every admin action is written to
+ */
+
+import { User } from '../models/user.model.js'
+import { Transaction } from '../models/transaction.model.js'
+import { DeletionLog } from '../models/deletion-log.model.js'
+import { Report } from '../models/report.model.js'
+import { AdminAuditLog } from '../models/admin-audit-log.model.js'
+import { ContentFlag } from '../models/content-flag.model.js'
+import { creditLedgerService } from './credit-ledger.service.js'
+import { createWithSession } from '../utilities/transaction.js'
+import { ADMIN_CONFIG, CONTENT_FLAG_STATUS } from '../constants/index.js'
+
+// Search terms are matched literally, never as a user-supplied pattern
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Fields shown in search results
+const SEARCH_PROJECTION = {
+  _id: 1,
+  user_id: 1,
+  email: 1,
+  userName: 1,
+  dogs_name: 1,
+  subscription: 1,
+  messageCredits: 1,
+  isSuspended: 1,
+  pendingDeletion: 1,
+  isAdmin: 1,
+  createdAt: 1,
+  lastLogin: 1,
+}
+
+// Never sent to the admin console
+const SENSITIVE_FIELDS =
+  '-password -resetPasswordToken -resetPasswordExpiresAt -verificationToken -verificationTokenExpiresAt'
+
+// user_id -> { suspended, expiresAt }
+const suspensionCache = new Map()
+
+export const adminService = {
+  /**
+   * Append an entry to the admin audit log
+   * @param {Object} entry - { adminId, action, targetUserId, targetId, reason, details, ip }
+   * @param {Object} [session] - Session from withTransaction, shared with the audited action
+   */
+  async recordAction(entry, session = null) {
+    return createWithSession(AdminAuditLog, entry, session)
+  },
+
+  /**
+   * Audit log, newest first
+   */
+  async listAuditLog({ adminId, targetUserId, limit = 20, skip = 0 } = {}) {
+    const filter = {}
+    if (adminId) {
+      filter.adminId = adminId
+    }
+    if (targetUserId) {
+      filter.targetUserId = targetUserId
+    }
+    const [entries, total] = await Promise.all([
+      AdminAuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      AdminAuditLog.countDocuments(filter),
+    ])
+    return { entries, total }
+  },
+
+  /**
+   * Summary of one account (the search result fields)
+   */
+  async findUser(userId) {
+    return User.findOne({ user_id: userId }, SEARCH_PROJECTION).lean()
+  },
+
+  /**
+   * Find users by exact user_id, or by email / userName containing the term
+   * @returns {Promise<{users: Array, total: number}>}
+   */
+  async searchUsers(term, { limit = 20, skip = 0 } = {}) {
+    const pattern = { $regex: escapeRegex(term), $options: 'i' }
+    const filter = { $or: [{ user_id: term }, { email: pattern }, { userName: pattern }] }
+    const [users, total] = await Promise.all([
+      User.find(filter, SEARCH_PROJECTION).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      User.countDocuments(filter),
+    ])
+    return { users, total }
+  },
+
+  /**
+   * Full account view: profile, subscription, credits, recent transactions, deletion status,
+   * reports filed against the user and their open content flags
+   * @returns {Promise<Object|null>} null if no user has this user_id
+   */
+  async getAccount(userId) {
+    const user = await User.findOne({ user_id: userId }).select(SENSITIVE_FIELDS).lean()
+    if (!user) {
+      return null
+    }
+
+    const [transactions, creditLedger, deletionLog, reportsAgainst, openContentFlags] =
+      await Promise.all([
+        Transaction.find({ userId: user._id })
+          .sort({ createdAt: -1 })
+          .limit(ADMIN_CONFIG.ACCOUNT_TRANSACTIONS_LIMIT)
+          .lean(),
+        creditLedgerService.getEntries(user._id),
+        DeletionLog.findOne({ userId: user.user_id }).sort({ createdAt: -1 }).lean(),
+        Report.countDocuments({ reportedUserId: user.user_id }),
+        ContentFlag.countDocuments({ userId: user.user_id, status: CONTENT_FLAG_STATUS.OPEN }),
+      ])
+
+    return {
+      user,
+      subscription: {
+        plan: user.subscription,
+        status: user.subscriptionStatus,
+        endDate: user.subscriptionEndDate,
+        stripeCustomerId: user.stripeCustomerId,
+        stripeSubscriptionId: user.stripeSubscriptionId,
+      },
+      credits: {
+        messageCredits: user.messageCredits,
+        totalMessagesSent: user.totalMessagesSent,
+        ledger: creditLedger,
+      },
+      transactions,
+      deletion: {
+        pendingDeletion: user.pendingDeletion,
+        scheduledDeletionDate: user.scheduledDeletionDate,
+        deletionReason: user.deletionReason,
+        log: deletionLog,
+      },
+      suspension: {
+        isSuspended: user.isSuspended,
+        suspendedAt: user.suspendedAt,
+        reason: user.suspensionReason,
+      },
+      reportsAgainst,
+      openContentFlags,
+    }
+  },
+
+  /**
+   * Accounts scheduled for deletion, soonest first
+   */
+  async listPendingDeletion({ limit = 20, skip = 0 } = {}) {
+    const filter = { pendingDeletion: true }
+    const [users, total] = await Promise.all([
+      User.find(filter, { ...SEARCH_PROJECTION, scheduledDeletionDate: 1, deletionReason: 1 })
+        .sort({ scheduledDeletionDate: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ])
+    return { users, total }
+  },
+
+  /**
+   * Daily signups and completed subscription payments over the last `days` days (UTC), plus
+   * how many accounts are on each plan right now
+   * @returns {Promise<{since: Date, signups: Array, subscriptions: Array, plans: Array}>} Daily series are
+   *   [{ date: 'YYYY-MM-DD', count }] with days that had no activity omitted
+   */
+  async getGrowthStats({ days = ADMIN_CONFIG.DEFAULT_STATS_DAYS } = {}) {
+    const since = new Date()
+    since.setUTCHours(0, 0, 0, 0)
+    since.setUTCDate(since.getUTCDate() - (days - 1))
+
+    const perDay = [
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, date: '$_id', count: 1 } },
+    ]
+
+    const [signups, subscriptions, plans] = await Promise.all([
+      User.aggregate([{ $match: { createdAt: { $gte: since } } }, ...perDay]),
+      Transaction.aggregate([
+        { $match: { type: 'subscription', status: 'completed', createdAt: { $gte: since } } },
+        ...perDay,
+      ]),
+      User.aggregate([
+        { $group: { _id: '$subscription', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $project: { _id: 0, plan: '$_id', count: 1 } },
+      ]),
+    ])
+    return { since, signups, subscriptions, plans }
+  },
+
+  /**
+   * Suspend or unsuspend an account
+   * @returns {Promise<Object|null>} Updated user, or null if it was already in that state
+   */
+  async setSuspended(userId, suspended, reason = '', session = null) {
+    // Accounts created before suspensions existed have no isSuspended field
+    let filter = { user_id: userId, isSuspended: true }
+    let update = {
+      $set: { isSuspended: false, suspendedAt: null },
+      $unset: { suspensionReason: 1 },
+    }
+    if (suspended) {
+      filter = { user_id: userId, isSuspended: { $ne: true } }
+      update = { $set: { isSuspended: true, suspendedAt: new Date(), suspensionReason: reason } }
+    }
+    return User.findOneAndUpdate(filter, update, {
+      new: true,
+      projection: SEARCH_PROJECTION,
+      session,
+    }).lean()
+  },
+
+  /**
+   * Whether an account is suspended, cached for SUSPENSION_CACHE_TTL_MS so verifyToken does
+   * not query on every request
+   */
+  async isSuspended(userId) {
+    const cached = suspensionCache.get(userId)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.suspended
+    }
+
+    const suspended = Boolean(await User.exists({ user_id: userId, isSuspended: true }))
+    if (suspensionCache.size >= ADMIN_CONFIG.SUSPENSION_CACHE_MAX_ENTRIES) {
+      suspensionCache.clear()
+    }
+    suspensionCache.set(userId, {
+      suspended,
+      expiresAt: Date.now() + ADMIN_CONFIG.SUSPENSION_CACHE_TTL_MS,
+    })
+    return suspended
+  },
+
+  /**
+   * Drop a cached suspension state; call once a suspend or unsuspend has committed
+   */
+  forgetSuspension(userId) {
+    suspensionCache.delete(userId)
+  },
+
+  /**
+   * Add (positive delta) or remove (negative delta) message credits through the credit ledger.
+   * A revoke never takes the balance below zero.
+   * @param {Object} [options] - { reason, adminId } recorded on the ledger entry
+   * @param {Object} [session] - Session from withTransaction
+   * @returns {Promise<{balanceBefore: number, balanceAfter: number}|null>} null if the user
+   *   does not exist or has fewer credits than the revoke
+   */
+  async adjustCredits(userId, delta, { reason = '', adminId = null } = {}, session) {
+    const user = await User.findOne({ user_id: userId }, { _id: 1 }).session(session).lean()
+    if (!user) {
+      return null
+    }
+    const entry = await creditLedgerService.adjust(
+      user._id,
+      delta,
+      { description: reason, createdBy: adminId },
+      session
+    )
+    if (!entry) {
+      return null
+    }
+    return { balanceBefore: entry.balanceAfter - delta, balanceAfter: entry.balanceAfter }
+  },
+
+  /**
+   * Compare cached credit balances with the credit ledger, for one user or everyone
+   * @param {string|null} userId - user_id, or null for every account
+   * @param {boolean} fix - Repair the drift that is found
+   * @returns {Promise<Object|null>} Reconcile summary, or null if the user does not exist
+   */
+  async reconcileCredits(userId, fix) {
+    if (!userId) {
+      return creditLedgerService.reconcile({ fix })
+    }
+    const user = await User.findOne({ user_id: userId }, { _id: 1 }).lean()
+    return user ? creditLedgerService.reconcile({ userId: user._id, fix }) : null
+  },
+}
+
+export default adminService
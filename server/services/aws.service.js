@@ -6,6 +6,8 @@
 
 import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3'
 import { CloudFrontClient, CreateInvalidationCommand } from '@aws-sdk/client-cloudfront'
+import { getSignedUrl } from '@aws-sdk/cloudfront-signer'
+import { getCloudFrontPrivateKey } from '../utilities/cloudFrontKeyParser.js'
 import { logError, logInfo } from '../utilities/logger.js'
 import AppError from '../utilities/AppError.js'
 import { ErrorCodes } from '../constants/errorCodes.js'
@@ -139,6 +141,26 @@ export const awsService = {
     }
   },
 
+  /**
+   * Generate a CloudFront signed URL for an S3 object key
+   * @param {string} key - S3 object key/filename
+   * @param {number} expiresInMs - URL lifetime in milliseconds (default 24 hours)
+   * @returns {string|null} Signed URL, or null if signing fails
+   */
+  getSignedImageUrl(key, expiresInMs = 1000 * 60 * 60 * 24) {
+    try {
+      return getSignedUrl({
+        url: `https://${process.env.CLOUDFRONT_DOMAIN}/${key}`,
+        dateLessThan: new Date(Date.now() + expiresInMs),
+        privateKey: getCloudFrontPrivateKey(),
+        keyPairId: process.env.CLOUDFRONT_KEY_PAIR_ID,
+      })
+    } catch (error) {
+      logError('aws.service', 'Failed to generate signed image URL', error, { key })
+      return null
+    }
+  },
+
   /**
    * Get S3 client for advanced operations
    * @returns {S3Client} The S3 client instance
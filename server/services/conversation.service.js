@@ -0,0 +1,215 @@
+/**
+ * Conversation Service
+ * Conversation bookkeeping and cursor-paginated message history
+ *
+ * Participants are MongoDB _ids (the same ids as Message.senderId/receiverId). Pages are
+ * ordered by createdAt with _id as a tie-breaker, and are always returned oldest-first so
+ * the client can prepend or append them directly.
+ */
+
+import Message from '../models/message.model.js'
+import { Conversation } from '../models/conversation.model.js'
+import { User } from '../models/user.model.js'
+import { MESSAGE_CONFIG } from '../constants/index.js'
+
+export const conversationService = {
+  /**
+   * Get the conversation between two users, or null if they have never messaged
+   */
+  async find(userId, otherUserId) {
+    return Conversation.findOne({ participantKey: Conversation.keyFor(userId, otherUserId) })
+  },
+
+  /**
+   * Get the conversation between two users, creating it on the first message
+   */
+  async findOrCreate(userId, otherUserId, { retry = true } = {}) {
+    const participantKey = Conversation.keyFor(userId, otherUserId)
+    try {
+      return await Conversation.findOneAndUpdate(
+        { participantKey },
+        { $setOnInsert: { participants: [userId, otherUserId] } },
+        { upsert: true, new: true }
+      )
+    } catch (error) {
+      // Both users sent a first message at the same moment and the other upsert won
+      if (error.code === 11000 && retry) {
+        return this.findOrCreate(userId, otherUserId, { retry: false })
+      }
+      throw error
+    }
+  },
+
+  /**
+   * Update the preview and the receiver's unread count for a new message
+   * @param {Object} message - Saved (or about to be saved) Message
+   * @param {Object} options
+   * @param {boolean} options.hasImage - Image uploads finish after the message is saved
+   */
+  async recordMessage(message, { hasImage = false } = {}) {
+    return Conversation.updateOne(
+      { _id: message.conversationId },
+      {
+        $set: {
+          lastMessage: {
+            messageId: message._id,
+            senderId: message.senderId,
+            text: (message.text || '').slice(0, MESSAGE_CONFIG.PREVIEW_LENGTH),
+            hasImage: hasImage || Boolean(message.image),
+            createdAt: message.createdAt || new Date(),
+          },
+        },
+        $inc: { [`unreadCounts.${message.receiverId}`]: 1 },
+      }
+    )
+  },
+
+  /**
+   * Refresh the preview after its message was edited or unsent (no-op for older messages)
+   */
+  async updatePreview(message) {
+    return Conversation.updateOne(
+      { _id: message.conversationId, 'lastMessage.messageId': message._id },
+      {
+        $set: {
+          'lastMessage.text': (message.text || '').slice(0, MESSAGE_CONFIG.PREVIEW_LENGTH),
+          'lastMessage.hasImage': Boolean(message.image),
+        },
+      }
+    )
+  },
+
+  /**
+   * One page of a conversation's messages, oldest-first
+   * @param {ObjectId} conversationId
+   * @param {Object} options
+   * @param {string} options.before - Message id: return messages older than it
+   * @param {string} options.after - Message id: return messages newer than it
+   * @param {number} options.limit - Page size
+   * @returns {Promise<{messages: Array, hasMore: boolean}|null>} null if the cursor message
+   *   is not in this conversation. hasMore refers to the direction being paged in (older
+   *   messages unless `after` is set).
+   */
+  async getMessagesPage(
+    conversationId,
+    { before, after, limit = MESSAGE_CONFIG.HISTORY_PAGE_SIZE } = {}
+  ) {
+    const filter = { conversationId }
+    const cursorId = after || before
+
+    if (cursorId) {
+      const cursor = await Message.findOne(
+        { _id: cursorId, conversationId },
+        { createdAt: 1 }
+      ).lean()
+      if (!cursor) {
+        return null
+      }
+
+      const operator = after ? '$gt' : '$lt'
+      filter.$or = [
+        { createdAt: { [operator]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { [operator]: cursor._id } },
+      ]
+    }
+
+    // Newest-first for the latest page and for scrolling back, oldest-first when catching up
+    const direction = after ? 1 : -1
+    const messages = await Message.find(filter)
+      .sort({ createdAt: direction, _id: direction })
+      .limit(limit + 1)
+      .lean()
+
+    const hasMore = messages.length > limit
+    const page = messages.slice(0, limit)
+    if (!after) {
+      page.reverse()
+    }
+
+    return { messages: page, hasMore }
+  },
+
+  /**
+   * Mark messages to receiverId as delivered
+   * @param {Object} options
+   * @param {ObjectId} options.messageId - Only this message (newMessage ack); otherwise every
+   *   undelivered message in the conversation (receiver loaded the chat)
+   * @returns {Promise<Date|null>} deliveredAt, or null if nothing was waiting for delivery
+   */
+  async markDelivered(conversationId, receiverId, { messageId } = {}) {
+    const deliveredAt = new Date()
+    const filter = { conversationId, receiverId, deliveredAt: null }
+    if (messageId) {
+      filter._id = messageId
+    }
+
+    const result = await Message.updateMany(filter, { $set: { deliveredAt } })
+    return result.modifiedCount > 0 ? deliveredAt : null
+  },
+
+  /**
+   * Mark the conversation between readerId and otherUserId as read by readerId
+   * Unread counts are always reset; readAt is only written when the reader shares read receipts.
+   * @returns {Promise<Object|null>} { conversationId, readAt, lastReadMessageId, notify } or null
+   *   if the conversation does not exist. notify is true when the other user should get a
+   *   messagesRead event.
+   */
+  async markRead(readerId, otherUserId) {
+    const conversation = await this.find(readerId, otherUserId)
+    if (!conversation) {
+      return null
+    }
+
+    const reader = await User.findById(readerId, { sendReadReceipts: 1 }).lean()
+    const shareReceipt = reader?.sendReadReceipts !== false
+    const readAt = new Date()
+    const unread = { conversationId: conversation._id, receiverId: readerId }
+
+    let result
+    if (shareReceipt) {
+      result = await Message.updateMany({ ...unread, readAt: null }, [
+        { $set: { readAt, deliveredAt: { $ifNull: ['$deliveredAt', readAt] } } },
+      ])
+    } else {
+      // Reading still implies delivery, which senders may see
+      result = await Message.updateMany(
+        { ...unread, deliveredAt: null },
+        { $set: { deliveredAt: readAt } }
+      )
+    }
+
+    const lastReceived = await Message.findOne(unread, { _id: 1 })
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+
+    const update = { [`unreadCounts.${readerId}`]: 0 }
+    if (lastReceived) {
+      update[`lastReadMessageIds.${readerId}`] = lastReceived._id
+    }
+    await Conversation.updateOne({ _id: conversation._id }, { $set: update })
+
+    return {
+      conversationId: conversation._id,
+      readAt,
+      lastReadMessageId: lastReceived?._id || null,
+      notify: shareReceipt && result.modifiedCount > 0,
+    }
+  },
+
+  /**
+   * Remove the conversation between two users (chat cleared)
+   */
+  async remove(userId, otherUserId) {
+    return Conversation.deleteOne({ participantKey: Conversation.keyFor(userId, otherUserId) })
+  },
+
+  /**
+   * Delete every conversation involving a user (account deletion)
+   * @param {ObjectId} userObjectId - The user's MongoDB _id
+   */
+  async removeUser(userObjectId) {
+    return Conversation.deleteMany({ participants: userObjectId })
+  },
+}
+
+export default conversationService
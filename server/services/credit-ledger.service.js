@@ -0,0 +1,413 @@
+/**
+ * Credit Ledger Service
+ * Every change to a user's message credits goes through here. An append-only CreditLedgerEntry
+ * records the change and the cached User.messageCredits then moves with a guarded $inc, in one
+ * transaction where MongoDB supports them. reconcile() repairs drift between the two.
+ */
+
+import { User } from '../models/user.model.js'
+import { CreditLedgerEntry } from '../models/credit-ledger-entry.model.js'
+import { withTransaction } from '../utilities/transaction.js'
+import { CREDIT_LEDGER_CONFIG, CREDIT_LEDGER_TYPES } from '../constants/index.js'
+
+// Join the caller's transaction (a session, or null when transactions are unavailable), or
+// start one when the caller passed nothing
+const inTransaction = (session, callback) =>
+  session === undefined ? withTransaction(callback) : callback(session)
+
+const createEntry = async (entry, session) => {
+  const [created] = await CreditLedgerEntry.create([entry], { session })
+  return created
+}
+
+const reversalReference = (entryId) => `reversal:${entryId}`
+
+// The entry already written for this reference, or null if there is none or it was reversed
+const findApplied = async (type, referenceId, session) => {
+  const existing = await CreditLedgerEntry.findOne({ type, referenceId }).session(session).lean()
+  if (!existing) {
+    return null
+  }
+  const reversed = await CreditLedgerEntry.exists({
+    type: CREDIT_LEDGER_TYPES.ADJUSTMENT,
+    referenceId: reversalReference(existing._id),
+  }).session(session)
+  return reversed ? null : existing
+}
+
+// Referenced on every account's opening entry, so an account is only opened once
+const openingReference = (userId) => `opening:${userId}`
+
+/**
+ * Write the entry, then move the cached balance by its amount. The entry goes first so the
+ * unique referenceId stops a retried webhook or request before the balance moves, even when
+ * two attempts race without a transaction.
+ * @param {Object} entry - The entry to write (balanceAfter as read before the change)
+ * @param {Object} guard - Extra conditions the user must still meet, e.g. enough credits
+ * @param {Object} session - Session from withTransaction, or null
+ * @returns {Promise<Object|null>} The entry (or the one already applied), or null if the user
+ *   no longer meets the guard
+ */
+const applyEntry = async (entry, guard, session) => {
+  let created
+  try {
+    created = await createEntry(entry, session)
+  } catch (error) {
+    // Inside a transaction the server has already aborted it, so let the caller see the error
+    if (error.code === 11000 && entry.referenceId && !session) {
+      return findApplied(entry.type, entry.referenceId, null)
+    }
+    throw error
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: entry.userId, ...guard },
+    { $inc: { messageCredits: entry.amount } },
+    { session }
+  )
+  if (modifiedCount > 0) {
+    return created
+  }
+
+  // The balance changed between the read and the update (a concurrent spend, or the account
+  // was deleted). A transaction takes the entry back with it; without one the entry stays, so
+  // cancel it out to keep the ledger sum equal to the balance.
+  if (session) {
+    throw new Error('Credit balance changed while it was being updated')
+  }
+  await createEntry({
+    userId: entry.userId,
+    type: CREDIT_LEDGER_TYPES.ADJUSTMENT,
+    amount: -entry.amount,
+    balanceAfter: entry.balanceAfter - entry.amount,
+    referenceId: reversalReference(created._id),
+    description: `Reversal: ${entry.type} not applied`,
+  })
+  return null
+}
+
+/**
+ * Apply a signed change to a user's balance and record it. Spends and revokes never take the
+ * balance below zero.
+ * @param {ObjectId|string} userId - User _id
+ * @param {number} amount - Signed change
+ * @param {string} type - CREDIT_LEDGER_TYPES value
+ * @param {Object} [options] - { referenceId, description, createdBy }
+ * @param {Object} [session] - Session from withTransaction
+ * @returns {Promise<Object|null>} The entry, or null if the user is missing or has too few credits
+ */
+const record = (userId, amount, type, options = {}, session) =>
+  inTransaction(session, async (s) => {
+    const { referenceId, description = '', createdBy = null } = options
+
+    // Already applied (retried webhook or request)
+    if (referenceId) {
+      const existing = await findApplied(type, referenceId, s)
+      if (existing) {
+        return existing
+      }
+    }
+
+    const user = await User.findById(userId, { messageCredits: 1 }).session(s).lean()
+    const balance = user?.messageCredits || 0
+    if (!user || balance + amount < 0) {
+      return null
+    }
+
+    return applyEntry(
+      {
+        userId,
+        type,
+        amount,
+        balanceAfter: balance + amount,
+        referenceId,
+        description,
+        createdBy,
+      },
+      amount < 0 ? { messageCredits: { $gte: -amount } } : {},
+      s
+    )
+  })
+
+/**
+ * Set a user's balance outright and record the difference
+ * @returns {Promise<Object|null>} The entry, or null if the user is missing or nothing changed
+ */
+const setBalance = (userId, balance, type, options = {}, session) =>
+  inTransaction(session, async (s) => {
+    const before = await User.findOneAndUpdate(
+      { _id: userId },
+      { $set: { messageCredits: balance } },
+      { new: false, projection: { messageCredits: 1 }, session: s }
+    ).lean()
+    const amount = balance - (before?.messageCredits || 0)
+    if (!before || amount === 0) {
+      return null
+    }
+    return createEntry(
+      {
+        userId,
+        type,
+        amount,
+        balanceAfter: balance,
+        description: options.description || '',
+        createdBy: options.createdBy || null,
+      },
+      s
+    )
+  })
+
+/**
+ * Remove up to `amount` credits, stopping at zero (the user may already have spent them)
+ * @returns {Promise<Object|null>} The entry, or null if the user is missing or had no credits
+ */
+const removeUpTo = (userId, amount, type, options = {}, session) =>
+  inTransaction(session, async (s) => {
+    const { referenceId, description = '' } = options
+
+    if (referenceId) {
+      const existing = await findApplied(type, referenceId, s)
+      if (existing) {
+        return existing
+      }
+    }
+
+    const user = await User.findById(userId, { messageCredits: 1 }).session(s).lean()
+    const balance = user?.messageCredits || 0
+    const removed = Math.min(amount, balance)
+    if (!user || removed <= 0) {
+      return null
+    }
+    return applyEntry(
+      {
+        userId,
+        type,
+        amount: -removed,
+        balanceAfter: balance - removed,
+        referenceId,
+        description,
+      },
+      { messageCredits: { $gte: removed } },
+      s
+    )
+  })
+
+export const creditLedgerService = {
+  /**
+   * Record the credits a new account starts with (the User model default). The balance is
+   * already on the user, so only the entry is written.
+   * @param {ObjectId|string} userId - User _id
+   * @param {number} balance - Starting balance
+   * @param {Object} [session] - Session from withTransaction, so the account and its opening
+   *   entry are saved together
+   */
+  async open(userId, balance, session = null) {
+    return createEntry(
+      {
+        userId,
+        type: CREDIT_LEDGER_TYPES.OPENING,
+        amount: balance,
+        balanceAfter: balance,
+        referenceId: openingReference(userId),
+        description: 'Signup credits',
+      },
+      session
+    )
+  },
+
+  /**
+   * Monthly plan credits
+   */
+  grant(userId, amount, options, session) {
+    return record(userId, amount, CREDIT_LEDGER_TYPES.GRANT, options, session)
+  },
+
+  /**
+   * Credit pack bought through Stripe checkout
+   */
+  purchase(userId, amount, options, session) {
+    return record(userId, amount, CREDIT_LEDGER_TYPES.PURCHASE, options, session)
+  },
+
+  /**
+   * Spend one credit on a message
+   * @returns {Promise<Object|null>} null when the user has no credits left
+   */
+  spend(userId, options, session) {
+    return record(userId, -1, CREDIT_LEDGER_TYPES.SPEND, options, session)
+  },
+
+  /**
+   * Give credits back
+   */
+  refund(userId, amount, options, session) {
+    return record(userId, amount, CREDIT_LEDGER_TYPES.REFUND, options, session)
+  },
+
+  /**
+   * Admin grant (positive delta) or revoke (negative delta)
+   * @returns {Promise<Object|null>} null if a revoke exceeds the balance
+   */
+  adjust(userId, delta, options, session) {
+    return record(userId, delta, CREDIT_LEDGER_TYPES.ADJUSTMENT, options, session)
+  },
+
+  /**
+   * Take back credits from a refunded or disputed payment. Credits already spent are not
+   * recovered: the balance stops at zero.
+   * @returns {Promise<Object|null>} The entry (its amount is what was actually removed), or null
+   *   if nothing could be removed
+   */
+  clawback(userId, amount, options, session) {
+    return removeUpTo(userId, amount, CREDIT_LEDGER_TYPES.CLAWBACK, options, session)
+  },
+
+  /**
+   * Move a user to a fixed balance, e.g. back to free-tier credits when a subscription ends
+   */
+  reset(userId, balance, options, session) {
+    return setBalance(userId, balance, CREDIT_LEDGER_TYPES.ADJUSTMENT, options, session)
+  },
+
+  /**
+   * Remove a user's remaining credits before the account is deleted
+   * @returns {Promise<number>} How many credits were voided
+   */
+  async voidBalance(userId, options = {}, session) {
+    const entry = await setBalance(
+      userId,
+      0,
+      CREDIT_LEDGER_TYPES.VOID,
+      { description: 'Account deleted', ...options },
+      session
+    )
+    return entry ? -entry.amount : 0
+  },
+
+  /**
+   * Most recent entries for a user
+   */
+  async getEntries(userId, limit = CREDIT_LEDGER_CONFIG.ACCOUNT_ENTRIES_LIMIT) {
+    return CreditLedgerEntry.find({ userId }).sort({ createdAt: -1 }).limit(limit).lean()
+  },
+
+  /**
+   * Compare cached balances with the ledger. With `fix`, the ledger wins, except for accounts
+   * with no opening entry (created before the ledger): the cached balance is trusted and the
+   * difference is recorded as their opening entry. A balance is never set below zero.
+   * @param {Object} [options]
+   * @param {ObjectId|string} [options.userId] - Check one user (_id) instead of everyone
+   * @param {boolean} [options.fix=false] - Repair what is found
+   * @returns {Promise<{checked: number, drifted: number, fixed: number, users: Array}>}
+   *   `users` lists at most MAX_DRIFT_REPORTED drifted accounts
+   */
+  async reconcile({ userId = null, fix = false } = {}) {
+    const summary = { checked: 0, drifted: 0, fixed: 0, users: [] }
+
+    const openAccount = async (user, amount) => {
+      try {
+        await createEntry({
+          userId: user._id,
+          type: CREDIT_LEDGER_TYPES.OPENING,
+          amount,
+          balanceAfter: amount,
+          referenceId: openingReference(user._id),
+          description: 'Balance before the credit ledger',
+        })
+        return true
+      } catch (error) {
+        // Opened since the ledger was read (signup or a concurrent reconcile)
+        if (error.code === 11000) {
+          return false
+        }
+        throw error
+      }
+    }
+
+    const useLedgerBalance = async (user, ledgerBalance) => {
+      const balance = Math.max(ledgerBalance, 0)
+      // Guarded on the balance we read so a concurrent spend is not overwritten
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, messageCredits: user.messageCredits },
+        { $set: { messageCredits: balance } }
+      )
+      if (modifiedCount > 0 && balance !== ledgerBalance) {
+        // Bring the ledger back up to the zero balance it was clamped to
+        await createEntry({
+          userId: user._id,
+          type: CREDIT_LEDGER_TYPES.ADJUSTMENT,
+          amount: balance - ledgerBalance,
+          balanceAfter: balance,
+          description: 'Ledger balance below zero',
+        })
+      }
+      return modifiedCount > 0
+    }
+
+    const reconcileBatch = async (users) => {
+      const sums = await CreditLedgerEntry.aggregate([
+        { $match: { userId: { $in: users.map((user) => user._id) } } },
+        {
+          $group: {
+            _id: '$userId',
+            balance: { $sum: '$amount' },
+            opened: {
+              $max: { $eq: ['$type', CREDIT_LEDGER_TYPES.OPENING] },
+            },
+          },
+        },
+      ])
+      const ledgers = new Map(sums.map((sum) => [String(sum._id), sum]))
+
+      for (const user of users) {
+        summary.checked += 1
+        const cachedBalance = user.messageCredits || 0
+        const ledger = ledgers.get(String(user._id))
+        const ledgerBalance = ledger?.balance || 0
+        const opened = Boolean(ledger?.opened)
+        if (cachedBalance === ledgerBalance && opened) {
+          continue
+        }
+
+        summary.drifted += 1
+        let fixed = false
+        if (fix && opened) {
+          fixed = await useLedgerBalance(user, ledgerBalance)
+        } else if (fix) {
+          fixed = await openAccount(user, cachedBalance - ledgerBalance)
+        }
+        if (fixed) {
+          summary.fixed += 1
+        }
+        if (summary.users.length < CREDIT_LEDGER_CONFIG.MAX_DRIFT_REPORTED) {
+          summary.users.push({
+            userId: user.user_id,
+            cachedBalance,
+            ledgerBalance: opened ? ledgerBalance : null,
+            fixed,
+          })
+        }
+      }
+    }
+
+    const filter = userId ? { _id: userId } : {}
+    const cursor = User.find(filter, { user_id: 1, messageCredits: 1 })
+      .lean()
+      .cursor({ batchSize: CREDIT_LEDGER_CONFIG.RECONCILE_BATCH_SIZE })
+
+    let batch = []
+    for await (const user of cursor) {
+      batch.push(user)
+      if (batch.length >= CREDIT_LEDGER_CONFIG.RECONCILE_BATCH_SIZE) {
+        await reconcileBatch(batch)
+        batch = []
+      }
+    }
+    if (batch.length) {
+      await reconcileBatch(batch)
+    }
+    return summary
+  },
+}
+
+export default creditLedgerService
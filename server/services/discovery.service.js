@@ -0,0 +1,96 @@
+/**
+ * Discovery Filter Service
+ * Turns validated discovery filters into $geoNear / $match conditions for getMeetupTypeUsers
+ *
+ * The same filter shape is used for query parameters (validated by validateInput.js) and for
+ * saved presets on user.discoveryFilterPresets:
+ *   { breed, size: [..], minDogAge, maxDogAge, minOwnerAge, maxOwnerAge, hasPhoto }
+ */
+
+export const DISCOVERY_FILTER_KEYS = [
+  'breed',
+  'size',
+  'minDogAge',
+  'maxDogAge',
+  'minOwnerAge',
+  'maxOwnerAge',
+  'hasPhoto',
+]
+
+// Breeds are matched case-insensitively as a whole value, never as a user-supplied pattern
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const hasValue = (value) => value !== undefined && value !== null && value !== ''
+
+export const discoveryService = {
+  /**
+   * Pick the filter keys from validated query values or a preset
+   * @param {Object} source - req.validatedQuery or preset filters
+   * @returns {Object} Filters with only the keys that are set
+   */
+  pickFilters(source = {}) {
+    const filters = {}
+    for (const key of DISCOVERY_FILTER_KEYS) {
+      const value = source[key]
+      if (hasValue(value) && !(Array.isArray(value) && value.length === 0)) {
+        filters[key] = value
+      }
+    }
+    return filters
+  },
+
+  /**
+   * Build query conditions for the filters
+   * Dog filters must all match the same dog in the household. Owner age is stored as a
+   * string, so it is compared in a separate $expr stage after $geoNear.
+   * @param {Object} filters - Output of pickFilters
+   * @returns {{ geoNearQuery: Object, ownerAgeMatch: Object|null }}
+   */
+  buildFilterConditions(filters = {}) {
+    const geoNearQuery = {}
+    const dogMatch = {}
+
+    if (filters.breed) {
+      dogMatch.breed = { $regex: `^${escapeRegex(filters.breed)}$`, $options: 'i' }
+    }
+    if (filters.size?.length) {
+      dogMatch.size = { $in: filters.size }
+    }
+    if (hasValue(filters.minDogAge) || hasValue(filters.maxDogAge)) {
+      dogMatch.age = {}
+      if (hasValue(filters.minDogAge)) {
+        dogMatch.age.$gte = filters.minDogAge
+      }
+      if (hasValue(filters.maxDogAge)) {
+        dogMatch.age.$lte = filters.maxDogAge
+      }
+    }
+    if (Object.keys(dogMatch).length > 0) {
+      geoNearQuery.dogs = { $elemMatch: dogMatch }
+    }
+
+    // "Has photo" means the owner added a profile photo; a dog photo is required at onboarding
+    if (filters.hasPhoto === true) {
+      geoNearQuery.profile_image = { $nin: [null, ''] }
+    }
+
+    let ownerAgeMatch = null
+    if (hasValue(filters.minOwnerAge) || hasValue(filters.maxOwnerAge)) {
+      const ownerAge = {
+        $convert: { input: '$userAge', to: 'int', onError: null, onNull: null },
+      }
+      const conditions = [{ $ne: [ownerAge, null] }]
+      if (hasValue(filters.minOwnerAge)) {
+        conditions.push({ $gte: [ownerAge, filters.minOwnerAge] })
+      }
+      if (hasValue(filters.maxOwnerAge)) {
+        conditions.push({ $lte: [ownerAge, filters.maxOwnerAge] })
+      }
+      ownerAgeMatch = { $expr: { $and: conditions } }
+    }
+
+    return { geoNearQuery, ownerAgeMatch }
+  },
+}
+
+export default discoveryService
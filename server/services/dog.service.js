@@ -0,0 +1,188 @@
+/**
+ * Dog Profile Service
+ * Shared helpers for multi-dog households
+ *
+ * The first entry in user.dogs is the primary dog. Its name, age, description and first photo
+ * are mirrored onto the legacy dogs_name/age/about/image fields that onboarding, chat, emails
+ * and the swipe deck still read, so both shapes stay consistent.
+ */
+
+import { User } from '../models/user.model.js'
+import { DOG_PROFILE } from '../constants/index.js'
+import { awsService } from './aws.service.js'
+import { logError } from '../utilities/logger.js'
+
+export const dogService = {
+  /**
+   * Convert dog sub-documents to plain objects with signed photo URLs
+   * @param {Array} dogs - Dog sub-documents or lean objects
+   * @param {Object} options
+   * @param {boolean} options.includePhotoKeys - Include [{ key, url }] photo entries (owner views only)
+   * @returns {Array<Object>} Serialized dogs
+   */
+  serializeDogs(dogs = [], { includePhotoKeys = false } = {}) {
+    return dogs.map((dog) => {
+      const plain = typeof dog.toObject === 'function' ? dog.toObject() : dog
+      const photos = (plain.photos || []).map((key) => ({
+        key,
+        url: awsService.getSignedImageUrl(key),
+      }))
+
+      const serialized = {
+        _id: plain._id,
+        name: plain.name,
+        age: plain.age,
+        breed: plain.breed,
+        breedSource: plain.breedSource,
+        size: plain.size,
+        temperament: plain.temperament,
+        about: plain.about,
+        photoUrls: photos.map((photo) => photo.url).filter(Boolean),
+      }
+
+      if (includePhotoKeys) {
+        serialized.photos = photos
+        serialized.detectedBreeds = plain.detectedBreeds || []
+      }
+
+      return serialized
+    })
+  },
+
+  /**
+   * Normalize checkImage breed guesses for storage
+   * @param {Array} dogBreeds - checkImage result [{ className, probability }]
+   * @returns {Array<{name: string, confidence: number}>} Top guesses, highest confidence first
+   */
+  normalizeDetectedBreeds(dogBreeds = []) {
+    return dogBreeds
+      .filter((breed) => typeof breed?.className === 'string' && breed.className.trim())
+      .map((breed) => ({
+        name: breed.className.replace(/_/g, ' ').trim().toLowerCase().slice(0, 100),
+        confidence: Math.min(Math.max(Number(breed.probability) || 0, 0), 1),
+      }))
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, DOG_PROFILE.MAX_DETECTED_BREEDS)
+  },
+
+  /**
+   * Store detected breeds on a dog (mutates, does not save)
+   * The top guess becomes the breed unless the owner has already confirmed one.
+   * @param {Object} dog - Dog sub-document
+   * @param {Array} detectedBreeds - Normalized [{ name, confidence }]
+   */
+  applyDetectedBreeds(dog, detectedBreeds = []) {
+    if (detectedBreeds.length === 0) {
+      return
+    }
+
+    dog.detectedBreeds = detectedBreeds
+    if (dog.breedSource !== 'owner') {
+      dog.breed = detectedBreeds[0].name
+      dog.breedSource = 'detected'
+    }
+  },
+
+  /**
+   * Copy the primary dog onto the legacy single-dog fields (mutates, does not save)
+   * @param {Object} user - User document
+   */
+  mirrorPrimaryDog(user) {
+    const primary = user.dogs[0]
+    if (!primary) {
+      return
+    }
+
+    user.dogs_name = primary.name
+    if (primary.age !== undefined && primary.age !== null) {
+      user.age = String(primary.age)
+    }
+    if (primary.about) {
+      user.about = primary.about
+    }
+    if (primary.photos.length > 0) {
+      user.image = primary.photos[0]
+    }
+  },
+
+  /**
+   * Apply legacy single-dog profile changes to the primary dog, creating it if needed
+   * Called after onboarding, profile edits and main dog photo uploads. A breed passed
+   * here was picked by the owner; detected breeds come from the main photo upload.
+   * @param {string} userId - user_id of the owner
+   * @param {Object} fields - { name, age, about, breed, image, detectedBreeds } (any subset)
+   */
+  async syncPrimaryDog(userId, { name, age, about, breed, image, detectedBreeds } = {}) {
+    try {
+      const user = await User.findOne({ user_id: userId })
+      if (!user) {
+        return
+      }
+
+      if (user.dogs.length === 0) {
+        const dogName = name || user.dogs_name
+        if (!dogName) {
+          // Onboarding uploads the photo before the dog is named; the guesses stay on
+          // user.detectedBreeds until the primary dog is created
+          return
+        }
+        const primaryImage = image || user.image
+        user.dogs.push({
+          name: dogName,
+          age: parseInt(age ?? user.age) || undefined,
+          about: about || user.about || undefined,
+          photos: primaryImage ? [primaryImage] : [],
+        })
+        this.applyDetectedBreeds(user.dogs[0], detectedBreeds || user.detectedBreeds || [])
+      } else {
+        const primary = user.dogs[0]
+        if (name) {
+          primary.name = name
+        }
+        if (age !== undefined && age !== null && age !== '') {
+          primary.age = parseInt(age)
+        }
+        if (about) {
+          primary.about = about
+        }
+        if (image) {
+          // photos[0] always mirrors the legacy image field
+          if (primary.photos.length > 0) {
+            primary.photos.set(0, image)
+          } else {
+            primary.photos.push(image)
+          }
+        }
+        if (detectedBreeds) {
+          this.applyDetectedBreeds(primary, detectedBreeds)
+        }
+      }
+
+      if (breed) {
+        user.dogs[0].breed = breed
+        user.dogs[0].breedSource = 'owner'
+      }
+
+      await user.save()
+    } catch (error) {
+      // Non-critical: legacy fields were already saved by the caller
+      logError('dog.service', 'Failed to sync primary dog', error, { userId })
+    }
+  },
+
+  /**
+   * Best-effort removal of dog photos from S3
+   * @param {Array<string>} keys - S3 object keys
+   */
+  async deletePhotos(keys = []) {
+    for (const key of keys) {
+      try {
+        await awsService.deleteFromS3(key)
+      } catch (_error) {
+        // Already logged by awsService - photo cleanup is non-critical
+      }
+    }
+  },
+}
+
+export default dogService
@@ -0,0 +1,99 @@
+/**
+ * Email Suppression Service
+ * Records unsubscribes from email categories and answers whether an address may be mailed.
+ * Unsubscribing also turns off the matching email toggles in the user's notification
+ * preferences, and turning them back on lifts the suppression, so the two never disagree.
+ */
+
+import { EmailSuppression } from '../models/email-suppression.model.js'
+import { User } from '../models/user.model.js'
+import { notificationPreferenceService } from './notification-preference.service.js'
+import { EMAIL_CATEGORIES, EMAIL_DIGEST_MODES, NOTIFICATION_EVENTS } from '../constants/index.js'
+
+// Categories an address can actually be removed from (ALL expands to these)
+const SUPPRESSIBLE_CATEGORIES = Object.values(EMAIL_CATEGORIES).filter(
+  (category) => category !== EMAIL_CATEGORIES.ALL
+)
+
+// Email category that carries each notification event
+const EVENT_CATEGORIES = {
+  [NOTIFICATION_EVENTS.LIKE]: EMAIL_CATEGORIES.LIKES,
+  [NOTIFICATION_EVENTS.MATCH]: EMAIL_CATEGORIES.MATCHES,
+  [NOTIFICATION_EVENTS.MESSAGE]: EMAIL_CATEGORIES.DIGEST,
+}
+
+// Suppressions are keyed on the trimmed, lowercased address
+const normalizeEmail = (email) => email.trim().toLowerCase()
+
+export const emailSuppressionService = {
+  /**
+   * Whether an address unsubscribed from a category
+   * @param {string} email
+   * @param {string} category - EMAIL_CATEGORIES value (never ALL)
+   */
+  async isSuppressed(email, category) {
+    return Boolean(await EmailSuppression.exists({ email: normalizeEmail(email), category }))
+  },
+
+  /**
+   * Unsubscribe an address from a category, or from every category for ALL
+   * @returns {Promise<string[]>} The categories now suppressed
+   */
+  async unsubscribe(email, category) {
+    const normalized = normalizeEmail(email)
+    const categories = category === EMAIL_CATEGORIES.ALL ? SUPPRESSIBLE_CATEGORIES : [category]
+
+    await EmailSuppression.bulkWrite(
+      categories.map((c) => ({
+        updateOne: {
+          filter: { email: normalized, category: c },
+          update: { $setOnInsert: { email: normalized, category: c } },
+          upsert: true,
+        },
+      }))
+    )
+
+    // Reflect it on the settings page of the account using this address. Signup trims the
+    // address but keeps its case, so match it as stored or lowercased.
+    const user = await User.findOne(
+      { email: { $in: [...new Set([email.trim(), normalized])] } },
+      { _id: 1 }
+    ).lean()
+    if (user) {
+      const events = Object.fromEntries(
+        Object.entries(EVENT_CATEGORIES)
+          .filter(([, c]) => categories.includes(c))
+          .map(([event]) => [event, { email: false }])
+      )
+      if (Object.keys(events).length > 0) {
+        await notificationPreferenceService.update(user._id, { events })
+      }
+    }
+    return categories
+  },
+
+  /**
+   * Lift suppressions the user opted back out of from their settings: turning an event's email
+   * on resumes its category, and any email opt-in (or choosing a digest) resumes the digest that
+   * carries it for daily/weekly users
+   * @param {string} email
+   * @param {Object} updates - Preference update: { events, emailMode }
+   */
+  async resubscribeFromPreferences(email, { events = {}, emailMode }) {
+    const categories = Object.entries(events)
+      .filter(([, channels]) => channels.email === true)
+      .map(([event]) => EVENT_CATEGORIES[event])
+    if (categories.length > 0 || (emailMode && emailMode !== EMAIL_DIGEST_MODES.INSTANT)) {
+      categories.push(EMAIL_CATEGORIES.DIGEST)
+    }
+    if (categories.length === 0) {
+      return
+    }
+    await EmailSuppression.deleteMany({
+      email: normalizeEmail(email),
+      category: { $in: [...new Set(categories)] },
+    })
+  },
+}
+
+export default emailSuppressionService
@@ -0,0 +1,166 @@
+/**
+ * Entitlement Service
+ * Applies SUBSCRIPTION_BENEFITS: daily right-swipe, like and undo quotas that reset at midnight in
+ * the user's time zone, and the message credits paid plans are granted on every paid invoice.
+ */
+
+import { User } from '../models/user.model.js'
+import { creditLedgerService } from './credit-ledger.service.js'
+import { DAILY_QUOTAS, SUBSCRIPTION_BENEFITS, SUBSCRIPTION_TYPES } from '../constants/index.js'
+import { getLocalDate, getNextLocalMidnight, isValidTimeZone } from '../utilities/timeZone.js'
+
+// Paid plans lose their benefits while a payment is failing or after cancellation
+const LAPSED_STATUSES = ['past_due', 'canceled']
+
+const EMPTY_USAGE = Object.fromEntries(
+  Object.values(DAILY_QUOTAS).map(({ counter }) => [counter, 0])
+)
+
+const USAGE_PROJECTION = { subscription: 1, subscriptionStatus: 1, timeZone: 1, dailyUsage: 1 }
+
+const getTimeZone = (user) => (isValidTimeZone(user.timeZone) ? user.timeZone : 'UTC')
+
+export const entitlementService = {
+  /**
+   * The plan whose benefits apply to a user right now
+   * @returns {string} SUBSCRIPTION_TYPES value
+   */
+  getPlan(user) {
+    if (!SUBSCRIPTION_BENEFITS[user.subscription]) {
+      return SUBSCRIPTION_TYPES.FREE
+    }
+    if (
+      user.subscription !== SUBSCRIPTION_TYPES.FREE &&
+      LAPSED_STATUSES.includes(user.subscriptionStatus)
+    ) {
+      return SUBSCRIPTION_TYPES.FREE
+    }
+    return user.subscription
+  },
+
+  /**
+   * A user's daily limit for a quota
+   * @param {Object} quota - DAILY_QUOTAS value
+   * @returns {number|null} null when unlimited
+   */
+  getDailyLimit(user, quota) {
+    return SUBSCRIPTION_BENEFITS[this.getPlan(user)][quota.benefit]
+  },
+
+  /**
+   * Use one unit of a daily quota. Counters restart on the first use of each local day.
+   * @param {ObjectId|string} userId - User _id
+   * @param {Object} quota - DAILY_QUOTAS value
+   * @returns {Promise<{allowed: boolean, limit: number|null, remaining: number|null, resetsAt: Date}|null>}
+   *   null if the user does not exist
+   */
+  async consume(userId, quota) {
+    const user = await User.findById(userId, USAGE_PROJECTION).lean()
+    if (!user) {
+      return null
+    }
+
+    const now = new Date()
+    const timeZone = getTimeZone(user)
+    const today = getLocalDate(now, timeZone)
+    const resetsAt = getNextLocalMidnight(now, timeZone)
+    const limit = this.getDailyLimit(user, quota)
+
+    await User.updateOne(
+      { _id: userId, 'dailyUsage.date': { $ne: today } },
+      { $set: { dailyUsage: { date: today, ...EMPTY_USAGE } } }
+    )
+
+    // Unlimited plans are still counted, so upgrades and downgrades mid-day stay consistent
+    const path = `dailyUsage.${quota.counter}`
+    const filter = { _id: userId, 'dailyUsage.date': today }
+    if (limit !== null) {
+      filter[path] = { $lt: limit }
+    }
+    const updated = await User.findOneAndUpdate(
+      filter,
+      { $inc: { [path]: 1 } },
+      { new: true, projection: { dailyUsage: 1 } }
+    ).lean()
+
+    if (!updated) {
+      return { allowed: false, limit, remaining: 0, resetsAt }
+    }
+    const remaining = limit === null ? null : limit - updated.dailyUsage[quota.counter]
+    return { allowed: true, limit, remaining, resetsAt }
+  },
+
+  /**
+   * Give back one unit of a daily quota whose action failed after consume()
+   * @param {ObjectId|string} userId - User _id
+   * @param {Object} quota - DAILY_QUOTAS value
+   */
+  async release(userId, quota) {
+    const path = `dailyUsage.${quota.counter}`
+    await User.updateOne({ _id: userId, [path]: { $gt: 0 } }, { $inc: { [path]: -1 } })
+  },
+
+  /**
+   * Everything the client shows about a user's plan: credits and today's quotas
+   * @param {ObjectId|string} userId - User _id
+   * @returns {Promise<Object|null>} null if the user does not exist
+   */
+  async getEntitlements(userId) {
+    const user = await User.findById(userId, {
+      ...USAGE_PROJECTION,
+      messageCredits: 1,
+    }).lean()
+    if (!user) {
+      return null
+    }
+
+    const now = new Date()
+    const timeZone = getTimeZone(user)
+    const isToday = user.dailyUsage?.date === getLocalDate(now, timeZone)
+    const plan = this.getPlan(user)
+
+    const daily = Object.fromEntries(
+      Object.values(DAILY_QUOTAS).map((quota) => {
+        const limit = this.getDailyLimit(user, quota)
+        const used = isToday ? user.dailyUsage[quota.counter] || 0 : 0
+        const remaining = limit === null ? null : Math.max(limit - used, 0)
+        return [quota.counter, { limit, used, remaining }]
+      })
+    )
+
+    return {
+      plan,
+      messageCredits: user.messageCredits,
+      monthlyCredits:
+        plan === SUBSCRIPTION_TYPES.FREE ? null : SUBSCRIPTION_BENEFITS[plan].messageCredits,
+      daily,
+      timeZone,
+      resetsAt: getNextLocalMidnight(now, timeZone),
+    }
+  },
+
+  /**
+   * Add a paid plan's message credits for a new billing period
+   * @param {ObjectId|string} userId - User _id
+   * @param {string} plan - SUBSCRIPTION_TYPES value
+   * @param {string} referenceId - Stripe event id, so a period is only granted once
+   * @param {Object} [session] - Mongoose session from withTransaction
+   * @returns {Promise<{credits: number, balance: number}|null>} null for free plans or unknown users
+   */
+  async grantMonthlyCredits(userId, plan, referenceId, session) {
+    const credits =
+      plan === SUBSCRIPTION_TYPES.FREE ? 0 : SUBSCRIPTION_BENEFITS[plan]?.messageCredits
+    if (!credits) {
+      return null
+    }
+    const entry = await creditLedgerService.grant(
+      userId,
+      credits,
+      { referenceId, description: `Monthly ${plan} credits` },
+      session
+    )
+    return entry ? { credits, balance: entry.balanceAfter } : null
+  },
+}
+
+export default entitlementService
@@ -0,0 +1,257 @@
+/**
+ * Match Service
+ * Swipe-right and match state on the Match collection (replaces the embedded User.matches array)
+ *
+ * A pair of users shares one Match document. A right swipe adds the swiper to likedBy; when
+ * both participants are in likedBy the match becomes mutual. Unmatched and blocked pairs are
+ * kept so they stay out of discovery and cannot be re-matched by another swipe.
+ */
+
+import { Match } from '../models/match.model.js'
+import { MATCH_STATUS } from '../constants/index.js'
+import AppError from '../utilities/AppError.js'
+import { ErrorCodes } from '../constants/errorCodes.js'
+
+const ACTIVE_STATUSES = [MATCH_STATUS.PENDING, MATCH_STATUS.MUTUAL]
+const ENDED_STATUSES = [MATCH_STATUS.UNMATCHED, MATCH_STATUS.BLOCKED]
+
+const participantQuery = (userId) => ({ $or: [{ userA: userId }, { userB: userId }] })
+
+const otherParticipant = (match, userId) => (match.userA === userId ? match.userB : match.userA)
+
+export const matchService = {
+  otherParticipant,
+
+  /**
+   * Whether a match was unmatched or blocked (it cannot be revived by another swipe)
+   */
+  isEnded(match) {
+    return ENDED_STATUSES.includes(match.status)
+  },
+
+  /**
+   * Record a right swipe from userId on otherUserId
+   * @returns {Promise<{match: Object, becameMutual: boolean}>} becameMutual is true only for
+   *   the swipe that completed the match, so newMatch is emitted once
+   * @throws {AppError} 400 when userId and otherUserId are the same user
+   */
+  async recordLike(userId, otherUserId, { retry = true } = {}) {
+    // The sorted-pair validate hook does not run on the upsert below
+    if (userId === otherUserId) {
+      throw AppError.badRequest(ErrorCodes.INVALID_INPUT, {
+        field: 'otherUserId',
+        reason: 'self_match',
+      })
+    }
+
+    const pair = Match.pairFor(userId, otherUserId)
+
+    const existing = await Match.findOne(pair)
+    if (existing && this.isEnded(existing)) {
+      return { match: existing, becameMutual: false }
+    }
+
+    let match
+    try {
+      match = await Match.findOneAndUpdate(
+        { ...pair, status: { $in: ACTIVE_STATUSES } },
+        {
+          $addToSet: { likedBy: userId },
+          $setOnInsert: { initiatedBy: userId, status: MATCH_STATUS.PENDING },
+        },
+        { upsert: true, new: true }
+      )
+    } catch (error) {
+      // Both users swiped at the same moment and the other upsert won - apply ours to it
+      if (error.code === 11000 && retry) {
+        return this.recordLike(userId, otherUserId, { retry: false })
+      }
+      throw error
+    }
+
+    if (match.status === MATCH_STATUS.PENDING && match.likedBy.length === 2) {
+      const mutual = await Match.findOneAndUpdate(
+        { _id: match._id, status: MATCH_STATUS.PENDING },
+        { $set: { status: MATCH_STATUS.MUTUAL, matchedAt: new Date() } },
+        { new: true }
+      )
+      if (mutual) {
+        return { match: mutual, becameMutual: true }
+      }
+    }
+
+    return { match, becameMutual: false }
+  },
+
+  /**
+   * Take back userId's right swipe (undo). The other user's like is kept.
+   * @returns {Promise<{wasMutual: boolean}|null>} null if userId had not swiped right
+   */
+  async revertLike(userId, otherUserId) {
+    const pair = Match.pairFor(userId, otherUserId)
+    const match = await Match.findOne({
+      ...pair,
+      likedBy: userId,
+      status: { $in: ACTIVE_STATUSES },
+    })
+    if (!match) {
+      return null
+    }
+
+    const wasMutual = match.status === MATCH_STATUS.MUTUAL
+    if (match.likedBy.length === 1) {
+      await Match.deleteOne({ _id: match._id })
+    } else {
+      await Match.updateOne(
+        { _id: match._id },
+        {
+          $pull: { likedBy: userId },
+          $set: { status: MATCH_STATUS.PENDING, matchedAt: null },
+        }
+      )
+    }
+
+    return { wasMutual }
+  },
+
+  /**
+   * End a match for both users (a block is never downgraded to unmatched)
+   * @returns {Promise<Object|null>} Updated match, or null if the pair never swiped or is blocked
+   */
+  async endMatch(userId, otherUserId) {
+    return Match.findOneAndUpdate(
+      { ...Match.pairFor(userId, otherUserId), status: { $ne: MATCH_STATUS.BLOCKED } },
+      { $set: { status: MATCH_STATUS.UNMATCHED, unmatchedAt: new Date(), endedBy: userId } },
+      { new: true }
+    )
+  },
+
+  /**
+   * Block otherUserId for userId, whether or not they ever swiped. Blocked pairs stay out of
+   * discovery, online lists and chat in both directions.
+   * @returns {Promise<{match: Object, wasMutual: boolean}>}
+   */
+  async block(userId, otherUserId, { retry = true } = {}) {
+    const pair = Match.pairFor(userId, otherUserId)
+    const existing = await Match.findOne(pair, { status: 1 }).lean()
+
+    try {
+      const match = await Match.findOneAndUpdate(
+        pair,
+        {
+          $set: { status: MATCH_STATUS.BLOCKED, unmatchedAt: new Date(), endedBy: userId },
+          $setOnInsert: { initiatedBy: userId },
+        },
+        { upsert: true, new: true }
+      )
+      return { match, wasMutual: existing?.status === MATCH_STATUS.MUTUAL }
+    } catch (error) {
+      if (error.code === 11000 && retry) {
+        return this.block(userId, otherUserId, { retry: false })
+      }
+      throw error
+    }
+  },
+
+  /**
+   * Whether either user has blocked the other
+   */
+  async isBlocked(userId, otherUserId) {
+    return Boolean(
+      await Match.exists({ ...Match.pairFor(userId, otherUserId), status: MATCH_STATUS.BLOCKED })
+    )
+  },
+
+  /**
+   * Whether userId currently has an active right swipe on otherUserId
+   */
+  async hasLiked(userId, otherUserId) {
+    return Boolean(
+      await Match.exists({
+        ...Match.pairFor(userId, otherUserId),
+        likedBy: userId,
+        status: { $in: ACTIVE_STATUSES },
+      })
+    )
+  },
+
+  /**
+   * Whether userId and otherUserId currently share a mutual match
+   */
+  async hasMutualMatch(userId, otherUserId) {
+    return Boolean(
+      await Match.exists({ ...Match.pairFor(userId, otherUserId), status: MATCH_STATUS.MUTUAL })
+    )
+  },
+
+  /**
+   * user_ids that userId swiped right on (pending or mutual) - the old User.matches contents
+   */
+  async getLikedUserIds(userId) {
+    const matches = await Match.find(
+      { ...participantQuery(userId), likedBy: userId, status: { $in: ACTIVE_STATUSES } },
+      { userA: 1, userB: 1 }
+    ).lean()
+    return matches.map((match) => otherParticipant(match, userId))
+  },
+
+  /**
+   * user_ids that share a mutual match with userId
+   */
+  async getMutualMatchUserIds(userId) {
+    const matches = await Match.find(
+      { ...participantQuery(userId), status: MATCH_STATUS.MUTUAL },
+      { userA: 1, userB: 1 }
+    ).lean()
+    return matches.map((match) => otherParticipant(match, userId))
+  },
+
+  /**
+   * user_ids to hide from userId's discovery: already swiped right on, matched, unmatched
+   * or blocked. Users who only liked userId stay visible so they can be liked back.
+   */
+  async getDiscoveryExcludedUserIds(userId) {
+    const matches = await Match.find(
+      {
+        ...participantQuery(userId),
+        $and: [
+          {
+            $or: [
+              { likedBy: userId, status: MATCH_STATUS.PENDING },
+              { status: { $in: [MATCH_STATUS.MUTUAL, ...ENDED_STATUSES] } },
+            ],
+          },
+        ],
+      },
+      { userA: 1, userB: 1 }
+    ).lean()
+    return matches.map((match) => otherParticipant(match, userId))
+  },
+
+  /**
+   * Legacy [{ user_id }] shape still returned as user.matches to the client
+   */
+  async getLegacyMatches(userId) {
+    const likedUserIds = await this.getLikedUserIds(userId)
+    return likedUserIds.map((user_id) => ({ user_id }))
+  },
+
+  /**
+   * user_ids of everyone who shares any Match document with userId
+   */
+  async getParticipantUserIds(userId) {
+    const matches = await Match.find(participantQuery(userId), { userA: 1, userB: 1 }).lean()
+    return matches.map((match) => otherParticipant(match, userId))
+  },
+
+  /**
+   * Delete every match involving a user (account deletion)
+   * @param {Object} options
+   * @param {ClientSession} options.session - Optional transaction session
+   */
+  async removeUser(userId, { session } = {}) {
+    return Match.deleteMany(participantQuery(userId), session ? { session } : {})
+  },
+}
+
+export default matchService
@@ -0,0 +1,128 @@
+/**
+ * Meetup Service
+ * Proposing, answering and reminding about playdates between matched users
+ *
+ * Only the user a meetup was proposed to can accept, decline or counter it. Answers use
+ * conditional updates on status so two taps (or both users acting at once) cannot answer
+ * the same proposal twice.
+ */
+
+import { Meetup } from '../models/meetup.model.js'
+import { MEETUP_STATUS, MEETUP_CONFIG } from '../constants/index.js'
+
+const participantQuery = (userId) => ({ $or: [{ proposedBy: userId }, { proposedTo: userId }] })
+
+export const meetupService = {
+  /**
+   * Whether userId proposed or received the meetup
+   */
+  isParticipant(meetup, userId) {
+    return [meetup.proposedBy.toString(), meetup.proposedTo.toString()].includes(String(userId))
+  },
+
+  /**
+   * The other participant's _id
+   */
+  otherParticipant(meetup, userId) {
+    return meetup.proposedBy.toString() === String(userId)
+      ? meetup.proposedTo.toString()
+      : meetup.proposedBy.toString()
+  },
+
+  /**
+   * Open and accepted meetups between two users that have not started yet, soonest first
+   */
+  async listUpcoming(userId, otherUserId) {
+    return Meetup.find({
+      $or: [
+        { proposedBy: userId, proposedTo: otherUserId },
+        { proposedBy: otherUserId, proposedTo: userId },
+      ],
+      status: { $in: [MEETUP_STATUS.PROPOSED, MEETUP_STATUS.ACCEPTED] },
+      startsAt: { $gte: new Date() },
+    })
+      .sort({ startsAt: 1 })
+      .lean()
+  },
+
+  /**
+   * Create a proposal
+   * @param {Object} details - { startsAt, timeZone, placeName, coordinates: [lng, lat], meetupType }
+   * @param {Object} options
+   * @param {ObjectId} options.counterOf - Meetup this proposal replaces
+   */
+  async propose(proposedBy, proposedTo, details, { counterOf = null } = {}) {
+    return Meetup.create({
+      proposedBy,
+      proposedTo,
+      startsAt: details.startsAt,
+      timeZone: details.timeZone,
+      placeName: details.placeName,
+      location: { type: 'Point', coordinates: details.coordinates },
+      meetupType: details.meetupType,
+      counterOf,
+    })
+  },
+
+  /**
+   * Accept or decline a proposal made to userId
+   * @param {string} status - MEETUP_STATUS.ACCEPTED or MEETUP_STATUS.DECLINED
+   * @returns {Promise<Object|null>} Updated meetup, or null if it was not open for userId
+   */
+  async respond(meetupId, userId, status) {
+    return Meetup.findOneAndUpdate(
+      { _id: meetupId, proposedTo: userId, status: MEETUP_STATUS.PROPOSED },
+      { $set: { status, respondedAt: new Date() } },
+      { new: true }
+    )
+  },
+
+  /**
+   * Replace a proposal made to userId with their own proposal back to the proposer
+   * @returns {Promise<Object|null>} The new proposal, or null if the original was not open
+   */
+  async counter(meetupId, userId, details) {
+    const original = await this.respond(meetupId, userId, MEETUP_STATUS.COUNTERED)
+    if (!original) {
+      return null
+    }
+    return this.propose(userId, original.proposedBy, details, { counterOf: original._id })
+  },
+
+  /**
+   * Accepted meetups starting within MEETUP_CONFIG.REMINDER_LEAD_HOURS that have not been
+   * reminded about yet
+   */
+  async getDueReminders(now = new Date()) {
+    const until = new Date(now.getTime() + MEETUP_CONFIG.REMINDER_LEAD_HOURS * 60 * 60 * 1000)
+    return Meetup.find({
+      status: MEETUP_STATUS.ACCEPTED,
+      reminderSentAt: null,
+      startsAt: { $gt: now, $lte: until },
+    })
+      .populate('proposedBy', 'email userName dogs_name')
+      .populate('proposedTo', 'email userName dogs_name')
+      .lean()
+  },
+
+  /**
+   * Claim a meetup's reminder; false if another run already sent it
+   */
+  async markReminded(meetupId) {
+    const result = await Meetup.updateOne(
+      { _id: meetupId, reminderSentAt: null },
+      { $set: { reminderSentAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  },
+
+  /**
+   * Delete every meetup involving a user (account deletion)
+   * @param {ObjectId} userObjectId - The user's MongoDB _id
+   */
+  async removeUser(userObjectId) {
+    return Meetup.deleteMany(participantQuery(userObjectId))
+  },
+}
+
+export default meetupService
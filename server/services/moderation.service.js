@@ -0,0 +1,140 @@
+/**
+ * Moderation Service
+ * Screens images and text through the configured provider (see MODERATION_PROVIDERS).
+ *
+ * Every provider implements:
+ *   name
+ *   init()                 - one-time setup at startup; throws if the provider is unusable
+ *   checkImage(buffer)     - { isNude, isDog, dogBreeds, confidence, reason, needsReview? }
+ *                            needsReview: not rejected, but queued for an admin to look at
+ *   checkText(text)        - { flagged, categories, confidence, reason }
+ *
+ * Provider errors never reach callers: a failed check is logged and the content is allowed.
+ */
+
+import { logError, logInfo, logWarning } from '../utilities/logger.js'
+import { MODERATION_PROVIDERS } from '../constants/index.js'
+import { openaiProvider } from './moderation/openai.provider.js'
+import { localProvider } from './moderation/local.provider.js'
+import { stubProvider } from './moderation/stub.provider.js'
+
+const PROVIDERS = {
+  [MODERATION_PROVIDERS.OPENAI]: openaiProvider,
+  [MODERATION_PROVIDERS.LOCAL]: localProvider,
+  [MODERATION_PROVIDERS.STUB]: stubProvider,
+}
+
+/**
+ * Name of the provider selected by the environment (may be unknown - see validateEnv)
+ * @param {Object} env - defaults to process.env
+ * @returns {string}
+ */
+export const resolveProviderName = (env = process.env) => {
+  if (env.MODERATION_PROVIDER) {
+    return env.MODERATION_PROVIDER.trim().toLowerCase()
+  }
+  if (env.OPENAI_API_KEY || env.NODE_ENV === 'production') {
+    return MODERATION_PROVIDERS.OPENAI
+  }
+  return MODERATION_PROVIDERS.LOCAL
+}
+
+let provider
+
+// Resolved lazily so scripts that set env after import still pick the right provider
+const getProvider = () => {
+  if (!provider) {
+    const name = resolveProviderName()
+    provider = PROVIDERS[name]
+    if (!provider) {
+      logWarning('moderation', `Unknown MODERATION_PROVIDER "${name}", using local classifier`)
+      provider = localProvider
+    }
+  }
+  return provider
+}
+
+export const moderationService = {
+  get providerName() {
+    return getProvider().name
+  },
+
+  /**
+   * Initialize the configured provider (called once at startup)
+   */
+  async init() {
+    const active = getProvider()
+    try {
+      await active.init()
+      logInfo('moderation', `✓ Content moderation provider: ${active.name}`)
+    } catch (error) {
+      logError('moderation', `${active.name} moderation provider failed to initialize`, error)
+      throw error
+    }
+  },
+
+  /**
+   * Check an image for nudity and dog content
+   * @param {Buffer} imageBuffer
+   * @returns {Promise<{isNude: boolean, isDog: boolean, dogBreeds: Array, confidence: number, reason: string}>}
+   */
+  async checkImage(imageBuffer) {
+    const active = getProvider()
+    try {
+      const result = await active.checkImage(imageBuffer)
+      if (result.isNude) {
+        logInfo(
+          'moderation',
+          `⚠️ Inappropriate content detected by ${active.name}! Confidence: ${(
+            result.confidence * 100
+          ).toFixed(1)}% - ${result.reason}`
+        )
+      } else if (result.needsReview) {
+        logInfo('moderation', `Image queued for review by ${active.name} - ${result.reason}`)
+      } else if (result.isDog && result.dogBreeds.length) {
+        logInfo(
+          'moderation',
+          `✓ Dog(s) detected: ${result.dogBreeds
+            .map((d) => `${d.className} (${(d.probability * 100).toFixed(0)}%)`)
+            .join(', ')}`
+        )
+      }
+      return result
+    } catch (error) {
+      logError('moderation', `Image analysis with ${active.name} failed`, error)
+
+      // Allow upload with warning if detection fails
+      logWarning('moderation', 'Image analysis check failed, allowing upload with warning')
+      return {
+        isNude: false,
+        isDog: false,
+        dogBreeds: [],
+        confidence: 0,
+        reason: 'Detection service unavailable',
+      }
+    }
+  },
+
+  /**
+   * Check text for sexual content, harassment, self-harm and violence
+   * @param {string} text
+   * @returns {Promise<{flagged: boolean, categories: string[], confidence: number, reason: string}>}
+   */
+  async checkText(text) {
+    const active = getProvider()
+    try {
+      return await active.checkText(text)
+    } catch (error) {
+      logError('moderation', `Text analysis with ${active.name} failed`, error)
+      logWarning('moderation', 'Text analysis check failed, allowing content')
+      return {
+        flagged: false,
+        categories: [],
+        confidence: 0,
+        reason: 'Detection service unavailable',
+      }
+    }
+  },
+}
+
+export default moderationService
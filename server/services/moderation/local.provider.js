@@ -0,0 +1,87 @@
+/**
+ * Local moderation provider
+ * Offline heuristics for development and tests: a skin-tone pixel ratio for images and a
+ * keyword list for text. Deterministic, but far less accurate than a real model. It cannot
+ * recognise dogs, so every image is treated as one, and it cannot tell skin from tan or golden
+ * fur, so a mostly skin-toned image is only queued for review (needsReview), never rejected.
+ * validateEnv refuses it in production.
+ */
+
+import sharp from 'sharp'
+import { MODERATION_CONFIG, MODERATION_PROVIDERS } from '../../constants/index.js'
+
+// Whole-word patterns per moderation category
+const TEXT_RULES = {
+  // Bare "naked" and "nude" describe dogs too ("naked without his collar")
+  sexual:
+    /\b(nudes|send (me )?(a )?nude|naked (pics?|photos?|pictures?|selfies?)|sexting|porn\w*|xxx|onlyfans)\b/i,
+  harassment: /\b(kys|kill yourself|retard(ed)?|whore|slut)\b/i,
+  'self-harm': /\b(suicide|self[- ]harm|cut myself|end my life)\b/i,
+  violence: /\b(i('ll| will) (kill|hurt|stab|shoot) (you|u))\b/i,
+}
+
+// Classic RGB skin-tone rule (Kovac et al.)
+const isSkinPixel = (r, g, b) =>
+  r > 95 &&
+  g > 40 &&
+  b > 20 &&
+  Math.max(r, g, b) - Math.min(r, g, b) > 15 &&
+  Math.abs(r - g) > 15 &&
+  r > g &&
+  r > b
+
+export const localProvider = {
+  name: MODERATION_PROVIDERS.LOCAL,
+
+  async init() {},
+
+  /**
+   * Queue an image for review when most of it is skin-toned
+   * @param {Buffer} imageBuffer
+   */
+  async checkImage(imageBuffer) {
+    const size = MODERATION_CONFIG.LOCAL_SAMPLE_SIZE
+    const pixels = await sharp(imageBuffer)
+      .resize(size, size, { fit: 'fill' })
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer()
+
+    let skin = 0
+    for (let i = 0; i < pixels.length; i += 3) {
+      if (isSkinPixel(pixels[i], pixels[i + 1], pixels[i + 2])) {
+        skin++
+      }
+    }
+    const ratio = skin / (pixels.length / 3)
+    const needsReview = ratio > MODERATION_CONFIG.LOCAL_SKIN_RATIO_THRESHOLD
+
+    return {
+      isNude: false,
+      isDog: true,
+      needsReview,
+      dogBreeds: [],
+      confidence: Number(ratio.toFixed(2)),
+      reason: needsReview
+        ? `Local classifier: ${Math.round(ratio * 100)}% skin-toned pixels, needs review`
+        : 'Local classifier: no issues detected',
+    }
+  },
+
+  /**
+   * Flag text matching any keyword rule
+   * @param {string} text
+   */
+  async checkText(text) {
+    const categories = Object.keys(TEXT_RULES).filter((name) => TEXT_RULES[name].test(text))
+    return {
+      flagged: categories.length > 0,
+      categories,
+      confidence: categories.length ? 1 : 0,
+      reason: categories.length ? `Flagged for ${categories.join(', ')}` : 'No issues detected',
+    }
+  },
+}
+
+export default localProvider
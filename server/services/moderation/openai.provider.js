@@ -0,0 +1,180 @@
+/**
+ * OpenAI moderation provider
+ * Images go to the vision model (nudity + dog/breed detection), text to the moderation endpoint
+ */
+
+import OpenAI from 'openai'
+import { logError, logInfo } from '../../utilities/logger.js'
+import AppError from '../../utilities/AppError.js'
+import { ErrorCodes } from '../../constants/errorCodes.js'
+import { MODERATION_CONFIG, MODERATION_PROVIDERS } from '../../constants/index.js'
+
+let openai
+
+const IMAGE_PROMPT = `Analyze this image for:
+1. Nudity or explicit sexual content
+2. Whether it contains a dog (or multiple dogs)
+3. If dog(s) detected, identify the breed(s) with confidence
+
+For a family-friendly dog dating app, determine:
+- If this image is appropriate (no nudity/explicit content)
+- What dog breed(s) are in the image (if any)
+- Confidence level for each breed detection
+
+Consider common dog breeds: labrador, golden_retriever, german_shepherd, bulldog, poodle, husky, beagle, dachshund, french_bulldog, corgi, etc.
+
+Respond ONLY with a JSON object in this exact format:
+{
+  "isInappropriate": boolean,
+  "isDog": boolean,
+  "dogBreeds": [
+    {
+      "className": "breed_name_lowercase",
+      "probability": 0.95
+    }
+  ],
+  "confidence": number (0.0 to 1.0),
+  "reason": "brief explanation"
+}
+
+Rules:
+- If NO dogs detected, set isDog to false and dogBreeds to []
+- If dogs detected, list TOP 3 most likely breeds with probabilities
+- Probabilities should sum to approximately 1.0
+- Confidence is your certainty about the nudity check (not breed detection)`
+
+const getClient = () => {
+  if (!openai) {
+    throw AppError.internalError(ErrorCodes.EXTERNAL_SERVICE_ERROR, {
+      service: 'OpenAI',
+      reason: 'Client not initialized',
+    })
+  }
+  return openai
+}
+
+export const openaiProvider = {
+  name: MODERATION_PROVIDERS.OPENAI,
+
+  /**
+   * Create the OpenAI client
+   */
+  async init() {
+    if (!process.env.OPENAI_API_KEY) {
+      throw AppError.internalError(ErrorCodes.EXTERNAL_SERVICE_ERROR, {
+        service: 'OpenAI',
+        reason: 'API key not configured',
+      })
+    }
+
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: 30000, // 30 second timeout for API calls
+      maxRetries: 2, // Retry up to 2 times on failure
+    })
+
+    logInfo('moderation.openai', '✓ OpenAI Vision API ready for image analysis')
+  },
+
+  /**
+   * Check image for nudity and dog content using OpenAI's Vision API
+   * @param {Buffer} imageBuffer - Image buffer to check
+   * @returns {Promise<{isNude: boolean, isDog: boolean, dogBreeds: Array, confidence: number, reason: string}>}
+   */
+  async checkImage(imageBuffer) {
+    const client = getClient()
+    const base64Image = imageBuffer.toString('base64')
+
+    logInfo('moderation.openai', 'Analyzing image for content and dog classification...')
+
+    const response = await client.chat.completions.create({
+      model: MODERATION_CONFIG.OPENAI_VISION_MODEL,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'image_url',
+              image_url: {
+                url: `data:image/jpeg;base64,${base64Image}`,
+              },
+            },
+            { type: 'text', text: IMAGE_PROMPT },
+          ],
+        },
+      ],
+      max_completion_tokens: 200,
+    })
+
+    const content = response.choices[0].message.content
+    logInfo('moderation.openai', 'OpenAI response received')
+
+    if (!content) {
+      throw AppError.internalError(ErrorCodes.EXTERNAL_SERVICE_ERROR, {
+        service: 'OpenAI Vision',
+        reason: 'Empty response from API',
+      })
+    }
+
+    let result
+    try {
+      // Extract JSON from response (may be wrapped in markdown code blocks)
+      const jsonMatch = content.match(/\{[\s\S]*\}/)
+      if (!jsonMatch) {
+        throw AppError.internalError(ErrorCodes.EXTERNAL_SERVICE_ERROR, {
+          service: 'OpenAI Vision',
+          reason: 'Invalid response format - no JSON found',
+        })
+      }
+      result = JSON.parse(jsonMatch[0])
+    } catch (parseError) {
+      logError('moderation.openai', 'Failed to parse OpenAI response', parseError, {
+        content,
+      })
+      // If we can't parse, default to allowing the image
+      return {
+        isNude: false,
+        isDog: false,
+        dogBreeds: [],
+        confidence: 0,
+        reason: 'Could not analyze image',
+      }
+    }
+
+    return {
+      isNude: result.isInappropriate || false,
+      isDog: result.isDog || false,
+      dogBreeds: Array.isArray(result.dogBreeds) ? result.dogBreeds : [],
+      confidence: result.confidence || 0,
+      reason: result.reason || 'No issues detected',
+    }
+  },
+
+  /**
+   * Check text with OpenAI's moderation endpoint
+   * @param {string} text
+   * @returns {Promise<{flagged: boolean, categories: string[], confidence: number, reason: string}>}
+   */
+  async checkText(text) {
+    const client = getClient()
+    const response = await client.moderations.create({
+      model: MODERATION_CONFIG.OPENAI_TEXT_MODEL,
+      input: text,
+    })
+
+    const [result] = response.results
+    const categories = Object.keys(result.categories).filter((name) => result.categories[name])
+    const confidence = categories.length
+      ? Math.max(...categories.map((name) => result.category_scores[name] || 0))
+      : 0
+
+    return {
+      flagged: result.flagged,
+      categories,
+      confidence,
+      reason: categories.length ? `Flagged for ${categories.join(', ')}` : 'No issues detected',
+    }
+  },
+}
+
+export default openaiProvider
@@ -0,0 +1,38 @@
+/**
+ * Stub moderation provider
+ * Returns the same verdict for every input (MODERATION_STUB_VERDICT=allow|flag) so e2e tests
+ * can exercise both paths without a network or a classifier. Rejected in production.
+ */
+
+import { MODERATION_CONFIG, MODERATION_PROVIDERS } from '../../constants/index.js'
+
+const flagged = () => MODERATION_CONFIG.STUB_VERDICT === 'flag'
+
+export const stubProvider = {
+  name: MODERATION_PROVIDERS.STUB,
+
+  async init() {},
+
+  async checkImage() {
+    const isNude = flagged()
+    return {
+      isNude,
+      isDog: !isNude,
+      dogBreeds: [],
+      confidence: 1,
+      reason: isNude ? 'Stub verdict: flag' : 'Stub verdict: allow',
+    }
+  },
+
+  async checkText() {
+    const isFlagged = flagged()
+    return {
+      flagged: isFlagged,
+      categories: isFlagged ? ['stub'] : [],
+      confidence: 1,
+      reason: isFlagged ? 'Stub verdict: flag' : 'Stub verdict: allow',
+    }
+  },
+}
+
+export default stubProvider
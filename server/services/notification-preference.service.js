@@ -0,0 +1,186 @@
+/**
+ * Notification Preference Service
+ * Per-user channel toggles (email / push / in-app) for each notification event, quiet hours,
+ * and the queue of emails held back for the digest job.
+ */
+
+import { NotificationPreference } from '../models/notification-preference.model.js'
+import { PendingNotification } from '../models/pending-notification.model.js'
+import {
+  EMAIL_DIGEST_MODES,
+  NOTIFICATION_DEFAULTS,
+  NOTIFICATION_DIGEST_CONFIG,
+} from '../constants/index.js'
+import { getMinutesInTimeZone } from '../utilities/timeZone.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00', timeZone: 'UTC' }
+
+// Preferences as the API returns them, with defaults filled in for anything unsaved
+const toView = (doc) => ({
+  events: Object.fromEntries(
+    Object.entries(NOTIFICATION_DEFAULTS).map(([event, channels]) => [
+      event,
+      { ...channels, ...doc?.events?.[event] },
+    ])
+  ),
+  emailMode: doc?.emailMode || EMAIL_DIGEST_MODES.INSTANT,
+  quietHours: { ...DEFAULT_QUIET_HOURS, ...doc?.quietHours },
+  lastDigestSentAt: doc?.lastDigestSentAt || null,
+})
+
+// 'HH:mm' -> minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+export const notificationPreferenceService = {
+  /**
+   * A user's preferences, or the defaults if they never saved any
+   * @param {ObjectId|string} userId - User _id
+   */
+  async get(userId) {
+    const doc = await NotificationPreference.findOne({ userId }).lean()
+    return toView(doc)
+  },
+
+  /**
+   * Save a partial update. Only the given events/channels/quiet hour fields change.
+   * @param {Object} updates - { events: { like: { email } }, emailMode, quietHours: { start } }
+   */
+  async update(userId, { events = {}, emailMode, quietHours = {} }) {
+    const $set = {}
+    for (const [event, channels] of Object.entries(events)) {
+      for (const [channel, enabled] of Object.entries(channels)) {
+        $set[`events.${event}.${channel}`] = enabled
+      }
+    }
+    if (emailMode) {
+      $set.emailMode = emailMode
+    }
+    for (const field of Object.keys(DEFAULT_QUIET_HOURS)) {
+      if (quietHours[field] !== undefined) {
+        $set[`quietHours.${field}`] = quietHours[field]
+      }
+    }
+
+    const doc = await NotificationPreference.findOneAndUpdate(
+      { userId },
+      { $set },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean()
+    return toView(doc)
+  },
+
+  /**
+   * Whether a user wants an event on a channel
+   * @param {Object} prefs - From get()
+   * @param {string} event - NOTIFICATION_EVENTS value
+   * @param {string} channel - NOTIFICATION_CHANNELS value
+   */
+  isEnabled(prefs, event, channel) {
+    return prefs.events[event]?.[channel] !== false
+  },
+
+  /**
+   * Whether `now` falls inside the user's quiet hours
+   */
+  isQuietTime(prefs, now = new Date()) {
+    const { enabled, start, end, timeZone } = prefs.quietHours
+    if (!enabled || start === end) {
+      return false
+    }
+    const current = getMinutesInTimeZone(now, timeZone)
+    const from = toMinutes(start)
+    const to = toMinutes(end)
+    // Window past midnight (22:00 - 07:00)
+    if (from > to) {
+      return current >= from || current < to
+    }
+    return current >= from && current < to
+  },
+
+  /**
+   * Whether the digest job should email a user with pending items now
+   */
+  isDigestDue(prefs, now = new Date()) {
+    if (this.isQuietTime(prefs, now)) {
+      return false
+    }
+    const { emailMode, lastDigestSentAt } = prefs
+    if (emailMode === EMAIL_DIGEST_MODES.INSTANT || !lastDigestSentAt) {
+      return true
+    }
+    const intervalHours =
+      emailMode === EMAIL_DIGEST_MODES.WEEKLY
+        ? NOTIFICATION_DIGEST_CONFIG.WEEKLY_INTERVAL_HOURS
+        : NOTIFICATION_DIGEST_CONFIG.DAILY_INTERVAL_HOURS
+    return now - new Date(lastDigestSentAt) >= intervalHours * HOUR_MS
+  },
+
+  /**
+   * Hold an email notification for the digest job
+   */
+  async queue(userId, event, summary) {
+    return PendingNotification.create({ userId, event, summary })
+  },
+
+  /**
+   * Users with at least one pending email notification
+   * @returns {Promise<ObjectId[]>}
+   */
+  async getPendingUserIds() {
+    return PendingNotification.distinct('userId')
+  },
+
+  /**
+   * A user's pending notifications, oldest first
+   */
+  async getPending(userId) {
+    return PendingNotification.find({ userId }).sort({ createdAt: 1 }).lean()
+  },
+
+  /**
+   * Delete pending notifications once they were emailed (or are no longer wanted)
+   */
+  async clearPending(ids) {
+    return PendingNotification.deleteMany({ _id: { $in: ids } })
+  },
+
+  /**
+   * Record a digest send. Fails if another run already sent one since `lastDigestSentAt`,
+   * so overlapping job runs never email twice. Users who never saved preferences have no
+   * document yet, so the claim creates it.
+   * @returns {Promise<boolean>} Whether this caller claimed the send
+   */
+  async claimDigest(userId, lastDigestSentAt) {
+    try {
+      const { modifiedCount, upsertedCount } = await NotificationPreference.updateOne(
+        { userId, lastDigestSentAt },
+        { lastDigestSentAt: new Date() },
+        { upsert: true }
+      )
+      return modifiedCount + upsertedCount > 0
+    } catch (error) {
+      // The document exists with a newer lastDigestSentAt (userId is unique): another run won
+      if (error.code === 11000) {
+        return false
+      }
+      throw error
+    }
+  },
+
+  /**
+   * Remove a user's preferences and pending notifications (account deletion)
+   */
+  async removeUser(userId) {
+    await Promise.all([
+      NotificationPreference.deleteMany({ userId }),
+      PendingNotification.deleteMany({ userId }),
+    ])
+  },
+}
+
+export default notificationPreferenceService
@@ -0,0 +1,114 @@
+/**
+ * Notification Service
+ * Delivers a realtime event over the user's socket when they are online, and falls back to a
+ * Web Push notification when they are not. Email notifications are sent right away or held for
+ * the digest job. Every channel respects the user's notification preferences and quiet hours.
+ */
+
+import { getReceiverSocketId, io } from '../lib/socket.js'
+import { pushService } from './push.service.js'
+import { notificationPreferenceService } from './notification-preference.service.js'
+import { logError } from '../utilities/logger.js'
+import { SocketEvents } from '../constants/socketEvents.js'
+import {
+  EMAIL_DIGEST_MODES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+} from '../constants/index.js'
+
+// Preference event for each socket event that notifies the user
+const PREFERENCE_EVENTS = {
+  [SocketEvents.USER_LIKED]: NOTIFICATION_EVENTS.LIKE,
+  [SocketEvents.NEW_MATCH]: NOTIFICATION_EVENTS.MATCH,
+  [SocketEvents.NEW_MESSAGE]: NOTIFICATION_EVENTS.MESSAGE,
+}
+
+export const notificationService = {
+  /**
+   * Emit an event to a user, or push it if they have no live socket. The socket event is always
+   * emitted (the client refreshes its state from it); `inApp` in the payload tells the client
+   * whether to show a toast.
+   * @param {Object} options
+   * @param {ObjectId|string} options.userId - User _id (push subscriptions are keyed by _id)
+   * @param {string} options.event - SocketEvents value
+   * @param {Object} options.payload - Socket payload
+   * @param {Object} options.push - { title, body, url, tag } shown by the service worker
+   * @returns {Promise<'socket'|'push'|null>} How the user was reached
+   */
+  async notify({ userId, event, payload, push }) {
+    const socketId = getReceiverSocketId(String(userId))
+    if (socketId) {
+      const prefs = await notificationPreferenceService.get(userId)
+      const inApp = notificationPreferenceService.isEnabled(
+        prefs,
+        PREFERENCE_EVENTS[event],
+        NOTIFICATION_CHANNELS.IN_APP
+      )
+      io.to(socketId).emit(event, { ...payload, inApp })
+      return 'socket'
+    }
+    return (await this.push(userId, event, push)) ? 'push' : null
+  },
+
+  /**
+   * Push a notification for an event without trying the socket first (for callers that
+   * already emitted, e.g. with an acknowledgement). Skipped when the user turned push off for
+   * the event or is in quiet hours. Never throws.
+   * @returns {Promise<boolean>} Whether any browser accepted it
+   */
+  async push(userId, event, push) {
+    try {
+      const prefs = await notificationPreferenceService.get(userId)
+      if (
+        !notificationPreferenceService.isEnabled(
+          prefs,
+          PREFERENCE_EVENTS[event],
+          NOTIFICATION_CHANNELS.PUSH
+        ) ||
+        notificationPreferenceService.isQuietTime(prefs)
+      ) {
+        return false
+      }
+      const delivered = await pushService.sendToUser(userId, { ...push, event })
+      return delivered > 0
+    } catch (error) {
+      logError('notification.service', `Failed to push ${event}`, error)
+      return false
+    }
+  },
+
+  /**
+   * Email a user about an event, or queue a digest line for the digest job when they chose a
+   * daily/weekly digest, are in quiet hours, or no instant email exists for the event
+   * (`send` omitted). Never throws.
+   * @param {Object} options
+   * @param {ObjectId|string} options.userId - User _id
+   * @param {string} options.event - NOTIFICATION_EVENTS value
+   * @param {string} options.summary - Digest line, e.g. "Sam and Rex liked your profile"
+   * @param {Function} [options.send] - Sends the instant email
+   * @returns {Promise<'sent'|'queued'|null>} null when the user turned email off for the event
+   */
+  async email({ userId, event, summary, send }) {
+    try {
+      const prefs = await notificationPreferenceService.get(userId)
+      if (!notificationPreferenceService.isEnabled(prefs, event, NOTIFICATION_CHANNELS.EMAIL)) {
+        return null
+      }
+      if (
+        send &&
+        prefs.emailMode === EMAIL_DIGEST_MODES.INSTANT &&
+        !notificationPreferenceService.isQuietTime(prefs)
+      ) {
+        await send()
+        return 'sent'
+      }
+      await notificationPreferenceService.queue(userId, event, summary)
+      return 'queued'
+    } catch (error) {
+      logError('notification.service', `Failed to email ${event}`, error)
+      return null
+    }
+  },
+}
+
+export default notificationService
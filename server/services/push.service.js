@@ -0,0 +1,142 @@
+/**
+ * Push Service
+ * Stores browser Web Push subscriptions and sends VAPID-signed notifications to them.
+ * Push is disabled (every send is a no-op) unless VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are set.
+ */
+
+import webpush from 'web-push'
+import { PushSubscription } from '../models/push-subscription.model.js'
+import { logError, logInfo } from '../utilities/logger.js'
+import { PUSH_CONFIG } from '../constants/index.js'
+
+// Push services answer 404/410 for subscriptions the browser has dropped
+const GONE_STATUS_CODES = [404, 410]
+
+let vapidConfigured = false
+
+const isConfigured = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY)
+
+// Set the VAPID details once, on first send
+const ensureVapid = () => {
+  if (!vapidConfigured) {
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || PUSH_CONFIG.DEFAULT_SUBJECT,
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    )
+    vapidConfigured = true
+  }
+}
+
+export const pushService = {
+  isConfigured,
+
+  /**
+   * Public VAPID key the client passes to pushManager.subscribe()
+   * @returns {string|null} null when push is not configured
+   */
+  getPublicKey() {
+    return isConfigured() ? process.env.VAPID_PUBLIC_KEY : null
+  },
+
+  /**
+   * Save a subscription for a user, keeping at most MAX_SUBSCRIPTIONS_PER_USER per user
+   * @param {ObjectId|string} userId - User _id
+   * @param {Object} subscription - { endpoint, keys: { p256dh, auth }, expirationTime }
+   */
+  async subscribe(userId, { endpoint, keys, expirationTime = null }, userAgent = '') {
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        userId,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        expirationTime: expirationTime ? new Date(expirationTime) : null,
+        userAgent,
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+
+    const stale = await PushSubscription.find({ userId }, { _id: 1 })
+      .sort({ createdAt: -1 })
+      .skip(PUSH_CONFIG.MAX_SUBSCRIPTIONS_PER_USER)
+      .lean()
+    if (stale.length) {
+      await PushSubscription.deleteMany({ _id: { $in: stale.map((s) => s._id) } })
+    }
+    return saved
+  },
+
+  /**
+   * Remove one of a user's subscriptions
+   * @returns {Promise<boolean>} false if the user had no subscription with this endpoint
+   */
+  async unsubscribe(userId, endpoint) {
+    const { deletedCount } = await PushSubscription.deleteOne({ userId, endpoint })
+    return deletedCount > 0
+  },
+
+  /**
+   * Remove every subscription of a user (account deletion)
+   */
+  async removeUser(userId) {
+    return PushSubscription.deleteMany({ userId })
+  },
+
+  /**
+   * Send a notification to every browser a user subscribed. Failures are logged, and
+   * subscriptions the push service reports as gone are deleted.
+   * @param {ObjectId|string} userId - User _id
+   * @param {Object} notification - { title, body, url, tag, event } read by the client sw.js
+   * @returns {Promise<number>} How many browsers accepted the notification
+   */
+  async sendToUser(userId, notification) {
+    if (!isConfigured()) {
+      return 0
+    }
+    const subscriptions = await PushSubscription.find({ userId }).lean()
+    if (subscriptions.length === 0) {
+      return 0
+    }
+
+    ensureVapid()
+    const payload = JSON.stringify(notification)
+    const results = await Promise.allSettled(
+      subscriptions.map((subscription) =>
+        webpush.sendNotification(
+          { endpoint: subscription.endpoint, keys: subscription.keys },
+          payload,
+          { TTL: PUSH_CONFIG.TTL_SECONDS }
+        )
+      )
+    )
+
+    const gone = []
+    const delivered = []
+    results.forEach((result, i) => {
+      const subscription = subscriptions[i]
+      if (result.status === 'fulfilled') {
+        delivered.push(subscription._id)
+      } else if (GONE_STATUS_CODES.includes(result.reason?.statusCode)) {
+        gone.push(subscription._id)
+      } else {
+        logError('push.service', 'Failed to send push notification', result.reason, {
+          userId: String(userId),
+          statusCode: result.reason?.statusCode,
+        })
+      }
+    })
+
+    await Promise.all([
+      gone.length && PushSubscription.deleteMany({ _id: { $in: gone } }),
+      delivered.length &&
+        PushSubscription.updateMany({ _id: { $in: delivered } }, { lastSuccessAt: new Date() }),
+    ])
+    if (gone.length) {
+      logInfo('push.service', `Removed ${gone.length} expired push subscription(s)`)
+    }
+    return delivered.length
+  },
+}
+
+export default pushService
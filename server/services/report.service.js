@@ -0,0 +1,172 @@
+/**
+ * Report Service
+ * User reports and the admin moderation queue
+ *
+ * Reports reference users by user_id. Evidence messages are copied onto the report when it is
+ * filed; only messages exchanged between the reporter and the reported user are accepted.
+ */
+
+import { Report } from '../models/report.model.js'
+import Message from '../models/message.model.js'
+import { REPORT_STATUS, REPORT_CONFIG } from '../constants/index.js'
+
+const OPEN_STATUSES = [REPORT_STATUS.OPEN, REPORT_STATUS.IN_REVIEW]
+const PRIORITY_ORDER = ['high', 'normal', 'low']
+
+// Public profile fields shown next to a report in the admin queue
+const userSummaryLookup = (localField, as) => ({
+  $lookup: {
+    from: 'users',
+    let: { userId: `$${localField}` },
+    pipeline: [
+      { $match: { $expr: { $eq: ['$user_id', '$$userId'] } } },
+      { $project: { _id: 1, user_id: 1, userName: 1, email: 1, dogs_name: 1 } },
+    ],
+    as,
+  },
+})
+
+export const reportService = {
+  /**
+   * Whether the reporter already has an unresolved report about this user
+   */
+  async hasOpenReport(reporterId, reportedUserId) {
+    return Boolean(
+      await Report.exists({ reporterId, reportedUserId, status: { $in: OPEN_STATUSES } })
+    )
+  },
+
+  /**
+   * Snapshot evidence messages. Text/any messages must be between the two users; image
+   * evidence must be an image the reported user sent.
+   * @param {Object} reporter - { _id }
+   * @param {Object} reportedUser - { _id }
+   * @returns {Promise<Array|null>} Evidence entries, or null if any id is not valid evidence
+   */
+  async collectEvidence(reporter, reportedUser, { messageIds = [], imageIds = [] } = {}) {
+    const ids = [...new Set([...messageIds, ...imageIds])]
+    if (ids.length === 0) {
+      return []
+    }
+
+    const messages = await Message.find({
+      _id: { $in: ids },
+      $or: [
+        { senderId: reporter._id, receiverId: reportedUser._id },
+        { senderId: reportedUser._id, receiverId: reporter._id },
+      ],
+    }).lean()
+    const byId = new Map(messages.map((message) => [message._id.toString(), message]))
+
+    const evidence = []
+    for (const id of messageIds) {
+      const message = byId.get(id)
+      if (!message) {
+        return null
+      }
+      evidence.push({ kind: 'message', message })
+    }
+    for (const id of imageIds) {
+      const message = byId.get(id)
+      if (!message?.image || message.senderId.toString() !== reportedUser._id.toString()) {
+        return null
+      }
+      evidence.push({ kind: 'image', message })
+    }
+
+    return evidence.map(({ kind, message }) => ({
+      messageId: message._id,
+      kind,
+      senderId: message.senderId,
+      text: message.text,
+      image: kind === 'image' ? message.image : undefined,
+      sentAt: message.createdAt,
+    }))
+  },
+
+  /**
+   * File a report
+   */
+  async create(reporterId, reportedUserId, { reason, details = '', evidence = [] }) {
+    return Report.create({
+      reporterId,
+      reportedUserId,
+      reason,
+      details,
+      evidence,
+      priority: REPORT_CONFIG.HIGH_PRIORITY_REASONS.includes(reason) ? 'high' : 'normal',
+    })
+  },
+
+  /**
+   * Admin queue, most urgent first then oldest first
+   * @param {Object} options
+   * @param {string[]} options.statuses - Defaults to open and in-review reports
+   * @returns {Promise<{reports: Array, total: number}>}
+   */
+  async list({ statuses = OPEN_STATUSES, limit = 20, skip = 0 } = {}) {
+    const match = { status: { $in: statuses } }
+    const [reports, total] = await Promise.all([
+      Report.aggregate([
+        { $match: match },
+        { $addFields: { priorityRank: { $indexOfArray: [PRIORITY_ORDER, '$priority'] } } },
+        { $sort: { priorityRank: 1, createdAt: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+        userSummaryLookup('reporterId', 'reporter'),
+        userSummaryLookup('reportedUserId', 'reportedUser'),
+        {
+          $set: {
+            reporter: { $first: '$reporter' },
+            reportedUser: { $first: '$reportedUser' },
+          },
+        },
+        { $project: { priorityRank: 0 } },
+      ]),
+      Report.countDocuments(match),
+    ])
+    return { reports, total }
+  },
+
+  /**
+   * Take a report into review, optionally changing its priority
+   * @param {Object} [session] - Session from withTransaction
+   * @returns {Promise<Object|null>} null if the report is already closed
+   */
+  async triage(reportId, adminUserId, { priority } = {}, session = null) {
+    const update = {
+      status: REPORT_STATUS.IN_REVIEW,
+      assignedTo: adminUserId,
+      triagedAt: new Date(),
+    }
+    if (priority) {
+      update.priority = priority
+    }
+    return Report.findOneAndUpdate(
+      { _id: reportId, status: { $in: OPEN_STATUSES } },
+      { $set: update },
+      { new: true, session }
+    )
+  },
+
+  /**
+   * Close a report as resolved (action taken) or dismissed
+   * @param {Object} [session] - Session from withTransaction
+   * @returns {Promise<Object|null>} null if the report is already closed
+   */
+  async resolve(reportId, adminUserId, { status, action = 'none', note = '' }, session = null) {
+    return Report.findOneAndUpdate(
+      { _id: reportId, status: { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          status,
+          assignedTo: adminUserId,
+          resolution: { action, note, resolvedBy: adminUserId, resolvedAt: new Date() },
+        },
+      },
+      { new: true, session }
+    )
+  },
+}
+
+export default reportService
@@ -33,9 +33,18 @@ export const stripeService = {
   },
 
   // Create checkout session for subscription
-  async createSubscriptionCheckout(customerId, priceId, userId, successUrl, cancelUrl) {
+  // options.trialDays starts the subscription with a free trial; options.promotionCodeId or
+  // options.couponId applies a discount (otherwise customers can enter a code on the Stripe page)
+  async createSubscriptionCheckout(
+    customerId,
+    priceId,
+    userId,
+    successUrl,
+    cancelUrl,
+    { trialDays = 0, promotionCodeId = null, couponId = null } = {}
+  ) {
     try {
-      const session = await stripe.checkout.sessions.create({
+      const params = {
         customer: customerId,
         payment_method_types: ['card'],
         line_items: [
@@ -51,7 +60,27 @@ export const stripeService = {
         metadata: {
           userId: userId,
         },
-      })
+      }
+
+      // Stripe accepts either a discount or the promotion code field, not both
+      if (promotionCodeId) {
+        params.discounts = [{ promotion_code: promotionCodeId }]
+      } else if (couponId) {
+        params.discounts = [{ coupon: couponId }]
+      } else {
+        params.allow_promotion_codes = true
+      }
+
+      if (trialDays > 0) {
+        params.subscription_data = {
+          trial_period_days: trialDays,
+          // Checkout always collects a card, but never leave a trial running without one
+          trial_settings: { end_behavior: { missing_payment_method: 'cancel' } },
+          metadata: { userId: userId },
+        }
+      }
+
+      const session = await stripe.checkout.sessions.create(params)
       return session
     } catch (error) {
       logError('stripe.service', 'Error creating subscription checkout', error)
@@ -59,6 +88,33 @@ export const stripeService = {
     }
   },
 
+  // Look up an active promotion code by the code customers type (case-insensitive in Stripe)
+  // Returns null if there is no such active code
+  async findPromotionCode(code) {
+    try {
+      const { data } = await stripe.promotionCodes.list({ code, active: true, limit: 1 })
+      return data[0] || null
+    } catch (error) {
+      logError('stripe.service', 'Error looking up promotion code', error)
+      throw error
+    }
+  },
+
+  // Coupon for a signup referral source, from STRIPE_REFERRAL_COUPONS
+  // ("source:couponId,source:couponId"). Returns null for unknown sources.
+  getReferralCouponId(referralSource) {
+    if (!referralSource || !process.env.STRIPE_REFERRAL_COUPONS) {
+      return null
+    }
+    for (const pair of process.env.STRIPE_REFERRAL_COUPONS.split(',')) {
+      const [source, couponId] = pair.split(':').map((part) => part.trim())
+      if (source && couponId && source === referralSource) {
+        return couponId
+      }
+    }
+    return null
+  },
+
   // Create checkout session for one-time credit purchase
   async createCreditsCheckout(customerId, amount, credits, userId, successUrl, cancelUrl) {
     try {
@@ -129,6 +185,22 @@ export const stripeService = {
     }
   },
 
+  // Cancel subscription immediately (no access until the end of the paid period)
+  async cancelSubscriptionNow(subscriptionId, reason) {
+    try {
+      await stripe.subscriptions.update(subscriptionId, {
+        metadata: {
+          cancellation_reason: reason,
+          canceled_at: new Date().toISOString(),
+        },
+      })
+      return await stripe.subscriptions.cancel(subscriptionId)
+    } catch (error) {
+      logError('stripe.service', 'Error canceling subscription immediately', error)
+      throw error
+    }
+  },
+
   // Reactivate subscription
   async reactivateSubscription(subscriptionId) {
     try {
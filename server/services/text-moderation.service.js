@@ -0,0 +1,308 @@
+/**
+ * Text Moderation Service
+ * Runs message text and profile about/userAbout through TEXT_MODERATION_RULES. Each matching
+ * rule blocks the text, masks the matched part, or flags it for admin review. Blocked and
+ * flagged text is recorded as a ContentFlag against its author.
+ */
+
+import Message from '../models/message.model.js'
+import { ContentFlag } from '../models/content-flag.model.js'
+import { moderationService } from './moderation.service.js'
+import {
+  CONTENT_FLAG_STATUS,
+  TEXT_MODERATION_ACTIONS,
+  TEXT_MODERATION_CONFIG,
+  TEXT_MODERATION_CONTEXTS,
+  TEXT_MODERATION_RULES,
+} from '../constants/index.js'
+
+const CLASSIFIER_RULE = 'classifier'
+
+// Rule recorded on image flags (a provider's needsReview verdict)
+const IMAGE_REVIEW_RULE = 'image_review'
+
+/**
+ * Problems with a TEXT_MODERATION_RULE_ACTIONS value (used by validateEnv)
+ * @param {string} raw - JSON object of rule id -> action
+ * @returns {string[]} Empty when the value is usable
+ */
+export const validateRuleActionOverrides = (raw) => {
+  let overrides
+  try {
+    overrides = JSON.parse(raw)
+  } catch {
+    return ['TEXT_MODERATION_RULE_ACTIONS must be a JSON object']
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return ['TEXT_MODERATION_RULE_ACTIONS must be a JSON object']
+  }
+
+  const ruleIds = TEXT_MODERATION_RULES.map((rule) => rule.id)
+  const actions = Object.values(TEXT_MODERATION_ACTIONS)
+  const errors = []
+  for (const [id, action] of Object.entries(overrides)) {
+    if (!ruleIds.includes(id)) {
+      errors.push(`TEXT_MODERATION_RULE_ACTIONS has an unknown rule: ${id}`)
+    } else if (!actions.includes(action)) {
+      errors.push(`TEXT_MODERATION_RULE_ACTIONS.${id} must be one of ${actions.join(', ')}`)
+    }
+  }
+  return errors
+}
+
+// Default rules with the env overrides applied (invalid overrides are rejected at startup)
+const rules = (() => {
+  const raw = process.env.TEXT_MODERATION_RULE_ACTIONS
+  const overrides = raw && validateRuleActionOverrides(raw).length === 0 ? JSON.parse(raw) : {}
+  return TEXT_MODERATION_RULES.map((rule) => ({
+    ...rule,
+    action: overrides[rule.id] || rule.action,
+  }))
+})()
+
+const mask = (match) => TEXT_MODERATION_CONFIG.MASK_CHARACTER.repeat(match.length)
+
+export const textModerationService = {
+  /**
+   * Whether two users have exchanged fewer than EARLY_MESSAGE_COUNT messages
+   * @param {ObjectId|string} senderId - User _id
+   * @param {ObjectId|string} receiverId - User _id
+   */
+  async isEarlyMessage(senderId, receiverId) {
+    const exchanged = await Message.countDocuments(
+      {
+        $or: [
+          { senderId, receiverId },
+          { senderId: receiverId, receiverId: senderId },
+        ],
+      },
+      { limit: TEXT_MODERATION_CONFIG.EARLY_MESSAGE_COUNT }
+    )
+    return exchanged < TEXT_MODERATION_CONFIG.EARLY_MESSAGE_COUNT
+  },
+
+  /**
+   * Run text through every enabled rule for the context
+   * @param {string} text
+   * @param {Object} options
+   * @param {string} options.context - TEXT_MODERATION_CONTEXTS value
+   * @param {boolean} options.isEarlyMessage - false skips earlyMessagesOnly rules (messages only)
+   * @returns {Promise<{text: string, blocked: boolean, flagged: boolean, masked: boolean,
+   *   rules: string[], categories: string[]}>} text has mask rules applied
+   */
+  async moderate(text, { context, isEarlyMessage = true }) {
+    const result = {
+      text,
+      blocked: false,
+      flagged: false,
+      masked: false,
+      rules: [],
+      categories: [],
+    }
+    if (!text) {
+      return result
+    }
+
+    for (const rule of rules) {
+      if (rule.action === TEXT_MODERATION_ACTIONS.OFF || !rule.contexts.includes(context)) {
+        continue
+      }
+      if (
+        rule.earlyMessagesOnly &&
+        context === TEXT_MODERATION_CONTEXTS.MESSAGE &&
+        !isEarlyMessage
+      ) {
+        continue
+      }
+
+      let categories = [rule.category]
+      if (rule.id === CLASSIFIER_RULE) {
+        const verdict = await moderationService.checkText(text)
+        if (!verdict.flagged) {
+          continue
+        }
+        categories = verdict.categories.length ? verdict.categories : categories
+      } else if (!text.match(rule.pattern)) {
+        continue
+      }
+
+      result.rules.push(rule.id)
+      result.categories.push(...categories.filter((c) => !result.categories.includes(c)))
+
+      if (rule.action === TEXT_MODERATION_ACTIONS.BLOCK) {
+        result.blocked = true
+      } else if (rule.action === TEXT_MODERATION_ACTIONS.FLAG) {
+        result.flagged = true
+      } else if (rule.action === TEXT_MODERATION_ACTIONS.MASK && rule.pattern) {
+        result.text = result.text.replace(rule.pattern, mask)
+        result.masked = true
+      }
+    }
+
+    return result
+  },
+
+  /**
+   * Record blocked or flagged text against its author. Masked-only text is not recorded.
+   * @param {Object} flag - { userId, context, field, messageId, text, result }
+   * @returns {Promise<Object|null>} The ContentFlag, or null if there was nothing to record
+   */
+  async recordFlag({ userId, context, field, messageId = null, text, result }) {
+    if (!result.blocked && !result.flagged) {
+      return null
+    }
+    return ContentFlag.create({
+      userId,
+      context,
+      field,
+      messageId,
+      action: result.blocked ? TEXT_MODERATION_ACTIONS.BLOCK : TEXT_MODERATION_ACTIONS.FLAG,
+      rules: result.rules,
+      categories: result.categories,
+      excerpt: text.slice(0, TEXT_MODERATION_CONFIG.MAX_EXCERPT_LENGTH),
+    })
+  },
+
+  /**
+   * Queue an uploaded image that the moderation provider could not clear (needsReview) for
+   * admin review. The image itself is kept.
+   * @param {Object} flag - { userId, context, field, messageId, result } where result is the
+   *   checkImage verdict
+   * @returns {Promise<Object|null>} The ContentFlag, or null if the image needs no review
+   */
+  async recordImageFlag({ userId, context, field, messageId = null, result }) {
+    if (!result.needsReview) {
+      return null
+    }
+    return ContentFlag.create({
+      userId,
+      context,
+      field,
+      messageId,
+      action: TEXT_MODERATION_ACTIONS.FLAG,
+      rules: [IMAGE_REVIEW_RULE],
+      categories: ['sexual'],
+      excerpt: result.reason.slice(0, TEXT_MODERATION_CONFIG.MAX_EXCERPT_LENGTH),
+    })
+  },
+
+  /**
+   * Moderate the free-text fields of a profile update and record any flags
+   * @param {string} userId - Author user_id
+   * @param {Object} fields - e.g. { about, userAbout }; empty values are skipped
+   * @returns {Promise<{blocked: boolean, categories: string[], fields: Object}>} fields holds
+   *   the masked values to save
+   */
+  async moderateProfile(userId, fields) {
+    const moderated = { blocked: false, categories: [], fields: { ...fields } }
+    for (const [field, value] of Object.entries(fields)) {
+      if (!value) {
+        continue
+      }
+      const result = await this.moderate(value, { context: TEXT_MODERATION_CONTEXTS.PROFILE })
+      await this.recordFlag({
+        userId,
+        context: TEXT_MODERATION_CONTEXTS.PROFILE,
+        field,
+        text: value,
+        result,
+      })
+      moderated.fields[field] = result.text
+      if (result.blocked) {
+        moderated.blocked = true
+        moderated.categories.push(...result.categories)
+      }
+    }
+    return moderated
+  },
+
+  /**
+   * Content flags, newest first
+   */
+  async listFlags({ userId, statuses, limit = 20, skip = 0 } = {}) {
+    const filter = {}
+    if (userId) {
+      filter.userId = userId
+    }
+    if (statuses?.length) {
+      filter.status = { $in: statuses }
+    }
+    const [flags, total] = await Promise.all([
+      ContentFlag.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      ContentFlag.countDocuments(filter),
+    ])
+    return { flags, total }
+  },
+
+  /**
+   * Users with the most open content flags, for triage
+   * @returns {Promise<{users: Array, total: number}>} users are
+   *   [{ userId, count, lastFlaggedAt, categories, user: { userName, email, isSuspended } }]
+   */
+  async countByUser({ limit = 20, skip = 0 } = {}) {
+    const status = CONTENT_FLAG_STATUS.OPEN
+    const [users, [{ total = 0 } = {}]] = await Promise.all([
+      ContentFlag.aggregate([
+        { $match: { status } },
+        {
+          $group: {
+            _id: '$userId',
+            count: { $sum: 1 },
+            lastFlaggedAt: { $max: '$createdAt' },
+            categories: { $addToSet: '$categories' },
+          },
+        },
+        { $sort: { count: -1, lastFlaggedAt: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: 'user_id',
+            pipeline: [{ $project: { _id: 0, userName: 1, email: 1, isSuspended: 1 } }],
+            as: 'user',
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            userId: '$_id',
+            count: 1,
+            lastFlaggedAt: 1,
+            categories: {
+              $reduce: {
+                input: '$categories',
+                initialValue: [],
+                in: { $setUnion: ['$$value', '$$this'] },
+              },
+            },
+            user: { $first: '$user' },
+          },
+        },
+      ]),
+      ContentFlag.aggregate([
+        { $match: { status } },
+        { $group: { _id: '$userId' } },
+        { $count: 'total' },
+      ]),
+    ])
+    return { users, total }
+  },
+
+  /**
+   * Close an open flag
+   * @param {string} status - REVIEWED (action taken) or DISMISSED (false positive)
+   * @param {Object} [session] - Session from withTransaction
+   * @returns {Promise<Object|null>} Updated flag, or null if it is not open
+   */
+  async review(flagId, adminId, status, session = null) {
+    return ContentFlag.findOneAndUpdate(
+      { _id: flagId, status: CONTENT_FLAG_STATUS.OPEN },
+      { status, reviewedBy: adminId, reviewedAt: new Date() },
+      { new: true, session }
+    ).lean()
+  },
+}
+
+export default textModerationService
@@ -0,0 +1,184 @@
+/**
+ * Webhook Event Service
+ * Stores every Stripe event before it is handled and tracks each attempt. An event is claimed
+ * atomically before a handler runs, so the webhook request, the retry job and admin replays
+ * never process the same event at the same time.
+ */
+
+import { WebhookEvent } from '../models/webhook-event.model.js'
+import { logError } from '../utilities/logger.js'
+import { WEBHOOK_EVENT_CONFIG, WEBHOOK_EVENT_STATUS } from '../constants/index.js'
+
+const { RECEIVED, PROCESSING, PROCESSED, FAILED } = WEBHOOK_EVENT_STATUS
+
+// Listing fields (the payload is only loaded when an event is run)
+const SUMMARY_PROJECTION = { payload: 0 }
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000)
+
+// Failed events wait RETRY_DELAY_MINUTES, doubled after every attempt
+const isRetryDue = (event) =>
+  event.lastAttemptAt <
+  minutesAgo(WEBHOOK_EVENT_CONFIG.RETRY_DELAY_MINUTES * 2 ** Math.max(event.attempts - 1, 0))
+
+export const webhookEventService = {
+  /**
+   * Store a verified Stripe event the first time it arrives
+   * @param {Object} event - Parsed Stripe event
+   * @param {string} payload - Raw request body
+   * @returns {Promise<Object>} The stored event (as first stored, on redelivery)
+   */
+  async record(event, payload) {
+    try {
+      return await WebhookEvent.findOneAndUpdate(
+        { eventId: event.id },
+        {
+          $setOnInsert: {
+            eventId: event.id,
+            type: event.type,
+            payload,
+            stripeCreatedAt: event.created ? new Date(event.created * 1000) : undefined,
+          },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true, projection: SUMMARY_PROJECTION }
+      ).lean()
+    } catch (error) {
+      // Two deliveries raced on the upsert; the other one stored it
+      if (error.code === 11000) {
+        return WebhookEvent.findOne({ eventId: event.id }, SUMMARY_PROJECTION).lean()
+      }
+      throw error
+    }
+  },
+
+  /**
+   * Mark an event handled without running it (e.g. processed before the store existed)
+   */
+  async markProcessed(eventId) {
+    await WebhookEvent.updateOne(
+      { eventId },
+      { $set: { status: PROCESSED, processedAt: new Date(), lastError: null } }
+    )
+  },
+
+  /**
+   * Claim an event and run it through `processor`. Received and failed events can be claimed,
+   * and so can ones left processing for STUCK_AFTER_MINUTES (the server died mid-event).
+   * @param {string} eventId - Stripe event id
+   * @param {Function} processor - async (stripeEvent) => void; throws on failure
+   * @param {Object} [options] - { replayedBy: admin user_id }
+   * @returns {Promise<{status: string, error?: string}|null>} null if the event does not exist,
+   *   is already processed, or is being processed right now
+   */
+  async run(eventId, processor, { replayedBy = null } = {}) {
+    const update = {
+      $set: { status: PROCESSING, lastAttemptAt: new Date() },
+      $inc: { attempts: 1 },
+    }
+    if (replayedBy) {
+      update.$set.replayedBy = replayedBy
+    }
+    const claimed = await WebhookEvent.findOneAndUpdate(
+      {
+        eventId,
+        $or: [
+          { status: { $in: [RECEIVED, FAILED] } },
+          {
+            status: PROCESSING,
+            lastAttemptAt: { $lt: minutesAgo(WEBHOOK_EVENT_CONFIG.STUCK_AFTER_MINUTES) },
+          },
+        ],
+      },
+      update,
+      { new: true }
+    ).lean()
+    if (!claimed) {
+      return null
+    }
+
+    try {
+      await processor(JSON.parse(claimed.payload))
+      await this.markProcessed(eventId)
+      return { status: PROCESSED }
+    } catch (error) {
+      const message = String(error?.message || error).slice(
+        0,
+        WEBHOOK_EVENT_CONFIG.MAX_ERROR_LENGTH
+      )
+      await WebhookEvent.updateOne({ eventId }, { $set: { status: FAILED, lastError: message } })
+      logError('webhook-event.service', `Webhook event ${eventId} failed`, {
+        type: claimed.type,
+        attempt: claimed.attempts,
+        error: message,
+      })
+      return { status: FAILED, error: message }
+    }
+  },
+
+  /**
+   * Events the retry job should run now: failed ones whose backoff has passed (until
+   * MAX_AUTO_ATTEMPTS), and received or processing ones that were never finished
+   * @returns {Promise<string[]>} Event ids, oldest first
+   */
+  async findRetryable() {
+    const stuckBefore = minutesAgo(WEBHOOK_EVENT_CONFIG.STUCK_AFTER_MINUTES)
+    const [failed, stuck] = await Promise.all([
+      WebhookEvent.find(
+        { status: FAILED, attempts: { $lt: WEBHOOK_EVENT_CONFIG.MAX_AUTO_ATTEMPTS } },
+        { eventId: 1, attempts: 1, lastAttemptAt: 1 }
+      )
+        .sort({ lastAttemptAt: 1 })
+        .limit(WEBHOOK_EVENT_CONFIG.RETRY_BATCH_SIZE)
+        .lean(),
+      WebhookEvent.find(
+        {
+          $or: [
+            { status: RECEIVED, createdAt: { $lt: stuckBefore } },
+            { status: PROCESSING, lastAttemptAt: { $lt: stuckBefore } },
+          ],
+        },
+        { eventId: 1 }
+      )
+        .sort({ createdAt: 1 })
+        .limit(WEBHOOK_EVENT_CONFIG.RETRY_BATCH_SIZE)
+        .lean(),
+    ])
+    return [...stuck, ...failed.filter(isRetryDue)].map((event) => event.eventId)
+  },
+
+  /**
+   * Stored events, newest first (failed ones unless statuses are given)
+   * @returns {Promise<{events: Array, total: number}>}
+   */
+  async list({ statuses = [FAILED], limit = 20, skip = 0 } = {}) {
+    const filter = { status: { $in: statuses } }
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter, SUMMARY_PROJECTION)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      WebhookEvent.countDocuments(filter),
+    ])
+    return { events, total }
+  },
+
+  /**
+   * One stored event, including its payload
+   */
+  async get(eventId) {
+    return WebhookEvent.findOne({ eventId }).lean()
+  },
+
+  /**
+   * Failed events the retry job gave up on (they need an admin replay)
+   */
+  async countExhausted() {
+    return WebhookEvent.countDocuments({
+      status: FAILED,
+      attempts: { $gte: WEBHOOK_EVENT_CONFIG.MAX_AUTO_ATTEMPTS },
+    })
+  },
+}
+
+export default webhookEventService
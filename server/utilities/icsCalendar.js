@@ -0,0 +1,84 @@
+/**
+ * iCalendar (.ics) export for accepted meetups
+ * Builds a single-event VCALENDAR per RFC 5545 (CRLF line endings, escaped text values,
+ * lines folded at 75 octets) that calendar apps can import directly.
+ */
+
+import { MEETUP_CONFIG } from '../constants/index.js'
+
+// UTC date-time form: 20250101T170000Z
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '')
+
+// Commas, semicolons and backslashes are separators in TEXT values; newlines become \n
+const escapeText = (value) =>
+  String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+
+// Fold a content line into 75-octet chunks, continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = []
+  let current = ''
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current)
+      current = ''
+    }
+    current += char
+  }
+  chunks.push(current)
+  return chunks.join('\r\n ')
+}
+
+/**
+ * Build the .ics file for a meetup
+ * @param {Object} meetup - Meetup document
+ * @param {Object} details
+ * @param {string} details.summary - Event title
+ * @param {string} details.description - Event notes
+ * @param {string} details.url - Link back to the app
+ * @returns {string} iCalendar text
+ */
+export const buildMeetupIcs = (meetup, { summary, description = '', url = '' }) => {
+  const startsAt = new Date(meetup.startsAt)
+  const endsAt = new Date(startsAt.getTime() + MEETUP_CONFIG.DURATION_MINUTES * 60 * 1000)
+  const [longitude, latitude] = meetup.location?.coordinates || []
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Woof Meetup//Meetups//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:meetup-${meetup._id}@woofmeetup.com`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(startsAt)}`,
+    `DTEND:${formatDate(endsAt)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `LOCATION:${escapeText(meetup.placeName)}`,
+  ]
+
+  if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    lines.push(`GEO:${latitude};${longitude}`)
+  }
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`)
+  }
+  if (url) {
+    lines.push(`URL:${url}`)
+  }
+
+  lines.push('STATUS:CONFIRMED', 'END:VEVENT', 'END:VCALENDAR')
+
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+export default buildMeetupIcs
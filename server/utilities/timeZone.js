@@ -0,0 +1,62 @@
+// Wall-clock helpers for IANA time zones (quiet hours, daily quotas)
+
+/**
+ * Whether Intl knows an IANA time zone name (e.g. "America/Denver")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Wall-clock parts of `date` in timeZone, as numbers
+const getParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date)
+  const get = (type) => parts.find((part) => part.type === type).value
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second')),
+  }
+}
+
+/**
+ * Minutes after midnight of `date` on the wall clock in timeZone
+ */
+export const getMinutesInTimeZone = (date, timeZone) => {
+  const { hour, minute } = getParts(date, timeZone)
+  return hour * 60 + minute
+}
+
+/**
+ * Calendar day of `date` in timeZone, as YYYY-MM-DD
+ */
+export const getLocalDate = (date, timeZone) => getParts(date, timeZone).date
+
+/**
+ * The next midnight in timeZone after `date` (ignores a DST change later the same day)
+ * @returns {Date}
+ */
+export const getNextLocalMidnight = (date, timeZone) => {
+  const { hour, minute, second } = getParts(date, timeZone)
+  const secondsLeft = 24 * 60 * 60 - (hour * 60 * 60 + minute * 60 + second)
+  return new Date(Math.floor(date.getTime() / 1000) * 1000 + secondsLeft * 1000)
+}
@@ -0,0 +1,37 @@
+import jwt from 'jsonwebtoken'
+import { createHmac } from 'crypto'
+import { EMAIL_CATEGORIES, UNSUBSCRIBE_CONFIG } from '../constants/index.js'
+
+// Derived from JWT_SECRET so an unsubscribe token can never verify as a login token
+const getSecret = () =>
+  createHmac('sha256', process.env.JWT_SECRET).update(UNSUBSCRIBE_CONFIG.TOKEN_AUDIENCE).digest()
+
+/**
+ * Signed, expiring token for an email's unsubscribe link
+ * @param {string} email - Recipient address
+ * @param {string} category - EMAIL_CATEGORIES value
+ * @returns {string}
+ */
+export const createUnsubscribeToken = (email, category) =>
+  jwt.sign({ email, category }, getSecret(), {
+    audience: UNSUBSCRIBE_CONFIG.TOKEN_AUDIENCE,
+    expiresIn: `${UNSUBSCRIBE_CONFIG.TOKEN_TTL_DAYS}d`,
+  })
+
+/**
+ * Verify an unsubscribe token
+ * @returns {{email: string, category: string}|null} null if invalid, expired or tampered with
+ */
+export const verifyUnsubscribeToken = (token) => {
+  try {
+    const { email, category } = jwt.verify(token, getSecret(), {
+      audience: UNSUBSCRIBE_CONFIG.TOKEN_AUDIENCE,
+    })
+    if (typeof email !== 'string' || !Object.values(EMAIL_CATEGORIES).includes(category)) {
+      return null
+    }
+    return { email, category }
+  } catch {
+    return null
+  }
+}
@@ -8,6 +8,9 @@
 import { logError, logInfo, logWarning } from './logger.js'
 import AppError from './AppError.js'
 import { ErrorCodes } from '../constants/errorCodes.js'
+import { MODERATION_PROVIDERS } from '../constants/index.js'
+import { resolveProviderName } from '../services/moderation.service.js'
+import { validateRuleActionOverrides } from '../services/text-moderation.service.js'
 
 /**
  * List of required environment variables
@@ -25,7 +28,6 @@ const PRODUCTION_ONLY_ENV_VARS = [
   'CLOUDINARY_API_SECRET',
   'TURNSTILE_SECRET_KEY', // Client-side VITE_TURNSTILE_SITE_KEY is not needed on server
   'MAILTRAP_TOKEN',
-  'OPENAI_API_KEY',
   'AWS_ACCESS_KEY_ID',
   'AWS_SECRET_ACCESS_KEY',
   'AWS_BUCKET_NAME',
@@ -41,6 +43,21 @@ const PRODUCTION_ONLY_ENV_VARS = [
 const OPTIONAL_ENV_VARS = {
   CLIENT_URL: 'http://localhost:5173',
   REDIS_URL: null, // Optional for single-server deployments
+  PASS_EXPIRY_DAYS: '30', // Days before a passed profile can reappear in discovery
+  MODERATION_PROVIDER: null, // Defaults to openai with OPENAI_API_KEY (or in production), else local
+  TEXT_MODERATION_RULE_ACTIONS: null, // JSON overrides of TEXT_MODERATION_RULES actions by rule id
+  VAPID_PUBLIC_KEY: null, // Web Push is disabled without a VAPID key pair
+  VAPID_PRIVATE_KEY: null,
+  VAPID_SUBJECT: null, // mailto: or https: contact sent to push services
+}
+
+/**
+ * Environment variables each content moderation provider needs
+ */
+const MODERATION_PROVIDER_ENV_VARS = {
+  [MODERATION_PROVIDERS.OPENAI]: ['OPENAI_API_KEY'],
+  [MODERATION_PROVIDERS.LOCAL]: [],
+  [MODERATION_PROVIDERS.STUB]: [],
 }
 
 /**
@@ -100,6 +117,43 @@ export const validateEnvironmentVariables = () => {
     errors.push(`PORT must be a valid number, got: ${process.env.PORT}`)
   }
 
+  if (process.env.PASS_EXPIRY_DAYS && !(parseInt(process.env.PASS_EXPIRY_DAYS) > 0)) {
+    errors.push(`PASS_EXPIRY_DAYS must be a positive number, got: ${process.env.PASS_EXPIRY_DAYS}`)
+  }
+
+  // Validate the content moderation provider and its credentials
+  const moderationProvider = resolveProviderName()
+  if (!MODERATION_PROVIDER_ENV_VARS[moderationProvider]) {
+    errors.push(
+      `MODERATION_PROVIDER must be one of ${Object.keys(MODERATION_PROVIDER_ENV_VARS).join(', ')}, got: ${moderationProvider}`
+    )
+  } else {
+    for (const envVar of MODERATION_PROVIDER_ENV_VARS[moderationProvider]) {
+      if (!process.env[envVar]) {
+        errors.push(`Missing ${envVar} required by the ${moderationProvider} moderation provider`)
+      }
+    }
+    // Neither can screen real uploads: stub passes everything, local only queues for review
+    const offlineProviders = [MODERATION_PROVIDERS.STUB, MODERATION_PROVIDERS.LOCAL]
+    if (offlineProviders.includes(moderationProvider) && process.env.NODE_ENV === 'production') {
+      errors.push(`The ${moderationProvider} moderation provider cannot be used in production`)
+    }
+  }
+
+  if (process.env.TEXT_MODERATION_RULE_ACTIONS) {
+    errors.push(...validateRuleActionOverrides(process.env.TEXT_MODERATION_RULE_ACTIONS))
+  }
+
+  // Web Push needs both halves of the VAPID key pair
+  if (Boolean(process.env.VAPID_PUBLIC_KEY) !== Boolean(process.env.VAPID_PRIVATE_KEY)) {
+    errors.push('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set together')
+  }
+  if (process.env.VAPID_SUBJECT && !/^(mailto:|https:\/\/)/.test(process.env.VAPID_SUBJECT)) {
+    errors.push(
+      `VAPID_SUBJECT must be a mailto: or https:// URL, got: ${process.env.VAPID_SUBJECT}`
+    )
+  }
+
   // Log warnings
   for (const warning of warnings) {
     logWarning('env-validator', warning)
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import {
+  CREDIT_LEDGER_TYPES,
+  SUBSCRIPTION_BENEFITS,
+  SUBSCRIPTION_TYPES,
+} from '../../server/constants/index.js'
+
+dotenv.config()
+
+/**
+ * One-off migration: give active premium and VIP subscribers their first monthly credits
+ *
+ * Paid plans used to message without spending credits. They now spend credits like free
+ * users and are granted SUBSCRIPTION_BENEFITS[plan].messageCredits on every paid invoice,
+ * so a subscriber who has not been invoiced since that change would be locked out until
+ * their next renewal. Run this on deploy: every active subscriber with no grant in the
+ * credit ledger gets one period's credits now.
+ *
+ * Safe to re-run - the grant is keyed on the user, so nobody is granted twice.
+ *
+ * Usage:
+ *   node shscripts/mongodb/grant-subscriber-credits.js            # apply
+ *   node shscripts/mongodb/grant-subscriber-credits.js --dry-run  # report only
+ */
+
+const isDryRun = process.argv.includes('--dry-run')
+const PAID_PLANS = [SUBSCRIPTION_TYPES.PREMIUM, SUBSCRIPTION_TYPES.VIP]
+
+async function grantSubscriberCredits() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.URI
+
+    if (!mongoUri) {
+      console.error('❌ MongoDB URI not found in .env file')
+      process.exit(1)
+    }
+
+    await mongoose.connect(mongoUri)
+    console.log('✅ Connected to MongoDB\n')
+
+    const users = mongoose.connection.collection('users')
+    const ledger = mongoose.connection.collection('creditledgerentries')
+
+    // Same rule as entitlementService.getPlan: past_due and canceled plans have lapsed
+    const query = {
+      subscription: { $in: PAID_PLANS },
+      subscriptionStatus: { $nin: ['past_due', 'canceled'] },
+    }
+
+    const total = await users.countDocuments(query)
+    console.log(`💳 Active paid subscribers: ${total}`)
+
+    let granted = 0
+    let skipped = 0
+    const cursor = users.find(query, { projection: { subscription: 1, messageCredits: 1 } })
+
+    for await (const user of cursor) {
+      if (await ledger.findOne({ userId: user._id, type: CREDIT_LEDGER_TYPES.GRANT })) {
+        skipped++
+        continue
+      }
+      if (isDryRun) {
+        granted++
+        continue
+      }
+
+      const credits = SUBSCRIPTION_BENEFITS[user.subscription].messageCredits
+      try {
+        // Ledger first: the unique referenceId stops a concurrent run from granting twice
+        await ledger.insertOne({
+          userId: user._id,
+          type: CREDIT_LEDGER_TYPES.GRANT,
+          amount: credits,
+          balanceAfter: (user.messageCredits || 0) + credits,
+          referenceId: `initial-grant:${user._id}`,
+          description: `Monthly ${user.subscription} credits`,
+          createdBy: null,
+          createdAt: new Date(),
+        })
+      } catch (error) {
+        if (error.code === 11000) {
+          skipped++
+          continue
+        }
+        throw error
+      }
+      await users.updateOne({ _id: user._id }, { $inc: { messageCredits: credits } })
+      granted++
+    }
+
+    if (isDryRun) {
+      console.log(
+        `ℹ️  Dry run - ${granted} subscribers would be granted credits, ${skipped} already were`
+      )
+      process.exit(0)
+    }
+
+    console.log(`✅ Granted credits to ${granted} subscribers (${skipped} already had a grant)`)
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message)
+    process.exit(1)
+  }
+}
+
+grantSubscriberCredits()
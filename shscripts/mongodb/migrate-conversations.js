@@ -0,0 +1,115 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+/**
+ * One-off migration: create Conversation documents and link existing messages to them
+ *
+ * Groups messages without a conversationId by participant pair, upserts one conversation
+ * per pair (participantKey = sorted _ids joined with '_') with the newest message as its
+ * preview, then sets conversationId on the pair's messages. Unread counts start at zero.
+ *
+ * Usage:
+ *   node shscripts/mongodb/migrate-conversations.js            # apply
+ *   node shscripts/mongodb/migrate-conversations.js --dry-run  # report only
+ */
+
+const isDryRun = process.argv.includes('--dry-run')
+const PREVIEW_LENGTH = 100
+
+async function migrateConversations() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.URI
+
+    if (!mongoUri) {
+      console.error('❌ MongoDB URI not found in .env file')
+      process.exit(1)
+    }
+
+    await mongoose.connect(mongoUri)
+    console.log('✅ Connected to MongoDB\n')
+
+    const messages = mongoose.connection.collection('messages')
+    const conversations = mongoose.connection.collection('conversations')
+
+    const query = { conversationId: { $exists: false } }
+
+    const total = await messages.countDocuments(query)
+    console.log(`💬 Messages without a conversation: ${total}`)
+
+    if (isDryRun) {
+      console.log('ℹ️  Dry run - no changes written')
+      process.exit(0)
+    }
+
+    const pairs = messages.aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: {
+            a: { $min: ['$senderId', '$receiverId'] },
+            b: { $max: ['$senderId', '$receiverId'] },
+          },
+          latest: { $first: '$$ROOT' },
+        },
+      },
+    ])
+
+    let created = 0
+    let linked = 0
+
+    for await (const pair of pairs) {
+      const { a, b } = pair._id
+      const participantKey = [String(a), String(b)].sort().join('_')
+      const latest = pair.latest
+      const now = new Date()
+
+      const result = await conversations.findOneAndUpdate(
+        { participantKey },
+        {
+          $setOnInsert: {
+            participantKey,
+            participants: [a, b],
+            lastMessage: {
+              messageId: latest._id,
+              senderId: latest.senderId,
+              text: (latest.text || '').slice(0, PREVIEW_LENGTH),
+              hasImage: Boolean(latest.image),
+              createdAt: latest.createdAt,
+            },
+            unreadCounts: {},
+            lastReadMessageIds: {},
+            createdAt: now,
+            updatedAt: now,
+          },
+        },
+        { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+      )
+      if (result.lastErrorObject?.upserted) {
+        created++
+      }
+
+      const update = await messages.updateMany(
+        {
+          ...query,
+          $or: [
+            { senderId: a, receiverId: b },
+            { senderId: b, receiverId: a },
+          ],
+        },
+        { $set: { conversationId: result.value._id } }
+      )
+      linked += update.modifiedCount
+    }
+
+    console.log(`✅ Created ${created} conversations and linked ${linked} of ${total} messages`)
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message)
+    process.exit(1)
+  }
+}
+
+migrateConversations()
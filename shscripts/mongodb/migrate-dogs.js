@@ -0,0 +1,108 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+/**
+ * One-off migration: copy legacy single-dog fields into the `dogs` array
+ *
+ * For every user with a dogs_name and no dogs yet, creates dogs[0] from
+ * dogs_name / age / about / image. Legacy fields are left in place - they stay
+ * mirrored from the primary dog by the server.
+ *
+ * Also backfills the description onto primary dogs created by an earlier run
+ * of this script, which did not copy the legacy about field.
+ *
+ * Usage:
+ *   node shscripts/mongodb/migrate-dogs.js            # apply
+ *   node shscripts/mongodb/migrate-dogs.js --dry-run  # report only
+ */
+
+const isDryRun = process.argv.includes('--dry-run')
+
+async function migrateDogs() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.URI
+
+    if (!mongoUri) {
+      console.error('❌ MongoDB URI not found in .env file')
+      process.exit(1)
+    }
+
+    await mongoose.connect(mongoUri)
+    console.log('✅ Connected to MongoDB\n')
+
+    const users = mongoose.connection.collection('users')
+
+    const query = {
+      dogs_name: { $exists: true, $nin: [null, ''] },
+      $or: [{ dogs: { $exists: false } }, { dogs: { $size: 0 } }],
+    }
+
+    const aboutQuery = {
+      about: { $exists: true, $nin: [null, ''] },
+      'dogs.0': { $exists: true },
+      'dogs.0.about': { $exists: false },
+    }
+
+    const total = await users.countDocuments(query)
+    const aboutTotal = await users.countDocuments(aboutQuery)
+    console.log(`🐶 Users to migrate: ${total}`)
+    console.log(`📝 Primary dogs missing a description: ${aboutTotal}`)
+
+    if (isDryRun) {
+      console.log('ℹ️  Dry run - no changes written')
+      process.exit(0)
+    }
+
+    let migrated = 0
+    const cursor = users.find(query, { projection: { dogs_name: 1, age: 1, about: 1, image: 1 } })
+
+    for await (const user of cursor) {
+      const age = parseInt(user.age, 10)
+      const now = new Date()
+
+      const primaryDog = {
+        _id: new mongoose.Types.ObjectId(),
+        name: user.dogs_name,
+        photos: user.image ? [user.image] : [],
+        createdAt: now,
+        updatedAt: now,
+      }
+      if (!isNaN(age)) {
+        primaryDog.age = age
+      }
+      if (user.about) {
+        primaryDog.about = user.about.trim().slice(0, 500)
+      }
+
+      // Re-check the empty condition so a concurrent dog creation isn't overwritten
+      const result = await users.updateOne(
+        { _id: user._id, $or: query.$or },
+        { $set: { dogs: [primaryDog] } }
+      )
+      migrated += result.modifiedCount
+    }
+
+    console.log(`✅ Migrated ${migrated} of ${total} users`)
+
+    let backfilled = 0
+    const aboutCursor = users.find(aboutQuery, { projection: { about: 1 } })
+
+    for await (const user of aboutCursor) {
+      const result = await users.updateOne(
+        { _id: user._id, 'dogs.0.about': { $exists: false } },
+        { $set: { 'dogs.0.about': user.about.trim().slice(0, 500) } }
+      )
+      backfilled += result.modifiedCount
+    }
+
+    console.log(`✅ Copied the description onto ${backfilled} of ${aboutTotal} primary dogs`)
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message)
+    process.exit(1)
+  }
+}
+
+migrateDogs()
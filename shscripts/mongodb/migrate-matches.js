@@ -0,0 +1,90 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+/**
+ * One-off migration: move the embedded users.matches arrays into the `matches` collection
+ *
+ * Every { user_id } in a user's matches array was a right swipe. Each pair of users gets one
+ * Match document (userA < userB) with the swipers in likedBy; pairs where both users swiped
+ * right become mutual. The legacy matches arrays are removed afterwards.
+ *
+ * Usage:
+ *   node shscripts/mongodb/migrate-matches.js            # apply
+ *   node shscripts/mongodb/migrate-matches.js --dry-run  # report only
+ */
+
+const isDryRun = process.argv.includes('--dry-run')
+
+async function migrateMatches() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.URI
+
+    if (!mongoUri) {
+      console.error('❌ MongoDB URI not found in .env file')
+      process.exit(1)
+    }
+
+    await mongoose.connect(mongoUri)
+    console.log('✅ Connected to MongoDB\n')
+
+    const users = mongoose.connection.collection('users')
+    const matches = mongoose.connection.collection('matches')
+
+    const query = { matches: { $exists: true } }
+
+    const total = await users.countDocuments(query)
+    console.log(`💘 Users with legacy matches: ${total}`)
+
+    if (isDryRun) {
+      console.log('ℹ️  Dry run - no changes written')
+      process.exit(0)
+    }
+
+    let likes = 0
+    const cursor = users.find(query, { projection: { user_id: 1, matches: 1 } })
+
+    for await (const user of cursor) {
+      for (const entry of user.matches || []) {
+        const otherUserId = entry?.user_id || entry
+        if (typeof otherUserId !== 'string' || otherUserId === user.user_id) {
+          continue
+        }
+
+        const [userA, userB] = [user.user_id, otherUserId].sort()
+        const now = new Date()
+        await matches.updateOne(
+          { userA, userB },
+          {
+            $addToSet: { likedBy: user.user_id },
+            $setOnInsert: {
+              initiatedBy: user.user_id,
+              status: 'pending',
+              createdAt: now,
+            },
+            $set: { updatedAt: now },
+          },
+          { upsert: true }
+        )
+        likes++
+      }
+    }
+
+    const mutual = await matches.updateMany(
+      { status: 'pending', 'likedBy.1': { $exists: true } },
+      { $set: { status: 'mutual', matchedAt: new Date() } }
+    )
+
+    const cleared = await users.updateMany(query, { $unset: { matches: '' } })
+
+    console.log(`✅ Migrated ${likes} right swipes (${mutual.modifiedCount} mutual matches)`)
+    console.log(`🧹 Removed legacy matches from ${cleared.modifiedCount} users`)
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message)
+    process.exit(1)
+  }
+}
+
+migrateMatches()
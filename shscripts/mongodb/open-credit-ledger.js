@@ -0,0 +1,100 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import { CREDIT_LEDGER_TYPES } from '../../server/constants/index.js'
+
+dotenv.config()
+
+/**
+ * One-off migration: give every account created before the credit ledger its opening entry
+ *
+ * The ledger sum is the real message credit balance and User.messageCredits caches it.
+ * Accounts that existed before the ledger have a balance but no entries, so the credit
+ * reconcile would otherwise take their balance away. Run this on deploy: every account
+ * without an OPENING entry gets one that makes the ledger sum equal its cached balance.
+ * Entries written since the deploy (grants, spends) are taken into account, so it can run
+ * before or after grant-subscriber-credits.js.
+ *
+ * Safe to re-run - the opening entry is keyed on the user, so no account is opened twice.
+ *
+ * Usage:
+ *   node shscripts/mongodb/open-credit-ledger.js            # apply
+ *   node shscripts/mongodb/open-credit-ledger.js --dry-run  # report only
+ */
+
+const isDryRun = process.argv.includes('--dry-run')
+
+async function openCreditLedger() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.URI
+
+    if (!mongoUri) {
+      console.error('❌ MongoDB URI not found in .env file')
+      process.exit(1)
+    }
+
+    await mongoose.connect(mongoUri)
+    console.log('✅ Connected to MongoDB\n')
+
+    const users = mongoose.connection.collection('users')
+    const ledger = mongoose.connection.collection('creditledgerentries')
+
+    const total = await users.countDocuments()
+    console.log(`👥 Accounts: ${total}`)
+
+    let opened = 0
+    let skipped = 0
+    const cursor = users.find({}, { projection: { messageCredits: 1 } })
+
+    for await (const user of cursor) {
+      if (await ledger.findOne({ userId: user._id, type: CREDIT_LEDGER_TYPES.OPENING })) {
+        skipped++
+        continue
+      }
+      if (isDryRun) {
+        opened++
+        continue
+      }
+
+      const [sum] = await ledger
+        .aggregate([
+          { $match: { userId: user._id } },
+          { $group: { _id: null, balance: { $sum: '$amount' } } },
+        ])
+        .toArray()
+      const amount = (user.messageCredits || 0) - (sum?.balance || 0)
+
+      try {
+        await ledger.insertOne({
+          userId: user._id,
+          type: CREDIT_LEDGER_TYPES.OPENING,
+          amount,
+          balanceAfter: amount,
+          referenceId: `opening:${user._id}`,
+          description: 'Balance before the credit ledger',
+          createdBy: null,
+          createdAt: new Date(),
+        })
+        opened++
+      } catch (error) {
+        if (error.code === 11000) {
+          skipped++
+          continue
+        }
+        throw error
+      }
+    }
+
+    if (isDryRun) {
+      console.log(`ℹ️  Dry run - ${opened} accounts would be opened, ${skipped} already were`)
+      process.exit(0)
+    }
+
+    console.log(`✅ Opened ${opened} accounts (${skipped} already had an opening entry)`)
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message)
+    process.exit(1)
+  }
+}
+
+openCreditLedger()
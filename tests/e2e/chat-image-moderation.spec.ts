@@ -0,0 +1,130 @@
+import { test, expect, Page } from '@playwright/test'
+import { getCsrfToken, signup } from './utils/test-helpers'
+
+/**
+ * Chat Image Moderation Tests
+ * Validates the status an image message moves through after it is sent:
+ * - It is saved as pending, without an image URL
+ * - Background moderation always moves it out of pending
+ * - A rejected image (failed moderation or processing) refunds the sender's credit
+ *
+ * The server's moderation provider comes from the environment (stub by default, see
+ * playwright.config.ts). Run with MODERATION_STUB_VERDICT=flag to exercise rejection.
+ */
+
+const API = 'http://localhost:8000/api'
+
+// 8x8 solid blue PNG
+const IMAGE =
+  'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAEUlEQVR4nGPQiDqBFTEMLQkAFKhSgZfuVK8AAAAASUVORK5CYII='
+
+const getCredits = async (page: Page) => {
+  const response = await page.request.get(`${API}/auth/check-auth`)
+  const body = await response.json()
+  return body.data.user.messageCredits
+}
+
+const getImageMessage = async (
+  page: Page,
+  receiverId: string,
+  messageId: string
+) => {
+  const response = await page.request.get(`${API}/messages/${receiverId}`)
+  const body = await response.json()
+  return body.data.messages.find((message) => message._id === messageId)
+}
+
+test.describe('Chat Image Moderation', () => {
+  test.setTimeout(60000)
+
+  let csrfToken: string
+  let receiverId: string
+
+  test.beforeEach(async ({ page }) => {
+    csrfToken = await getCsrfToken(page)
+
+    // The sender signs up last, so the page keeps the sender's session cookie
+    const receiver = await signup(page, csrfToken, 'Receiver')
+    receiverId = receiver._id
+    await signup(page, csrfToken, 'Sender')
+    csrfToken = await getCsrfToken(page)
+  })
+
+  const sendImage = async (page: Page) => {
+    const response = await page.request.post(
+      `${API}/messages/send/${receiverId}`,
+      {
+        data: { image: IMAGE },
+        headers: { 'X-CSRF-Token': csrfToken },
+      }
+    )
+    expect(response.status()).toBe(201)
+    const body = await response.json()
+    return body.data
+  }
+
+  test('image messages are saved as pending without an image URL', async ({
+    page,
+  }) => {
+    const message = await sendImage(page)
+
+    expect(message.imageModeration.status).toBe('pending')
+    expect(message.image).toBeNull()
+  })
+
+  test('moderation moves the image out of pending and refunds rejected images', async ({
+    page,
+  }) => {
+    const creditsBefore = await getCredits(page)
+    const sent = await sendImage(page)
+
+    await expect
+      .poll(
+        async () =>
+          (await getImageMessage(page, receiverId, sent._id))?.imageModeration
+            .status,
+        {
+          timeout: 30000,
+        }
+      )
+      .not.toBe('pending')
+
+    const message = await getImageMessage(page, receiverId, sent._id)
+    if (message.imageModeration.status === 'approved') {
+      expect(message.image).toBeTruthy()
+      expect(await getCredits(page)).toBe(creditsBefore - 1)
+    } else {
+      // Rejected by moderation, or the upload failed (no Cloudinary credentials)
+      expect(message.imageModeration.status).toBe('rejected')
+      expect(message.image).toBeNull()
+      expect(await getCredits(page)).toBe(creditsBefore)
+    }
+  })
+
+  test('flagged images are rejected and the credit is refunded', async ({
+    page,
+  }) => {
+    if (process.env.MODERATION_STUB_VERDICT !== 'flag') {
+      test.skip()
+    }
+
+    const creditsBefore = await getCredits(page)
+    const sent = await sendImage(page)
+
+    await expect
+      .poll(
+        async () =>
+          (await getImageMessage(page, receiverId, sent._id))?.imageModeration
+            .status,
+        {
+          timeout: 30000,
+        }
+      )
+      .toBe('rejected')
+
+    const message = await getImageMessage(page, receiverId, sent._id)
+    expect(message.image).toBeNull()
+    expect(message.imageModeration.reason).toBeTruthy()
+    expect(await getCredits(page)).toBe(creditsBefore)
+  })
+})
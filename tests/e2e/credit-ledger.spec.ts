@@ -0,0 +1,185 @@
+import { test, expect } from '@playwright/test'
+import mongoose from 'mongoose'
+import { randomUUID } from 'crypto'
+import { User } from '../../server/models/user.model.js'
+import { CreditLedgerEntry } from '../../server/models/credit-ledger-entry.model.js'
+import { creditLedgerService } from '../../server/services/credit-ledger.service.js'
+import { CREDIT_LEDGER_TYPES } from '../../server/constants/index.js'
+
+/**
+ * Credit Ledger Tests
+ * Validates how message credit changes are recorded and reconciled:
+ * - A change with a referenceId is applied once, however often it is retried
+ * - A spend the balance cannot cover writes nothing
+ * - Reconcile keeps the cached balance of accounts created before the ledger
+ * - Reconcile never sets a balance below zero
+ *
+ * Runs against the service directly, so it needs MONGODB_URI pointing at a test database.
+ */
+
+const userIds: mongoose.Types.ObjectId[] = []
+
+// Insert an account the way it existed before the ledger: a balance and no entries
+const createUser = async (messageCredits: number) => {
+  const _id = new mongoose.Types.ObjectId()
+  await User.collection.insertOne({
+    _id,
+    user_id: randomUUID(),
+    email: `ledger-${_id}@example.com`,
+    userName: 'Ledger Tester',
+    messageCredits,
+  })
+  userIds.push(_id)
+  return _id
+}
+
+// Entries are append-only through the model, so fixtures go in through the collection
+const insertEntry = (
+  userId: mongoose.Types.ObjectId,
+  type: string,
+  amount: number
+) =>
+  CreditLedgerEntry.collection.insertOne({
+    userId,
+    type,
+    amount,
+    balanceAfter: amount,
+    description: '',
+    createdBy: null,
+    createdAt: new Date(),
+  })
+
+const getBalance = async (userId: mongoose.Types.ObjectId) =>
+  (await User.findById(userId, { messageCredits: 1 }).lean())?.messageCredits
+
+const getLedgerBalance = async (userId: mongoose.Types.ObjectId) => {
+  const entries = await CreditLedgerEntry.find({ userId }).lean()
+  return entries.reduce((sum, entry) => sum + entry.amount, 0)
+}
+
+test.describe('Credit Ledger', () => {
+  test.beforeAll(async () => {
+    if (!process.env.MONGODB_URI) {
+      return
+    }
+    await mongoose.connect(process.env.MONGODB_URI)
+    await CreditLedgerEntry.init()
+  })
+
+  test.beforeEach(() => {
+    if (!process.env.MONGODB_URI) {
+      test.skip()
+    }
+  })
+
+  test.afterAll(async () => {
+    if (mongoose.connection.readyState !== 1) {
+      return
+    }
+    await CreditLedgerEntry.collection.deleteMany({ userId: { $in: userIds } })
+    await User.collection.deleteMany({ _id: { $in: userIds } })
+    await mongoose.disconnect()
+  })
+
+  test.describe('Recording changes', () => {
+    test('a retried grant is applied once', async () => {
+      const userId = await createUser(0)
+      await creditLedgerService.open(userId, 0)
+      const options = { referenceId: `evt_${randomUUID()}` }
+
+      const first = await creditLedgerService.grant(userId, 5, options)
+      const retried = await creditLedgerService.grant(userId, 5, options)
+
+      expect(String(retried._id)).toBe(String(first._id))
+      expect(await getBalance(userId)).toBe(5)
+      expect(await getLedgerBalance(userId)).toBe(5)
+    })
+
+    test('concurrent retries of a grant move the balance once', async () => {
+      const userId = await createUser(0)
+      await creditLedgerService.open(userId, 0)
+      const options = { referenceId: `evt_${randomUUID()}` }
+
+      await Promise.allSettled([
+        creditLedgerService.grant(userId, 5, options),
+        creditLedgerService.grant(userId, 5, options),
+      ])
+
+      expect(await getBalance(userId)).toBe(5)
+      expect(await getLedgerBalance(userId)).toBe(5)
+    })
+
+    test('a spend the balance cannot cover writes nothing', async () => {
+      const userId = await createUser(0)
+      await creditLedgerService.open(userId, 0)
+
+      expect(await creditLedgerService.spend(userId)).toBeNull()
+
+      expect(await getBalance(userId)).toBe(0)
+      expect(await CreditLedgerEntry.countDocuments({ userId })).toBe(1)
+    })
+  })
+
+  test.describe('Reconcile', () => {
+    test('an account created before the ledger keeps its balance', async () => {
+      const userId = await createUser(7)
+
+      const summary = await creditLedgerService.reconcile({ userId, fix: true })
+
+      expect(summary).toMatchObject({ checked: 1, drifted: 1, fixed: 1 })
+      expect(await getBalance(userId)).toBe(7)
+      const opening = await CreditLedgerEntry.findOne({
+        userId,
+        type: CREDIT_LEDGER_TYPES.OPENING,
+      }).lean()
+      expect(opening?.amount).toBe(7)
+
+      const again = await creditLedgerService.reconcile({ userId, fix: true })
+      expect(again).toMatchObject({ checked: 1, drifted: 0, fixed: 0 })
+    })
+
+    test('a pre-ledger account granted credits since keeps its whole balance', async () => {
+      const userId = await createUser(107)
+      await insertEntry(userId, CREDIT_LEDGER_TYPES.GRANT, 100)
+
+      await creditLedgerService.reconcile({ userId, fix: true })
+
+      expect(await getBalance(userId)).toBe(107)
+      expect(await getLedgerBalance(userId)).toBe(107)
+    })
+
+    test('an opened account with drift takes the ledger balance', async () => {
+      const userId = await createUser(9)
+      await insertEntry(userId, CREDIT_LEDGER_TYPES.OPENING, 3)
+
+      const summary = await creditLedgerService.reconcile({ userId, fix: true })
+
+      expect(summary.users[0]).toMatchObject({
+        cachedBalance: 9,
+        ledgerBalance: 3,
+        fixed: true,
+      })
+      expect(await getBalance(userId)).toBe(3)
+    })
+
+    test('a ledger below zero sets the balance to zero, not below', async () => {
+      const userId = await createUser(2)
+      await insertEntry(userId, CREDIT_LEDGER_TYPES.OPENING, 0)
+      await insertEntry(userId, CREDIT_LEDGER_TYPES.SPEND, -3)
+
+      await creditLedgerService.reconcile({ userId, fix: true })
+
+      expect(await getBalance(userId)).toBe(0)
+      expect(await getLedgerBalance(userId)).toBe(0)
+    })
+
+    test('without fix nothing is changed', async () => {
+      const userId = await createUser(4)
+
+      const summary = await creditLedgerService.reconcile({ userId })
+
+      expect(summary).toMatchObject({ drifted: 1, fixed: 0 })
+      expect(await CreditLedgerEntry.countDocuments({ userId })).toBe(0)
+    })
+  })
+})
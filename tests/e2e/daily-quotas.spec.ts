@@ -0,0 +1,88 @@
+import { test, expect, Page } from '@playwright/test'
+import { getCsrfToken, signup } from './utils/test-helpers'
+
+/**
+ * Daily Quota Tests
+ * Validates the free plan's daily like quota (SUBSCRIPTION_BENEFITS.free.likesPerDay):
+ * - New accounts start the day with the full quota
+ * - Only a like that is saved uses up the quota
+ * - Likes past the limit are refused with dailyLimitReached
+ */
+
+const API = 'http://localhost:8000/api'
+const FREE_LIKES_PER_DAY = 10
+
+const getLikesQuota = async (page: Page) => {
+  const response = await page.request.get(`${API}/payments/entitlements`)
+  expect(response.status()).toBe(200)
+  const body = await response.json()
+  return body.data.entitlements.daily.likes
+}
+
+test.describe('Daily Quotas', () => {
+  test.setTimeout(60000)
+
+  let csrfToken: string
+  let targetIds: string[]
+
+  test.beforeEach(async ({ page }) => {
+    csrfToken = await getCsrfToken(page)
+
+    // The liker signs up last, so the page keeps the liker's session cookie
+    targetIds = []
+    for (let i = 0; i <= FREE_LIKES_PER_DAY; i++) {
+      const target = await signup(page, csrfToken, `Target ${i}`)
+      targetIds.push(target._id)
+    }
+    await signup(page, csrfToken, 'Liker')
+    csrfToken = await getCsrfToken(page)
+  })
+
+  const like = (page: Page, userId: string) =>
+    page.request.post(`${API}/likes/${userId}`, {
+      headers: { 'X-CSRF-Token': csrfToken },
+    })
+
+  test('a new free account has the full like quota', async ({ page }) => {
+    expect(await getLikesQuota(page)).toEqual({
+      limit: FREE_LIKES_PER_DAY,
+      used: 0,
+      remaining: FREE_LIKES_PER_DAY,
+    })
+  })
+
+  test('a like uses one from the quota, liking again does not', async ({
+    page,
+  }) => {
+    expect((await like(page, targetIds[0])).status()).toBe(201)
+    expect((await getLikesQuota(page)).used).toBe(1)
+
+    const again = await like(page, targetIds[0])
+    expect(again.status()).toBe(200)
+    expect((await getLikesQuota(page)).used).toBe(1)
+  })
+
+  test('a like that fails does not use up the quota', async ({ page }) => {
+    const missingUserId = '0123456789abcdef01234567'
+
+    expect((await like(page, missingUserId)).status()).toBe(404)
+    expect((await getLikesQuota(page)).used).toBe(0)
+  })
+
+  test('likes past the daily limit are refused', async ({ page }) => {
+    for (const userId of targetIds.slice(0, FREE_LIKES_PER_DAY)) {
+      expect((await like(page, userId)).status()).toBe(201)
+    }
+    expect((await getLikesQuota(page)).remaining).toBe(0)
+
+    const response = await like(page, targetIds[FREE_LIKES_PER_DAY])
+
+    expect(response.status()).toBe(429)
+    const body = await response.json()
+    expect(body.errors[0]).toMatchObject({
+      message: 'dailyLimitReached',
+      quota: 'likes',
+    })
+    expect((await getLikesQuota(page)).used).toBe(FREE_LIKES_PER_DAY)
+  })
+})
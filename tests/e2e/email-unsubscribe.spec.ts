@@ -0,0 +1,152 @@
+import { test, expect, Page } from '@playwright/test'
+import {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+} from '../../server/utilities/unsubscribeToken.js'
+import { generateTestEmail, getCsrfToken, signup } from './utils/test-helpers'
+
+/**
+ * Email Unsubscribe Tests
+ * Validates the signed links in the footer of every notification email:
+ * - Tokens round-trip and reject tampering
+ * - GET describes a link without unsubscribing
+ * - POST unsubscribes (RFC 8058 one-click) and turns off the matching preferences
+ * - The address in a token is matched however it is cased or padded
+ *
+ * The API tests sign tokens with the server's secret, so they need JWT_SECRET in the
+ * environment the server was started with.
+ */
+
+const API = 'http://localhost:8000/api'
+
+// Read before the token tests below fill in a secret of their own
+const serverSecret = process.env.JWT_SECRET
+
+// Sign up (the page keeps the session) and return the address used
+const createAccount = async (page: Page, prefix = 'test-') => {
+  const email = generateTestEmail().replace('test-', prefix)
+  await signup(page, await getCsrfToken(page), 'Unsubscriber', email)
+  return email
+}
+
+const likeEmailsEnabled = async (page: Page) => {
+  const response = await page.request.get(`${API}/notifications/preferences`)
+  const body = await response.json()
+  return body.data.preferences.events.like.email
+}
+
+test.describe('Email Unsubscribe', () => {
+  test.describe('Tokens', () => {
+    test.beforeAll(() => {
+      process.env.JWT_SECRET = serverSecret || 'unsubscribe-token-test-secret'
+    })
+
+    test('a token round-trips its email and category', () => {
+      const token = createUnsubscribeToken('sam@example.com', 'likes')
+
+      expect(verifyUnsubscribeToken(token)).toEqual({
+        email: 'sam@example.com',
+        category: 'likes',
+      })
+    })
+
+    test('a tampered token is rejected', () => {
+      const token = createUnsubscribeToken('sam@example.com', 'likes')
+      const [header, , signature] = token.split('.')
+      const payload = Buffer.from(
+        JSON.stringify({ email: 'someone@example.com', category: 'all' })
+      ).toString('base64url')
+
+      expect(verifyUnsubscribeToken(`${header}.${payload}.${signature}`)).toBe(
+        null
+      )
+    })
+
+    test('a token with an unknown category is rejected', () => {
+      const token = createUnsubscribeToken('sam@example.com', 'newsletters')
+
+      expect(verifyUnsubscribeToken(token)).toBe(null)
+    })
+  })
+
+  test.describe('Links', () => {
+    test.setTimeout(30000)
+
+    test.beforeEach(() => {
+      if (!serverSecret) {
+        test.skip()
+      }
+    })
+
+    test('GET describes the link without unsubscribing', async ({ page }) => {
+      const email = await createAccount(page)
+      const token = createUnsubscribeToken(email, 'likes')
+
+      const response = await page.request.get(
+        `${API}/notifications/unsubscribe/${token}`
+      )
+
+      expect(response.status()).toBe(200)
+      const body = await response.json()
+      expect(body.data).toEqual({ email, category: 'likes' })
+      expect(await likeEmailsEnabled(page)).toBe(true)
+    })
+
+    test('POST unsubscribes from one category', async ({ page }) => {
+      const email = generateTestEmail()
+      const token = createUnsubscribeToken(email, 'likes')
+
+      const response = await page.request.post(
+        `${API}/notifications/unsubscribe/${token}`
+      )
+
+      expect(response.status()).toBe(200)
+      const body = await response.json()
+      expect(body.message).toBe('You have been unsubscribed')
+      expect(body.data.categories).toEqual(['likes'])
+    })
+
+    test('POST with the all category unsubscribes from everything', async ({
+      page,
+    }) => {
+      const token = createUnsubscribeToken(generateTestEmail(), 'all')
+
+      const response = await page.request.post(
+        `${API}/notifications/unsubscribe/${token}`
+      )
+
+      expect(response.status()).toBe(200)
+      const body = await response.json()
+      expect(body.data.categories).toEqual([
+        'likes',
+        'matches',
+        'digest',
+        'meetup_reminders',
+      ])
+    })
+
+    test('an invalid link is refused', async ({ page }) => {
+      const token = createUnsubscribeToken(generateTestEmail(), 'likes')
+
+      const response = await page.request.post(
+        `${API}/notifications/unsubscribe/${token}x`
+      )
+
+      expect(response.status()).toBe(400)
+    })
+
+    test('a differently cased and padded address still reaches the account', async ({
+      page,
+    }) => {
+      const email = await createAccount(page, 'Test-')
+
+      const token = createUnsubscribeToken(`  ${email.toLowerCase()} `, 'likes')
+      const response = await page.request.post(
+        `${API}/notifications/unsubscribe/${token}`
+      )
+
+      expect(response.status()).toBe(200)
+      expect(await likeEmailsEnabled(page)).toBe(false)
+    })
+  })
+})
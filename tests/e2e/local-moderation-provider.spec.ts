@@ -0,0 +1,93 @@
+import { test, expect } from '@playwright/test'
+import sharp from 'sharp'
+import { localProvider } from '../../server/services/moderation/local.provider.js'
+
+/**
+ * Local Moderation Provider Tests
+ * Validates the offline classifier used in development and tests:
+ * - Fur-coloured images are never rejected and still count as dogs
+ * - Mostly skin-toned images are only queued for review
+ * - Text keyword rules do not flag everyday dog talk
+ *
+ * Runs against the provider module directly; no server or browser needed.
+ */
+
+const solidImage = (r: number, g: number, b: number) =>
+  sharp({
+    create: { width: 32, height: 32, channels: 3, background: { r, g, b } },
+  })
+    .png()
+    .toBuffer()
+
+test.describe('Local Moderation Provider', () => {
+  test.describe('Images', () => {
+    const furColours = {
+      golden: [218, 165, 32],
+      brown: [160, 110, 60],
+      tan: [200, 150, 100],
+    }
+
+    for (const [name, [r, g, b]] of Object.entries(furColours)) {
+      test(`${name} fur is not rejected`, async () => {
+        const result = await localProvider.checkImage(await solidImage(r, g, b))
+
+        expect(result.isNude).toBe(false)
+        expect(result.isDog).toBe(true)
+      })
+    }
+
+    test('a mostly skin-toned image is queued for review, not rejected', async () => {
+      const result = await localProvider.checkImage(
+        await solidImage(224, 172, 138)
+      )
+
+      expect(result.isNude).toBe(false)
+      expect(result.needsReview).toBe(true)
+      expect(result.reason).toContain('needs review')
+    })
+
+    test('an image without skin tones needs no review', async () => {
+      const result = await localProvider.checkImage(
+        await solidImage(40, 90, 200)
+      )
+
+      expect(result.isNude).toBe(false)
+      expect(result.needsReview).toBe(false)
+      expect(result.reason).toBe('Local classifier: no issues detected')
+    })
+  })
+
+  test.describe('Text', () => {
+    const allowed = [
+      'my dog is naked without his collar',
+      'Biscuit hates baths, he runs around nude afterwards',
+      'want to meet at the dog park on Saturday?',
+    ]
+
+    for (const text of allowed) {
+      test(`does not flag "${text}"`, async () => {
+        const result = await localProvider.checkText(text)
+
+        expect(result.flagged).toBe(false)
+        expect(result.categories).toEqual([])
+      })
+    }
+
+    const flagged = {
+      'send me nudes': 'sexual',
+      'send me a naked pic': 'sexual',
+      kys: 'harassment',
+      "I'll hurt you": 'violence',
+      'I want to end my life': 'self-harm',
+    }
+
+    for (const [text, category] of Object.entries(flagged)) {
+      test(`flags "${text}" as ${category}`, async () => {
+        const result = await localProvider.checkText(text)
+
+        expect(result.flagged).toBe(true)
+        expect(result.categories).toContain(category)
+      })
+    }
+  })
+})
@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test'
+
+const PROFILE_ID = '0f8fad5b-d9cb-469f-a165-70867728950e'
+
+const multiDogProfile = {
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  user_id: PROFILE_ID,
+  userName: 'Sam',
+  dogs_name: 'Max',
+  age: '4',
+  userAbout: 'Two dogs, one very tired human.',
+  meetup_type: 'Play Dates',
+  dogs: [
+    {
+      _id: '64b7f0c2a1b2c3d4e5f60719',
+      name: 'Max',
+      age: 4,
+      breed: 'beagle',
+      size: 'medium',
+      temperament: 'Friendly',
+      about: 'Loves the beach and chasing tennis balls.',
+      photoUrls: [],
+    },
+    {
+      _id: '64b7f0c2a1b2c3d4e5f6071a',
+      name: 'Bella',
+      age: 2,
+      breed: 'border collie',
+      size: 'medium',
+      temperament: 'Energetic',
+      photoUrls: [],
+    },
+  ],
+}
+
+test.describe('Multi-dog households', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.route(`**/api/auth/public-profile/${PROFILE_ID}**`, (route) =>
+      route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({ success: true, data: { user: multiDogProfile } }),
+      })
+    )
+  })
+
+  test('public profile lists every dog in the household', async ({ page }) => {
+    await page.goto(`/profile/${PROFILE_ID}`)
+
+    const dogs = page.locator('.household-dog')
+    await expect(dogs).toHaveCount(2)
+    await expect(dogs.nth(0)).toContainText('Max')
+    await expect(dogs.nth(1)).toContainText('Bella')
+    await expect(dogs.nth(1)).toContainText('border collie')
+  })
+
+  test('each dog shows its own description', async ({ page }) => {
+    await page.goto(`/profile/${PROFILE_ID}`)
+
+    const dogs = page.locator('.household-dog')
+    await expect(dogs.nth(0)).toContainText('Loves the beach')
+    await expect(dogs.nth(1).locator('.profile-bio')).toHaveCount(0)
+  })
+
+  test('page title names all dogs', async ({ page }) => {
+    await page.goto(`/profile/${PROFILE_ID}`)
+
+    await expect(page).toHaveTitle(/Max & Bella/)
+  })
+})
@@ -0,0 +1,101 @@
+import { test, expect } from '@playwright/test'
+import mongoose from 'mongoose'
+import { NotificationPreference } from '../../server/models/notification-preference.model.js'
+import { notificationPreferenceService } from '../../server/services/notification-preference.service.js'
+import { runNotificationDigestsNow } from '../../server/jobs/notificationDigest.job.js'
+import { NOTIFICATION_EVENTS } from '../../server/constants/index.js'
+import {
+  connectTestDatabase,
+  createTestUser,
+  disconnectTestDatabase,
+  hasTestDatabase,
+} from './utils/server-helpers'
+
+/**
+ * Notification Digest Tests
+ * Validates how the digest job claims a send:
+ * - A user who never saved preferences can be claimed, and the claim saves their document
+ * - A second claim from the same state loses, so overlapping runs never email twice
+ * - The job claims digests for users on the default preferences
+ *
+ * Runs against the service and job directly, so it needs MONGODB_URI pointing at a test
+ * database.
+ */
+
+const userIds: mongoose.Types.ObjectId[] = []
+
+// A user with no notification preferences saved
+const createUser = async () => {
+  const { _id } = await createTestUser()
+  userIds.push(_id)
+  return _id
+}
+
+test.describe('Notification Digest', () => {
+  test.beforeAll(async () => {
+    if (!hasTestDatabase()) {
+      return
+    }
+    await connectTestDatabase()
+    await NotificationPreference.init()
+  })
+
+  test.beforeEach(() => {
+    if (!hasTestDatabase()) {
+      test.skip()
+    }
+  })
+
+  test.afterAll(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await Promise.all(
+        userIds.map((userId) =>
+          notificationPreferenceService.removeUser(userId)
+        )
+      )
+    }
+    await disconnectTestDatabase()
+  })
+
+  test('a user with default preferences can be claimed once', async () => {
+    const userId = await createUser()
+    const { lastDigestSentAt } = await notificationPreferenceService.get(userId)
+    expect(lastDigestSentAt).toBe(null)
+
+    expect(
+      await notificationPreferenceService.claimDigest(userId, lastDigestSentAt)
+    ).toBe(true)
+    expect(
+      await notificationPreferenceService.claimDigest(userId, lastDigestSentAt)
+    ).toBe(false)
+
+    const prefs = await notificationPreferenceService.get(userId)
+    expect(prefs.lastDigestSentAt).toBeInstanceOf(Date)
+  })
+
+  test('concurrent claims for a new user are won once', async () => {
+    const userId = await createUser()
+
+    const claims = await Promise.all([
+      notificationPreferenceService.claimDigest(userId, null),
+      notificationPreferenceService.claimDigest(userId, null),
+    ])
+
+    expect(claims.filter(Boolean)).toHaveLength(1)
+    expect(await NotificationPreference.countDocuments({ userId })).toBe(1)
+  })
+
+  test('the job claims a digest for a user with default preferences', async () => {
+    const userId = await createUser()
+    await notificationPreferenceService.queue(
+      userId,
+      NOTIFICATION_EVENTS.LIKE,
+      'Someone liked your profile'
+    )
+
+    await runNotificationDigestsNow()
+
+    const prefs = await notificationPreferenceService.get(userId)
+    expect(prefs.lastDigestSentAt).toBeInstanceOf(Date)
+  })
+})
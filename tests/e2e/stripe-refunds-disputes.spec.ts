@@ -0,0 +1,197 @@
+import { test, expect } from '@playwright/test'
+import { randomUUID } from 'crypto'
+import { User } from '../../server/models/user.model.js'
+import { Transaction } from '../../server/models/transaction.model.js'
+import { creditLedgerService } from '../../server/services/credit-ledger.service.js'
+import {
+  connectTestDatabase,
+  createTestUser,
+  disconnectTestDatabase,
+  getMessageCredits,
+  hasTestDatabase,
+  loadServerModule,
+  stripeEvent,
+} from './utils/server-helpers'
+
+/**
+ * Stripe Refund and Dispute Tests
+ * Validates the charge.refunded and charge.dispute.* webhook handlers:
+ * - A full refund claws back the purchased credits and marks the payment refunded
+ * - Partial refunds claw back their share, and never take the balance below zero
+ * - An opened dispute claws back the credits and ends a paid plan
+ * - A won dispute restores the credits; a lost one marks the payment refunded
+ *
+ * Runs the webhook handler directly with synthetic events, so it needs MONGODB_URI pointing
+ * at a test database. Nothing is sent to Stripe.
+ */
+
+const PRICE_CENTS = 500
+const CREDITS = 50
+
+let processStripeEvent: (event: object) => Promise<void>
+
+// Buy CREDITS credits through checkout; returns the payment intent id
+const buyCredits = async (userId: string) => {
+  const paymentIntent = `pi_${randomUUID()}`
+  await processStripeEvent(
+    stripeEvent('checkout.session.completed', {
+      id: `cs_${randomUUID()}`,
+      mode: 'payment',
+      metadata: { userId, credits: String(CREDITS) },
+      payment_intent: paymentIntent,
+      amount_total: PRICE_CENTS,
+      currency: 'usd',
+    })
+  )
+  return paymentIntent
+}
+
+const refund = (paymentIntent: string, amountRefunded: number) =>
+  processStripeEvent(
+    stripeEvent('charge.refunded', {
+      id: `ch_${paymentIntent}`,
+      payment_intent: paymentIntent,
+      amount: PRICE_CENTS,
+      amount_refunded: amountRefunded,
+      refunded: amountRefunded === PRICE_CENTS,
+      currency: 'usd',
+    })
+  )
+
+const dispute = (type: string, paymentIntent: string, status?: string) =>
+  processStripeEvent(
+    stripeEvent(type, {
+      id: `dp_${paymentIntent}`,
+      charge: `ch_${paymentIntent}`,
+      payment_intent: paymentIntent,
+      amount: PRICE_CENTS,
+      currency: 'usd',
+      reason: 'fraudulent',
+      status,
+    })
+  )
+
+const getPayment = (paymentIntent: string) =>
+  Transaction.findOne({
+    stripePaymentId: paymentIntent,
+    type: 'credits',
+  }).lean()
+
+test.describe('Stripe Refunds and Disputes', () => {
+  test.beforeAll(async () => {
+    if (!hasTestDatabase()) {
+      return
+    }
+    ;({ processStripeEvent } = await loadServerModule(
+      'controllers/webhook.controller.js'
+    ))
+    await connectTestDatabase()
+  })
+
+  test.beforeEach(() => {
+    if (!hasTestDatabase()) {
+      test.skip()
+    }
+  })
+
+  test.afterAll(disconnectTestDatabase)
+
+  test.describe('Refunds', () => {
+    test('a full refund claws back the credits and marks the payment refunded', async () => {
+      const user = await createTestUser()
+      const paymentIntent = await buyCredits(user.userId)
+      expect(await getMessageCredits(user._id)).toBe(CREDITS)
+
+      await refund(paymentIntent, PRICE_CENTS)
+
+      expect(await getMessageCredits(user._id)).toBe(0)
+      expect((await getPayment(paymentIntent))?.status).toBe('refunded')
+      const refundRecord = await Transaction.findOne({
+        stripePaymentId: paymentIntent,
+        type: 'refund',
+      }).lean()
+      expect(refundRecord).toMatchObject({
+        amount: PRICE_CENTS / 100,
+        creditsAdded: -CREDITS,
+      })
+    })
+
+    test('partial refunds claw back their share of the credits', async () => {
+      const user = await createTestUser()
+      const paymentIntent = await buyCredits(user.userId)
+
+      await refund(paymentIntent, PRICE_CENTS / 2)
+      expect(await getMessageCredits(user._id)).toBe(CREDITS / 2)
+      expect((await getPayment(paymentIntent))?.status).toBe('completed')
+
+      // amount_refunded is cumulative
+      await refund(paymentIntent, PRICE_CENTS)
+      expect(await getMessageCredits(user._id)).toBe(0)
+      expect((await getPayment(paymentIntent))?.status).toBe('refunded')
+    })
+
+    test('credits already spent are not clawed back below zero', async () => {
+      const user = await createTestUser()
+      const paymentIntent = await buyCredits(user.userId)
+      await creditLedgerService.adjust(user._id, -(CREDITS - 10))
+
+      await refund(paymentIntent, PRICE_CENTS)
+
+      expect(await getMessageCredits(user._id)).toBe(0)
+      const refundRecord = await Transaction.findOne({
+        stripePaymentId: paymentIntent,
+        type: 'refund',
+      }).lean()
+      expect(refundRecord?.creditsAdded).toBe(-10)
+    })
+  })
+
+  test.describe('Disputes', () => {
+    test('an opened dispute claws back the credits and ends a paid plan', async () => {
+      const user = await createTestUser({
+        subscription: 'premium',
+        subscriptionStatus: 'active',
+      })
+      const paymentIntent = await buyCredits(user.userId)
+
+      await dispute('charge.dispute.created', paymentIntent)
+
+      expect(await getMessageCredits(user._id)).toBe(0)
+      const updated = await User.findById(user._id).lean()
+      expect(updated?.subscription).toBe('free')
+      expect(updated?.subscriptionStatus).toBe('canceled')
+      const disputeRecord = await Transaction.findOne({
+        stripePaymentId: paymentIntent,
+        type: 'dispute',
+      }).lean()
+      expect(disputeRecord?.status).toBe('pending')
+    })
+
+    test('a won dispute restores the credits', async () => {
+      const user = await createTestUser()
+      const paymentIntent = await buyCredits(user.userId)
+      await dispute('charge.dispute.created', paymentIntent)
+
+      await dispute('charge.dispute.closed', paymentIntent, 'won')
+
+      expect(await getMessageCredits(user._id)).toBe(CREDITS)
+      expect((await getPayment(paymentIntent))?.status).toBe('completed')
+      const disputeRecord = await Transaction.findOne({
+        stripePaymentId: paymentIntent,
+        type: 'dispute',
+      }).lean()
+      expect(disputeRecord?.status).toBe('failed')
+    })
+
+    test('a lost dispute marks the payment refunded', async () => {
+      const user = await createTestUser()
+      const paymentIntent = await buyCredits(user.userId)
+      await dispute('charge.dispute.created', paymentIntent)
+
+      await dispute('charge.dispute.closed', paymentIntent, 'lost')
+
+      expect(await getMessageCredits(user._id)).toBe(0)
+      expect((await getPayment(paymentIntent))?.status).toBe('refunded')
+    })
+  })
+})
@@ -0,0 +1,283 @@
+import { test, expect, APIRequestContext } from '@playwright/test'
+import Stripe from 'stripe'
+import { randomUUID } from 'crypto'
+import { Transaction } from '../../server/models/transaction.model.js'
+import { WebhookEvent } from '../../server/models/webhook-event.model.js'
+import { webhookEventService } from '../../server/services/webhook-event.service.js'
+import {
+  connectTestDatabase,
+  createTestUser,
+  disconnectTestDatabase,
+  getMessageCredits,
+  hasTestDatabase,
+  loadServerModule,
+  stripeEvent,
+} from './utils/server-helpers'
+
+/**
+ * Stripe Webhook Replay Tests
+ * Validates that Stripe events are stored and can be run again safely:
+ * - Every event is stored once, however often it is delivered
+ * - A processed event is not run again
+ * - A failed event can be replayed until it succeeds
+ * - Running an event again (Stripe retry, retry job, admin replay) never duplicates its
+ *   Transaction or its credits, even when the handler failed after writing them
+ *
+ * The event store tests need MONGODB_URI pointing at a test database; the endpoint tests
+ * need STRIPE_WEBHOOK_SECRET from the environment the server was started with.
+ */
+
+const API = 'http://localhost:8000/api'
+const CREDITS = 50
+
+let processStripeEvent: (event: object) => Promise<void>
+const eventIds: string[] = []
+
+// Stored events are removed after the tests
+const storedEvent = (type: string, object: Record<string, unknown>) => {
+  const event = stripeEvent(type, object)
+  eventIds.push(event.id)
+  return event
+}
+
+const checkoutEvent = (userId: string, paymentIntent = `pi_${randomUUID()}`) =>
+  storedEvent('checkout.session.completed', {
+    id: `cs_${randomUUID()}`,
+    mode: 'payment',
+    metadata: { userId, credits: String(CREDITS) },
+    payment_intent: paymentIntent,
+    amount_total: 500,
+    currency: 'usd',
+  })
+
+const store = (event: { id: string }) =>
+  webhookEventService.record(event, JSON.stringify(event))
+
+const countTransactions = (eventId: string) =>
+  Transaction.countDocuments({ 'metadata.stripeEventId': eventId })
+
+test.describe('Stripe Webhook Replay', () => {
+  test.describe('Event store', () => {
+    test.beforeAll(async () => {
+      if (!hasTestDatabase()) {
+        return
+      }
+      ;({ processStripeEvent } = await loadServerModule(
+        'controllers/webhook.controller.js'
+      ))
+      await connectTestDatabase()
+      await Transaction.init()
+    })
+
+    test.beforeEach(() => {
+      if (!hasTestDatabase()) {
+        test.skip()
+      }
+    })
+
+    test.afterAll(async () => {
+      if (hasTestDatabase()) {
+        await WebhookEvent.deleteMany({ eventId: { $in: eventIds } })
+      }
+      await disconnectTestDatabase()
+    })
+
+    test('a redelivered event is stored once', async () => {
+      const event = storedEvent('customer.created', { id: 'cus_replay' })
+
+      const first = await store(event)
+      const redelivered = await store(event)
+
+      expect(String(redelivered._id)).toBe(String(first._id))
+      expect(await WebhookEvent.countDocuments({ eventId: event.id })).toBe(1)
+      expect(first.status).toBe('received')
+    })
+
+    test('a processed event is not run again', async () => {
+      const user = await createTestUser()
+      const event = checkoutEvent(user.userId)
+      await store(event)
+
+      expect(
+        await webhookEventService.run(event.id, processStripeEvent)
+      ).toEqual({ status: 'processed' })
+      expect(await webhookEventService.run(event.id, processStripeEvent)).toBe(
+        null
+      )
+
+      expect(await getMessageCredits(user._id)).toBe(CREDITS)
+      expect(await countTransactions(event.id)).toBe(1)
+    })
+
+    test('a failed event is kept with its error and can be replayed', async () => {
+      const user = await createTestUser()
+      const event = checkoutEvent(user.userId)
+      await store(event)
+
+      const failed = await webhookEventService.run(event.id, async () => {
+        throw new Error('Database unavailable')
+      })
+      expect(failed).toEqual({
+        status: 'failed',
+        error: 'Database unavailable',
+      })
+      const stored = await webhookEventService.get(event.id)
+      expect(stored).toMatchObject({
+        status: 'failed',
+        attempts: 1,
+        lastError: 'Database unavailable',
+      })
+
+      const replayed = await webhookEventService.run(
+        event.id,
+        processStripeEvent,
+        { replayedBy: 'admin-user-id' }
+      )
+      expect(replayed).toEqual({ status: 'processed' })
+      expect(await webhookEventService.get(event.id)).toMatchObject({
+        status: 'processed',
+        attempts: 2,
+        replayedBy: 'admin-user-id',
+      })
+      expect(await getMessageCredits(user._id)).toBe(CREDITS)
+    })
+
+    test('replaying an event that failed after its writes does not duplicate them', async () => {
+      const user = await createTestUser()
+      const event = checkoutEvent(user.userId)
+      await store(event)
+
+      // The handler wrote the Transaction and credits, then failed (e.g. sending the email)
+      await webhookEventService.run(event.id, async (payload) => {
+        await processStripeEvent(payload)
+        throw new Error('Email provider unavailable')
+      })
+      expect(await countTransactions(event.id)).toBe(1)
+
+      await webhookEventService.run(event.id, processStripeEvent)
+
+      expect(await countTransactions(event.id)).toBe(1)
+      expect(await getMessageCredits(user._id)).toBe(CREDITS)
+    })
+
+    test('a redelivered purchase or refund records one Transaction', async () => {
+      const user = await createTestUser()
+      const paymentIntent = `pi_${randomUUID()}`
+      const purchase = checkoutEvent(user.userId, paymentIntent)
+      const refund = storedEvent('charge.refunded', {
+        id: `ch_${randomUUID()}`,
+        payment_intent: paymentIntent,
+        amount: 500,
+        amount_refunded: 250,
+        refunded: false,
+        currency: 'usd',
+      })
+
+      for (const event of [purchase, refund]) {
+        await processStripeEvent(event)
+        await processStripeEvent(event)
+        expect(await countTransactions(event.id)).toBe(1)
+      }
+
+      // The replayed refund clawed back its share once, not twice
+      expect(await getMessageCredits(user._id)).toBe(CREDITS / 2)
+      const refundRecord = await Transaction.findOne({
+        'metadata.stripeEventId': refund.id,
+      }).lean()
+      expect(refundRecord).toMatchObject({
+        amount: 2.5,
+        creditsAdded: -CREDITS / 2,
+      })
+    })
+
+    test('a redelivered invoice payment grants the period once', async () => {
+      const customerId = `cus_${randomUUID()}`
+      const user = await createTestUser({
+        subscription: 'premium',
+        subscriptionStatus: 'active',
+        stripeCustomerId: customerId,
+      })
+      const event = storedEvent('invoice.payment_succeeded', {
+        id: `in_${randomUUID()}`,
+        customer: customerId,
+        subscription: `sub_${randomUUID()}`,
+        subtotal: 999,
+        amount_paid: 999,
+        currency: 'usd',
+        payment_intent: `pi_${randomUUID()}`,
+        lines: { data: [{ price: { id: 'price_premium' } }] },
+      })
+
+      await processStripeEvent(event)
+      const granted = await getMessageCredits(user._id)
+      await processStripeEvent(event)
+
+      expect(granted).toBeGreaterThan(0)
+      expect(await getMessageCredits(user._id)).toBe(granted)
+      expect(await countTransactions(event.id)).toBe(1)
+    })
+  })
+
+  test.describe('Endpoint', () => {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET
+
+    test.beforeEach(() => {
+      if (!secret) {
+        test.skip()
+      }
+    })
+
+    // An event no handler acts on, so only the event store is exercised
+    const signedEvent = () => {
+      const payload = JSON.stringify(
+        stripeEvent('customer.created', { id: `cus_${randomUUID()}` })
+      )
+      const signature = Stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: secret as string,
+      })
+      return { payload, signature }
+    }
+
+    const post = (
+      request: APIRequestContext,
+      payload: string,
+      signature?: string
+    ) =>
+      request.post(`${API}/payments/webhook`, {
+        data: payload,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(signature && { 'Stripe-Signature': signature }),
+        },
+      })
+
+    test('a redelivered event is acknowledged as a duplicate', async ({
+      request,
+    }) => {
+      const { payload, signature } = signedEvent()
+
+      const first = await post(request, payload, signature)
+      expect(first.status()).toBe(200)
+      expect((await first.json()).data).toEqual({ received: true })
+
+      const redelivered = await post(request, payload, signature)
+      expect(redelivered.status()).toBe(200)
+      expect((await redelivered.json()).data).toEqual({
+        received: true,
+        isDuplicate: true,
+      })
+    })
+
+    test('unsigned and wrongly signed events are rejected', async ({
+      request,
+    }) => {
+      const { payload } = signedEvent()
+
+      expect((await post(request, payload)).status()).toBe(400)
+      expect(
+        (await post(request, payload, 't=1,v1=not-a-signature')).status()
+      ).toBe(400)
+    })
+  })
+})
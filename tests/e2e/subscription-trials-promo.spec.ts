@@ -0,0 +1,213 @@
+import { test, expect, Page } from '@playwright/test'
+import { randomUUID } from 'crypto'
+import { User } from '../../server/models/user.model.js'
+import { Transaction } from '../../server/models/transaction.model.js'
+import { generateTestEmail, getCsrfToken } from './utils/test-helpers'
+import {
+  connectTestDatabase,
+  createTestUser,
+  disconnectTestDatabase,
+  getMessageCredits,
+  hasTestDatabase,
+  loadServerModule,
+  stripeEvent,
+} from './utils/server-helpers'
+
+/**
+ * Subscription Trial and Promo Code Tests
+ * Validates free trials, promo codes and referral coupons on subscription checkout:
+ * - Referral sources map to coupons through STRIPE_REFERRAL_COUPONS
+ * - New accounts are offered a trial; malformed promo codes are refused before Stripe
+ * - A trial starts without a charge and without credits; the first paid invoice grants them
+ *
+ * The referral tests need nothing else. The offer and checkout tests run against the server;
+ * the webhook tests need MONGODB_URI pointing at a test database.
+ */
+
+const API = 'http://localhost:8000/api'
+
+test.describe('Subscription Trials and Promo Codes', () => {
+  test.describe('Referral coupons', () => {
+    let stripeService
+    let configuredCoupons: string | undefined
+
+    test.beforeAll(async () => {
+      configuredCoupons = process.env.STRIPE_REFERRAL_COUPONS
+      ;({ stripeService } = await loadServerModule(
+        'services/stripe.service.js'
+      ))
+    })
+
+    test.afterAll(() => {
+      if (configuredCoupons === undefined) {
+        delete process.env.STRIPE_REFERRAL_COUPONS
+      } else {
+        process.env.STRIPE_REFERRAL_COUPONS = configuredCoupons
+      }
+    })
+
+    test('a known referral source gets its coupon', () => {
+      process.env.STRIPE_REFERRAL_COUPONS = 'dogpark:DOGPARK20, vet : VET10'
+
+      expect(stripeService.getReferralCouponId('dogpark')).toBe('DOGPARK20')
+      expect(stripeService.getReferralCouponId('vet')).toBe('VET10')
+    })
+
+    test('other sources get no coupon', () => {
+      process.env.STRIPE_REFERRAL_COUPONS = 'dogpark:DOGPARK20'
+
+      expect(stripeService.getReferralCouponId('instagram')).toBe(null)
+      expect(stripeService.getReferralCouponId('')).toBe(null)
+      expect(stripeService.getReferralCouponId(undefined)).toBe(null)
+    })
+
+    test('no coupons are given when none are configured', () => {
+      delete process.env.STRIPE_REFERRAL_COUPONS
+
+      expect(stripeService.getReferralCouponId('dogpark')).toBe(null)
+    })
+  })
+
+  test.describe('Checkout', () => {
+    let csrfToken: string
+
+    const signup = async (page: Page) => {
+      csrfToken = await getCsrfToken(page)
+      const response = await page.request.post(`${API}/auth/signup`, {
+        data: {
+          userName: 'Trial Tester',
+          email: generateTestEmail(),
+          password: 'TestPassword123!',
+        },
+        headers: { 'X-CSRF-Token': csrfToken },
+      })
+      expect(response.status()).toBe(201)
+      csrfToken = await getCsrfToken(page)
+    }
+
+    const checkout = (page: Page, promoCode: string) =>
+      page.request.post(`${API}/payments/create-subscription-checkout`, {
+        data: { planType: 'premium', promoCode },
+        headers: { 'X-CSRF-Token': csrfToken },
+      })
+
+    test('a new account is offered a trial and no referral discount', async ({
+      page,
+    }) => {
+      await signup(page)
+
+      const response = await page.request.get(
+        `${API}/payments/subscription-offer`
+      )
+
+      expect(response.status()).toBe(200)
+      const { offer } = (await response.json()).data
+      expect(Number.isInteger(offer.trialDays.premium)).toBe(true)
+      expect(Number.isInteger(offer.trialDays.vip)).toBe(true)
+      expect(offer.referralDiscount).toBe(false)
+    })
+
+    test('malformed promo codes are refused', async ({ page }) => {
+      await signup(page)
+
+      expect((await checkout(page, 'SAVE 20%')).status()).toBe(400)
+      expect((await checkout(page, 'A'.repeat(51))).status()).toBe(400)
+    })
+  })
+
+  test.describe('Trial webhooks', () => {
+    let processStripeEvent: (event: object) => Promise<void>
+
+    // A free account with a Stripe customer, as checkout leaves it
+    const createUser = async () => {
+      const customerId = `cus_${randomUUID()}`
+      const { _id } = await createTestUser({ stripeCustomerId: customerId })
+      return { _id, customerId }
+    }
+
+    const trialingSubscription = (customerId: string, trialEnd: number) => ({
+      id: `sub_${randomUUID()}`,
+      customer: customerId,
+      status: 'trialing',
+      currency: 'usd',
+      current_period_end: trialEnd,
+      trial_end: trialEnd,
+      cancel_at_period_end: false,
+      items: {
+        data: [{ price: { id: 'price_premium', unit_amount: 999 } }],
+      },
+    })
+
+    const invoice = (
+      customerId: string,
+      subscriptionId: string,
+      cents: number
+    ) =>
+      stripeEvent('invoice.payment_succeeded', {
+        id: `in_${randomUUID()}`,
+        customer: customerId,
+        subscription: subscriptionId,
+        subtotal: cents,
+        amount_paid: cents,
+        currency: 'usd',
+        payment_intent: cents ? `pi_${randomUUID()}` : null,
+        lines: { data: [{ price: { id: 'price_premium' } }] },
+      })
+
+    test.beforeAll(async () => {
+      if (!hasTestDatabase()) {
+        return
+      }
+      ;({ processStripeEvent } = await loadServerModule(
+        'controllers/webhook.controller.js'
+      ))
+      await connectTestDatabase()
+    })
+
+    test.beforeEach(() => {
+      if (!hasTestDatabase()) {
+        test.skip()
+      }
+    })
+
+    test.afterAll(disconnectTestDatabase)
+
+    test('a trial starts the plan without a charge and uses up the trial', async () => {
+      const user = await createUser()
+      const trialEnd = Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60
+      const subscription = trialingSubscription(user.customerId, trialEnd)
+
+      await processStripeEvent(
+        stripeEvent('customer.subscription.created', subscription)
+      )
+
+      const updated = await User.findById(user._id).lean()
+      expect(updated?.subscription).toBe('premium')
+      expect(updated?.subscriptionStatus).toBe('trialing')
+      expect(updated?.trialUsedAt).toBeTruthy()
+      expect(updated?.trialEndsAt?.getTime()).toBe(trialEnd * 1000)
+      const record = await Transaction.findOne({
+        stripePaymentId: subscription.id,
+      }).lean()
+      expect(record).toMatchObject({
+        amount: 0,
+        description: 'premium free trial started',
+      })
+    })
+
+    test('credits are granted on the first paid invoice, not the trial invoice', async () => {
+      const user = await createUser()
+      const trialEnd = Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60
+      const subscription = trialingSubscription(user.customerId, trialEnd)
+      await processStripeEvent(
+        stripeEvent('customer.subscription.created', subscription)
+      )
+
+      await processStripeEvent(invoice(user.customerId, subscription.id, 0))
+      expect(await getMessageCredits(user._id)).toBe(0)
+
+      await processStripeEvent(invoice(user.customerId, subscription.id, 999))
+      expect(await getMessageCredits(user._id)).toBeGreaterThan(0)
+    })
+  })
+})
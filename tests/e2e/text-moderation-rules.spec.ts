@@ -0,0 +1,167 @@
+import { test, expect } from '@playwright/test'
+import {
+  textModerationService,
+  validateRuleActionOverrides,
+} from '../../server/services/text-moderation.service.js'
+
+/**
+ * Text Moderation Rules Tests
+ * Validates what each TEXT_MODERATION_RULES action does to message and profile text:
+ * - block: the text is refused
+ * - mask: the matched part is replaced with mask characters
+ * - flag: the text is kept as written and queued for admin review
+ * - earlyMessagesOnly rules stop applying once two users have talked for a while
+ *
+ * Runs against the service directly with the offline local classifier; no server or
+ * browser needed.
+ */
+
+const MESSAGE = 'message'
+const PROFILE = 'profile'
+
+test.describe('Text Moderation Rules', () => {
+  test.beforeAll(() => {
+    // The classifier rule asks the moderation provider, resolved on first use
+    process.env.MODERATION_PROVIDER = 'local'
+  })
+
+  test('clean text passes unchanged', async () => {
+    const text = 'Want to meet at the dog park on Saturday?'
+    const result = await textModerationService.moderate(text, {
+      context: MESSAGE,
+    })
+
+    expect(result).toEqual({
+      text,
+      blocked: false,
+      flagged: false,
+      masked: false,
+      rules: [],
+      categories: [],
+    })
+  })
+
+  test('block rules refuse the text', async () => {
+    const result = await textModerationService.moderate('you are retarded', {
+      context: MESSAGE,
+    })
+
+    expect(result.blocked).toBe(true)
+    expect(result.rules).toContain('slur')
+    expect(result.categories).toContain('hate')
+  })
+
+  test('mask rules replace only the matched words', async () => {
+    const result = await textModerationService.moderate(
+      'this weather is shit',
+      { context: MESSAGE }
+    )
+
+    expect(result.blocked).toBe(false)
+    expect(result.masked).toBe(true)
+    expect(result.text).toBe('this weather is ****')
+    expect(result.rules).toEqual(['profanity'])
+  })
+
+  test('flag rules keep the text and mark it for review', async () => {
+    const text = 'can you send the deposit by venmo first'
+    const result = await textModerationService.moderate(text, {
+      context: MESSAGE,
+    })
+
+    expect(result.flagged).toBe(true)
+    expect(result.blocked).toBe(false)
+    expect(result.text).toBe(text)
+    expect(result.rules).toEqual(['payment_app'])
+    expect(result.categories).toEqual(['scam'])
+  })
+
+  test('the classifier rule flags with the provider categories', async () => {
+    const result = await textModerationService.moderate('send me nudes', {
+      context: MESSAGE,
+    })
+
+    expect(result.flagged).toBe(true)
+    expect(result.rules).toContain('classifier')
+    expect(result.categories).toContain('sexual')
+  })
+
+  test('the classifier does not flag everyday dog talk', async () => {
+    const result = await textModerationService.moderate(
+      'my dog is naked without his collar',
+      { context: MESSAGE }
+    )
+
+    expect(result.flagged).toBe(false)
+    expect(result.rules).toEqual([])
+  })
+
+  test('contact details are masked in early messages only', async () => {
+    const text = 'call me at 555-123-4567'
+
+    const early = await textModerationService.moderate(text, {
+      context: MESSAGE,
+      isEarlyMessage: true,
+    })
+    expect(early.masked).toBe(true)
+    expect(early.text).not.toContain('555-123-4567')
+    expect(early.rules).toEqual(['phone_number'])
+
+    const later = await textModerationService.moderate(text, {
+      context: MESSAGE,
+      isEarlyMessage: false,
+    })
+    expect(later.masked).toBe(false)
+    expect(later.text).toBe(text)
+  })
+
+  test('contact details are always masked in profiles', async () => {
+    const result = await textModerationService.moderate(
+      'email me at sam@example.com',
+      { context: PROFILE, isEarlyMessage: false }
+    )
+
+    expect(result.masked).toBe(true)
+    expect(result.text).not.toContain('sam@example.com')
+    expect(result.rules).toContain('email_address')
+  })
+
+  test('one text can match several rules', async () => {
+    const result = await textModerationService.moderate(
+      'shit, just pay me on cash app',
+      { context: MESSAGE }
+    )
+
+    expect(result.masked).toBe(true)
+    expect(result.flagged).toBe(true)
+    expect(result.rules).toEqual(['profanity', 'payment_app'])
+    expect(result.text.startsWith('****,')).toBe(true)
+  })
+
+  test.describe('TEXT_MODERATION_RULE_ACTIONS overrides', () => {
+    test('accepts known rules and actions', () => {
+      expect(
+        validateRuleActionOverrides('{"link":"block","payment_app":"off"}')
+      ).toEqual([])
+    })
+
+    test('rejects values that are not a JSON object', () => {
+      expect(validateRuleActionOverrides('link=block')).toEqual([
+        'TEXT_MODERATION_RULE_ACTIONS must be a JSON object',
+      ])
+      expect(validateRuleActionOverrides('["link"]')).toEqual([
+        'TEXT_MODERATION_RULE_ACTIONS must be a JSON object',
+      ])
+    })
+
+    test('rejects unknown rules and actions', () => {
+      const errors = validateRuleActionOverrides(
+        '{"emoji":"block","link":"delete"}'
+      )
+
+      expect(errors).toHaveLength(2)
+      expect(errors[0]).toContain('unknown rule: emoji')
+      expect(errors[1]).toContain('TEXT_MODERATION_RULE_ACTIONS.link')
+    })
+  })
+})
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose'
+import { randomUUID } from 'crypto'
+import { User } from '../../../server/models/user.model.js'
+import { Transaction } from '../../../server/models/transaction.model.js'
+import { CreditLedgerEntry } from '../../../server/models/credit-ledger-entry.model.js'
+import { creditLedgerService } from '../../../server/services/credit-ledger.service.js'
+
+/**
+ * Helpers for specs that run server code directly against a test database (MONGODB_URI)
+ * instead of through a running server
+ */
+
+// Modules like the webhook controller create their Stripe and AWS clients on import. These
+// placeholders let them load; the specs never make a request to either service.
+const CLIENT_ENV = {
+  STRIPE_SECRET_KEY: 'sk_test_placeholder',
+  AWS_BUCKET_NAME: 'test-bucket',
+  AWS_BUCKET_REGION: 'us-east-1',
+  AWS_ACCESS_KEY_ID: 'test',
+  AWS_SECRET_ACCESS_KEY: 'test',
+  CLOUD_FRONT_DIST_ID: 'test',
+}
+
+const testUserIds: mongoose.Types.ObjectId[] = []
+
+/**
+ * Whether a test database is configured; specs skip their database tests without one
+ */
+export function hasTestDatabase(): boolean {
+  return Boolean(process.env.MONGODB_URI)
+}
+
+/**
+ * Import a server module (path relative to server/), filling in any Stripe and AWS settings
+ * the environment does not provide
+ */
+export async function loadServerModule(path: string) {
+  for (const [name, value] of Object.entries(CLIENT_ENV)) {
+    process.env[name] ||= value
+  }
+  return import(`../../../server/${path}`)
+}
+
+export async function connectTestDatabase(): Promise<void> {
+  await mongoose.connect(process.env.MONGODB_URI as string)
+}
+
+/**
+ * Remove the users created by createTestUser, with their transactions and ledger entries,
+ * and disconnect
+ */
+export async function disconnectTestDatabase(): Promise<void> {
+  if (mongoose.connection.readyState !== 1) {
+    return
+  }
+  const userIds = testUserIds.splice(0)
+  await Transaction.deleteMany({ userId: { $in: userIds } })
+  // Ledger entries are append-only through the model
+  await CreditLedgerEntry.collection.deleteMany({ userId: { $in: userIds } })
+  await User.collection.deleteMany({ _id: { $in: userIds } })
+  await mongoose.disconnect()
+}
+
+/**
+ * Insert a free account with no credits (override with `fields`). With `openLedger`, its
+ * opening ledger entry is written as signup does; without it, the account looks like one
+ * created before the credit ledger.
+ * @returns {_id, userId} - Mongo _id and user_id
+ */
+export async function createTestUser(
+  fields: Record<string, unknown> = {},
+  { openLedger = true } = {}
+) {
+  const _id = new mongoose.Types.ObjectId()
+  const userId = randomUUID()
+  await User.collection.insertOne({
+    _id,
+    user_id: userId,
+    email: `test-user-${_id}@example.com`,
+    userName: 'Test User',
+    password: 'not-a-password-hash',
+    subscription: 'free',
+    messageCredits: 0,
+    ...fields,
+  })
+  testUserIds.push(_id)
+  if (openLedger) {
+    await creditLedgerService.open(_id, (fields.messageCredits as number) || 0)
+  }
+  return { _id, userId }
+}
+
+/**
+ * A user's cached message credit balance
+ */
+export async function getMessageCredits(_id: mongoose.Types.ObjectId) {
+  const user = await User.findById(_id, { messageCredits: 1 }).lean()
+  return user?.messageCredits
+}
+
+/**
+ * A Stripe event wrapping `object`, with an id in Stripe's evt_ format
+ */
+export function stripeEvent(type: string, object: Record<string, unknown>) {
+  return {
+    id: `evt_${randomUUID().replace(/-/g, '')}`,
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+  }
+}
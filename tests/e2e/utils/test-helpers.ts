@@ -160,6 +160,30 @@ export async function getCsrfToken(page: Page): Promise<string> {
   return data.csrfToken
 }
 
+/**
+ * Sign up through the API; the page keeps the new account's session
+ * Returns the created user
+ */
+export async function signup(
+  page: Page,
+  csrfToken: string,
+  userName: string,
+  email: string = generateTestEmail()
+) {
+  const response = await page.request.post(
+    'http://localhost:8000/api/auth/signup',
+    {
+      data: { userName, email, password: 'TestPassword123!' },
+      headers: { 'X-CSRF-Token': csrfToken },
+    }
+  )
+  if (response.status() !== 201) {
+    throw new Error(`Signup failed with status ${response.status()}`)
+  }
+  const body = await response.json()
+  return body.data.user
+}
+
 /**
  * Build complete Cookie header string from browser context cookies
  */